@@ -0,0 +1,154 @@
+/**
+ * Address Derivation UI Methods
+ *
+ * These methods are mixed into the FormatConverter class. For a crypto-hdkey,
+ * or the single-key outputs of a crypto-output / crypto-account, the panel
+ * derives non-hardened children along the key's children path (or one typed
+ * in) and lists the first addresses, so a watch-only export can be checked
+ * against the addresses a wallet shows.
+ */
+
+import { hexToBytes, bytesToHex } from './shared.js';
+import { BITCOIN_NETWORKS } from './bitcoin-script.js';
+import { formatKeypath, parseKeypath } from './hdkey.js';
+import { ADDRESS_SCRIPT_TYPES, collectDerivationSources, deriveAddresses } from './key-derivation.js';
+
+const DERIVATION_UR_TYPES = ['crypto-hdkey', 'hdkey', 'crypto-output', 'output-descriptor', 'crypto-account', 'account-descriptor'];
+const DEFAULT_CHILDREN_PATH = '0/*';
+const MAX_COUNT = 100;
+
+export const AddressDerivationMixin = {
+    /**
+     * Initialize Address Derivation Elements
+     * Call this in the constructor after other DOM elements are initialized
+     */
+    initializeAddressDerivation() {
+        this.derivePanel = document.getElementById('address-derivation');
+        this.deriveContent = document.getElementById('address-derivation-content');
+        this.deriveSourceSelect = document.getElementById('deriveSource');
+        this.deriveTypeSelect = document.getElementById('deriveType');
+        this.deriveNetworkSelect = document.getElementById('deriveNetwork');
+        this.derivePathInput = document.getElementById('derivePath');
+        this.deriveStartInput = document.getElementById('deriveStart');
+        this.deriveCountInput = document.getElementById('deriveCount');
+
+        // State for derivation
+        this.deriveSources = [];
+
+        const rerender = () => {
+            if (this.deriveSources.length > 0) this.renderAddressDerivation();
+        };
+        this.deriveSourceSelect?.addEventListener('change', () => {
+            this.resetDerivePath();
+            rerender();
+        });
+        [this.deriveTypeSelect, this.deriveNetworkSelect, this.deriveStartInput, this.deriveCountInput]
+            .forEach(el => el?.addEventListener('change', rerender));
+        this.derivePathInput?.addEventListener('input', rerender);
+    },
+
+    /**
+     * Update Panel with Latest Payload
+     * Shown for crypto-hdkey, crypto-output and crypto-account payloads.
+     *
+     * @param {string|null} hex - CBOR payload as hex
+     * @param {string|null} urType - UR type of the source, if known
+     */
+    updateAddressDerivation(hex, urType = null) {
+        this.deriveSources = [];
+        if (!this.derivePanel) return;
+
+        let sources = null;
+        if (hex) {
+            try {
+                sources = collectDerivationSources(hexToBytes(hex), urType);
+            } catch (_) {
+                sources = null;
+            }
+        }
+        // Untyped payloads only show the panel when something is derivable
+        const derivable = sources?.some(source => source.hdkey?.chainCode);
+        if (!DERIVATION_UR_TYPES.includes(urType) && !derivable) {
+            this.derivePanel.style.display = 'none';
+            return;
+        }
+
+        this.derivePanel.style.display = 'block';
+        if (!sources || sources.length === 0) {
+            this.deriveSourceSelect.innerHTML = '';
+            this.deriveContent.innerHTML = `<div class="det-verdict fail">❌ ${this.escapeHtml(urType)} payload has no key to derive from</div>`;
+            return;
+        }
+
+        this.deriveSources = sources;
+        this.deriveSourceSelect.innerHTML = sources.map((source, i) =>
+            `<option value="${i}"${source.error ? ' disabled' : ''}>${this.escapeHtml(source.label)}${source.error ? ' (not derivable)' : ''}</option>`).join('');
+        const first = sources.findIndex(source => !source.error);
+        this.deriveSourceSelect.value = String(Math.max(first, 0));
+        this.deriveSourceSelect.style.display = sources.length > 1 ? '' : 'none';
+        this.resetDerivePath();
+        this.renderAddressDerivation();
+    },
+
+    /**
+     * Put the Selected Key's Children Path (or 0/*) in the Path Field
+     */
+    resetDerivePath() {
+        const source = this.deriveSources[Number(this.deriveSourceSelect.value)];
+        const children = source?.hdkey?.children?.components;
+        this.derivePathInput.value = children && children.length > 0 ? formatKeypath(children) : DEFAULT_CHILDREN_PATH;
+    },
+
+    /**
+     * Derive and List Addresses for the Current Settings
+     */
+    renderAddressDerivation() {
+        const source = this.deriveSources[Number(this.deriveSourceSelect.value)];
+        const skipped = this.deriveSources.filter(s => s.error)
+            .map(s => `<div class="bw-note">⚠️ ${this.escapeHtml(s.label)}: ${this.escapeHtml(s.error)}</div>`).join('');
+        if (!source || source.error) {
+            this.deriveContent.innerHTML = `<div class="det-verdict fail">❌ No single-key HD output to derive from</div>` + skipped;
+            return;
+        }
+
+        const type = this.deriveTypeSelect.value === 'auto' ? source.type : this.deriveTypeSelect.value;
+        const network = this.deriveNetworkSelect.value === 'auto' ? source.network : this.deriveNetworkSelect.value;
+        const start = Math.max(0, parseInt(this.deriveStartInput.value, 10) || 0);
+        const count = Math.min(MAX_COUNT, Math.max(1, parseInt(this.deriveCountInput.value, 10) || 1));
+
+        let rows;
+        try {
+            const components = parseKeypath(this.derivePathInput.value.trim() || DEFAULT_CHILDREN_PATH);
+            rows = deriveAddresses(source.hdkey, { components, start, count, type, network });
+        } catch (error) {
+            this.deriveContent.innerHTML = `<div class="det-verdict fail">❌ ${this.escapeHtml(error.message)}</div>` + skipped;
+            return;
+        }
+
+        const failed = rows.filter(row => row.error).length;
+        // Full paths need the whole origin; otherwise paths are shown relative to the key
+        const origin = source.hdkey.origin;
+        const complete = source.hdkey.isMaster || (origin && origin.components.length === (origin.depth ?? origin.components.length));
+        const base = !complete ? '…/' : (origin?.components.length ? `m/${formatKeypath(origin.components)}/` : 'm/');
+        const verdict = `<div class="det-verdict ${failed ? 'fail' : 'ok'}">${failed ? '⚠️' : '✅'} ` +
+            `${rows.length - failed} address(es) · ${ADDRESS_SCRIPT_TYPES[type].label}` +
+            `${type === 'evm' ? '' : ` · ${BITCOIN_NETWORKS[network].label}`}</div>`;
+        const why = [
+            this.deriveTypeSelect.value === 'auto' ? `type from ${source.reason}` : null,
+            this.deriveNetworkSelect.value === 'auto' && type !== 'evm' ? `network from ${source.hdkey.useInfo ? 'use-info' : 'origin coin type'}` : null
+        ].filter(Boolean).join('; ');
+
+        const table = `
+            <table class="bw-suggestions psbt-table"><thead><tr><th>Path</th><th>Address</th><th>Public key</th></tr></thead><tbody>
+            ${rows.map(row => `<tr>
+                <td><code>${this.escapeHtml(base + row.path)}</code></td>
+                <td>${row.error ? `<span class="psbt-sub">${this.escapeHtml(row.error)}</span>` : `<code class="psbt-break">${row.address}</code>`}</td>
+                <td>${row.publicKey ? `<code class="psbt-break">${bytesToHex(row.publicKey)}</code>` : '—'}</td>
+            </tr>`).join('')}
+            </tbody></table>`;
+
+        this.deriveContent.innerHTML = verdict +
+            (why ? `<div class="bw-note">ℹ️ ${this.escapeHtml(why)}</div>` : '') +
+            skipped + table;
+    }
+};
@@ -0,0 +1,223 @@
+/**
+ * Batch Conversion UI Methods
+ *
+ * These methods are mixed into the FormatConverter class. A list of inputs
+ * (one per line or a JSON array) is run through performConversion one by
+ * one, with the input format auto-detected per entry, and the results are
+ * shown in a table that can be exported as JSON or CSV. With "Mask secrets"
+ * on, rows whose payload holds a secret field show and export a placeholder
+ * instead of their input and output.
+ */
+
+import { updateStatus, downloadFile, hexToBytes } from './shared.js';
+import { parseBatchInput, batchResultsToJson, batchResultsToCsv } from './batch-conversion.js';
+import { findSecrets, maskLabel } from './secret-mask.js';
+
+// Cell preview length; the full value is in the title and the exports
+const PREVIEW_LENGTH = 120;
+
+export const BatchConversionMixin = {
+    /**
+     * Initialize Batch Conversion Elements
+     * Call this in the constructor after other DOM elements are initialized
+     */
+    initializeBatchConversion() {
+        this.batchPanel = document.getElementById('batch-conversion');
+        this.batchInput = document.getElementById('batchInput');
+        this.batchFile = document.getElementById('batchFile');
+        this.batchOutputFormat = document.getElementById('batchOutputFormat');
+        this.batchBytewordsStyle = document.getElementById('batchBytewordsStyle');
+        this.batchResults = document.getElementById('batch-results');
+        this.batchSummary = document.getElementById('batch-summary');
+        this.batchStatus = document.getElementById('batch-status');
+        this.toggleBatchBtn = document.getElementById('toggleBatchBtn');
+        this.batchRunBtn = document.getElementById('batchRunBtn');
+        this.batchExportJsonBtn = document.getElementById('batchExportJson');
+        this.batchExportCsvBtn = document.getElementById('batchExportCsv');
+
+        // State for batch
+        this.batchRows = [];
+        this.batchRunning = false;
+
+        if (!this.batchPanel) return;
+
+        this.toggleBatchBtn?.addEventListener('click', () => {
+            const open = this.batchPanel.style.display === 'none';
+            this.batchPanel.style.display = open ? 'block' : 'none';
+            this.toggleBatchBtn.classList.toggle('active', open);
+            if (open) this.batchPanel.scrollIntoView({ behavior: 'smooth', block: 'start' });
+        });
+
+        document.getElementById('batchLoadBtn')?.addEventListener('click', () => this.batchFile.click());
+        this.batchFile.addEventListener('change', () => this.loadBatchFile(this.batchFile.files[0]));
+
+        this.batchOutputFormat.addEventListener('change', () => {
+            this.batchBytewordsStyle.style.display = this.batchOutputFormat.value === 'bytewords' ? 'inline-block' : 'none';
+        });
+
+        this.batchRunBtn.addEventListener('click', () => this.runBatchConversion());
+        this.batchExportJsonBtn.addEventListener('click', () => this.exportBatchResults('json'));
+        this.batchExportCsvBtn.addEventListener('click', () => this.exportBatchResults('csv'));
+    },
+
+    /**
+     * Load a Text/JSON File Into the Batch Input
+     *
+     * @param {File} file - Selected file
+     */
+    async loadBatchFile(file) {
+        if (!file) return;
+        try {
+            this.batchInput.value = await file.text();
+            const count = parseBatchInput(this.batchInput.value).length;
+            updateStatus(this.batchStatus, `Loaded ${file.name}: ${count} input(s)`, 'info');
+        } catch (error) {
+            updateStatus(this.batchStatus, 'Failed to read file: ' + error.message, 'error');
+        } finally {
+            this.batchFile.value = '';
+        }
+    },
+
+    /**
+     * Convert Every Input and Render the Results Table
+     */
+    async runBatchConversion() {
+        if (this.batchRunning) return;
+
+        const inputs = parseBatchInput(this.batchInput.value);
+        if (inputs.length === 0) {
+            updateStatus(this.batchStatus, 'Nothing to convert: paste one input per line or a JSON array', 'error');
+            return;
+        }
+
+        this.batchRunning = true;
+        this.batchRunBtn.disabled = true;
+        const toFormat = this.batchOutputFormat.value;
+        const rows = [];
+
+        for (let i = 0; i < inputs.length; i++) {
+            rows.push(await this.convertBatchEntry(i + 1, inputs[i], toFormat));
+
+            // Keep the page responsive on long lists
+            if (i % 10 === 9) {
+                updateStatus(this.batchStatus, `Converting… ${i + 1}/${inputs.length}`, 'info');
+                await new Promise(resolve => setTimeout(resolve, 0));
+            }
+        }
+
+        this.batchRows = rows;
+        this.batchRunning = false;
+        this.batchRunBtn.disabled = false;
+        this.renderBatchResults();
+
+        const failed = rows.filter(row => row.status !== 'ok').length;
+        updateStatus(this.batchStatus, `Batch finished: ${rows.length - failed}/${rows.length} converted`, failed ? 'error' : 'success');
+    },
+
+    /**
+     * Convert One Batch Entry (never throws; failures become error rows)
+     *
+     * @param {number} index - 1-based position in the batch
+     * @param {string} input - Raw input
+     * @param {string} toFormat - Output format
+     * @returns {object} { index, status, format, urType, input, output, error, secrets }
+     */
+    async convertBatchEntry(index, input, toFormat) {
+        const row = { index, status: 'error', format: null, urType: null, input, output: null, error: null, secrets: [] };
+
+        await this.loadInputWordlists(input);
+        const best = this.rankInputFormats(input)[0];
+        if (!best || best.score === 0) {
+            row.error = 'Unable to detect input format';
+            return row;
+        }
+        row.format = best.format;
+
+        try {
+            const sequence = this.isSequenceMode();
+            const { output, hex, usedUrType } = await this.performConversion({
+                rawInput: input,
+                fromFormat: best.format,
+                toFormat,
+                urTypeOverride: '',
+                inputBytewordsStyle: best.style || 'minimal',
+                outputBytewordsStyle: this.batchBytewordsStyle.value,
+                sequence
+            });
+            row.status = 'ok';
+            row.output = output;
+            row.urType = usedUrType || null;
+            row.secrets = hex ? findSecrets(hexToBytes(hex), row.urType, { sequence }) : [];
+        } catch (error) {
+            row.error = error.message;
+        }
+        return row;
+    },
+
+    /**
+     * Render Results Table and Summary
+     */
+    renderBatchResults() {
+        const rows = this.maskedBatchRows();
+        const failed = rows.filter(row => row.status !== 'ok').length;
+        const masked = rows.filter(row => row.masked).length;
+        this.batchSummary.textContent = `${rows.length} input(s) · ${rows.length - failed} ok · ${failed} failed` +
+            (masked ? ` · 🔒 ${masked} masked` : '');
+        this.batchExportJsonBtn.disabled = rows.length === 0;
+        this.batchExportCsvBtn.disabled = rows.length === 0;
+
+        const preview = (text) => {
+            const value = text || '';
+            return value.length > PREVIEW_LENGTH ? value.slice(0, PREVIEW_LENGTH) + '…' : value;
+        };
+
+        const body = rows.map(row => {
+            const result = row.status === 'ok' ? row.output : row.error;
+            return `<tr class="batch-row ${row.status}${row.masked ? ' secret-masked' : ''}">` +
+                `<td>${row.index}</td>` +
+                `<td>${row.status === 'ok' ? '✅' : '❌'}</td>` +
+                `<td>${this.escapeHtml(row.format ? this.getFormatLabel(row.format) : '—')}</td>` +
+                `<td>${this.escapeHtml(row.urType || '—')}</td>` +
+                `<td class="batch-input-cell" title="${this.escapeHtml(row.input)}"><code>${this.escapeHtml(preview(row.input))}</code></td>` +
+                `<td class="batch-output-cell" title="${this.escapeHtml(result || '')}"><code>${this.escapeHtml(preview(result))}</code></td>` +
+                '</tr>';
+        }).join('');
+
+        this.batchResults.innerHTML =
+            '<table class="bw-suggestions"><thead><tr><th>#</th><th>Status</th><th>Detected format</th><th>UR type</th><th>Input</th><th>Output / error</th></tr></thead>' +
+            `<tbody>${body}</tbody></table>`;
+    },
+
+    /**
+     * Download Results as JSON or CSV
+     *
+     * @param {string} format - 'json' | 'csv'
+     */
+    exportBatchResults(format) {
+        if (this.batchRows.length === 0) return;
+        const rows = this.maskedBatchRows();
+        const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+        if (format === 'csv') {
+            downloadFile(`bcur-batch-${stamp}.csv`, batchResultsToCsv(rows), 'text/csv');
+        } else {
+            const json = batchResultsToJson(rows, { outputFormat: this.batchOutputFormat.value });
+            downloadFile(`bcur-batch-${stamp}.json`, json, 'application/json');
+        }
+    },
+
+    /**
+     * Result Rows as Shown and Exported
+     * While secrets are masked, a row whose payload holds one has its input
+     * and output (both encode every secret byte) replaced by a placeholder.
+     *
+     * @returns {Array<object>} Rows, with masked copies flagged `masked`
+     */
+    maskedBatchRows() {
+        if (!this.isMaskingSecrets()) return this.batchRows;
+        return this.batchRows.map(row => {
+            if (!row.secrets?.length) return row;
+            const placeholder = `🔒 ${row.secrets.map(maskLabel).join(', ')}`;
+            return { ...row, input: placeholder, output: placeholder, masked: true };
+        });
+    }
+};
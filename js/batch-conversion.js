@@ -0,0 +1,63 @@
+/**
+ * BC-UR Playground - Batch Conversion Helpers
+ *
+ * Splits a pasted/loaded list into individual inputs and serialises batch
+ * results for export. The conversion itself runs through the converter's
+ * performConversion (see batch-conversion-ui.js).
+ */
+
+/** Columns exported for every result row, in order */
+export const BATCH_COLUMNS = ['index', 'status', 'format', 'urType', 'input', 'output', 'error'];
+
+/**
+ * Split Batch Input Into Individual Inputs
+ *
+ * A JSON array of strings is used as-is (lets entries span lines, e.g.
+ * multi-part URs); anything else is one input per non-empty line.
+ *
+ * @param {string} text - Pasted or loaded text
+ * @returns {string[]} Inputs
+ */
+export function parseBatchInput(text) {
+    const trimmed = (text || '').trim();
+    if (trimmed.startsWith('[')) {
+        let parsed;
+        try {
+            parsed = JSON.parse(trimmed);
+        } catch (_) {
+            parsed = null;
+        }
+        if (Array.isArray(parsed) && parsed.every(item => typeof item === 'string')) {
+            return parsed.filter(item => item.trim());
+        }
+    }
+    return trimmed.split('\n').map(line => line.trim()).filter(Boolean);
+}
+
+/**
+ * Serialise Results as JSON
+ *
+ * @param {Array<object>} rows - Batch result rows
+ * @param {object} meta - { outputFormat } recorded alongside the rows
+ * @returns {string} Pretty-printed JSON
+ */
+export function batchResultsToJson(rows, meta = {}) {
+    const results = rows.map(row => Object.fromEntries(BATCH_COLUMNS.map(key => [key, row[key] ?? null])));
+    return JSON.stringify({ ...meta, count: rows.length, results }, null, 2);
+}
+
+/**
+ * Serialise Results as CSV (RFC 4180 quoting)
+ *
+ * @param {Array<object>} rows - Batch result rows
+ * @returns {string} CSV text with header row
+ */
+export function batchResultsToCsv(rows) {
+    const quote = (value) => {
+        const text = value === null || value === undefined ? '' : String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    const lines = [BATCH_COLUMNS.join(',')];
+    rows.forEach(row => lines.push(BATCH_COLUMNS.map(key => quote(row[key])).join(',')));
+    return lines.join('\r\n') + '\r\n';
+}
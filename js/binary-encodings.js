@@ -0,0 +1,146 @@
+/**
+ * BC-UR Playground - Binary-to-Text Encodings
+ *
+ * CBOR payloads often travel outside URs as base64 (logs, APIs, PSBTs from
+ * wallet backends), base58 or base32. These helpers convert such text to and
+ * from bytes so the converter can treat it like hex.
+ *
+ * Decoders are lenient about whitespace and padding; encoders emit the
+ * canonical form (padded base64/base32, unpadded base64url).
+ */
+
+import { base58, base32, base64, base64url, createBase58check } from 'https://esm.sh/@scure/base@1.1.6';
+import { sha256 } from 'https://esm.sh/@noble/hashes@1.4.0/sha256';
+
+const base58check = createBase58check(sha256);
+
+/**
+ * Decode Base64 (padding optional, whitespace ignored)
+ *
+ * @param {string} text - Base64 text
+ * @returns {Uint8Array} Decoded bytes
+ * @throws {Error} If the text is not valid base64
+ */
+export function base64ToBytes(text) {
+    return decodeBase64(text, base64, /^[A-Za-z0-9+/]*={0,2}$/, 'base64');
+}
+
+/**
+ * Encode Bytes as Padded Base64
+ *
+ * @param {Uint8Array} bytes - Input bytes
+ * @returns {string} Base64 text
+ */
+export function bytesToBase64(bytes) {
+    return base64.encode(bytes);
+}
+
+/**
+ * Decode Base64url (RFC 4648 §5, padding optional)
+ *
+ * @param {string} text - Base64url text
+ * @returns {Uint8Array} Decoded bytes
+ * @throws {Error} If the text is not valid base64url
+ */
+export function base64UrlToBytes(text) {
+    if (/[+/]/.test(text || '')) {
+        throw new Error('Invalid base64url input: contains + or / (use Base64)');
+    }
+    return decodeBase64(text, base64url, /^[A-Za-z0-9_-]*={0,2}$/, 'base64url');
+}
+
+/**
+ * Encode Bytes as Unpadded Base64url
+ *
+ * @param {Uint8Array} bytes - Input bytes
+ * @returns {string} Base64url text
+ */
+export function bytesToBase64Url(bytes) {
+    return base64url.encode(bytes).replace(/=+$/, '');
+}
+
+/**
+ * Decode RFC 4648 Base32 (case-insensitive, padding optional)
+ *
+ * @param {string} text - Base32 text
+ * @returns {Uint8Array} Decoded bytes
+ * @throws {Error} If the text is not valid base32
+ */
+export function base32ToBytes(text) {
+    const clean = (text || '').replace(/\s+/g, '').toUpperCase().replace(/=+$/, '');
+    if (!clean || !/^[A-Z2-7]+$/.test(clean) || [1, 3, 6].includes(clean.length % 8)) {
+        throw new Error('Invalid base32 input');
+    }
+    return base32.decode(clean.padEnd(Math.ceil(clean.length / 8) * 8, '='));
+}
+
+/**
+ * Decode Base58 (Bitcoin alphabet), optionally verifying a Base58Check checksum
+ *
+ * @param {string} text - Base58 text
+ * @param {boolean} checked - Verify and strip the 4-byte double-SHA256 checksum
+ * @returns {Uint8Array} Decoded bytes (without checksum)
+ * @throws {Error} If the text is not valid base58 or the checksum does not match
+ */
+export function base58ToBytes(text, checked = false) {
+    const clean = (text || '').trim();
+    if (!clean || !/^[1-9A-HJ-NP-Za-km-z]+$/.test(clean)) {
+        throw new Error('Invalid base58 input');
+    }
+    if (!checked) return base58.decode(clean);
+    try {
+        return base58check.decode(clean);
+    } catch (_) {
+        throw new Error('Invalid Base58Check checksum');
+    }
+}
+
+/**
+ * Encode Bytes as Base58, optionally with a Base58Check checksum
+ *
+ * @param {Uint8Array} bytes - Input bytes
+ * @param {boolean} checked - Append the 4-byte double-SHA256 checksum
+ * @returns {string} Base58 text
+ */
+export function bytesToBase58(bytes, checked = false) {
+    return checked ? base58check.encode(bytes) : base58.encode(bytes);
+}
+
+/**
+ * Text Encodings Usable as Converter Formats
+ * Each entry: { label, decode(text) → bytes, encode(bytes) → text }
+ */
+export const BINARY_TEXT_FORMATS = {
+    base64: { label: 'Base64', decode: base64ToBytes, encode: bytesToBase64 },
+    base64url: { label: 'Base64url', decode: base64UrlToBytes, encode: bytesToBase64Url },
+    base58: { label: 'Base58', decode: (text) => base58ToBytes(text), encode: (bytes) => bytesToBase58(bytes) },
+    base58check: { label: 'Base58Check', decode: (text) => base58ToBytes(text, true), encode: (bytes) => bytesToBase58(bytes, true) },
+    base32: { label: 'Base32', decode: base32ToBytes, encode: (bytes) => base32.encode(bytes) }
+};
+
+/**
+ * Check Whether a Format Name Is a Binary Text Encoding
+ *
+ * @param {string} format - Converter format name
+ * @returns {boolean}
+ */
+export function isBinaryTextFormat(format) {
+    return Object.prototype.hasOwnProperty.call(BINARY_TEXT_FORMATS, format);
+}
+
+// Strip whitespace, check the alphabet and padding, then pad for the strict @scure/base decoder
+function decodeBase64(text, coder, syntax, name) {
+    const clean = (text || '').replace(/\s+/g, '');
+    if (!clean || !syntax.test(clean)) {
+        throw new Error(`Invalid ${name} input`);
+    }
+    const body = clean.replace(/=+$/, '');
+    if (body.length % 4 === 1 || (clean.length !== body.length && clean.length % 4 !== 0)) {
+        throw new Error(`Invalid ${name} input: bad length or padding`);
+    }
+    try {
+        return coder.decode(body.padEnd(Math.ceil(body.length / 4) * 4, '='));
+    } catch (error) {
+        throw new Error(`Invalid ${name} input: ${error.message}`);
+    }
+}
@@ -0,0 +1,274 @@
+/**
+ * BC-UR Playground - BIP-39 Mnemonics
+ *
+ * Shows crypto-seed (BCR-2020-006, tags 300/40300) payloads and
+ * crypto-bip39 (tags 301/40301) word lists as BIP-39 mnemonics, checks the
+ * mnemonic checksum, and encodes a typed mnemonic back to either item. The
+ * English wordlist loads with the module; the others are fetched the first
+ * time a language is needed (see loadWordlists / wordlistsToLoad).
+ */
+
+import { entropyToMnemonic, mnemonicToEntropy } from 'https://esm.sh/@scure/bip39@1.3.0';
+import { wordlist as english } from 'https://esm.sh/@scure/bip39@1.3.0/wordlists/english';
+import { bytesToHex } from './shared.js';
+import { cborToJson, jsonToCbor } from './cbor-json.js';
+import { untag, readIntMap, intMap, readBytes } from './hdkey.js';
+
+export const SEED_TAGS = [300, 40300];
+export const BIP39_TAGS = [301, 40301];
+
+/** BIP-39 wordlists by the language code crypto-bip39 stores (module = @scure/bip39 wordlist file) */
+export const BIP39_LANGUAGES = {
+    en: { label: 'English', module: 'english' },
+    es: { label: 'Spanish', module: 'spanish' },
+    fr: { label: 'French', module: 'french' },
+    it: { label: 'Italian', module: 'italian' },
+    pt: { label: 'Portuguese', module: 'portuguese' },
+    cs: { label: 'Czech', module: 'czech' },
+    ja: { label: 'Japanese', module: 'japanese' },
+    ko: { label: 'Korean', module: 'korean' },
+    'zh-Hans': { label: 'Chinese (Simplified)', module: 'simplified-chinese' },
+    'zh-Hant': { label: 'Chinese (Traditional)', module: 'traditional-chinese' }
+};
+
+// Loaded wordlists, and imports still in flight, by language code
+const wordlists = { en: english };
+const loading = {};
+
+// Languages a word's script can belong to (words are NFKD-normalised, so Hangul is jamo)
+const SCRIPT_LANGUAGES = [
+    { pattern: /[\u3040-\u30ff]/, languages: ['ja'] },
+    { pattern: /[\u1100-\u11ff\uac00-\ud7af]/, languages: ['ko'] },
+    { pattern: /[\u4e00-\u9fff]/, languages: ['zh-Hans', 'zh-Hant'] },
+    { pattern: /^[a-z\u0300-\u036f]+$/, languages: ['es', 'fr', 'it', 'pt', 'cs'] }
+];
+
+// Entropy lengths (bytes) BIP-39 defines, and the matching word counts
+const ENTROPY_LENGTHS = [16, 20, 24, 28, 32];
+const WORD_COUNTS = [12, 15, 18, 21, 24];
+
+// Birthdate tags: 100 = days since 1970-01-01 (RFC 8943), 1 = epoch seconds, 0 = date/time text
+const DAYS_TAG = 100;
+const EPOCH_TAG = 1;
+const DATE_TEXT_TAG = 0;
+
+/**
+ * Read a Seed or BIP-39 Payload
+ *
+ * @param {Uint8Array} bytes - CBOR payload (top-level tag optional)
+ * @param {string|null} urType - UR type, needed to tell the untagged items apart
+ * @returns {object} { kind ('seed'|'bip39'), entropy, words, language, birthdate, name, note }
+ */
+export function decodeSeedPayload(bytes, urType = null) {
+    const value = cborToJson(bytes);
+    const isBip39 = untag(value, BIP39_TAGS) !== undefined || urType === 'crypto-bip39' || urType === 'bip39';
+    const isSeed = untag(value, SEED_TAGS) !== undefined || urType === 'crypto-seed' || urType === 'seed';
+    if (!isBip39 && !isSeed) {
+        throw new Error('Not a crypto-seed or crypto-bip39 payload');
+    }
+
+    if (isBip39) {
+        const map = readIntMap(untag(value, BIP39_TAGS) ?? value, 'crypto-bip39');
+        const words = map.get(1);
+        if (!Array.isArray(words) || words.some(word => typeof word !== 'string')) {
+            throw new Error('crypto-bip39 words must be an array of strings');
+        }
+        const language = typeof map.get(2) === 'string' ? map.get(2) : null;
+        return { kind: 'bip39', entropy: null, words, language, birthdate: null, name: null, note: null };
+    }
+
+    const map = readIntMap(untag(value, SEED_TAGS) ?? value, 'crypto-seed');
+    const entropy = readBytes(map.get(1), 'crypto-seed payload');
+    return {
+        kind: 'seed',
+        entropy,
+        words: null,
+        language: null,
+        birthdate: map.has(2) ? decodeBirthdate(map.get(2)) : null,
+        name: typeof map.get(3) === 'string' ? map.get(3) : null,
+        note: typeof map.get(4) === 'string' ? map.get(4) : null
+    };
+}
+
+/**
+ * Whether a Language's Wordlist Is Loaded
+ *
+ * @param {string} language - Key of BIP39_LANGUAGES
+ * @returns {boolean}
+ */
+export function wordlistLoaded(language) {
+    return language in wordlists;
+}
+
+/**
+ * Fetch Wordlists Not Loaded Yet
+ *
+ * @param {string[]} languages - Keys of BIP39_LANGUAGES
+ * @returns {Promise<void>}
+ * @throws {Error} If a language is unknown or its wordlist cannot be fetched
+ */
+export async function loadWordlists(languages) {
+    await Promise.all(languages.filter(language => !wordlistLoaded(language)).map(language => {
+        const entry = BIP39_LANGUAGES[language];
+        if (!entry) throw new Error(`Unknown BIP-39 language "${language}"`);
+        loading[language] ??= import(`https://esm.sh/@scure/bip39@1.3.0/wordlists/${entry.module}`)
+            .then(module => { wordlists[language] = module.wordlist; })
+            .catch(error => {
+                delete loading[language];
+                throw new Error(`Failed to load the ${entry.label} BIP-39 wordlist: ${error.message}`);
+            });
+        return loading[language];
+    }));
+}
+
+/**
+ * Wordlists Needed Before a Mnemonic Can Be Checked
+ * Nothing when the words are English or are not 12-24 words; otherwise the
+ * not-yet-loaded languages written in the words' script.
+ *
+ * @param {string[]} words - Mnemonic words (see splitWords)
+ * @returns {string[]} Keys of BIP39_LANGUAGES to load
+ */
+export function wordlistsToLoad(words) {
+    if (!WORD_COUNTS.includes(words.length) || checkMnemonic(words, 'en').unknownWords.length === 0) return [];
+    const script = SCRIPT_LANGUAGES.find(({ pattern }) => words.every(word => pattern.test(word.toLowerCase())));
+    return script ? script.languages.filter(language => !wordlistLoaded(language)) : [];
+}
+
+/**
+ * Seed Entropy as Mnemonic Words
+ *
+ * @param {Uint8Array} entropy - 16 to 32 bytes, in 4-byte steps
+ * @param {string} language - Key of BIP39_LANGUAGES
+ * @returns {string[]} Words (the last one carries the checksum)
+ */
+export function entropyToWords(entropy, language = 'en') {
+    if (!ENTROPY_LENGTHS.includes(entropy.length)) {
+        throw new Error(`Seed is ${entropy.length} bytes; BIP-39 entropy is 16, 20, 24, 28 or 32 bytes`);
+    }
+    return splitWords(entropyToMnemonic(entropy, wordlistFor(language)));
+}
+
+/**
+ * Check a Mnemonic's Words and Checksum
+ *
+ * @param {string[]} words - Mnemonic words
+ * @param {string} language - Key of BIP39_LANGUAGES
+ * @returns {object} { valid, entropy, unknownWords, error }
+ */
+export function checkMnemonic(words, language = 'en') {
+    const wordlist = wordlistFor(language);
+    const normalized = words.map(word => word.normalize('NFKD'));
+    const known = new Set(wordlist.map(word => word.normalize('NFKD')));
+    const unknownWords = words.filter((word, i) => !known.has(normalized[i]));
+
+    if (!WORD_COUNTS.includes(words.length)) {
+        return { valid: false, entropy: null, unknownWords, error: `${words.length} words; BIP-39 uses 12, 15, 18, 21 or 24` };
+    }
+    if (unknownWords.length > 0) {
+        return { valid: false, entropy: null, unknownWords, error: `${unknownWords.length} word(s) not in the ${BIP39_LANGUAGES[language].label} wordlist` };
+    }
+    try {
+        return { valid: true, entropy: mnemonicToEntropy(joinWords(words, language), wordlist), unknownWords, error: null };
+    } catch (_) {
+        return { valid: false, entropy: null, unknownWords, error: 'Checksum mismatch: the last word does not match the other words' };
+    }
+}
+
+/**
+ * Find the Wordlist a Mnemonic Is Written In
+ * Prefers a language whose checksum passes; English wins ties. Only loaded
+ * wordlists are tried.
+ *
+ * @param {string[]} words - Mnemonic words
+ * @returns {string|null} Key of BIP39_LANGUAGES, or null if no list has every word
+ */
+export function detectMnemonicLanguage(words) {
+    const candidates = Object.keys(BIP39_LANGUAGES).filter(wordlistLoaded).filter(language => checkMnemonic(words, language).unknownWords.length === 0);
+    return candidates.find(language => checkMnemonic(words, language).valid) || candidates[0] || null;
+}
+
+/**
+ * Split Mnemonic Text Into Words (ASCII and ideographic spaces)
+ */
+export function splitWords(text) {
+    return text.normalize('NFKD').trim().split(/[\s　]+/).filter(Boolean);
+}
+
+/**
+ * Encode a Mnemonic as a crypto-seed or crypto-bip39 Payload
+ *
+ * crypto-seed stores the entropy, so the checksum must pass; crypto-bip39
+ * stores the words and language as typed (checked, but not rejected when
+ * only the checksum is off). Non-English wordlists must be loaded first
+ * (loadWordlists(wordlistsToLoad(words))).
+ *
+ * @param {string} text - Mnemonic
+ * @param {string} urType - 'crypto-seed' (default) or 'crypto-bip39'
+ * @returns {object} { bytes, urType, language, words, check }
+ */
+export function mnemonicToPayload(text, urType = 'crypto-seed') {
+    const words = splitWords(text);
+    const language = detectMnemonicLanguage(words);
+    if (!language) {
+        throw new Error('Mnemonic words are not all from one BIP-39 wordlist');
+    }
+    const check = checkMnemonic(words, language);
+
+    if (urType === 'crypto-bip39' || urType === 'bip39') {
+        if (check.unknownWords.length > 0 || !WORD_COUNTS.includes(words.length)) {
+            throw new Error(check.error);
+        }
+        const listed = new Map(wordlistFor(language).map(word => [word.normalize('NFKD'), word]));
+        const bytes = jsonToCbor(intMap([[1, words.map(word => listed.get(word))], [2, language]]));
+        return { bytes, urType: 'crypto-bip39', language, words, check };
+    }
+
+    if (!check.valid) {
+        throw new Error(check.error);
+    }
+    return { bytes: jsonToCbor(intMap([[1, { $bytes: bytesToHex(check.entropy) }]])), urType: 'crypto-seed', language, words, check };
+}
+
+/**
+ * Format a Decoded Birthdate for Display
+ *
+ * @param {object|null} birthdate - From decodeSeedPayload
+ * @returns {string} ISO date (UTC), or the raw value when it is not a date
+ */
+export function formatBirthdate(birthdate) {
+    if (!birthdate) return '';
+    if (!birthdate.date) return birthdate.raw;
+    const iso = birthdate.date.toISOString();
+    return birthdate.precision === 'day' ? iso.slice(0, 10) : iso.replace('.000Z', 'Z');
+}
+
+function wordlistFor(language) {
+    const entry = BIP39_LANGUAGES[language];
+    if (!entry) throw new Error(`Unknown BIP-39 language "${language}"`);
+    if (!wordlistLoaded(language)) throw new Error(`The ${entry.label} BIP-39 wordlist is not loaded yet`);
+    return wordlists[language];
+}
+
+// Japanese mnemonics are written with ideographic spaces
+function joinWords(words, language) {
+    return words.join(language === 'ja' ? '　' : ' ');
+}
+
+// { date, precision ('day'|'second'), raw } from a tagged or bare birthdate
+function decodeBirthdate(value) {
+    const raw = JSON.stringify(value);
+    const days = untag(value, [DAYS_TAG]);
+    if (typeof days === 'number') {
+        return { date: new Date(days * 86400000), precision: 'day', raw };
+    }
+    const seconds = untag(value, [EPOCH_TAG]) ?? (typeof value === 'number' ? value : undefined);
+    if (typeof seconds === 'number') {
+        return { date: new Date(seconds * 1000), precision: 'second', raw };
+    }
+    const text = untag(value, [DATE_TEXT_TAG]);
+    if (typeof text === 'string' && !Number.isNaN(Date.parse(text))) {
+        return { date: new Date(text), precision: 'second', raw };
+    }
+    return { date: null, precision: null, raw };
+}
@@ -0,0 +1,253 @@
+/**
+ * BC-UR Playground - Bitcoin Script & Address Helpers
+ *
+ * Classifies output scripts (P2PKH, P2SH, P2WPKH, P2WSH, P2TR, multisig,
+ * OP_RETURN, ...) and encodes them as addresses: Base58Check for legacy
+ * types, bech32 (witness v0) / bech32m (v1+) for segwit (BIP-173/350).
+ */
+
+import { bech32, bech32m } from 'https://esm.sh/@scure/base@1.1.6';
+import { sha256 } from 'https://esm.sh/@noble/hashes@1.4.0/sha256';
+import { ripemd160 } from 'https://esm.sh/@noble/hashes@1.4.0/ripemd160';
+import { bytesToBase58, base58ToBytes } from './binary-encodings.js';
+import { bytesToHex } from './shared.js';
+
+/** Address parameters per network */
+export const BITCOIN_NETWORKS = {
+    mainnet: { label: 'Mainnet', p2pkh: 0x00, p2sh: 0x05, hrp: 'bc' },
+    testnet: { label: 'Testnet / Signet', p2pkh: 0x6f, p2sh: 0xc4, hrp: 'tb' },
+    regtest: { label: 'Regtest', p2pkh: 0x6f, p2sh: 0xc4, hrp: 'bcrt' }
+};
+
+/** Human-readable script type names */
+export const SCRIPT_TYPE_LABELS = {
+    p2pkh: 'P2PKH',
+    p2sh: 'P2SH',
+    p2wpkh: 'P2WPKH',
+    p2wsh: 'P2WSH',
+    p2tr: 'P2TR',
+    'witness-unknown': 'Witness (future version)',
+    p2pk: 'P2PK',
+    multisig: 'Bare multisig',
+    'op-return': 'OP_RETURN',
+    nonstandard: 'Non-standard'
+};
+
+const OP_0 = 0x00;
+const OP_1 = 0x51;
+const OP_16 = 0x60;
+const OP_RETURN = 0x6a;
+const OP_DUP = 0x76;
+const OP_EQUAL = 0x87;
+const OP_EQUALVERIFY = 0x88;
+const OP_HASH160 = 0xa9;
+const OP_CHECKSIG = 0xac;
+const OP_CHECKMULTISIG = 0xae;
+
+/**
+ * SHA-256 Applied Twice (txids, Base58Check)
+ */
+export function hash256(bytes) {
+    return sha256(sha256(bytes));
+}
+
+/**
+ * RIPEMD-160 of SHA-256 (key and script hashes)
+ */
+export function hash160(bytes) {
+    return ripemd160(sha256(bytes));
+}
+
+/**
+ * Classify an Output Script
+ *
+ * @param {Uint8Array} script - scriptPubKey (or redeem/witness script)
+ * @returns {object} { type, label, hash?, program?, witnessVersion?, m?, n?, pubkeys? }
+ */
+export function classifyScript(script) {
+    const s = script;
+    const len = s.length;
+    const result = (type, extra = {}) => ({ type, label: SCRIPT_TYPE_LABELS[type], ...extra });
+
+    if (len === 25 && s[0] === OP_DUP && s[1] === OP_HASH160 && s[2] === 20 && s[23] === OP_EQUALVERIFY && s[24] === OP_CHECKSIG) {
+        return result('p2pkh', { hash: s.slice(3, 23) });
+    }
+    if (len === 23 && s[0] === OP_HASH160 && s[1] === 20 && s[22] === OP_EQUAL) {
+        return result('p2sh', { hash: s.slice(2, 22) });
+    }
+
+    // Witness program: version opcode followed by a single 2-40 byte push
+    const version = s[0] === OP_0 ? 0 : (s[0] >= OP_1 && s[0] <= OP_16 ? s[0] - OP_1 + 1 : -1);
+    if (version >= 0 && len >= 4 && len <= 42 && s[1] === len - 2) {
+        const program = s.slice(2);
+        if (version === 0 && program.length === 20) return result('p2wpkh', { witnessVersion: 0, program });
+        if (version === 0 && program.length === 32) return result('p2wsh', { witnessVersion: 0, program });
+        if (version === 1 && program.length === 32) return result('p2tr', { witnessVersion: 1, program });
+        if (version !== 0) return result('witness-unknown', { witnessVersion: version, program });
+    }
+
+    if (len > 0 && s[0] === OP_RETURN) {
+        return result('op-return', { data: s.slice(1) });
+    }
+    if ((len === 35 && s[0] === 33 || len === 67 && s[0] === 65) && s[len - 1] === OP_CHECKSIG) {
+        return result('p2pk', { pubkeys: [s.slice(1, len - 1)] });
+    }
+
+    const multisig = parseMultisig(s);
+    if (multisig) {
+        return result('multisig', multisig);
+    }
+    return result('nonstandard');
+}
+
+/**
+ * Encode a Script as an Address
+ *
+ * @param {Uint8Array} script - scriptPubKey
+ * @param {string} network - Key of BITCOIN_NETWORKS
+ * @returns {string|null} Address, or null if the script has no address form
+ */
+export function scriptToAddress(script, network = 'mainnet') {
+    const params = BITCOIN_NETWORKS[network] || BITCOIN_NETWORKS.mainnet;
+    const info = classifyScript(script);
+
+    switch (info.type) {
+        case 'p2pkh':
+            return bytesToBase58(Uint8Array.of(params.p2pkh, ...info.hash), true);
+        case 'p2sh':
+            return bytesToBase58(Uint8Array.of(params.p2sh, ...info.hash), true);
+        case 'p2wpkh':
+        case 'p2wsh':
+        case 'p2tr':
+        case 'witness-unknown':
+            return encodeSegwitAddress(params.hrp, info.witnessVersion, info.program);
+        default:
+            return null;
+    }
+}
+
+/**
+ * Encode a Segwit Address (bech32 for v0, bech32m for v1+)
+ *
+ * @param {string} hrp - Human-readable part ('bc', 'tb', 'bcrt')
+ * @param {number} version - Witness version 0-16
+ * @param {Uint8Array} program - Witness program
+ * @returns {string} Address
+ */
+export function encodeSegwitAddress(hrp, version, program) {
+    const words = [version, ...bech32.toWords(program)];
+    return version === 0 ? bech32.encode(hrp, words) : bech32m.encode(hrp, words);
+}
+
+/**
+ * Decode an Address to Its Output Script
+ *
+ * @param {string} address - Base58Check or bech32/bech32m address
+ * @returns {object} { network, script, type } (network 'testnet' also covers signet)
+ */
+export function decodeAddress(address) {
+    const text = address.trim();
+    const network = (check) => Object.keys(BITCOIN_NETWORKS).find(key => check(BITCOIN_NETWORKS[key]));
+
+    const hrp = text.slice(0, text.lastIndexOf('1')).toLowerCase();
+    const segwitNetwork = hrp ? network(params => params.hrp === hrp) : undefined;
+    if (segwitNetwork) {
+        const { words } = decodeBech32Any(text);
+        const version = words[0];
+        if (version > 16) throw new Error(`Invalid witness version ${version}`);
+        const program = bech32.fromWords(words.slice(1));
+        const script = Uint8Array.of(version === 0 ? OP_0 : OP_1 + version - 1, program.length, ...program);
+        return { network: segwitNetwork, script, type: classifyScript(script).type };
+    }
+
+    const bytes = base58ToBytes(text, true);
+    if (bytes.length !== 21) {
+        throw new Error(`Base58 address payload is ${bytes.length} bytes, expected 21`);
+    }
+    const hash = bytes.slice(1);
+    const p2pkh = network(params => params.p2pkh === bytes[0]);
+    if (p2pkh) {
+        return { network: p2pkh, script: Uint8Array.of(OP_DUP, OP_HASH160, 20, ...hash, OP_EQUALVERIFY, OP_CHECKSIG), type: 'p2pkh' };
+    }
+    const p2sh = network(params => params.p2sh === bytes[0]);
+    if (p2sh) {
+        return { network: p2sh, script: Uint8Array.of(OP_HASH160, 20, ...hash, OP_EQUAL), type: 'p2sh' };
+    }
+    throw new Error(`Unknown address version byte 0x${bytes[0].toString(16).padStart(2, '0')}`);
+}
+
+/**
+ * Disassemble a Script to ASM (opcodes by name, pushes as hex)
+ *
+ * @param {Uint8Array} script - Script bytes
+ * @returns {string} ASM text
+ */
+export function disassembleScript(script) {
+    const names = {
+        0x00: 'OP_0', 0x4f: 'OP_1NEGATE', 0x61: 'OP_NOP', 0x63: 'OP_IF', 0x64: 'OP_NOTIF', 0x67: 'OP_ELSE',
+        0x68: 'OP_ENDIF', 0x69: 'OP_VERIFY', 0x6a: 'OP_RETURN', 0x75: 'OP_DROP', 0x76: 'OP_DUP',
+        0x82: 'OP_SIZE', 0x87: 'OP_EQUAL', 0x88: 'OP_EQUALVERIFY', 0xa8: 'OP_SHA256', 0xa9: 'OP_HASH160',
+        0xaa: 'OP_HASH256', 0xac: 'OP_CHECKSIG', 0xad: 'OP_CHECKSIGVERIFY', 0xae: 'OP_CHECKMULTISIG',
+        0xaf: 'OP_CHECKMULTISIGVERIFY', 0xb1: 'OP_CHECKLOCKTIMEVERIFY', 0xb2: 'OP_CHECKSEQUENCEVERIFY',
+        0xba: 'OP_CHECKSIGADD'
+    };
+    const parts = [];
+    let i = 0;
+    while (i < script.length) {
+        const op = script[i++];
+        let size = -1;
+        if (op >= 0x01 && op <= 0x4b) size = op;
+        else if (op === 0x4c) size = script[i++];
+        else if (op === 0x4d) { size = script[i] | (script[i + 1] << 8); i += 2; }
+        else if (op === 0x4e) { size = (script[i] | (script[i + 1] << 8) | (script[i + 2] << 16) | (script[i + 3] << 24)) >>> 0; i += 4; }
+
+        if (size >= 0) {
+            if (i + size > script.length) {
+                parts.push('[truncated push]');
+                break;
+            }
+            parts.push(bytesToHex(script.slice(i, i + size)));
+            i += size;
+        } else if (op >= OP_1 && op <= OP_16) {
+            parts.push(`OP_${op - OP_1 + 1}`);
+        } else {
+            parts.push(names[op] || `OP_UNKNOWN_${op.toString(16)}`);
+        }
+    }
+    return parts.join(' ');
+}
+
+// bech32 for witness v0, bech32m for v1+ (BIP-350)
+function decodeBech32Any(text) {
+    let decoded;
+    let variant;
+    try {
+        decoded = bech32.decode(text);
+        variant = 'bech32';
+    } catch (_) {
+        decoded = bech32m.decode(text);
+        variant = 'bech32m';
+    }
+    if ((decoded.words[0] === 0) !== (variant === 'bech32')) {
+        throw new Error(`Witness version ${decoded.words[0]} address must use ${decoded.words[0] === 0 ? 'bech32' : 'bech32m'}`);
+    }
+    return decoded;
+}
+
+// OP_m <pubkey>... OP_n OP_CHECKMULTISIG
+function parseMultisig(s) {
+    if (s.length < 3 || s[s.length - 1] !== OP_CHECKMULTISIG) return null;
+    const m = s[0] - OP_1 + 1;
+    const n = s[s.length - 2] - OP_1 + 1;
+    if (m < 1 || m > 16 || n < m || n > 16) return null;
+
+    const pubkeys = [];
+    let i = 1;
+    while (i < s.length - 2) {
+        const size = s[i];
+        if (size !== 33 && size !== 65) return null;
+        pubkeys.push(s.slice(i + 1, i + 1 + size));
+        i += 1 + size;
+    }
+    return pubkeys.length === n && i === s.length - 2 ? { m, n, pubkeys } : null;
+}
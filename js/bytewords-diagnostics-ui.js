@@ -0,0 +1,147 @@
+/**
+ * Bytewords Diagnostics UI Methods
+ *
+ * These methods are mixed into the FormatConverter class. When a bytewords
+ * or single-part UR input fails to decode, they render a word-by-word report:
+ * expected vs actual CRC32, words outside the wordlist, and ranked
+ * single-word fixes that can be applied to the input with one click.
+ */
+
+import { analyzeBytewords, analyzeUrBytewords, applyBytewordsSubstitution, formatCrc } from './bytewords-diagnostics.js';
+
+export const BytewordsDiagnosticsMixin = {
+    /**
+     * Initialize Bytewords Diagnostics Elements
+     * Call this in the constructor after other DOM elements are initialized
+     */
+    initializeBytewordsDiagnostics() {
+        this.bytewordsDiagnostics = document.getElementById('bytewords-diagnostics');
+        this.bytewordsDiagnosticsContent = document.getElementById('bytewords-diagnostics-content');
+        this.bytewordsReport = null;
+
+        if (this.bytewordsDiagnosticsContent) {
+            this.bytewordsDiagnosticsContent.addEventListener('click', (e) => {
+                const btn = e.target.closest('[data-suggestion]');
+                if (btn) this.applyBytewordsSuggestion(Number(btn.dataset.suggestion));
+            });
+        }
+    },
+
+    /**
+     * Show Diagnostics After a Failed Conversion
+     *
+     * Only bytewords and single-part UR sources are analysed; anything else
+     * hides the panel.
+     *
+     * @param {string} sourceFormat - Detected/selected input format
+     * @param {string} rawInput - Input text
+     */
+    showBytewordsDiagnostics(sourceFormat, rawInput) {
+        if (!this.bytewordsDiagnostics) return;
+
+        let report = null;
+        if (sourceFormat === 'ur') {
+            report = analyzeUrBytewords(rawInput);
+        } else if (sourceFormat === 'bytewords') {
+            report = analyzeBytewords(rawInput, this.getBytewordsDiagnosticsStyle(rawInput));
+        }
+
+        // Valid checksum means the failure happened later (e.g. CBOR); nothing to report here
+        if (!report || report.tokens.length === 0 || report.checksumValid) {
+            this.hideBytewordsDiagnostics();
+            return;
+        }
+
+        this.bytewordsReport = report;
+        this.bytewordsDiagnostics.style.display = 'block';
+        this.renderBytewordsDiagnostics(report);
+    },
+
+    /**
+     * Hide Diagnostics Panel
+     */
+    hideBytewordsDiagnostics() {
+        if (!this.bytewordsDiagnostics) return;
+        this.bytewordsDiagnostics.style.display = 'none';
+        this.bytewordsReport = null;
+    },
+
+    /**
+     * Pick the Bytewords Style to Analyse With
+     * Uses the selector when bytewords is chosen explicitly, otherwise infers from separators.
+     */
+    getBytewordsDiagnosticsStyle(rawInput) {
+        if (this.inputFormatElement.value === 'bytewords' && this.inputBytewordsStyle) {
+            return this.inputBytewordsStyle.value;
+        }
+        const trimmed = rawInput.trim();
+        if (trimmed.includes('-')) return 'uri';
+        if (/\s/.test(trimmed)) return 'standard';
+        return 'minimal';
+    },
+
+    /**
+     * Render Report: checksum summary, word grid, ranked fixes
+     */
+    renderBytewordsDiagnostics(report) {
+        const suggested = new Set(report.suggestions.map(s => s.index));
+        const checksumState = report.checksumValid ? '✅' : '❌';
+
+        const words = report.tokens.map(token => {
+            const classes = ['bw-word'];
+            if (token.index >= report.bodyLength) classes.push('checksum');
+            if (token.issue) classes.push('invalid');
+            if (suggested.has(token.index)) classes.push('suspect');
+            const byteText = token.byte === null ? '??' : token.byte.toString(16).padStart(2, '0');
+            const title = `#${token.index + 1}` + (token.issue ? ` – ${token.hint}` : '');
+            return `<span class="${classes.join(' ')}" title="${this.escapeHtml(title)}">` +
+                `<span class="bw-word-text">${this.escapeHtml(token.text)}</span>` +
+                `<span class="bw-word-byte">${byteText}</span></span>`;
+        }).join('');
+
+        const flagged = report.tokens.filter(token => token.issue);
+        const flaggedHtml = flagged.length
+            ? `<ul class="bw-issues">${flagged.map(token =>
+                `<li>Word #${token.index + 1} <code>${this.escapeHtml(token.text)}</code>: ${this.escapeHtml(token.hint)}</li>`).join('')}</ul>`
+            : '';
+
+        const suggestionsHtml = report.suggestions.length
+            ? `<table class="bw-suggestions"><thead><tr><th>Word</th><th>Replace</th><th>Byte</th><th>Edit distance</th><th></th></tr></thead><tbody>` +
+                report.suggestions.map((s, i) =>
+                    `<tr><td>#${s.index + 1}${s.inChecksum ? ' (checksum)' : ''}</td>` +
+                    `<td><code>${this.escapeHtml(s.from)}</code> → <code>${this.escapeHtml(s.to)}</code></td>` +
+                    `<td>0x${s.byte.toString(16).padStart(2, '0')} (${s.word})</td>` +
+                    `<td>${s.distance}</td>` +
+                    `<td><button class="copy-option-btn compact" data-suggestion="${i}">Apply</button></td></tr>`).join('') +
+                '</tbody></table>'
+            : '';
+
+        this.bytewordsDiagnosticsContent.innerHTML = `
+            <div class="bw-summary">
+                <span>Style: <strong>${report.style}</strong>${report.urType ? ` · UR type: <strong>${this.escapeHtml(report.urType)}</strong>` : ''}</span>
+                <span>Words: <strong>${report.tokens.length}</strong> (${report.bodyLength} data + ${Math.min(4, report.tokens.length)} checksum)</span>
+                <span>Expected CRC32: <code>${formatCrc(report.embeddedCrc)}</code></span>
+                <span>Actual CRC32: <code>${formatCrc(report.computedCrc)}</code> ${checksumState}</span>
+            </div>
+            <div class="bw-note">${this.escapeHtml(report.note)}</div>
+            <div class="bw-words">${words}</div>
+            ${flaggedHtml}
+            ${suggestionsHtml}
+        `;
+    },
+
+    /**
+     * Apply a Ranked Substitution to the Input and Re-run Conversion
+     *
+     * @param {number} suggestionIndex - Index into the current report's suggestions
+     */
+    applyBytewordsSuggestion(suggestionIndex) {
+        const report = this.bytewordsReport;
+        const suggestion = report?.suggestions[suggestionIndex];
+        if (!suggestion) return;
+
+        const token = report.tokens[suggestion.index];
+        this.inputElement.value = applyBytewordsSubstitution(this.inputElement.value, token, suggestion.to);
+        this.handleConversion();
+    }
+};
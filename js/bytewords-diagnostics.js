@@ -0,0 +1,319 @@
+/**
+ * BC-UR Playground - Bytewords Checksum Diagnostics
+ *
+ * `BytewordEncoding.decode` only reports that a bytewords string is invalid.
+ * This module explains why: it maps every word back to its byte, flags words
+ * that are not in the wordlist, compares the CRC32 carried in the last four
+ * words with the CRC32 of the body, and ranks single-word substitutions that
+ * would make the checksum valid (the usual transcription mistake).
+ *
+ * The wordlist is taken from the bc-ur library itself so both always agree.
+ */
+
+import { BytewordEncoding } from 'https://esm.sh/@ngraveio/bc-ur@2.0.0-beta.9?dev';
+
+const CHECKSUM_LENGTH = 4;
+const MAX_SUGGESTIONS = 10;
+
+// Reflected CRC-32 (IEEE 802.3) table, as used by bytewords and fountain parts
+const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = (c & 1) ? (0xedb88320 ^ (c >>> 1)) : (c >>> 1);
+        }
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+let wordlistCache = null;
+
+/**
+ * CRC-32 of a Byte Array
+ *
+ * @param {Uint8Array} bytes - Input bytes
+ * @returns {number} Unsigned 32-bit checksum
+ */
+export function crc32(bytes) {
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Format a 32-bit Checksum as 8 Hex Digits
+ *
+ * @param {number|null} value - Checksum
+ * @returns {string} Hex string (or '—' when unknown)
+ */
+export function formatCrc(value) {
+    return value === null ? '—' : value.toString(16).padStart(8, '0');
+}
+
+/**
+ * Get the 256 Bytewords (index = byte value)
+ *
+ * Derived once from BytewordEncoding by encoding bytes 0x00..0xff.
+ *
+ * @returns {Array<string>} Four-letter words
+ */
+export function getBytewordsWordlist() {
+    if (!wordlistCache) {
+        const allBytes = Array.from({ length: 256 }, (_, i) => i.toString(16).padStart(2, '0')).join('');
+        wordlistCache = new BytewordEncoding('standard').encode(allBytes).split(' ').slice(0, 256);
+    }
+    return wordlistCache;
+}
+
+/**
+ * Analyze a Bytewords String
+ *
+ * @param {string} input - Bytewords text
+ * @param {string} style - 'minimal' | 'standard' | 'uri'
+ * @param {number} baseOffset - Offset of `input` inside a larger string (for UR payloads)
+ * @returns {object} Report:
+ *   { style, tokens, bytes, unknownCount, bodyLength, embeddedCrc, computedCrc,
+ *     checksumValid, suggestions, note }
+ *   Each token: { index, text, start, end, byte, issue, hint }
+ *   Each suggestion: { index, from, to, byte, word, inChecksum, distance }
+ */
+export function analyzeBytewords(input, style = 'minimal', baseOffset = 0) {
+    const wordlist = getBytewordsWordlist();
+    const tokens = tokenize(input, style, baseOffset);
+
+    tokens.forEach(token => {
+        Object.assign(token, lookupToken(token.text.toLowerCase(), style, wordlist));
+    });
+
+    const report = {
+        style,
+        tokens,
+        bytes: tokens.map(token => token.byte),
+        unknownCount: tokens.filter(token => token.byte === null).length,
+        bodyLength: Math.max(tokens.length - CHECKSUM_LENGTH, 0),
+        embeddedCrc: null,
+        computedCrc: null,
+        checksumValid: false,
+        suggestions: [],
+        note: ''
+    };
+
+    if (tokens.length < CHECKSUM_LENGTH + 1) {
+        report.note = `Need at least ${CHECKSUM_LENGTH + 1} words (1 data byte + ${CHECKSUM_LENGTH} checksum), found ${tokens.length}`;
+        return report;
+    }
+
+    const bodyLength = report.bodyLength;
+    const body = Uint8Array.from(report.bytes.slice(0, bodyLength), byte => byte ?? 0);
+    const checksumBytes = report.bytes.slice(bodyLength);
+
+    if (checksumBytes.every(byte => byte !== null)) {
+        report.embeddedCrc = checksumBytes.reduce((acc, byte) => ((acc << 8) | byte) >>> 0, 0);
+    }
+    if (report.bytes.slice(0, bodyLength).every(byte => byte !== null)) {
+        report.computedCrc = crc32(body);
+    }
+    report.checksumValid = report.unknownCount === 0 && report.embeddedCrc === report.computedCrc;
+
+    if (report.checksumValid) {
+        // Checksum only holds if misspelt words are read by their first/last letters
+        const misspelt = tokens.filter(token => token.issue === 'middle-letters');
+        report.suggestions = misspelt.map(token => ({
+            index: token.index,
+            from: token.text,
+            to: formatWord(wordlist[token.byte], style, token.text),
+            byte: token.byte,
+            word: wordlist[token.byte],
+            inChecksum: token.index >= bodyLength,
+            distance: levenshtein(token.text.toLowerCase(), wordlist[token.byte])
+        }));
+        report.checksumValid = misspelt.length === 0;
+        report.note = misspelt.length
+            ? `Checksum matches once ${misspelt.length} misspelt word(s) are corrected`
+            : 'Checksum valid';
+        return report;
+    }
+
+    if (report.unknownCount > 1) {
+        report.note = `${report.unknownCount} words could not be decoded; fix those first (single-word search needs at most one unknown word)`;
+        return report;
+    }
+
+    const unknownIndex = report.bytes.indexOf(null);
+    const candidates = [];
+
+    if (unknownIndex === -1) {
+        // Every word decoded: try changing one body byte, or one checksum byte
+        findBodySubstitutions(body, report.embeddedCrc, null, candidates);
+        findChecksumSubstitutions(report.computedCrc, checksumBytes, bodyLength, null, candidates);
+    } else if (unknownIndex < bodyLength) {
+        // Unknown body word (treated as 0x00 above): solve for its value
+        findBodySubstitutions(body, report.embeddedCrc, unknownIndex, candidates);
+    } else {
+        // Unknown checksum word: its byte is implied by the computed CRC
+        findChecksumSubstitutions(report.computedCrc, checksumBytes, bodyLength, unknownIndex, candidates);
+    }
+
+    report.suggestions = candidates
+        .map(({ index, byte }) => {
+            const token = tokens[index];
+            const to = formatWord(wordlist[byte], style, token.text);
+            return {
+                index,
+                from: token.text,
+                to,
+                byte,
+                word: wordlist[byte],
+                inChecksum: index >= bodyLength,
+                distance: levenshtein(token.text.toLowerCase(), to.toLowerCase())
+            };
+        })
+        .sort((a, b) => a.distance - b.distance || a.index - b.index)
+        .slice(0, MAX_SUGGESTIONS);
+
+    report.note = report.suggestions.length
+        ? `${candidates.length} single-word substitution(s) make the checksum valid`
+        : 'No single-word substitution makes the checksum valid; more than one word is likely wrong';
+
+    return report;
+}
+
+/**
+ * Analyze the Bytewords Payload of a Single-Part UR String
+ *
+ * @param {string} urString - e.g. "ur:crypto-seed/oyadgd..."
+ * @returns {object|null} Report from analyzeBytewords (minimal style) plus `urType`, or null if not a UR
+ */
+export function analyzeUrBytewords(urString) {
+    const match = /^(\s*ur:([a-z0-9-]+)\/(?:\d+-\d+\/)?)([^\s/]*)\s*$/i.exec(urString);
+    if (!match) return null;
+    const report = analyzeBytewords(match[3], 'minimal', match[1].length);
+    report.urType = match[2].toLowerCase();
+    return report;
+}
+
+/**
+ * Replace One Token in the Original Text
+ *
+ * @param {string} text - Original input
+ * @param {object} token - Token from a report
+ * @param {string} replacement - New word
+ * @returns {string} Updated text
+ */
+export function applyBytewordsSubstitution(text, token, replacement) {
+    return text.slice(0, token.start) + replacement + text.slice(token.end);
+}
+
+function tokenize(input, style, baseOffset) {
+    const tokens = [];
+    if (style === 'minimal') {
+        const leading = input.length - input.trimStart().length;
+        const body = input.trim();
+        for (let i = 0; i < body.length; i += 2) {
+            const text = body.slice(i, i + 2);
+            const start = baseOffset + leading + i;
+            tokens.push({ index: tokens.length, text, start, end: start + text.length });
+        }
+        return tokens;
+    }
+
+    const pattern = style === 'uri' ? /[^-\s]+/g : /\S+/g;
+    let match;
+    while ((match = pattern.exec(input)) !== null) {
+        const start = baseOffset + match.index;
+        tokens.push({ index: tokens.length, text: match[0], start, end: start + match[0].length });
+    }
+    return tokens;
+}
+
+function lookupToken(word, style, wordlist) {
+    const expectedLength = style === 'minimal' ? 2 : 4;
+    if (word.length !== expectedLength) {
+        return { byte: null, issue: 'length', hint: `expected ${expectedLength} letters` };
+    }
+
+    const exact = wordlist.findIndex(entry => (style === 'minimal' ? entry[0] + entry[3] : entry) === word);
+    if (exact !== -1) {
+        return { byte: exact, issue: null, hint: '' };
+    }
+
+    if (style === 'minimal') {
+        return { byte: null, issue: 'no-match', hint: 'no byteword starts and ends with these letters' };
+    }
+
+    // First and last letters identify a byteword uniquely; middle letters are redundancy
+    const byFirstLast = wordlist.findIndex(entry => entry[0] === word[0] && entry[3] === word[3]);
+    if (byFirstLast !== -1) {
+        return { byte: byFirstLast, issue: 'middle-letters', hint: `not in wordlist; first/last letters match "${wordlist[byFirstLast]}"` };
+    }
+    return { byte: null, issue: 'not-in-wordlist', hint: 'not in wordlist' };
+}
+
+/**
+ * Find body positions/values whose change makes crc32(body) equal the target
+ *
+ * CRC-32 is affine over XOR, so changing byte i by delta d changes the CRC by
+ * a linear term L(i, d) that is independent of the other bytes. L(i, d) is
+ * built from eight per-bit basis values shifted through the trailing bytes.
+ */
+function findBodySubstitutions(body, targetCrc, onlyIndex, candidates) {
+    if (targetCrc === null) return;
+    const needed = (crc32(body) ^ targetCrc) >>> 0;
+    if (needed === 0 && onlyIndex === null) return;
+
+    const basis = Array.from({ length: 8 }, (_, bit) => CRC_TABLE[1 << bit]);
+    const deltas = new Uint32Array(256);
+
+    for (let i = body.length - 1; i >= 0; i--) {
+        if (onlyIndex === null || onlyIndex === i) {
+            for (let d = 1; d < 256; d++) {
+                const low = d & -d;
+                deltas[d] = (deltas[d ^ low] ^ basis[31 - Math.clz32(low)]) >>> 0;
+            }
+            for (let d = (onlyIndex === i ? 0 : 1); d < 256; d++) {
+                if (deltas[d] === needed) {
+                    candidates.push({ index: i, byte: body[i] ^ d });
+                }
+            }
+        }
+        // Shift basis values through one more trailing zero byte for position i-1
+        for (let bit = 0; bit < 8; bit++) {
+            const value = basis[bit];
+            basis[bit] = (CRC_TABLE[value & 0xff] ^ (value >>> 8)) >>> 0;
+        }
+    }
+}
+
+function findChecksumSubstitutions(computedCrc, checksumBytes, bodyLength, onlyIndex, candidates) {
+    if (computedCrc === null) return;
+    const wanted = [24, 16, 8, 0].map(shift => (computedCrc >>> shift) & 0xff);
+    const mismatched = wanted.map((byte, i) => byte !== checksumBytes[i] ? i : -1).filter(i => i !== -1);
+    if (mismatched.length !== 1) return;
+    const position = bodyLength + mismatched[0];
+    if (onlyIndex === null || onlyIndex === position) {
+        candidates.push({ index: position, byte: wanted[mismatched[0]] });
+    }
+}
+
+function formatWord(word, style, original) {
+    const form = style === 'minimal' ? word[0] + word[3] : word;
+    return original && original === original.toUpperCase() && /[A-Z]/.test(original) ? form.toUpperCase() : form;
+}
+
+function levenshtein(a, b) {
+    const row = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        let previous = row[0];
+        row[0] = i;
+        for (let j = 1; j <= b.length; j++) {
+            const current = row[j];
+            row[j] = Math.min(row[j] + 1, row[j - 1] + 1, previous + (a[i - 1] === b[j - 1] ? 0 : 1));
+            previous = current;
+        }
+    }
+    return row[b.length];
+}
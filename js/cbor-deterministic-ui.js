@@ -0,0 +1,247 @@
+/**
+ * Deterministic Encoding Check UI Methods
+ *
+ * These methods are mixed into the FormatConverter class to report RFC 8949
+ * §4.2 violations for the current payload, show whether the converter's own
+ * decode → re-encode (performConversion, via Decoded JSON and via UR) is
+ * byte-identical, and produce a canonical hex/UR.
+ */
+
+import { UR } from 'https://esm.sh/@ngraveio/bc-ur@2.0.0-beta.9?dev';
+import { hexToBytes, bytesToHex } from './shared.js';
+import { checkDeterministic, canonicalizeCbor, firstDifference } from './cbor-deterministic.js';
+import { maskLabel } from './secret-mask.js';
+
+export const DeterminismCheckMixin = {
+    /**
+     * Initialize Deterministic Check Elements
+     * Call this in the constructor after other DOM elements are initialized
+     */
+    initializeDeterminismCheck() {
+        this.determinismPanel = document.getElementById('cbor-determinism');
+        this.determinismContent = document.getElementById('cbor-determinism-content');
+        this.determinismResult = document.getElementById('cbor-determinism-canonical');
+        this.toggleDeterminismBtn = document.getElementById('toggleDeterminismBtn');
+        this.canonicaliseBtn = document.getElementById('canonicaliseBtn');
+
+        // State for check
+        this.determinismEnabled = false;
+        this.determinismHex = null;
+        this.determinismUrType = null;
+        this.canonicalHex = null;
+
+        if (this.toggleDeterminismBtn) {
+            this.toggleDeterminismBtn.addEventListener('click', () => {
+                this.determinismEnabled = !this.determinismEnabled;
+                this.toggleDeterminismBtn.classList.toggle('active', this.determinismEnabled);
+                this.updateDeterminismCheck(this.determinismHex, this.determinismUrType);
+            });
+        }
+
+        if (this.canonicaliseBtn) {
+            this.canonicaliseBtn.addEventListener('click', () => this.showCanonicalEncoding());
+        }
+
+        if (this.determinismPanel) {
+            this.determinismPanel.addEventListener('click', (e) => {
+                const offsetBtn = e.target.closest('[data-offset]');
+                if (offsetBtn) {
+                    this.revealOffsetInExplorer(Number(offsetBtn.dataset.offset));
+                    return;
+                }
+                if (e.target.closest('[data-action="use-canonical"]') && this.canonicalHex) {
+                    this.inputElement.value = this.canonicalHex;
+                    this.inputFormatElement.value = 'hex';
+                    this.toggleBytewordsStyleSelector('input');
+                    this.handleConversion();
+                }
+            });
+        }
+    },
+
+    /**
+     * Update Check with Latest Payload
+     * Called after every conversion; pass null when there is no payload.
+     *
+     * @param {string|null} hex - CBOR payload as hex
+     * @param {string|null} urType - UR type of the source, if known
+     */
+    updateDeterminismCheck(hex, urType = null) {
+        this.determinismHex = hex || null;
+        this.determinismUrType = urType || null;
+        if (!this.determinismPanel) return;
+
+        if (!this.determinismEnabled || !this.determinismHex) {
+            this.determinismPanel.style.display = 'none';
+            return;
+        }
+
+        this.determinismPanel.style.display = 'block';
+        this.canonicalHex = null;
+        this.determinismResult.innerHTML = '';
+        this.renderDeterminismReport(this.determinismHex);
+    },
+
+    /**
+     * Render Violations and Conversion Round-Trip Results
+     *
+     * @param {string} hex - CBOR payload as hex
+     */
+    renderDeterminismReport(hex) {
+        const bytes = hexToBytes(hex);
+
+        let report;
+        try {
+            report = checkDeterministic(bytes, { sequence: this.isSequenceMode() });
+        } catch (error) {
+            this.determinismContent.innerHTML = `<div class="bw-note">⚠️ ${this.escapeHtml(error.message)}</div>`;
+            this.canonicaliseBtn.disabled = true;
+            return;
+        }
+        this.canonicaliseBtn.disabled = report.deterministic;
+
+        const verdict = report.deterministic
+            ? '<div class="det-verdict ok">✅ Core deterministic (RFC 8949 §4.2.1)</div>'
+            : `<div class="det-verdict fail">❌ ${report.violations.length} violation(s) of core deterministic encoding</div>`;
+
+        const rows = report.violations.map(v =>
+            `<tr><td><button class="det-offset" data-offset="${v.offset}" title="Show in byte explorer">@${v.offset} (0x${v.offset.toString(16)})</button></td>` +
+            `<td><code>${v.rule}</code></td><td>${this.escapeHtml(v.message)}</td></tr>`).join('');
+        const table = rows
+            ? `<table class="bw-suggestions"><thead><tr><th>Offset</th><th>Rule</th><th>Details</th></tr></thead><tbody>${rows}</tbody></table>`
+            : '';
+
+        this.determinismContent.innerHTML = verdict +
+            '<div class="det-round-trip"><div class="bw-note">Converter round trip: running…</div></div>' + table;
+        this.renderConversionRoundTrips(hex, bytes).then(html => {
+            const slot = this.determinismContent.querySelector('.det-round-trip');
+            if (slot && this.determinismHex === hex) slot.innerHTML = html;
+        });
+    },
+
+    /**
+     * Re-encode the Payload Through performConversion and Compare Bytes
+     * Two paths, as the UI runs them: hex → Decoded JSON → hex, and
+     * hex → UR → hex (which resolves registry types and re-encodes them).
+     *
+     * @returns {Promise<string>} HTML, one note per path
+     */
+    async renderConversionRoundTrips(hex, bytes) {
+        // performConversion records input warnings for the status line; keep the current ones
+        const warnings = this.inputWarnings;
+        const sequence = this.isSequenceMode();
+        const convert = (rawInput, fromFormat, toFormat, urTypeOverride = '') =>
+            this.performConversion({ rawInput, fromFormat, toFormat, urTypeOverride, sequence });
+        const paths = [
+            ['hex → Decoded JSON → hex', async () => (await convert((await convert(hex, 'hex', 'decoded-json')).output, 'decoded-json', 'hex')).output],
+            ['hex → UR → hex', async () => (await convert((await convert(hex, 'hex', 'ur', this.determinismUrType || '')).output, 'ur', 'hex')).output]
+        ];
+
+        const notes = [];
+        for (const [label, run] of paths) {
+            try {
+                notes.push(this.describeRoundTrip(label, bytes, await run()));
+            } catch (error) {
+                notes.push(`<div class="bw-note">${label}: failed: ${this.escapeHtml(error.message)}</div>`);
+            }
+        }
+        this.inputWarnings = warnings;
+        return notes.join('');
+    },
+
+    /**
+     * Compare Round-Tripped Hex With the Original Bytes
+     *
+     * @param {string} label - Conversion path
+     * @param {Uint8Array} bytes - Original payload
+     * @param {string} reencodedHex - Payload after the round trip
+     * @returns {string} HTML note
+     */
+    describeRoundTrip(label, bytes, reencodedHex) {
+        const diff = firstDifference(bytes, hexToBytes(reencodedHex));
+        if (diff === -1) {
+            return `<div class="bw-note">${label}: <strong>byte-identical</strong></div>`;
+        }
+        const original = diff < bytes.length ? bytes[diff].toString(16).padStart(2, '0') : 'end';
+        const reencoded = diff * 2 < reencodedHex.length ? reencodedHex.substr(diff * 2, 2) : 'end';
+        return `<div class="bw-note">${label}: <strong>differs</strong> first at ` +
+            `<button class="det-offset" data-offset="${Math.min(diff, bytes.length - 1)}">@${diff}</button> ` +
+            `(original <code>${original}</code>, re-encoded <code>${reencoded}</code>; ${bytes.length} → ${reencodedHex.length / 2} bytes)</div>`;
+    },
+
+    /**
+     * Canonicalise Current Payload and Show New Hex / UR
+     */
+    showCanonicalEncoding() {
+        if (!this.determinismHex) return;
+
+        // The canonical hex and UR carry every byte of the payload
+        const masked = this.maskedSecrets();
+        if (masked.length > 0) {
+            this.determinismResult.innerHTML = `<div class="bw-note">🔒 Canonical encoding masked: the payload holds ${masked.length} secret field(s) ` +
+                `(${this.escapeHtml(masked.map(maskLabel).join(', '))}). Reveal them above the output, or switch off "Mask secrets".</div>`;
+            return;
+        }
+
+        let canonical;
+        try {
+            canonical = bytesToHex(canonicalizeCbor(hexToBytes(this.determinismHex), { sequence: this.isSequenceMode() }));
+        } catch (error) {
+            this.determinismResult.innerHTML = `<div class="bw-note">⚠️ ${this.escapeHtml(error.message)}</div>`;
+            return;
+        }
+        this.canonicalHex = canonical;
+
+        // The UR carries the canonical bytes as they are; the type comes from the source, else the registry
+        let urString;
+        try {
+            urString = UR.fromHex({ type: this.determinismUrType || this.registryUrTypeOf(canonical) || 'unknown-tag', payload: canonical }).toString();
+        } catch (error) {
+            urString = `(UR encoding failed: ${error.message})`;
+        }
+
+        const original = hexToBytes(this.determinismHex).length;
+        this.determinismResult.innerHTML = `
+            <div class="det-canonical">
+                <div class="section-label">Canonical hex (${original} → ${canonical.length / 2} bytes)</div>
+                <code class="det-code">${canonical}</code>
+                <div class="section-label">Canonical UR</div>
+                <code class="det-code">${this.escapeHtml(urString)}</code>
+                <button class="copy-option-btn compact" data-action="use-canonical">↩ Use as input</button>
+            </div>
+        `;
+    },
+
+    /**
+     * UR Type the Registry Gives a Payload, If Any
+     *
+     * @param {string} hex - CBOR payload as hex
+     * @returns {string|null} UR type
+     */
+    registryUrTypeOf(hex) {
+        try {
+            return UR.pipeline.decode(hex, { from: 'hex' })?.type?.URType ?? null;
+        } catch (_) {
+            return null;
+        }
+    },
+
+    /**
+     * Open the Byte Explorer on the Item Starting at an Offset
+     *
+     * @param {number} offset - Byte offset
+     */
+    revealOffsetInExplorer(offset) {
+        if (!this.explorerEnabled) {
+            this.toggleExplorerBtn?.click();
+        }
+        // Item starting exactly here, else the innermost item containing the byte
+        const node = this.explorerNodes.find(n => n.offset === offset) ||
+            this.explorerNodes.filter(n => n.offset <= offset && offset < n.end).pop();
+        if (node) {
+            this.explorerPinnedId = node.id;
+            this.highlightCborNode(node.id);
+            this.cborExplorer.scrollIntoView({ behavior: 'smooth', block: 'start' });
+        }
+    }
+};
@@ -0,0 +1,224 @@
+/**
+ * BC-UR Playground - Deterministic Encoding Checker (RFC 8949 §4.2)
+ *
+ * Checks CBOR bytes against the core deterministic encoding requirements and
+ * re-encodes them canonically:
+ * - integers, lengths and tag numbers use the shortest argument form
+ * - no indefinite-length items
+ * - map keys sorted bytewise by their deterministic encoding, no duplicates
+ * - floats use the shortest width that preserves the value (NaN as f97e00)
+ * - bignums (tags 2/3) have no leading zero bytes and are only used when the
+ *   value does not fit major type 0/1 (preferred serialization, §3.4.3)
+ *
+ * Works on the node tree from cbor-structure.js so every violation carries the
+ * byte offset of the offending item.
+ */
+
+import {
+    parseCbor,
+    parseCborSequence,
+    walkCborNodes,
+    encodeCborHead,
+    encodeCborFloat,
+    preferredFloatBits,
+    concatBytes,
+    MAJOR_TYPE_NAMES
+} from './cbor-structure.js';
+import { bytesToHex } from './shared.js';
+
+const MAX_UINT64 = 0xffffffffffffffffn;
+
+/**
+ * Check CBOR Bytes for Core Deterministic Encoding
+ *
+ * @param {Uint8Array} bytes - A single encoded CBOR data item
+ * @param {object} options - { sequence: check every item of a CBOR sequence }
+ * @returns {object} { deterministic, violations: [{ offset, rule, message }] }
+ * @throws {Error} If the CBOR is malformed
+ */
+export function checkDeterministic(bytes, { sequence = false } = {}) {
+    const root = sequence ? parseCborSequence(bytes) : parseCbor(bytes);
+    const violations = [];
+    const add = (node, rule, message) => violations.push({ offset: node.offset, rule, message });
+
+    walkCborNodes(root, (node) => {
+        if (node.indefinite) {
+            add(node, 'indefinite-length', `Indefinite-length ${MAJOR_TYPE_NAMES[node.majorType]}`);
+        } else if (node.majorType < 7) {
+            const shortest = shortestHeadLength(node.argument);
+            if (node.headerLength > shortest) {
+                const what = node.majorType <= 1 ? `Integer ${node.value}` :
+                    node.majorType === 6 ? `Tag number ${node.argument}` :
+                        `Length ${node.argument} of ${MAJOR_TYPE_NAMES[node.majorType]}`;
+                add(node, 'shortest-form', `${what} uses a ${node.headerLength}-byte head; shortest is ${shortest}`);
+            }
+        }
+
+        if (node.kind === 'simple' && node.invalidSimple) {
+            add(node, 'shortest-form', `Simple value ${node.value} must be encoded in the initial byte`);
+        }
+
+        if (node.kind === 'float') {
+            const preferred = preferredFloatBits(node.value);
+            if (node.floatBits > preferred) {
+                add(node, 'preferred-float', `float${node.floatBits} ${node.value} fits in float${preferred}`);
+            } else if (Number.isNaN(node.value) && (bytes[node.offset + 1] !== 0x7e || bytes[node.offset + 2] !== 0x00)) {
+                add(node, 'preferred-float', 'NaN must be encoded as f97e00');
+            }
+        }
+
+        if (node.kind === 'tag') {
+            const bignumIssue = describeBignumIssue(node);
+            if (bignumIssue) add(node, 'bignum', bignumIssue);
+        }
+
+        if (node.kind === 'map') {
+            let previous = null;
+            const seen = new Set();
+            for (let i = 0; i < node.children.length; i += 2) {
+                const key = node.children[i];
+                const encoded = canonicalKeyHex(key, bytes);
+                if (seen.has(encoded)) {
+                    add(key, 'duplicate-key', `Duplicate map key ${encoded}`);
+                } else if (previous !== null && compareEncodedKeys(previous, encoded) > 0) {
+                    add(key, 'key-order', `Map key ${encoded} sorts before preceding key ${previous}`);
+                }
+                seen.add(encoded);
+                previous = encoded;
+            }
+        }
+    });
+
+    violations.sort((a, b) => a.offset - b.offset);
+    return { deterministic: violations.length === 0, violations };
+}
+
+/**
+ * Re-encode CBOR Bytes in Core Deterministic Form
+ *
+ * @param {Uint8Array} bytes - A single encoded CBOR data item
+ * @param {object} options - { sequence: canonicalise every item of a CBOR sequence }
+ * @returns {Uint8Array} Canonical encoding
+ * @throws {Error} If the CBOR is malformed or a map has duplicate keys
+ */
+export function canonicalizeCbor(bytes, { sequence = false } = {}) {
+    if (sequence) {
+        return concatBytes(parseCborSequence(bytes).map(encodeCanonicalNode));
+    }
+    return encodeCanonicalNode(parseCbor(bytes));
+}
+
+/**
+ * Find the First Differing Byte Between Two Encodings
+ *
+ * @param {Uint8Array} a - First encoding
+ * @param {Uint8Array} b - Second encoding
+ * @returns {number} Offset of first difference, or -1 if identical
+ */
+export function firstDifference(a, b) {
+    const length = Math.min(a.length, b.length);
+    for (let i = 0; i < length; i++) {
+        if (a[i] !== b[i]) return i;
+    }
+    return a.length === b.length ? -1 : length;
+}
+
+function encodeCanonicalNode(node) {
+    switch (node.kind) {
+        case 'uint':
+            return encodeCborHead(0, node.value);
+        case 'nint':
+            return encodeCborHead(1, -1n - BigInt(node.value));
+        case 'bytes':
+        case 'text':
+            return concatBytes([encodeCborHead(node.majorType, node.rawPayload.length), node.rawPayload]);
+        case 'array':
+            return concatBytes([encodeCborHead(4, node.children.length), ...node.children.map(encodeCanonicalNode)]);
+        case 'map':
+            return encodeCanonicalMap(node);
+        case 'tag':
+            return encodeCanonicalTag(node);
+        case 'float':
+            return encodeCborFloat(node.value);
+        case 'simple':
+            return node.value >= 32 ? Uint8Array.of(0xf8, node.value) : Uint8Array.of(0xe0 | encodeSimpleNumber(node));
+        default:
+            throw new Error(`Unsupported CBOR item at offset ${node.offset}`);
+    }
+}
+
+function encodeSimpleNumber(node) {
+    if (node.simpleName) {
+        return { 'false': 20, 'true': 21, 'null': 22, 'undefined': 23 }[node.simpleName];
+    }
+    return node.value;
+}
+
+function encodeCanonicalMap(node) {
+    const entries = [];
+    for (let i = 0; i < node.children.length; i += 2) {
+        const key = encodeCanonicalNode(node.children[i]);
+        entries.push({ key, keyHex: bytesToHex(key), value: encodeCanonicalNode(node.children[i + 1]), offset: node.children[i].offset });
+    }
+
+    entries.sort((a, b) => compareEncodedKeys(a.keyHex, b.keyHex));
+    for (let i = 1; i < entries.length; i++) {
+        if (entries[i].keyHex === entries[i - 1].keyHex) {
+            throw new Error(`Cannot canonicalise: duplicate map key ${entries[i].keyHex} at offset ${entries[i].offset}`);
+        }
+    }
+
+    return concatBytes([encodeCborHead(5, entries.length), ...entries.flatMap(entry => [entry.key, entry.value])]);
+}
+
+function encodeCanonicalTag(node) {
+    const content = node.children[0];
+    if ((node.value === 2 || node.value === 3) && content.kind === 'bytes') {
+        const magnitude = content.value.length ? BigInt('0x' + bytesToHex(content.value)) : 0n;
+        if (magnitude <= MAX_UINT64) {
+            return encodeCborHead(node.value === 2 ? 0 : 1, magnitude);
+        }
+        const hex = magnitude.toString(16);
+        const trimmed = content.value.slice(content.value.length - Math.ceil(hex.length / 2));
+        return concatBytes([encodeCborHead(6, node.value), encodeCborHead(2, trimmed.length), trimmed]);
+    }
+    return concatBytes([encodeCborHead(6, node.value), encodeCanonicalNode(content)]);
+}
+
+function describeBignumIssue(node) {
+    const content = node.children[0];
+    if ((node.value !== 2 && node.value !== 3) || content.kind !== 'bytes') return null;
+
+    const magnitude = content.value.length ? BigInt('0x' + bytesToHex(content.value)) : 0n;
+    if (magnitude <= MAX_UINT64) {
+        return `Bignum ${node.value === 2 ? magnitude : -1n - magnitude} fits in major type ${node.value === 2 ? 0 : 1}`;
+    }
+    if (content.value[0] === 0) {
+        return 'Bignum byte string has leading zero bytes';
+    }
+    return null;
+}
+
+function shortestHeadLength(argument) {
+    const value = BigInt(argument);
+    if (value < 24n) return 1;
+    if (value <= 0xffn) return 2;
+    if (value <= 0xffffn) return 3;
+    if (value <= 0xffffffffn) return 5;
+    return 9;
+}
+
+// Keys containing maps with duplicate keys cannot be canonicalised; compare raw bytes instead
+function canonicalKeyHex(key, bytes) {
+    try {
+        return bytesToHex(encodeCanonicalNode(key));
+    } catch (_) {
+        return bytesToHex(bytes.slice(key.offset, key.end));
+    }
+}
+
+// Lowercase hex strings sort exactly like the bytes they encode
+function compareEncodedKeys(a, b) {
+    if (a === b) return 0;
+    return a < b ? -1 : 1;
+}
@@ -0,0 +1,281 @@
+/**
+ * CBOR Byte Explorer Methods
+ *
+ * These methods are mixed into the FormatConverter class to provide a
+ * byte-level view of the current CBOR payload: a hex pane and a structure
+ * tree that highlight each other. Hovering a byte or a node shows its header
+ * byte, major type, additional info, argument and byte range. Secret
+ * fields masked by "Mask secrets" show placeholders in both panes.
+ */
+
+import { hexToBytes } from './shared.js';
+import { parseCbor, parseCborSequence, describeCborHeader, summarizeCborNode, walkCborNodes } from './cbor-structure.js';
+import { maskLabel } from './secret-mask.js';
+
+// Rendering one span per byte gets slow for very large payloads
+const MAX_EXPLORER_BYTES = 16384;
+const BYTES_PER_ROW = 16;
+
+export const CborExplorerMixin = {
+    /**
+     * Initialize CBOR Explorer Elements
+     * Call this in the constructor after other DOM elements are initialized
+     */
+    initializeCborExplorer() {
+        this.cborExplorer = document.getElementById('cbor-explorer');
+        this.cborExplorerHex = document.getElementById('cbor-explorer-hex');
+        this.cborExplorerTree = document.getElementById('cbor-explorer-tree');
+        this.cborExplorerDetails = document.getElementById('cbor-explorer-details');
+        this.cborExplorerSummary = document.getElementById('cbor-explorer-summary');
+        this.toggleExplorerBtn = document.getElementById('toggleExplorerBtn');
+
+        // State for explorer
+        this.explorerEnabled = false;
+        this.explorerHex = null;       // Last payload hex seen by the converter
+        this.explorerBytes = null;     // Uint8Array currently rendered
+        this.explorerSequence = false; // Whether bytes were parsed as a CBOR sequence
+        this.explorerMaskKey = '';     // Ids of the secret fields masked when rendered
+        this.explorerNodes = [];       // Flat list of parsed nodes (index = node id)
+        this.explorerByteEls = [];     // Byte spans in the hex pane
+        this.explorerPinnedId = null;  // Node selected by click
+        this.explorerActiveId = null;  // Node currently highlighted
+
+        this.setupCborExplorerListeners();
+    },
+
+    /**
+     * Setup Event Listeners for CBOR Explorer
+     */
+    setupCborExplorerListeners() {
+        if (this.toggleExplorerBtn) {
+            this.toggleExplorerBtn.addEventListener('click', () => {
+                this.explorerEnabled = !this.explorerEnabled;
+                this.toggleExplorerBtn.classList.toggle('active', this.explorerEnabled);
+                this.updateCborExplorer(this.explorerHex);
+            });
+        }
+
+        [this.cborExplorerHex, this.cborExplorerTree].forEach(pane => {
+            if (!pane) return;
+            pane.addEventListener('mouseover', (e) => {
+                const target = e.target.closest('[data-node]');
+                if (target) this.highlightCborNode(Number(target.dataset.node));
+            });
+            pane.addEventListener('mouseleave', () => {
+                this.highlightCborNode(this.explorerPinnedId);
+            });
+            pane.addEventListener('click', (e) => {
+                const target = e.target.closest('[data-node]');
+                if (!target) return;
+                const id = Number(target.dataset.node);
+                this.explorerPinnedId = (this.explorerPinnedId === id) ? null : id;
+                this.highlightCborNode(id);
+            });
+        });
+    },
+
+    /**
+     * Update Explorer with Latest Payload
+     * Called after every conversion; pass null when there is no payload.
+     *
+     * @param {string|null} hex - CBOR payload as hex
+     */
+    updateCborExplorer(hex) {
+        this.explorerHex = hex || null;
+        if (!this.cborExplorer) return;
+
+        if (!this.explorerEnabled || !this.explorerHex) {
+            this.cborExplorer.style.display = 'none';
+            return;
+        }
+
+        this.cborExplorer.style.display = 'block';
+        this.renderCborExplorer(this.explorerHex);
+    },
+
+    /**
+     * Render Hex Pane and Structure Tree
+     *
+     * @param {string} hex - CBOR payload as hex
+     */
+    renderCborExplorer(hex) {
+        const bytes = hexToBytes(hex);
+        const sequence = this.isSequenceMode();
+        const maskKey = this.maskedSecrets().map(secret => secret.id).join(',');
+        if (this.explorerBytes && this.explorerSequence === sequence && this.explorerMaskKey === maskKey &&
+            this.bytesEqual(this.explorerBytes, bytes)) {
+            return; // Same payload already rendered, keep selection
+        }
+
+        this.explorerBytes = bytes;
+        this.explorerSequence = sequence;
+        this.explorerMaskKey = maskKey;
+        this.explorerNodes = [];
+        this.explorerPinnedId = null;
+        this.explorerActiveId = null;
+
+        if (bytes.length > MAX_EXPLORER_BYTES) {
+            this.cborExplorerSummary.textContent = `${bytes.length} bytes`;
+            this.cborExplorerHex.innerHTML = '';
+            this.cborExplorerTree.innerHTML = '';
+            this.explorerByteEls = [];
+            this.cborExplorerDetails.textContent = `Payload too large for byte explorer (limit ${MAX_EXPLORER_BYTES} bytes)`;
+            return;
+        }
+
+        let roots = [];
+        let parseError = null;
+        try {
+            roots = sequence ? parseCborSequence(bytes) : [parseCbor(bytes)];
+        } catch (error) {
+            parseError = error;
+        }
+
+        // Assign ids and byte ownership (deepest node wins); a masked item hides its payload and its children
+        const owners = new Array(bytes.length).fill(null);
+        walkCborNodes(roots, (node, depth, parent) => {
+            node.id = this.explorerNodes.length;
+            node.depth = depth;
+            this.explorerNodes.push(node);
+            node.secret = this.matchCborNodeSecret(node);
+            node.masked = !!node.secret || !!parent?.masked;
+            for (let i = node.offset; i < node.end; i++) {
+                const part = i < node.offset + node.headerLength ? 'header' : 'payload';
+                owners[i] = { id: node.id, part, masked: node.masked && (part === 'payload' || !node.secret) };
+            }
+            // Closing break of an indefinite-length item
+            if (node.indefinite) {
+                owners[node.end - 1] = { id: node.id, part: 'header' };
+            }
+        });
+
+        this.cborExplorerSummary.textContent = `${bytes.length} bytes · ${this.explorerNodes.length} items`;
+        this.renderCborHexPane(bytes, owners);
+        this.renderCborTreePane();
+
+        if (parseError) {
+            this.cborExplorerDetails.textContent = '⚠️ ' + parseError.message;
+        } else {
+            this.cborExplorerDetails.textContent = 'Hover a byte or item to inspect it; click to pin the selection.';
+        }
+    },
+
+    /**
+     * Render Hex Pane (one span per byte, 16 bytes per row)
+     */
+    renderCborHexPane(bytes, owners) {
+        const rows = [];
+        for (let rowStart = 0; rowStart < bytes.length; rowStart += BYTES_PER_ROW) {
+            let html = `<div class="cbor-hex-row"><span class="cbor-hex-offset">${rowStart.toString(16).padStart(4, '0')}</span>`;
+            const rowEnd = Math.min(rowStart + BYTES_PER_ROW, bytes.length);
+            for (let i = rowStart; i < rowEnd; i++) {
+                const owner = owners[i];
+                const byteHex = owner?.masked ? '••' : bytes[i].toString(16).padStart(2, '0');
+                if (owner) {
+                    const node = this.explorerNodes[owner.id];
+                    const typeClass = owner.part === 'header' ? ` mt-${node.majorType}` : '';
+                    html += `<span class="cbor-byte ${owner.part}${typeClass}${owner.masked ? ' secret-masked' : ''}" data-node="${owner.id}" data-offset="${i}">${byteHex}</span>`;
+                } else {
+                    html += `<span class="cbor-byte unparsed" data-offset="${i}">${byteHex}</span>`;
+                }
+            }
+            html += '</div>';
+            rows.push(html);
+        }
+        this.cborExplorerHex.innerHTML = rows.join('');
+        this.explorerByteEls = Array.from(this.cborExplorerHex.querySelectorAll('.cbor-byte'));
+    },
+
+    /**
+     * Render Structure Tree (one row per data item)
+     */
+    renderCborTreePane() {
+        const rows = this.explorerNodes.map(node => {
+            let label = '';
+            if (node.role === 'key') label = `key ${node.index}: `;
+            else if (node.role === 'value') label = `value ${node.index}: `;
+            else if (node.role === 'item') label = `[${node.index}] `;
+            else if (node.role === 'chunk') label = `chunk ${node.index}: `;
+            else if (node.role === 'sequence-item') label = `item ${node.index + 1}: `;
+            else if (node.role === 'content') label = 'content: ';
+
+            let summary = summarizeCborNode(node);
+            if (node.secret) summary = `${node.kind}(${node.value?.length ?? node.value}) ${maskLabel(node.secret)}`;
+            else if (node.masked) summary = `${node.kind} ‹masked›`;
+
+            return `<div class="cbor-tree-row" data-node="${node.id}" style="padding-left:${node.depth * 16 + 6}px;">` +
+                `<span class="tree-key">${this.escapeHtml(label)}</span>` +
+                `<span class="cbor-tree-summary mt-text-${node.majorType}${node.masked ? ' secret-masked' : ''}">${this.escapeHtml(summary)}</span>` +
+                `<span class="tree-type">@${node.offset} · ${node.end - node.offset}B</span>` +
+                '</div>';
+        });
+        this.cborExplorerTree.innerHTML = rows.join('');
+    },
+
+    /**
+     * Highlight a Node in Both Panes and Show Its Header Details
+     *
+     * @param {number|null} id - Node id, or null to clear
+     */
+    highlightCborNode(id) {
+        if (this.explorerActiveId === id) return;
+
+        const previous = this.explorerNodes[this.explorerActiveId];
+        if (previous) {
+            for (let i = previous.offset; i < previous.end; i++) {
+                this.explorerByteEls[i]?.classList.remove('highlight', 'highlight-header');
+            }
+            this.cborExplorerTree.querySelector(`[data-node="${previous.id}"]`)?.classList.remove('highlight');
+        }
+
+        this.explorerActiveId = id;
+        const node = this.explorerNodes[id];
+        if (!node) return;
+
+        for (let i = node.offset; i < node.end; i++) {
+            const isHeader = i < node.offset + node.headerLength || (node.indefinite && i === node.end - 1);
+            this.explorerByteEls[i]?.classList.add(isHeader ? 'highlight-header' : 'highlight');
+        }
+        const row = this.cborExplorerTree.querySelector(`[data-node="${node.id}"]`);
+        if (row) {
+            row.classList.add('highlight');
+            if (this.explorerPinnedId === id) row.scrollIntoView({ block: 'nearest' });
+        }
+
+        if (node.masked && !node.secret) {
+            this.cborExplorerDetails.textContent = `Part of a masked secret field · bytes ${node.offset}–${node.end - 1}`;
+            return;
+        }
+        const argumentText = node.indefinite ? 'indefinite' : String(node.argument);
+        const lengthLabel = ['bytes', 'text', 'array', 'map'].includes(node.kind) ? 'length' : 'argument';
+        this.cborExplorerDetails.textContent =
+            `${describeCborHeader(node, this.explorerBytes)} · ${lengthLabel}: ${argumentText} · ` +
+            `bytes ${node.offset}–${node.end - 1} (header ${node.headerLength}, total ${node.end - node.offset})`;
+    },
+
+    /**
+     * Masked Secret Field a Node Holds, If Any
+     * (a byte string with the secret's bytes, or an array of the secret's words)
+     *
+     * @param {object} node - Parsed CBOR node
+     * @returns {object|null} Entry from findSecrets
+     */
+    matchCborNodeSecret(node) {
+        if (node.kind === 'bytes' && node.value instanceof Uint8Array) return this.secretMatch(node.value);
+        if (node.kind === 'array' && node.children.length > 0 && node.children.every(child => child.kind === 'text')) {
+            return this.secretMatch(node.children.map(child => child.value));
+        }
+        return null;
+    },
+
+    /**
+     * Compare Two Byte Arrays
+     */
+    bytesEqual(a, b) {
+        if (a.length !== b.length) return false;
+        for (let i = 0; i < a.length; i++) {
+            if (a[i] !== b[i]) return false;
+        }
+        return true;
+    }
+};
@@ -0,0 +1,359 @@
+/**
+ * BC-UR Playground - Lossless CBOR ↔ JSON Mapping
+ *
+ * Plain JSON cannot represent tags, byte strings, maps with non-text keys,
+ * undefined or large integers, so `JSON.stringify` on decoded CBOR is lossy.
+ * This module maps CBOR to JSON with a small set of `$`-prefixed wrapper
+ * objects and back, so that JSON → CBOR → JSON is stable and
+ * CBOR → JSON → CBOR returns the same bytes.
+ *
+ * Convention (each wrapper is an object with exactly these keys):
+ * - Tag:          {"$tag": 40303, "$value": <item>}   (tag number may be a decimal string beyond 2^53)
+ * - Byte string:  {"$bytes": "<lowercase hex>"}
+ * - Map:          {"$map": [[<key>, <value>], ...]}   when keys are not all unique plain text
+ *                                                    (also for integer-like or "$"-prefixed text keys)
+ * - Integer:      plain number inside ±(2^53-1), otherwise {"$int": "<decimal>"}
+ * - Bignum:       {"$bignum": "<decimal>"}             tag 2/3 with minimal-length byte string
+ * - Float:        plain number when non-integral and stored at its preferred width,
+ *                 otherwise {"$float": <number | "NaN" | "Infinity" | "-Infinity" | "-0">}
+ *                 plus "$bits": 16|32|64 when the stored width is wider than needed
+ * - undefined:    {"$undefined": true}
+ * - Other simple: {"$simple": <n>}
+ *
+ * Any wrapper may also carry "$comment": "<text>" (added by annotating views,
+ * e.g. coin names); comments are dropped when encoding.
+ *
+ * Text strings, arrays, true/false/null and text-keyed maps use plain JSON.
+ * Output always uses definite lengths and shortest heads (preferred
+ * serialization), so indefinite-length or over-long input encodings are
+ * normalised on the way through.
+ *
+ * A CBOR sequence (RFC 8742) maps to a top-level JSON array with one element
+ * per item.
+ */
+
+import { parseCbor, parseCborSequence, encodeCborHead, encodeCborFloat, preferredFloatBits, concatBytes } from './cbor-structure.js';
+import { hexToBytes, bytesToHex } from './shared.js';
+
+const textEncoder = new TextEncoder();
+
+// Wrapper key sets; an object with a "$"-prefixed key must match one of these
+const WRAPPER_SHAPES = [
+    ['$tag', '$value'],
+    ['$bytes'],
+    ['$map'],
+    ['$int'],
+    ['$bignum'],
+    ['$float'],
+    ['$float', '$bits'],
+    ['$undefined'],
+    ['$simple']
+];
+
+const INTEGER_LIKE_KEY = /^(0|[1-9]\d*)$/;
+
+/**
+ * Convert CBOR Bytes to the JSON Mapping
+ *
+ * @param {Uint8Array} bytes - A single encoded CBOR data item
+ * @returns {*} JSON-compatible value
+ * @throws {Error} If the CBOR is malformed
+ */
+export function cborToJson(bytes) {
+    return nodeToJson(parseCbor(bytes));
+}
+
+/**
+ * Convert a Parsed CBOR Node (from cbor-structure.js) to the JSON Mapping
+ *
+ * @param {object} node - Parsed node
+ * @returns {*} JSON-compatible value
+ */
+export function nodeToJson(node) {
+    switch (node.kind) {
+        case 'uint':
+        case 'nint':
+            return typeof node.value === 'bigint' ? { $int: node.value.toString() } : node.value;
+
+        case 'bytes':
+            return { $bytes: bytesToHex(node.value) };
+
+        case 'text':
+            return node.value;
+
+        case 'array':
+            return node.children.map(nodeToJson);
+
+        case 'map':
+            return mapNodeToJson(node);
+
+        case 'tag': {
+            const content = node.children[0];
+            const tagNumber = node.value;
+            if ((tagNumber === 2 || tagNumber === 3) && content.kind === 'bytes' && !content.indefinite &&
+                (content.value.length === 0 || content.value[0] !== 0)) {
+                const magnitude = content.value.length ? BigInt('0x' + bytesToHex(content.value)) : 0n;
+                return { $bignum: (tagNumber === 2 ? magnitude : -1n - magnitude).toString() };
+            }
+            return {
+                $tag: typeof tagNumber === 'bigint' ? tagNumber.toString() : tagNumber,
+                $value: nodeToJson(content)
+            };
+        }
+
+        case 'float':
+            return floatToJson(node.value, node.floatBits);
+
+        case 'simple':
+            if (node.simpleName === 'undefined') return { $undefined: true };
+            if (node.simpleName) return node.value; // false / true / null
+            return { $simple: node.value };
+
+        default:
+            throw new Error(`Unsupported CBOR item at offset ${node.offset}`);
+    }
+}
+
+/**
+ * Convert a JSON Mapping Value to CBOR Bytes
+ *
+ * @param {*} value - Parsed JSON value using the convention above
+ * @returns {Uint8Array} Encoded CBOR data item
+ * @throws {Error} On malformed wrapper objects or out-of-range values
+ */
+export function jsonToCbor(value) {
+    const chunks = [];
+    encodeJsonValue(value, chunks, '$');
+    return concatBytes(chunks);
+}
+
+/**
+ * Convert CBOR Hex to Pretty-Printed JSON Mapping Text
+ *
+ * @param {string} hex - CBOR hex
+ * @param {object} options - { sequence: treat hex as a CBOR sequence, annotate: optional value → annotated value }
+ * @returns {string} JSON text (2-space indented)
+ */
+export function cborHexToJsonText(hex, { sequence = false, annotate = null } = {}) {
+    const bytes = hexToBytes(hex);
+    const value = sequence ? parseCborSequence(bytes).map(nodeToJson) : cborToJson(bytes);
+    return JSON.stringify(annotate ? annotate(value) : value, null, 2);
+}
+
+/**
+ * Convert JSON Mapping Text to CBOR Hex
+ *
+ * @param {string} text - JSON text
+ * @param {object} options - { sequence: top-level array lists the items of a CBOR sequence }
+ * @returns {string} CBOR hex
+ * @throws {Error} If the text is not valid JSON or uses a malformed wrapper
+ */
+export function jsonTextToCborHex(text, { sequence = false } = {}) {
+    let value;
+    try {
+        value = JSON.parse(text);
+    } catch (e) {
+        throw new Error('Invalid JSON: ' + e.message);
+    }
+    if (!sequence) {
+        return bytesToHex(jsonToCbor(value));
+    }
+    if (!Array.isArray(value)) {
+        throw new Error('CBOR sequence JSON must be a top-level array of items');
+    }
+    return value.map(item => bytesToHex(jsonToCbor(item))).join('');
+}
+
+function mapNodeToJson(node) {
+    const entries = [];
+    for (let i = 0; i < node.children.length; i += 2) {
+        entries.push([node.children[i], node.children[i + 1]]);
+    }
+
+    const seen = new Set();
+    const plainObject = entries.every(([key]) => {
+        if (key.kind !== 'text' || key.invalidUtf8) return false;
+        if (seen.has(key.value) || INTEGER_LIKE_KEY.test(key.value) || key.value.startsWith('$')) return false;
+        seen.add(key.value);
+        return true;
+    });
+
+    if (plainObject) {
+        const out = {};
+        // defineProperty so a "__proto__" key stays an own property instead of setting the prototype
+        entries.forEach(([key, val]) => {
+            Object.defineProperty(out, key.value, { value: nodeToJson(val), enumerable: true, writable: true, configurable: true });
+        });
+        return out;
+    }
+    return { $map: entries.map(([key, val]) => [nodeToJson(key), nodeToJson(val)]) };
+}
+
+function floatToJson(value, bits) {
+    const preferred = preferredFloatBits(value) === bits;
+    if (Number.isFinite(value) && !Number.isInteger(value) && preferred) {
+        return value;
+    }
+
+    let jsonValue = value;
+    if (Number.isNaN(value)) jsonValue = 'NaN';
+    else if (value === Infinity) jsonValue = 'Infinity';
+    else if (value === -Infinity) jsonValue = '-Infinity';
+    else if (Object.is(value, -0)) jsonValue = '-0';
+
+    return preferred ? { $float: jsonValue } : { $float: jsonValue, $bits: bits };
+}
+
+function encodeJsonValue(value, chunks, path) {
+    if (value === null) {
+        chunks.push(Uint8Array.of(0xf6));
+        return;
+    }
+
+    switch (typeof value) {
+        case 'boolean':
+            chunks.push(Uint8Array.of(value ? 0xf5 : 0xf4));
+            return;
+
+        case 'number':
+            if (Number.isSafeInteger(value)) {
+                encodeInteger(BigInt(value), chunks, path);
+            } else {
+                chunks.push(encodeCborFloat(value));
+            }
+            return;
+
+        case 'string': {
+            const utf8 = textEncoder.encode(value);
+            chunks.push(encodeCborHead(3, utf8.length), utf8);
+            return;
+        }
+
+        case 'object':
+            break;
+
+        default:
+            throw new Error(`Unsupported JSON value at ${path}`);
+    }
+
+    if (Array.isArray(value)) {
+        chunks.push(encodeCborHead(4, value.length));
+        value.forEach((item, i) => encodeJsonValue(item, chunks, `${path}[${i}]`));
+        return;
+    }
+
+    const keys = Object.keys(value);
+    if (keys.some(key => key.startsWith('$'))) {
+        encodeWrapper(value, keys, chunks, path);
+        return;
+    }
+
+    chunks.push(encodeCborHead(5, keys.length));
+    keys.forEach(key => {
+        encodeJsonValue(key, chunks, path);
+        encodeJsonValue(value[key], chunks, `${path}.${key}`);
+    });
+}
+
+function encodeWrapper(value, keys, chunks, path) {
+    if (keys.includes('$comment')) {
+        if (typeof value.$comment !== 'string') {
+            throw new Error(`Invalid $comment at ${path}: expected text`);
+        }
+        keys = keys.filter(key => key !== '$comment');
+    }
+    const shape = WRAPPER_SHAPES.find(candidate =>
+        candidate.length === keys.length && candidate.every(key => keys.includes(key)));
+    if (!shape) {
+        throw new Error(`Invalid CBOR JSON wrapper at ${path}: unexpected keys ${keys.join(', ')}`);
+    }
+
+    const fail = (message) => { throw new Error(`Invalid ${shape[0]} at ${path}: ${message}`); };
+
+    switch (shape[0]) {
+        case '$tag': {
+            const tagNumber = parseBigIntField(value.$tag, fail);
+            if (tagNumber < 0n) fail('tag number must be non-negative');
+            chunks.push(encodeCborHead(6, tagNumber));
+            encodeJsonValue(value.$value, chunks, `${path}.$value`);
+            return;
+        }
+
+        case '$bytes': {
+            if (typeof value.$bytes !== 'string') fail('expected a hex string');
+            let bytes;
+            try { bytes = hexToBytes(value.$bytes); } catch (_) { fail('expected a hex string'); }
+            chunks.push(encodeCborHead(2, bytes.length), bytes);
+            return;
+        }
+
+        case '$map': {
+            const entries = value.$map;
+            if (!Array.isArray(entries) || !entries.every(entry => Array.isArray(entry) && entry.length === 2)) {
+                fail('expected an array of [key, value] pairs');
+            }
+            chunks.push(encodeCborHead(5, entries.length));
+            entries.forEach(([key, val], i) => {
+                encodeJsonValue(key, chunks, `${path}.$map[${i}][0]`);
+                encodeJsonValue(val, chunks, `${path}.$map[${i}][1]`);
+            });
+            return;
+        }
+
+        case '$int':
+            encodeInteger(parseBigIntField(value.$int, fail), chunks, path);
+            return;
+
+        case '$bignum': {
+            const number = parseBigIntField(value.$bignum, fail);
+            const magnitude = number < 0n ? -1n - number : number;
+            const hex = magnitude === 0n ? '' : magnitude.toString(16);
+            const bytes = hexToBytes(hex.length % 2 ? '0' + hex : hex);
+            chunks.push(encodeCborHead(6, number < 0n ? 3 : 2), encodeCborHead(2, bytes.length), bytes);
+            return;
+        }
+
+        case '$float': {
+            const specials = { 'NaN': NaN, 'Infinity': Infinity, '-Infinity': -Infinity, '-0': -0 };
+            const number = typeof value.$float === 'string' ? specials[value.$float] : value.$float;
+            if (typeof number !== 'number') fail('expected a number or "NaN", "Infinity", "-Infinity", "-0"');
+            if (value.$bits !== undefined && ![16, 32, 64].includes(value.$bits)) fail('$bits must be 16, 32 or 64');
+            try {
+                chunks.push(encodeCborFloat(number, value.$bits));
+            } catch (e) {
+                fail(e.message);
+            }
+            return;
+        }
+
+        case '$undefined':
+            if (value.$undefined !== true) fail('expected true');
+            chunks.push(Uint8Array.of(0xf7));
+            return;
+
+        case '$simple': {
+            const simple = value.$simple;
+            if (!Number.isInteger(simple) || simple < 0 || simple > 255 || (simple >= 24 && simple < 32)) {
+                fail('expected 0-23 or 32-255');
+            }
+            chunks.push(simple < 24 ? Uint8Array.of(0xe0 | simple) : Uint8Array.of(0xf8, simple));
+            return;
+        }
+    }
+}
+
+function encodeInteger(number, chunks, path) {
+    if (number >= 0n) {
+        if (number > 0xffffffffffffffffn) throw new Error(`Integer at ${path} exceeds 64 bits; use $bignum`);
+        chunks.push(encodeCborHead(0, number));
+    } else {
+        if (-1n - number > 0xffffffffffffffffn) throw new Error(`Integer at ${path} exceeds 64 bits; use $bignum`);
+        chunks.push(encodeCborHead(1, -1n - number));
+    }
+}
+
+function parseBigIntField(field, fail) {
+    if (typeof field === 'number' && Number.isSafeInteger(field)) return BigInt(field);
+    if (typeof field === 'string' && /^-?\d+$/.test(field)) return BigInt(field);
+    fail('expected an integer or decimal string');
+}
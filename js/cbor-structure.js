@@ -0,0 +1,562 @@
+/**
+ * BC-UR Playground - CBOR Structure Parser
+ *
+ * Walks raw CBOR bytes (RFC 8949) and records where every data item lives:
+ * header byte, major type, additional info, argument, and the exact byte range
+ * of the item and its children. The bc-ur library decodes values but does not
+ * expose offsets, so byte-level views (explorer, diagnostics) use this walker.
+ *
+ * Values are only decoded far enough to label nodes; semantic decoding
+ * (registry items, tags) stays with UR.pipeline / cbor2.
+ *
+ * Also provides the matching low-level writers (heads, preferred floats) for
+ * features that must control the exact bytes produced.
+ */
+
+/** Human-readable names for the 8 CBOR major types */
+export const MAJOR_TYPE_NAMES = [
+    'unsigned integer',
+    'negative integer',
+    'byte string',
+    'text string',
+    'array',
+    'map',
+    'tag',
+    'simple / float'
+];
+
+// Guard against maliciously deep nesting
+const MAX_DEPTH = 256;
+
+const textDecoder = new TextDecoder('utf-8', { fatal: true });
+const lossyTextDecoder = new TextDecoder('utf-8');
+
+/**
+ * Decode an IEEE 754 half-precision float
+ * @param {number} half - 16-bit value
+ * @returns {number} Decoded float
+ */
+export function decodeFloat16(half) {
+    const sign = (half & 0x8000) ? -1 : 1;
+    const exponent = (half >> 10) & 0x1f;
+    const mantissa = half & 0x3ff;
+
+    if (exponent === 0) {
+        return sign * Math.pow(2, -14) * (mantissa / 1024);
+    }
+    if (exponent === 0x1f) {
+        return mantissa ? NaN : sign * Infinity;
+    }
+    return sign * Math.pow(2, exponent - 15) * (1 + mantissa / 1024);
+}
+
+/**
+ * Read the head (initial byte + argument) of a data item
+ *
+ * @param {Uint8Array} bytes - CBOR bytes
+ * @param {number} offset - Offset of the initial byte
+ * @returns {object} { majorType, additionalInfo, argument, headerLength, indefinite }
+ * @throws {Error} If the head is truncated or uses reserved additional info
+ */
+export function readCborHead(bytes, offset) {
+    if (offset >= bytes.length) {
+        throw new Error(`Unexpected end of CBOR data at offset ${offset}`);
+    }
+
+    const initial = bytes[offset];
+    const majorType = initial >> 5;
+    const additionalInfo = initial & 0x1f;
+
+    if (additionalInfo < 24) {
+        return { majorType, additionalInfo, argument: additionalInfo, headerLength: 1, indefinite: false };
+    }
+
+    if (additionalInfo >= 28 && additionalInfo <= 30) {
+        throw new Error(`Reserved additional info ${additionalInfo} at offset ${offset}`);
+    }
+
+    if (additionalInfo === 31) {
+        return { majorType, additionalInfo, argument: null, headerLength: 1, indefinite: true };
+    }
+
+    const size = 1 << (additionalInfo - 24); // 1, 2, 4 or 8 bytes
+    if (offset + 1 + size > bytes.length) {
+        throw new Error(`Truncated ${size}-byte argument at offset ${offset}`);
+    }
+
+    let argument = 0n;
+    for (let i = 0; i < size; i++) {
+        argument = (argument << 8n) | BigInt(bytes[offset + 1 + i]);
+    }
+
+    return {
+        majorType,
+        additionalInfo,
+        argument: argument <= BigInt(Number.MAX_SAFE_INTEGER) ? Number(argument) : argument,
+        headerLength: 1 + size,
+        indefinite: false
+    };
+}
+
+/**
+ * Parse a Single Data Item with Byte Offsets
+ *
+ * Returns a node tree. Every node carries:
+ * - offset / headerLength / end (exclusive) - byte range in the input
+ * - majorType / additionalInfo / argument / indefinite - raw head fields
+ * - kind - 'uint' | 'nint' | 'bytes' | 'text' | 'array' | 'map' | 'tag' | 'simple' | 'float'
+ * - value - decoded scalar (number/bigint/string/Uint8Array/boolean/null/undefined) or tag number
+ * - children - nested nodes; map children alternate key/value and carry `role`
+ *
+ * @param {Uint8Array} bytes - CBOR bytes
+ * @param {number} offset - Start offset (default: 0)
+ * @param {number} depth - Current nesting depth (internal)
+ * @returns {object} Parsed node
+ * @throws {Error} On malformed or truncated input
+ */
+export function parseCborItem(bytes, offset = 0, depth = 0) {
+    if (depth > MAX_DEPTH) {
+        throw new Error(`CBOR nesting deeper than ${MAX_DEPTH} levels at offset ${offset}`);
+    }
+
+    const head = readCborHead(bytes, offset);
+    const node = {
+        offset,
+        headerLength: head.headerLength,
+        end: offset + head.headerLength,
+        majorType: head.majorType,
+        additionalInfo: head.additionalInfo,
+        argument: head.argument,
+        indefinite: head.indefinite,
+        kind: null,
+        value: undefined,
+        children: []
+    };
+
+    if (head.majorType === 7 && head.additionalInfo === 31) {
+        throw new Error(`Unexpected break (0xff) at offset ${offset}`);
+    }
+
+    if (head.indefinite && (head.majorType <= 1 || head.majorType === 6)) {
+        throw new Error(`Indefinite length not allowed for ${MAJOR_TYPE_NAMES[head.majorType]} at offset ${offset}`);
+    }
+
+    switch (head.majorType) {
+        case 0:
+            node.kind = 'uint';
+            node.value = head.argument;
+            break;
+
+        case 1:
+            node.kind = 'nint';
+            node.value = typeof head.argument === 'bigint' || head.argument >= Number.MAX_SAFE_INTEGER
+                ? -1n - BigInt(head.argument)
+                : -1 - head.argument;
+            break;
+
+        case 2:
+        case 3: {
+            node.kind = head.majorType === 2 ? 'bytes' : 'text';
+            let payload;
+            if (head.indefinite) {
+                const chunks = [];
+                let pos = node.end;
+                while (true) {
+                    if (pos >= bytes.length) {
+                        throw new Error(`Missing break for indefinite ${node.kind} string starting at offset ${offset}`);
+                    }
+                    if (bytes[pos] === 0xff) {
+                        pos += 1;
+                        break;
+                    }
+                    const chunk = parseCborItem(bytes, pos, depth + 1);
+                    if (chunk.majorType !== head.majorType || chunk.indefinite) {
+                        throw new Error(`Invalid chunk in indefinite ${node.kind} string at offset ${pos}`);
+                    }
+                    chunk.role = 'chunk';
+                    chunk.index = node.children.length;
+                    node.children.push(chunk);
+                    chunks.push(chunk.rawPayload);
+                    pos = chunk.end;
+                }
+                node.end = pos;
+                payload = concatBytes(chunks);
+            } else {
+                const length = toSafeLength(head.argument, offset);
+                if (node.end + length > bytes.length) {
+                    throw new Error(`Truncated ${MAJOR_TYPE_NAMES[head.majorType]} at offset ${offset}: needs ${length} bytes`);
+                }
+                payload = bytes.slice(node.end, node.end + length);
+                node.end += length;
+            }
+            node.rawPayload = payload;
+            if (node.kind === 'bytes') {
+                node.value = payload;
+            } else {
+                try {
+                    node.value = textDecoder.decode(payload);
+                } catch (_) {
+                    node.value = lossyTextDecoder.decode(payload);
+                    node.invalidUtf8 = true;
+                }
+            }
+            break;
+        }
+
+        case 4:
+        case 5: {
+            node.kind = head.majorType === 4 ? 'array' : 'map';
+            const perEntry = node.kind === 'map' ? 2 : 1;
+            let pos = node.end;
+            if (head.indefinite) {
+                while (true) {
+                    if (pos >= bytes.length) {
+                        throw new Error(`Missing break for indefinite ${node.kind} starting at offset ${offset}`);
+                    }
+                    if (bytes[pos] === 0xff) {
+                        pos += 1;
+                        break;
+                    }
+                    const child = parseCborItem(bytes, pos, depth + 1);
+                    labelChild(node, child);
+                    pos = child.end;
+                }
+                if (node.kind === 'map' && node.children.length % 2 !== 0) {
+                    throw new Error(`Indefinite map at offset ${offset} has a key without a value`);
+                }
+            } else {
+                const count = toSafeLength(head.argument, offset) * perEntry;
+                for (let i = 0; i < count; i++) {
+                    const child = parseCborItem(bytes, pos, depth + 1);
+                    labelChild(node, child);
+                    pos = child.end;
+                }
+            }
+            node.end = pos;
+            node.value = node.kind === 'map' ? node.children.length / 2 : node.children.length;
+            break;
+        }
+
+        case 6: {
+            node.kind = 'tag';
+            node.value = head.argument;
+            const content = parseCborItem(bytes, node.end, depth + 1);
+            content.role = 'content';
+            node.children.push(content);
+            node.end = content.end;
+            break;
+        }
+
+        case 7:
+            decodeSimpleOrFloat(bytes, node, head);
+            break;
+    }
+
+    return node;
+}
+
+/**
+ * Parse Exactly One Top-Level Data Item
+ *
+ * @param {Uint8Array} bytes - CBOR bytes
+ * @returns {object} Parsed root node
+ * @throws {Error} If bytes are malformed or trailing bytes follow the item
+ */
+export function parseCbor(bytes) {
+    const root = parseCborItem(bytes, 0);
+    if (root.end !== bytes.length) {
+        throw new Error(`Unexpected ${bytes.length - root.end} trailing byte(s) at offset ${root.end}`);
+    }
+    return root;
+}
+
+/**
+ * Parse a Sequence of Concatenated Data Items (RFC 8742)
+ *
+ * @param {Uint8Array} bytes - CBOR bytes
+ * @returns {Array<object>} Parsed root nodes (empty for empty input)
+ */
+export function parseCborSequence(bytes) {
+    const items = [];
+    let pos = 0;
+    while (pos < bytes.length) {
+        const item = parseCborItem(bytes, pos);
+        item.role = 'sequence-item';
+        item.index = items.length;
+        items.push(item);
+        pos = item.end;
+    }
+    return items;
+}
+
+/**
+ * Split a CBOR Sequence into Per-Item Byte Slices
+ *
+ * @param {Uint8Array} bytes - Concatenated CBOR items
+ * @returns {Array<object>} [{ offset, bytes }] one entry per top-level item
+ */
+export function splitCborSequence(bytes) {
+    return parseCborSequence(bytes).map(item => ({
+        offset: item.offset,
+        bytes: bytes.slice(item.offset, item.end)
+    }));
+}
+
+/**
+ * Describe a Node Header for Display
+ *
+ * Example: "0x58 → major type 2 (byte string), additional info 24 (1-byte length follows)"
+ *
+ * @param {object} node - Parsed node
+ * @param {Uint8Array} bytes - Original bytes (for header byte value)
+ * @returns {string} Description
+ */
+export function describeCborHeader(node, bytes) {
+    const headerByte = bytes[node.offset].toString(16).padStart(2, '0');
+    let aiText;
+    if (node.additionalInfo < 24) {
+        aiText = node.majorType === 7 ? 'simple value in header' : 'value in header';
+    } else if (node.additionalInfo === 31) {
+        aiText = 'indefinite length';
+    } else {
+        const size = 1 << (node.additionalInfo - 24);
+        if (node.majorType === 7 && node.additionalInfo >= 25) {
+            aiText = `${size * 8}-bit float follows`;
+        } else {
+            aiText = `${size}-byte argument follows`;
+        }
+    }
+    return `0x${headerByte} → major type ${node.majorType} (${MAJOR_TYPE_NAMES[node.majorType]}), additional info ${node.additionalInfo} (${aiText})`;
+}
+
+/**
+ * Short One-Line Summary of a Node
+ *
+ * @param {object} node - Parsed node
+ * @param {number} maxLength - Truncate previews longer than this
+ * @returns {string} Summary such as 'uint 42', 'bytes(16) h\'00ff…\'', 'map(2)'
+ */
+export function summarizeCborNode(node, maxLength = 48) {
+    const truncate = (text) => text.length > maxLength ? text.slice(0, maxLength) + '…' : text;
+    const lengthText = node.indefinite ? '_' : String(node.value?.length ?? node.value);
+
+    switch (node.kind) {
+        case 'uint':
+        case 'nint':
+            return `${node.kind} ${node.value}`;
+        case 'bytes': {
+            const hex = Array.from(node.value).map(b => b.toString(16).padStart(2, '0')).join('');
+            return `bytes(${node.indefinite ? '_' : node.value.length}) h'${truncate(hex)}'`;
+        }
+        case 'text':
+            return `text(${node.indefinite ? '_' : node.rawPayload.length}) ${truncate(JSON.stringify(node.value))}`;
+        case 'array':
+            return `array(${lengthText})`;
+        case 'map':
+            return `map(${lengthText})`;
+        case 'tag':
+            return `tag ${node.value}`;
+        case 'float':
+            return `float${node.floatBits} ${formatFloat(node.value)}`;
+        case 'simple':
+            return node.simpleName || `simple(${node.value})`;
+        default:
+            return MAJOR_TYPE_NAMES[node.majorType];
+    }
+}
+
+/**
+ * Walk All Nodes Depth-First
+ *
+ * @param {object|Array<object>} roots - Root node or list of roots
+ * @param {Function} visit - Called with (node, depth, parent)
+ */
+export function walkCborNodes(roots, visit) {
+    const visitNode = (node, depth, parent) => {
+        visit(node, depth, parent);
+        node.children.forEach(child => visitNode(child, depth + 1, node));
+    };
+    (Array.isArray(roots) ? roots : [roots]).forEach(root => visitNode(root, 0, null));
+}
+
+/**
+ * Encode a Data Item Head Using the Shortest Argument Form
+ *
+ * @param {number} majorType - Major type (0-7)
+ * @param {number|bigint} argument - Argument value (0 to 2^64-1)
+ * @returns {Uint8Array} Head bytes
+ * @throws {Error} If the argument is out of range
+ */
+export function encodeCborHead(majorType, argument) {
+    const value = BigInt(argument);
+    if (value < 0n || value > 0xffffffffffffffffn) {
+        throw new Error(`CBOR argument out of range: ${argument}`);
+    }
+
+    const mt = majorType << 5;
+    if (value < 24n) return Uint8Array.of(mt | Number(value));
+
+    let size = 8;
+    if (value <= 0xffn) size = 1;
+    else if (value <= 0xffffn) size = 2;
+    else if (value <= 0xffffffffn) size = 4;
+
+    const head = new Uint8Array(1 + size);
+    head[0] = mt | (24 + Math.log2(size));
+    for (let i = 0; i < size; i++) {
+        head[size - i] = Number((value >> BigInt(8 * i)) & 0xffn);
+    }
+    return head;
+}
+
+/**
+ * Convert a Number to IEEE 754 Half-Precision Bits if Exactly Representable
+ *
+ * @param {number} value - Value to convert
+ * @returns {number|null} 16-bit pattern, or null if precision would be lost
+ */
+export function floatToHalfBits(value) {
+    if (Number.isNaN(value)) return 0x7e00;
+    if (Math.fround(value) !== value) return null;
+
+    const view = new DataView(new ArrayBuffer(4));
+    view.setFloat32(0, value);
+    const bits = view.getUint32(0);
+    const sign = (bits >>> 16) & 0x8000;
+    const exp32 = (bits >>> 23) & 0xff;
+    const mant32 = bits & 0x7fffff;
+
+    if (exp32 === 0xff) return sign | 0x7c00; // Infinity (NaN handled above)
+    if (exp32 === 0) return mant32 === 0 ? sign : null; // Zero / float32 subnormal
+
+    const exponent = exp32 - 127;
+    if (exponent > 15) return null;
+    if (exponent >= -14) {
+        if (mant32 & 0x1fff) return null;
+        return sign | ((exponent + 15) << 10) | (mant32 >> 13);
+    }
+    if (exponent >= -24) {
+        const mantissa = mant32 | 0x800000;
+        const shift = -(exponent + 1);
+        if (mantissa & ((1 << shift) - 1)) return null;
+        return sign | (mantissa >> shift);
+    }
+    return null;
+}
+
+/**
+ * Smallest Float Width (16/32/64) That Holds the Value Exactly
+ *
+ * @param {number} value - Value to check
+ * @returns {number} Width in bits (NaN prefers 16)
+ */
+export function preferredFloatBits(value) {
+    if (floatToHalfBits(value) !== null) return 16;
+    if (Math.fround(value) === value) return 32;
+    return 64;
+}
+
+/**
+ * Encode a Float (major type 7)
+ *
+ * @param {number} value - Value to encode
+ * @param {number} bits - Width (16/32/64); defaults to the preferred width
+ * @returns {Uint8Array} Encoded item
+ * @throws {Error} If the value does not fit the requested width exactly
+ */
+export function encodeCborFloat(value, bits = preferredFloatBits(value)) {
+    if (bits === 16) {
+        const half = floatToHalfBits(value);
+        if (half === null) throw new Error(`${value} is not exactly representable as float16`);
+        return Uint8Array.of(0xf9, half >> 8, half & 0xff);
+    }
+
+    const out = new Uint8Array(bits === 32 ? 5 : 9);
+    const view = new DataView(out.buffer);
+    if (bits === 32) {
+        if (!Number.isNaN(value) && Math.fround(value) !== value) {
+            throw new Error(`${value} is not exactly representable as float32`);
+        }
+        out[0] = 0xfa;
+        view.setFloat32(1, value);
+    } else if (bits === 64) {
+        out[0] = 0xfb;
+        view.setFloat64(1, value);
+    } else {
+        throw new Error(`Unsupported float width: ${bits}`);
+    }
+    return out;
+}
+
+/**
+ * Concatenate Byte Arrays
+ *
+ * @param {Array<Uint8Array>} chunks - Parts in order
+ * @returns {Uint8Array} Joined bytes
+ */
+export function concatBytes(chunks) {
+    const total = chunks.reduce((sum, chunk) => sum + chunk.length, 0);
+    const out = new Uint8Array(total);
+    let pos = 0;
+    chunks.forEach(chunk => {
+        out.set(chunk, pos);
+        pos += chunk.length;
+    });
+    return out;
+}
+
+function formatFloat(value) {
+    if (Number.isNaN(value)) return 'NaN';
+    if (!Number.isFinite(value)) return value > 0 ? 'Infinity' : '-Infinity';
+    if (Object.is(value, -0)) return '-0.0';
+    return Number.isInteger(value) ? value.toFixed(1) : String(value);
+}
+
+function decodeSimpleOrFloat(bytes, node, head) {
+    const ai = head.additionalInfo;
+    if (ai <= 24) {
+        node.kind = 'simple';
+        node.value = head.argument;
+        const names = { 20: 'false', 21: 'true', 22: 'null', 23: 'undefined' };
+        if (ai === 24 && head.argument < 32) {
+            node.invalidSimple = true;
+        }
+        if (names[head.argument] !== undefined && ai < 24) {
+            node.simpleName = names[head.argument];
+            node.value = { 20: false, 21: true, 22: null, 23: undefined }[head.argument];
+        }
+        return;
+    }
+
+    node.kind = 'float';
+    const view = new DataView(bytes.buffer, bytes.byteOffset + node.offset + 1, node.headerLength - 1);
+    if (ai === 25) {
+        node.floatBits = 16;
+        node.value = decodeFloat16(view.getUint16(0));
+    } else if (ai === 26) {
+        node.floatBits = 32;
+        node.value = view.getFloat32(0);
+    } else {
+        node.floatBits = 64;
+        node.value = view.getFloat64(0);
+    }
+}
+
+function labelChild(parent, child) {
+    const position = parent.children.length;
+    if (parent.kind === 'map') {
+        child.role = position % 2 === 0 ? 'key' : 'value';
+        child.index = Math.floor(position / 2);
+    } else {
+        child.role = 'item';
+        child.index = position;
+    }
+    parent.children.push(child);
+}
+
+function toSafeLength(argument, offset) {
+    if (typeof argument === 'bigint') {
+        throw new Error(`Length ${argument} at offset ${offset} is too large`);
+    }
+    return argument;
+}
@@ -0,0 +1,259 @@
+/**
+ * BC-UR Playground - Coin and Chain Metadata
+ *
+ * Names the numeric ids in ngrave coin-identity (tag 41401: curve, SLIP-44
+ * coin type, subtypes such as EVM chain ids) and crypto-coininfo (tags
+ * 305/40305: coin type, network) from bundled tables, so nothing is looked
+ * up online. Ids missing from the tables are reported as unknown.
+ */
+
+import { cborToJson } from './cbor-json.js';
+import { COININFO_TAGS, untag, readIntMap } from './hdkey.js';
+
+export const COIN_IDENTITY_TAGS = [41401];
+
+/** Elliptic curves by IANA COSE id (coin-identity key 1) */
+export const COSE_CURVES = {
+    1: 'P-256',
+    2: 'P-384',
+    3: 'P-521',
+    4: 'X25519',
+    5: 'X448',
+    6: 'Ed25519',
+    7: 'Ed448',
+    8: 'secp256k1'
+};
+
+/** SLIP-44 registered coin types (a bundled subset of the registry) */
+export const SLIP44_COINS = {
+    0: 'Bitcoin',
+    1: 'Testnet (all coins)',
+    2: 'Litecoin',
+    3: 'Dogecoin',
+    4: 'Reddcoin',
+    5: 'Dash',
+    6: 'Peercoin',
+    7: 'Namecoin',
+    14: 'Viacoin',
+    20: 'DigiByte',
+    22: 'Monacoin',
+    28: 'Vertcoin',
+    42: 'Decred',
+    43: 'NEM',
+    57: 'Syscoin',
+    60: 'Ethereum',
+    61: 'Ethereum Classic',
+    74: 'ICON',
+    77: 'Verge',
+    111: 'Ark',
+    118: 'Cosmos Hub',
+    121: 'Horizen',
+    128: 'Monero',
+    133: 'Zcash',
+    134: 'Lisk',
+    136: 'Firo',
+    141: 'Komodo',
+    144: 'XRP',
+    145: 'Bitcoin Cash',
+    148: 'Stellar',
+    156: 'Bitcoin Gold',
+    175: 'Ravencoin',
+    194: 'EOS',
+    195: 'Tron',
+    235: 'FIO',
+    236: 'Bitcoin SV',
+    283: 'Algorand',
+    304: 'IoTeX',
+    313: 'Zilliqa',
+    330: 'Terra',
+    354: 'Polkadot',
+    397: 'NEAR',
+    434: 'Kusama',
+    459: 'Kava',
+    461: 'Filecoin',
+    472: 'Arweave',
+    501: 'Solana',
+    508: 'MultiversX',
+    529: 'Secret Network',
+    607: 'TON',
+    637: 'Aptos',
+    714: 'BNB Beacon Chain',
+    784: 'Sui',
+    818: 'VeChain',
+    966: 'Polygon',
+    1237: 'Nostr',
+    1729: 'Tezos',
+    1815: 'Cardano',
+    2301: 'Qtum',
+    3030: 'Hedera',
+    5353: 'Handshake',
+    5757: 'Stacks',
+    9000: 'Avalanche',
+    52752: 'Celo'
+};
+
+/** EVM chain ids (EIP-155), used for coin-identity subtypes of EVM coins */
+export const EVM_CHAINS = {
+    1: 'Ethereum mainnet',
+    10: 'OP mainnet',
+    25: 'Cronos mainnet',
+    56: 'BNB Smart Chain mainnet',
+    61: 'Ethereum Classic mainnet',
+    97: 'BNB Smart Chain testnet',
+    100: 'Gnosis',
+    137: 'Polygon mainnet',
+    204: 'opBNB mainnet',
+    250: 'Fantom Opera',
+    324: 'zkSync Era mainnet',
+    1101: 'Polygon zkEVM',
+    1284: 'Moonbeam',
+    1285: 'Moonriver',
+    5000: 'Mantle',
+    8453: 'Base mainnet',
+    17000: 'Holesky testnet',
+    42161: 'Arbitrum One',
+    42220: 'Celo mainnet',
+    43113: 'Avalanche Fuji testnet',
+    43114: 'Avalanche C-Chain',
+    59144: 'Linea mainnet',
+    80002: 'Polygon Amoy testnet',
+    81457: 'Blast mainnet',
+    84532: 'Base Sepolia testnet',
+    421614: 'Arbitrum Sepolia testnet',
+    534352: 'Scroll mainnet',
+    7777777: 'Zora',
+    11155111: 'Sepolia testnet',
+    11155420: 'OP Sepolia testnet'
+};
+
+// Coin types whose coin-identity subtypes are EVM chain ids
+const EVM_COIN_TYPES = [60, 61];
+
+/**
+ * Read a coin-identity
+ *
+ * @param {*} value - Tagged or untagged coin-identity (JSON mapping)
+ * @returns {object} { curve, type, subtypes }
+ */
+export function decodeCoinIdentity(value) {
+    const map = readIntMap(untag(value, COIN_IDENTITY_TAGS) ?? value, 'coin-identity');
+    return { curve: map.get(1) ?? null, type: map.get(2) ?? null, subtypes: Array.isArray(map.get(3)) ? map.get(3) : [] };
+}
+
+/**
+ * Read a crypto-coininfo (type defaults to 0 = Bitcoin, network to 0 = mainnet)
+ *
+ * @param {*} value - Tagged or untagged coininfo (JSON mapping)
+ * @returns {object} { type, network }
+ */
+export function decodeCoinInfo(value) {
+    const map = readIntMap(untag(value, COININFO_TAGS) ?? value, 'crypto-coininfo');
+    return { type: map.get(1) ?? 0, network: map.get(2) ?? 0 };
+}
+
+/**
+ * Name a coin-identity
+ *
+ * @param {object} coin - { curve, type, subtypes }
+ * @returns {object} { text, unknown } e.g. "secp256k1 · Ethereum mainnet (chain 1)"; unknown lists ids missing from the tables
+ */
+export function describeCoinIdentity({ curve, type, subtypes = [] }) {
+    const unknown = [];
+    const curveName = COSE_CURVES[curve] ?? flag(unknown, `curve ${curve}`);
+    const coinName = SLIP44_COINS[type] ?? flag(unknown, `coin type ${type}`);
+
+    let network = coinName;
+    if (EVM_COIN_TYPES.includes(type) && subtypes.length > 0) {
+        network = subtypes.map(id => EVM_CHAINS[id] ? `${EVM_CHAINS[id]} (chain ${id})` : flag(unknown, `chain ${id}`)).join(', ');
+    } else if (subtypes.length > 0) {
+        network = `${coinName} · subtypes ${subtypes.join(', ')}`;
+    }
+    return { text: `${curveName} · ${network}`, unknown };
+}
+
+/**
+ * Name a crypto-coininfo
+ *
+ * @param {object} info - { type, network }
+ * @returns {object} { text, unknown } e.g. "Bitcoin testnet"
+ */
+export function describeCoinInfo({ type, network }) {
+    const unknown = [];
+    const coinName = SLIP44_COINS[type] ?? flag(unknown, `coin type ${type}`);
+    const networkName = network === 0 ? 'mainnet' : network === 1 ? 'testnet' : flag(unknown, `network ${network}`);
+    return { text: `${coinName} ${networkName}`, unknown };
+}
+
+/**
+ * Name the Coin Item a Payload Holds
+ *
+ * @param {Uint8Array} bytes - coin-identity or crypto-coininfo payload
+ * @param {string|null} urType - UR type, needed for the untagged item
+ * @returns {object|null} { text, unknown }, or null when the payload is neither
+ */
+export function describeCoinPayload(bytes, urType = null) {
+    return describeCoinValue(cborToJson(bytes), rootKind(urType));
+}
+
+/**
+ * Annotate Coin Items in the JSON Mapping
+ *
+ * Every coin-identity / crypto-coininfo map gets a "$comment" naming it
+ * (flagging unknown ids). Comments are ignored when JSON is encoded back to
+ * CBOR, so annotated output still round-trips.
+ *
+ * @param {*} value - JSON mapping value
+ * @param {string|null} urType - UR type (names the untagged root)
+ * @returns {*} Annotated copy
+ */
+export function annotateCoinMetadata(value, urType = null) {
+    const visit = (node, kind) => {
+        if (node === null || typeof node !== 'object') return node;
+        if (Array.isArray(node)) return node.map(item => visit(item, null));
+        if ('$tag' in node) {
+            const tag = Number(node.$tag);
+            const inner = COIN_IDENTITY_TAGS.includes(tag) ? 'identity' : COININFO_TAGS.includes(tag) ? 'info' : null;
+            return { ...node, $value: visit(node.$value, inner) };
+        }
+        // An all-default coininfo decodes as {}; give it a $map so it can carry the comment
+        if (kind && !Array.isArray(node.$map) && Object.keys(node).length === 0) {
+            node = { $map: [] };
+        }
+        if (Array.isArray(node.$map)) {
+            const copy = { ...node, $map: node.$map.map(([key, item]) => [visit(key, null), visit(item, null)]) };
+            const described = kind ? describeCoinValue(node, kind) : null;
+            if (!described) return copy;
+            return { $comment: `${described.unknown.length ? '⚠️ ' : ''}${described.text}`, ...copy };
+        }
+        // Text-keyed maps decode as plain objects ($bytes and other markers hold scalars)
+        return Object.fromEntries(Object.entries(node).map(([key, item]) => [key, visit(item, null)]));
+    };
+    return visit(value, rootKind(urType));
+}
+
+// 'identity' / 'info' for an untagged root named by its UR type
+function rootKind(urType) {
+    if (urType === 'coin-identity') return 'identity';
+    if (['crypto-coininfo', 'coininfo', 'coin-info'].includes(urType)) return 'info';
+    return null;
+}
+
+function describeCoinValue(value, kind) {
+    try {
+        if (untag(value, COIN_IDENTITY_TAGS) !== undefined || kind === 'identity') {
+            return describeCoinIdentity(decodeCoinIdentity(value));
+        }
+        if (untag(value, COININFO_TAGS) !== undefined || kind === 'info') {
+            return describeCoinInfo(decodeCoinInfo(value));
+        }
+    } catch (_) {
+        return null;
+    }
+    return null;
+}
+
+// Record an unknown id and return its placeholder name
+function flag(unknown, id) {
+    unknown.push(id);
+    return `unknown ${id}`;
+}
@@ -6,6 +6,11 @@
  * - Single UR strings
  * - Bytewords (human-readable encoding)
  * - Hex (CBOR binary as hexadecimal)
+ * - Base64 / Base64url / Base58(Check) / Base32 (raw PSBTs are wrapped as crypto-psbt)
+ * - Output descriptors (BIP-380) for crypto-output / crypto-account
+ * - Extended keys (xpub/ypub/zpub/tpub/…) for crypto-hdkey
+ * - Addresses (Bitcoin-like Base58Check/bech32, EIP-55 EVM) for crypto-address
+ * - BIP-39 mnemonics (input) for crypto-seed / crypto-bip39
  * - Decoded CBOR (4 formats: JSON, Diagnostic, Commented, JavaScript)
  *
  */
@@ -32,11 +37,69 @@ import * as urSign from 'https://esm.sh/@ngraveio/ur-sign@2.0.1-beta.2?dev';
 import * as urUuid from 'https://esm.sh/@ngraveio/ur-uuid@2.0.1-beta.2?dev';
 
 // Import shared utilities
-import { LRUCache, updateStatus, handleError, clearOutput as clearOutputUtil } from './shared.js';
+import { LRUCache, updateStatus, handleError, clearOutput as clearOutputUtil, hexToBytes, bytesToHex } from './shared.js';
 
 // Import registry item UI mixin
 import { RegistryItemUIMixin } from './registry-item-ui.js';
 
+// Import lossless CBOR <-> JSON mapping
+import { cborHexToJsonText, jsonTextToCborHex } from './cbor-json.js';
+
+// Import CBOR structure helpers (sequence splitting)
+import { parseCbor, parseCborSequence, splitCborSequence, encodeCborHead, concatBytes } from './cbor-structure.js';
+
+// Import CBOR byte explorer mixin
+import { CborExplorerMixin } from './cbor-explorer.js';
+
+// Import bytewords checksum diagnostics mixin
+import { BytewordsDiagnosticsMixin } from './bytewords-diagnostics-ui.js';
+
+// Import deterministic-encoding check mixin
+import { DeterminismCheckMixin } from './cbor-deterministic-ui.js';
+
+// Import input format scoring mixin and base64 decoding
+import { FormatDetectionMixin } from './format-detection-ui.js';
+import { BINARY_TEXT_FORMATS, isBinaryTextFormat } from './binary-encodings.js';
+
+// Import multi-part UR assembly report mixin
+import { MultipartDiagnosticsMixin } from './multipart-diagnostics-ui.js';
+import { summarizeMultipartReport } from './multipart-diagnostics.js';
+
+// Import batch conversion mixin
+import { BatchConversionMixin } from './batch-conversion-ui.js';
+
+// Import PSBT inspector mixin
+import { PsbtInspectorMixin } from './psbt-inspector-ui.js';
+
+// Import output descriptor conversion
+import { payloadToDescriptors, descriptorsToPayload } from './output-descriptor.js';
+
+// Import extended key conversion and the HD key inspector mixin
+import { extendedKeyToPayload, payloadToExtendedKey } from './hdkey.js';
+import { HDKeyInspectorMixin } from './hdkey-inspector-ui.js';
+
+// Import address string conversion
+import { addressToPayload, payloadToAddress } from './crypto-address.js';
+
+// Import address derivation mixin
+import { AddressDerivationMixin } from './address-derivation-ui.js';
+
+// Import keypath editor mixin
+import { KeypathEditorMixin } from './keypath-editor-ui.js';
+
+// Import BIP-39 mnemonic encoding and the seed mnemonic mixin
+import { mnemonicToPayload, splitWords, loadWordlists, wordlistsToLoad } from './bip39.js';
+import { SeedMnemonicMixin } from './seed-mnemonic-ui.js';
+
+// Import sign-request / sign-response verification mixin
+import { SignVerificationMixin } from './sign-verification-ui.js';
+
+// Import coin / chain names for decoded JSON annotations
+import { annotateCoinMetadata } from './coin-metadata.js';
+
+// Import secret masking mixin
+import { SecretMaskMixin } from './secret-mask-ui.js';
+
 // Extract cbor2 functions for CBOR diagnostic output
 const { comment, diagnose } = cbor2;
 
@@ -93,7 +156,19 @@ console.log('%c[Registry] UrRegistry available in window.UrRegistry', 'color: #4
 console.log('%c[Registry] UR class available in window.UR', 'color: #4CAF50');
 
 // Canonical ordered stages for pipeline visualization
-const PIPELINE_STAGES = ['multiur', 'ur', 'bytewords', 'hex', 'decoded'];
+const PIPELINE_STAGES = ['multiur', 'ur', 'bytewords', 'binary', 'hex', 'decoded', 'text'];
+const BINARY_STAGE_LABEL = 'Base64/58/32';
+
+// Text forms of registry items; they share the last pipeline stage, labelled per format
+const TEXT_STAGE_LABELS = {
+    descriptor: 'Descriptor',
+    xpub: 'Extended key',
+    address: 'Address',
+    mnemonic: 'Mnemonic'
+};
+
+// Magic bytes of a raw BIP-174 PSBT ("psbt" + 0xff)
+const PSBT_MAGIC_HEX = '70736274ff';
 
 /**
  * FormatConverter Class
@@ -138,6 +213,9 @@ class FormatConverter {
         // Send to Multi-UR Generator button
         this.sendToMultiURBtn = document.getElementById('sendToMultiUR');
 
+        // CBOR sequence (RFC 8742) mode toggle
+        this.sequenceModeElement = document.getElementById('cborSequenceMode');
+
         // Console hint for decoded-js output
         this.consoleHintElement = document.getElementById('console-hint');
 
@@ -150,6 +228,25 @@ class FormatConverter {
         // Initialize registry item UI
         this.initializeRegistryItemUI();
 
+        // Initialize CBOR byte explorer
+        this.initializeCborExplorer();
+
+        // Initialize bytewords checksum diagnostics
+        this.initializeBytewordsDiagnostics();
+
+        // Initialize deterministic-encoding check
+        this.initializeDeterminismCheck();
+        this.initializeFormatDetection();
+        this.initializeMultipartDiagnostics();
+        this.initializeBatchConversion();
+        this.initializePsbtInspector();
+        this.initializeHDKeyInspector();
+        this.initializeAddressDerivation();
+        this.initializeKeypathEditor();
+        this.initializeSeedMnemonic();
+        this.initializeSignVerification();
+        this.initializeSecretMask();
+
         this.setupEventListeners();
         this.initializeExamples();
 
@@ -382,7 +479,10 @@ class FormatConverter {
         let diagnostic = '';
         try {
             const bytes = new Uint8Array(hex.match(/.{1,2}/g).map(byte => parseInt(byte, 16)));
-            diagnostic = diagnose(bytes);
+            // CBOR sequences are diagnosed item by item (comma-separated, like EDN sequences)
+            diagnostic = this.isSequenceMode()
+                ? splitCborSequence(bytes).map(part => diagnose(part.bytes)).join(', ')
+                : diagnose(bytes);
             // Simple tag extraction from diagnostic notation (looks for tag numbers)
             const tagMatches = diagnostic.match(/\b(\d+)\(/g);
             if (tagMatches) {
@@ -422,13 +522,20 @@ class FormatConverter {
             }
         };
 
-        // Update global references
-        window.$lastDecoded = exposed;
-
-        // Also expose the raw registry item for easy access
+        // Also expose the raw registry item for easy access (withheld while secrets are masked)
         if (itemIsRegistryItem) {
             window.$lastRegistryItem = decodedValue;
+        }
+
+        // Update global references and add to history (LRU, max 10), then mask every entry
+        window.$lastDecoded = exposed;
+        window.$decodedHistory.unshift(exposed);
+        if (window.$decodedHistory.length > 10) {
+            window.$decodedHistory.pop();
+        }
+        this.maskConsoleExposure(exposed);
 
+        if (itemIsRegistryItem) {
             // Show registry item UI
             this.showRegistryItemUI(decodedValue);
 
@@ -463,12 +570,6 @@ class FormatConverter {
             }
         }
 
-        // Add to history (LRU, max 10)
-        window.$decodedHistory.unshift(exposed);
-        if (window.$decodedHistory.length > 10) {
-            window.$decodedHistory.pop();
-        }
-
         // Log to console
         this.logToConsole(exposed);
     }
@@ -580,7 +681,11 @@ class FormatConverter {
         console.log('│');
         console.log('│ 📋 Access via: window.$lastDecoded');
 
-        if (isRegistryItem) {
+        if (exposed.masked) {
+            console.log(`│ 🔒 Masked: ${exposed.masked.join(', ')}`);
+        }
+
+        if (isRegistryItem && !exposed.masked) {
             console.log('│ 🎯 Registry Item: window.$lastRegistryItem');
             console.log(`│    ↳ Query: window.UrRegistry.registry.get("${urType}")`);
             console.log('│    ↳ Type info: window.$lastRegistryItem.type');
@@ -716,6 +821,11 @@ class FormatConverter {
             this.handleConversion();
         });
 
+        // CBOR sequence mode changes how payloads are split and decoded
+        if (this.sequenceModeElement) {
+            this.sequenceModeElement.addEventListener('change', () => this.handleConversion());
+        }
+
         // Bytewords style changes
         if (this.inputBytewordsStyle) {
             this.inputBytewordsStyle.addEventListener('change', () => this.handleConversion());
@@ -784,6 +894,11 @@ class FormatConverter {
             return;
         }
 
+        if (this.maskedSecrets().length > 0) {
+            updateStatus(this.statusElement, 'Secrets are masked: reveal them or switch off masking before sending', 'error');
+            return;
+        }
+
         // Validate UR format
         if (!output.trim().startsWith('ur:')) {
             updateStatus(this.statusElement, 'Output is not a valid UR string', 'error');
@@ -865,110 +980,31 @@ class FormatConverter {
     /**
      * Auto-detect Input Format
      *
-     * Analyzes input string to determine format type using pattern matching.
-    * Detection order: multiur → ur → hex → bytewords → diagnostic
+     * Scores every candidate format (see format-detection.js) and returns the
+     * best one whose syntax matched.
      *
      * @param {string} input - Raw input string
      * @returns {string|null} - Detected format name or null if unknown
      */
     detectFormat(input) {
-        const trimmed = input.trim();
-
-        // Empty input
-        if (!trimmed) return null;
-
-        // Multi-part UR detection (multiple lines with ur: or part indicators)
-        if (trimmed.includes('\n') && trimmed.includes('ur:')) {
-            const lines = trimmed.split('\n').filter(l => l.trim());
-            if (lines.length > 1 && lines.every(l => l.includes('ur:'))) {
-                return 'multiur';
-            }
-        }
-
-        // Single line multi-part UR with part indicator
-        if (/^ur:[\w-]+\/\d+of\d+\//.test(trimmed)) {
-            return 'multiur';
-        }
-
-        // Single UR - starts with "ur:" prefix
-        if (trimmed.startsWith('ur:')) {
-            return 'ur';
-        }
-
-        // Hex detection - only hex characters (0-9a-fA-F) and even length
-        if (/^[0-9a-fA-F]+$/.test(trimmed) && trimmed.length % 2 === 0) {
-            return 'hex';
-        }
-
-        // Bytewords detection - space-separated 4-letter words OR minimal 2-char pairs
-        const words = trimmed.toLowerCase().split(/\s+/);
-        const bytewordsPattern = /^[a-z]{4}$/;
-        if (words.length > 0 && words.every(w => bytewordsPattern.test(w))) {
-            return 'bytewords';
-        }
-        // Minimal bytewords (continuous 2-char pairs)
-        if (/^[a-z]+$/.test(trimmed) && trimmed.length % 2 === 0 && trimmed.length >= 4) {
-            return 'bytewords';
-        }
-
-        // Diagnostic notation detection (best effort)
-        if (this.maybeDiagnosticNotation(trimmed)) {
-            try {
-                this.diagnosticToHex(trimmed);
-                return 'diagnostic';
-            } catch (_) {
-                // Ignore parsing errors during detection; user may still select manually
-            }
-        }
-
-        // JSON detection (must be valid JSON object or array)
-        if ((trimmed.startsWith('{') && trimmed.endsWith('}')) || 
-            (trimmed.startsWith('[') && trimmed.endsWith(']'))) {
-            try {
-                JSON.parse(trimmed);
-                return 'json';
-            } catch (_) {
-                // Not valid JSON, continue detection
-            }
-        }
-
-        return null;
-    }
-
-    maybeDiagnosticNotation(value) {
-        if (!value) return false;
-        const trimmed = value.trim();
-        if (!trimmed) return false;
-
-        const indicators = ["h'", "b64'", 'simple(', '(_', '{_', '[_', '<<', '>>', '::'];
-        if (indicators.some(token => trimmed.includes(token))) {
-            return true;
-        }
-
-        if (/^\d+\(/.test(trimmed)) {
-            return true;
-        }
-
-        if (/tag\(/i.test(trimmed)) {
-            return true;
-        }
-
-        return false;
+        const best = this.rankInputFormats(input)[0];
+        return best && best.score > 0 ? best.format : null;
     }
 
-    diagnosticToHex(rawInput) {
+    diagnosticToHex(rawInput, sequence = this.isSequenceMode()) {
         const trimmed = rawInput.trim();
         if (!trimmed) {
             throw new Error('Invalid diagnostic notation: Input cannot be empty');
         }
 
-        if (this.diagnosticCache.input === trimmed) {
+        if (this.diagnosticCache.input === trimmed && this.diagnosticCache.sequence === sequence) {
             return this.diagnosticCache.hex;
         }
 
         let bytes;
         try {
-            bytes = parseEDN(trimmed);
+            // 'seq' start rule accepts comma-separated top-level items (RFC 8742)
+            bytes = sequence ? parseEDN(trimmed, { startRule: 'seq' }) : parseEDN(trimmed);
         } catch (err) {
             const message = (err && err.message ? err.message : 'Unable to parse diagnostic notation').split('\n')[0].trim();
             throw new Error('Invalid diagnostic notation: ' + message);
@@ -979,7 +1015,7 @@ class FormatConverter {
         }
 
         const hex = this.bytesToHex(bytes);
-        this.diagnosticCache = { input: trimmed, hex };
+        this.diagnosticCache = { input: trimmed, hex, sequence };
         return hex;
     }
 
@@ -993,37 +1029,66 @@ class FormatConverter {
             clearOutputUtil(this.outputElement, this.statusElement, () => this.resetPipeline());
             this.updateUrTypeUI({ visible: false });
             this.hideRegistryItemUI();
+            this.updatePayloadPanels(null);
+            this.clearSecretMask();
+            this.hideBytewordsDiagnostics();
+            this.hideFormatDetection();
+            this.hideMultipartDiagnostics();
             return;
         }
 
-        const detected = this.inputFormatElement.value === 'auto' ? this.detectFormat(rawInput) : this.inputFormatElement.value;
+        // Auto mode ranks every interpretation and uses the best one, the report shows all
+        const autoDetect = this.inputFormatElement.value === 'auto';
+        let best = null;
+        if (autoDetect) {
+            await this.loadInputWordlists(rawInput);
+            best = this.detectInputFormat(rawInput);
+        } else {
+            this.renderSelectedFormatDetection(rawInput);
+        }
+        const detected = autoDetect ? (best ? best.format : null) : this.inputFormatElement.value;
+        if (detected === 'multiur') {
+            this.showMultipartDiagnostics(rawInput);
+        } else {
+            this.hideMultipartDiagnostics();
+        }
         if (!detected) {
             this.outputElement.value = '';
             updateStatus(this.statusElement, 'Unable to detect input format. Please pick one.', 'error');
             this.updateUrTypeUI({ visible: false });
+            this.updatePayloadPanels(null);
+            this.clearSecretMask();
+            this.hideBytewordsDiagnostics();
             return;
         }
-        if (this.inputFormatElement.value === 'auto') {
-            updateStatus(this.statusElement, 'Detected format: ' + this.getFormatLabel(detected), 'info');
+        if (autoDetect) {
+            updateStatus(this.statusElement, 'Detected format: ' + best.label, 'info');
         }
 
         const outputFormat = this.outputFormatElement.value;
-        const inputBwStyle = this.inputBytewordsStyle?.value || 'minimal';
+        const inputBwStyle = (autoDetect && best.style) || this.inputBytewordsStyle?.value || 'minimal';
         const outputBwStyle = this.outputBytewordsStyle?.value || 'minimal';
-        const cacheKey = [rawInput, detected, outputFormat, (this.urTypeInput?.value || ''), inputBwStyle, outputBwStyle].join('|');
+        const sequence = this.isSequenceMode();
+        const cacheKey = [rawInput, detected, outputFormat, (this.urTypeInput?.value || ''), inputBwStyle, outputBwStyle, sequence].join('|');
 
         if (this.conversionCache.has(cacheKey)) {
             const cached = this.conversionCache.get(cacheKey);
-            this.outputElement.value = cached.output;
+            this.updateSecretFields(cached.hex, cached.usedUrType);
+            this.outputElement.value = this.maskConverterOutput({
+                output: cached.output, outputFormat, hex: cached.hex, decodedValue: cached.decodedValue, urType: cached.usedUrType
+            });
+            this.renderSecretMaskBar();
             this.simplePipelineViz(detected, outputFormat, cached.pipelineStatus === 'error');
             this.updateUrTypeUI(cached.urTypeUI || { visible: false });
+            this.updatePayloadPanels(cached.hex, cached.usedUrType);
+            this.hideBytewordsDiagnostics();
             
             // Expose to console if decoded-js format and we have cached decoded value
             if (outputFormat === 'decoded-js' && cached.decodedValue && cached.hex) {
                 this.exposeToConsole(cached.decodedValue, detected, cached.usedUrType, cached.hex);
             }
             
-            updateStatus(this.statusElement, 'Conversion successful (cached)', 'success');
+            updateStatus(this.statusElement, this.conversionStatusText('Conversion successful (cached)', cached.warnings), 'success');
             return;
         }
 
@@ -1034,9 +1099,12 @@ class FormatConverter {
                 toFormat: outputFormat,
                 urTypeOverride: this.urTypeInput?.value.trim() || '',
                 inputBytewordsStyle: inputBwStyle,
-                outputBytewordsStyle: outputBwStyle
+                outputBytewordsStyle: outputBwStyle,
+                sequence
             });
 
+            this.updateSecretFields(hex, usedUrType);
+
             // Auto-expose to console if output format is decoded-javascript
             if (outputFormat === 'decoded-js' && decodedValue && hex) {
                 this.exposeToConsole(decodedValue, detected, usedUrType, hex);
@@ -1056,22 +1124,41 @@ class FormatConverter {
                 urTypeUI,
                 decodedValue,
                 hex,
-                usedUrType
+                usedUrType,
+                warnings: this.inputWarnings
             });
 
-            this.outputElement.value = output;
+            this.outputElement.value = this.maskConverterOutput({ output, outputFormat, hex, decodedValue, urType: usedUrType });
+            this.renderSecretMaskBar();
             this.simplePipelineViz(detected, outputFormat, false);
             this.updateUrTypeUI(urTypeUI);
-            updateStatus(this.statusElement, 'Conversion successful', 'success');
+            this.updatePayloadPanels(hex, usedUrType);
+            this.hideBytewordsDiagnostics();
+            updateStatus(this.statusElement, this.conversionStatusText('Conversion successful', this.inputWarnings), 'success');
         } catch (err) {
             this.outputElement.value = '';
             this.simplePipelineViz(detected, outputFormat, true);
             updateStatus(this.statusElement, 'Error: ' + err.message, 'error');
             this.updateUrTypeUI({ visible: false });
+            this.updatePayloadPanels(null);
+            this.clearSecretMask();
+            this.showBytewordsDiagnostics(detected, rawInput);
             console.error(err);
         }
     }
 
+    /**
+     * Status Text for a Successful Conversion, With Any Input Warnings
+     *
+     * @param {string} message - Base status message
+     * @param {string[]} warnings - Warnings from the input parser
+     * @returns {string} HTML-safe status text
+     */
+    conversionStatusText(message, warnings = []) {
+        if (!warnings || warnings.length === 0) return message;
+        return `${message} — ⚠️ ${warnings.map(warning => this.escapeHtml(warning)).join('; ')}`;
+    }
+
     /**
      * Core conversion orchestrator
      *
@@ -1082,9 +1169,12 @@ class FormatConverter {
      * - Renders output in target format
      * - Handles UR type resolution (auto-detect or manual override)
      *
+     * Input parsers that keep going despite a problem (descriptor / extended
+     * key origins) leave their warnings in this.inputWarnings.
+     *
      * @returns {object} { output, usedUrType, autoDetectedUrType, registryResolved, hex, decodedValue }
      */
-    async performConversion({ rawInput, fromFormat, toFormat, urTypeOverride, inputBytewordsStyle = 'minimal', outputBytewordsStyle = 'minimal' }) {
+    async performConversion({ rawInput, fromFormat, toFormat, urTypeOverride, inputBytewordsStyle = 'minimal', outputBytewordsStyle = 'minimal', sequence = false }) {
         const norm = f => (f.startsWith('decoded-') || f === 'diagnostic' || f === 'json') ? 'decoded' : f;
         const fromNorm = norm(fromFormat);
         const toNorm = norm(toFormat);
@@ -1095,13 +1185,14 @@ class FormatConverter {
             throw new Error('Decoded (non-JSON view) cannot be source for re-encoding. Switch input format to Decoded JSON or JSON.');
         }
 
+        this.inputWarnings = [];
         let urInstance = null;
         let hex = null;
-        let jsValue = null;
         let registryResolved = false;
         let usedUrType = null;
         let autoDetectedUrType = false;
         let decodedValue = null;
+        let defaultUrType = null;
 
         // 1. Parse input according to fromNorm
         switch (fromNorm) {
@@ -1121,40 +1212,79 @@ class FormatConverter {
                 break;
             }
             case 'hex': {
-                hex = rawInput.trim();
+                // Whitespace between bytes (hex dumps) is ignored, as format detection does
+                hex = rawInput.replace(/\s+/g, '');
                 if (!/^[0-9a-fA-F]+$/.test(hex) || hex.length % 2 !== 0) {
                     throw new Error('Invalid hex input');
                 }
                 break;
             }
+            case 'base64':
+            case 'base64url':
+            case 'base58':
+            case 'base58check':
+            case 'base32': {
+                ({ hex, defaultUrType } = this.binaryTextToHex(fromNorm, rawInput));
+                break;
+            }
+            case 'descriptor': {
+                const { bytes, urType, warnings } = descriptorsToPayload(rawInput);
+                this.inputWarnings = warnings;
+                hex = bytesToHex(bytes);
+                defaultUrType = urType;
+                break;
+            }
+            case 'xpub': {
+                const { bytes, urType, warnings } = extendedKeyToPayload(rawInput);
+                this.inputWarnings = warnings;
+                hex = bytesToHex(bytes);
+                defaultUrType = urType;
+                break;
+            }
+            case 'address': {
+                const { bytes, urType } = addressToPayload(rawInput);
+                hex = bytesToHex(bytes);
+                defaultUrType = urType;
+                break;
+            }
+            case 'mnemonic': {
+                // crypto-seed by default; a crypto-bip39 / bip39 UR type keeps the words instead
+                await loadWordlists(wordlistsToLoad(splitWords(rawInput)));
+                const { bytes, urType } = mnemonicToPayload(rawInput, urTypeOverride || 'crypto-seed');
+                hex = bytesToHex(bytes);
+                defaultUrType = urType;
+                break;
+            }
             case 'decoded': {
                 if (fromFormat === 'diagnostic') {
-                    hex = this.diagnosticToHex(rawInput);
-                } else if (fromFormat === 'json') {
-                    try { jsValue = JSON.parse(rawInput); } catch (e) { throw new Error('Invalid JSON: ' + e.message); }
+                    hex = this.diagnosticToHex(rawInput, sequence);
                 } else {
-                    try { jsValue = JSON.parse(rawInput); } catch (e) { throw new Error('Invalid JSON: ' + e.message); }
+                    // JSON uses the lossless mapping ($tag, $bytes, $map, ...) so bytes round-trip exactly
+                    hex = jsonTextToCborHex(rawInput, { sequence });
                 }
                 break;
             }
             default:
                 throw new Error('Unsupported source format: ' + fromFormat);
         }
+        // Typed inputs (PSBT, descriptor, extended key, address, mnemonic) name their item for the payload panels
+        usedUrType = defaultUrType;
 
         // 2. Derive hex if needed for target
-        if (!hex && (toNorm === 'hex' || toNorm === 'bytewords' || toNorm === 'decoded' || toNorm === 'ur')) {
+        if (!hex && (toNorm === 'hex' || toNorm === 'bytewords' || toNorm === 'decoded' || toNorm === 'ur' || isBinaryTextFormat(toNorm) || TEXT_STAGE_LABELS[toNorm])) {
             if (urInstance) {
                 hex = urInstance.getPayloadHex();
                 usedUrType = urInstance.type;
-            } else if (jsValue) {
-                // Until bytewords will give us hex string, as it is the previous step in the pipeline
-                hex = UR.pipeline.encode(jsValue, { until: 'bytewords' });
-            } else if (!hex) {
+            } else {
                 throw new Error('Unable to derive CBOR payload');
             }
         }
 
         // 3. Produce target output
+        if (toNorm === 'decoded' && sequence) {
+            const { output, items } = this.renderDecodedSequence(hex, toFormat);
+            return { output, hex, decodedValue: toFormat === 'decoded-js' ? items : null, usedUrType };
+        }
         if (toNorm === 'decoded') {
             // Special handling for decoded-js: try to get registry item from UR instance first
             if (toFormat === 'decoded-js' && urInstance) {
@@ -1181,7 +1311,7 @@ class FormatConverter {
             }
 
             // Fall back to standard CBOR decode from hex
-            const rendered = this.renderDecodedVariant(hex, toFormat);
+            const rendered = this.renderDecodedVariant(hex, toFormat, usedUrType);
 
             // Store decoded value if format is decoded-js
             if (toFormat === 'decoded-js') {
@@ -1195,75 +1325,117 @@ class FormatConverter {
             return { output: rendered, hex, decodedValue, usedUrType };
         }
         if (toNorm === 'hex') {
-            return { output: hex };
+            return { output: hex, hex, usedUrType };
         }
         if (toNorm === 'bytewords') {
             const style = (['minimal','standard','uri'].includes(outputBytewordsStyle)) ? outputBytewordsStyle : 'minimal';
             const encoder = new BytewordEncoding(style);
             const bytewords = encoder.encode(hex);
-            return { output: bytewords };
+            return { output: bytewords, hex, usedUrType };
+        }
+        if (isBinaryTextFormat(toNorm)) {
+            return { output: this.hexToBinaryText(toNorm, hex), hex, usedUrType };
+        }
+        if (toNorm === 'descriptor') {
+            return { output: payloadToDescriptors(hexToBytes(hex)).descriptors.join('\n'), hex, usedUrType };
+        }
+        if (toNorm === 'xpub') {
+            return { output: payloadToExtendedKey(hexToBytes(hex)).extendedKey, hex, usedUrType };
+        }
+        if (toNorm === 'address') {
+            return { output: payloadToAddress(hexToBytes(hex)).address, hex, usedUrType };
         }
         if (toNorm === 'ur') {
             // Reuse existing UR instance if available
             if (urInstance) {
-                return { output: urInstance.toString(), registryResolved: true, usedUrType: urInstance.type };
+                return { output: urInstance.toString(), registryResolved: true, usedUrType: urInstance.type, hex };
+            }
+            // Attempt registry resolution from CBOR (inputs such as descriptors already know their type)
+            let decoded = null;
+            if (!defaultUrType) {
+                try { decoded = UR.pipeline.decode(hex, { from: 'hex' }); } catch { decoded = null; }
             }
-            // Attempt registry resolution from CBOR
-            let decoded;
-            try { decoded = UR.pipeline.decode(hex, { from: 'hex' }); } catch { decoded = null; }
             if (decoded && decoded.toUr) {
                 const urString = decoded.toUr().toString();
                 registryResolved = true;
                 usedUrType = urString.slice(3, urString.indexOf('/', 3));
                 autoDetectedUrType = true;
-                return { output: urString, registryResolved, usedUrType, autoDetectedUrType };
+                return { output: urString, registryResolved, usedUrType, autoDetectedUrType, hex };
             }
             // Need override or fallback
-            usedUrType = (urTypeOverride && urTypeOverride.trim()) || 'unknown-tag';
+            usedUrType = (urTypeOverride && urTypeOverride.trim()) || defaultUrType || 'unknown-tag';
             const encoder = new BytewordEncoding('minimal');
             const bytewords = encoder.encode(hex);
             const manualUr = `ur:${usedUrType}/${bytewords}`;
-            return { output: manualUr, registryResolved: false, usedUrType };
+            return { output: manualUr, registryResolved: false, usedUrType, hex };
         }
         throw new Error('Unsupported target format: ' + toFormat);
     }
 
+    /**
+     * Decode Base64/Base58/Base32 Input to CBOR Hex
+     *
+     * A raw PSBT (BIP-174 magic bytes) is not CBOR; it is wrapped in a CBOR
+     * byte string, which is the crypto-psbt payload.
+     *
+     * @param {string} format - Key of BINARY_TEXT_FORMATS
+     * @param {string} rawInput - Encoded text
+     * @returns {object} { hex, defaultUrType }
+     */
+    binaryTextToHex(format, rawInput) {
+        const bytes = BINARY_TEXT_FORMATS[format].decode(rawInput.trim());
+        const hex = bytesToHex(bytes);
+        if (hex.startsWith(PSBT_MAGIC_HEX)) {
+            return { hex: bytesToHex(concatBytes([encodeCborHead(2, bytes.length), bytes])), defaultUrType: 'crypto-psbt' };
+        }
+        return { hex, defaultUrType: null };
+    }
+
+    /**
+     * Encode CBOR Hex as Base64/Base58/Base32 Output
+     * A byte string holding a PSBT is unwrapped so wallets get the raw PSBT.
+     *
+     * @param {string} format - Key of BINARY_TEXT_FORMATS
+     * @param {string} hex - CBOR payload as hex
+     * @returns {string} Encoded text
+     */
+    hexToBinaryText(format, hex) {
+        let bytes = hexToBytes(hex);
+        try {
+            const root = parseCbor(bytes);
+            if (root.kind === 'bytes' && !root.indefinite && bytesToHex(root.value).startsWith(PSBT_MAGIC_HEX)) {
+                bytes = root.value;
+            }
+        } catch (_) {
+            // Not a single CBOR item (e.g. a sequence); encode the bytes as they are
+        }
+        return BINARY_TEXT_FORMATS[format].encode(bytes);
+    }
+
     assembleMultiUR(input) {
         const lines = input.trim().split('\n').map(l => l.trim()).filter(l => l);
 
         if (lines.length === 1) {
             const line = lines[0];
-            if (/^ur:[\w-]+\/\d+of\d+\//.test(line)) {
+            if (/^ur:[\w-]+\/\d+of\d+\//i.test(line)) {
                 const decoder = new UrFountainDecoder();
-                decoder.receivePartUr(line);
+                decoder.receivePartUr(line.toLowerCase());
                 if (decoder.isComplete()) {
                     return decoder.resultUr.toString();
                 }
                 throw new Error('Incomplete multi-part UR (only one part provided)');
             }
-            return line;
-        }
-
-        const decoder = new UrFountainDecoder();
-
-        for (const part of lines) {
-            if (!part.startsWith('ur:')) {
-                throw new Error('Invalid UR part: ' + part);
-            }
-
-            decoder.receivePartUr(part);
-
-            if (decoder.isComplete()) {
-                return decoder.resultUr.toString();
+            if (!/^ur:[\w-]+\/\d+-\d+\//i.test(line)) {
+                return line;
             }
         }
 
-        if (!decoder.isComplete()) {
-            const progress = decoder.getProgress();
-            throw new Error('Incomplete multi-part UR. Progress: ' + (progress * 100).toFixed(1) + '%');
+        // Per-line analysis flags duplicates, foreign and malformed parts instead of aborting
+        const report = this.getMultipartReport(input);
+        if (report.resultUr) {
+            return report.resultUr;
         }
-
-        return decoder.resultUr.toString();
+        throw new Error(summarizeMultipartReport(report));
     }
 
     /**
@@ -1288,6 +1460,10 @@ class FormatConverter {
         if (value === null) return 'null';
         if (value === undefined) return 'undefined';
 
+        // Masked secret fields print as their placeholder
+        const placeholder = this.secretPlaceholder(value);
+        if (placeholder) return placeholder;
+
         // Handle primitives
         if (typeof value === 'string') return JSON.stringify(value);
         if (typeof value === 'number') return String(value);
@@ -1387,16 +1563,26 @@ class FormatConverter {
      * Decode CBOR to Various Formats
      *
      * Converts CBOR-encoded hex string to one of 4 output formats:
-     * 1. decoded-json: Pretty-printed JSON (default)
+     * 1. decoded-json: Pretty-printed JSON using the lossless mapping in cbor-json.js (default)
      * 2. decoded-diagnostic: CBOR diagnostic notation
      * 3. decoded-commented: Diagnostic with comments
      * 4. decoded-js: JavaScript object representation (custom pretty-print)
+     *
+     * JSON output names coin-identity / coininfo ids in "$comment" keys; urType
+     * names an untagged root item.
      */
-    decodeCBOR(hexInput, format = 'decoded-json') {
+    decodeCBOR(hexInput, format = 'decoded-json', urType = null) {
         try {
           // Check if input is already Uint8Array, else convert from hex string
             const bytes = new Uint8Array(hexInput.match(/.{1,2}/g).map(byte => parseInt(byte, 16)));
 
+            // Point at sequence mode instead of failing on (or ignoring) trailing items
+            let items = null;
+            try { items = parseCborSequence(bytes); } catch (_) { /* malformed: let the decoder report it */ }
+            if (items && items.length > 1) {
+                throw new Error(`${items.length} top-level items found (next item at byte ${items[1].offset}); enable CBOR sequence mode to decode them all`);
+            }
+
             if (format === 'decoded-diagnostic') {
                 return diagnose(bytes);
             } else if (format === 'decoded-commented') {
@@ -1406,24 +1592,87 @@ class FormatConverter {
                 const decoded = UR.pipeline.decode(hexInput, { from: 'hex' });
                 return this.prettyPrintJS(decoded, 0);
             } else {
-                // Default: JSON format (decoded-json)
-                const decoded = UR.pipeline.decode(hexInput, { from: 'hex' });
-
-                // If it's a registry item, extract data property
-                if (decoded && typeof decoded === 'object' && decoded.data) {
-                    return JSON.stringify(decoded.data, null, 2);
-                }
-
-                return JSON.stringify(decoded, null, 2);
+                // Default: JSON format (decoded-json), lossless mapping that can be fed back as input
+                return cborHexToJsonText(hexInput, { annotate: value => annotateCoinMetadata(value, urType) });
             }
         } catch (error) {
             throw new Error('CBOR decode failed: ' + error.message);
         }
     }
 
+    /**
+     * Fetch the BIP-39 Wordlists a Typed Mnemonic Needs Before It Is Ranked
+     * (a failed fetch only leaves that language undetected)
+     */
+    async loadInputWordlists(rawInput) {
+        try {
+            await loadWordlists(wordlistsToLoad(splitWords(rawInput)));
+        } catch (_) {
+            // Detection falls back to the wordlists already loaded
+        }
+    }
+
+    /**
+     * Refresh Panels That Analyse the Current CBOR Payload
+     * (byte explorer, deterministic-encoding check, PSBT and HD key inspectors, address derivation,
+     * keypath editor, seed mnemonic).
+     * Pass null to hide them.
+     */
+    updatePayloadPanels(hex, urType = null) {
+        this.updateCborExplorer(hex);
+        this.updateDeterminismCheck(hex, urType);
+        this.updatePsbtInspector(hex, urType);
+        this.updateHDKeyInspector(hex, urType);
+        this.updateAddressDerivation(hex, urType);
+        this.updateKeypathEditor(hex, urType);
+        this.updateSeedMnemonic(hex, urType);
+        this.updateSignVerification(hex, urType);
+    }
+
     /** Render decoded variant */
-    renderDecodedVariant(hex, variant) {
-        return this.decodeCBOR(hex, variant);
+    renderDecodedVariant(hex, variant, urType = null) {
+        return this.decodeCBOR(hex, variant, urType);
+    }
+
+    /**
+     * Decode a CBOR Sequence (RFC 8742)
+     *
+     * Every decoded view shows each item separately:
+     * - decoded-json: top-level JSON array (one element per item, accepted back as JSON input)
+     * - decoded-diagnostic: comma-separated items (accepted back as diagnostic input)
+     * - decoded-commented / decoded-js: one labelled block per item
+     *
+     * @returns {object} { output, items } where items are the decoded JS values
+     */
+    renderDecodedSequence(hex, variant) {
+        const parts = splitCborSequence(hexToBytes(hex));
+        if (parts.length === 0) {
+            throw new Error('CBOR decode failed: empty sequence');
+        }
+
+        const items = [];
+        const rendered = parts.map((part, i) => {
+            const itemHex = this.bytesToHex(part.bytes);
+            if (variant === 'decoded-js') {
+                try { items.push(UR.pipeline.decode(itemHex, { from: 'hex' })); } catch (_) { items.push(undefined); }
+            }
+            if (variant === 'decoded-json' || variant === 'decoded-diagnostic') {
+                return variant === 'decoded-diagnostic' ? this.decodeCBOR(itemHex, variant) : null;
+            }
+            const label = `Item ${i + 1}/${parts.length} · offset ${part.offset} · ${part.bytes.length} byte${part.bytes.length === 1 ? '' : 's'}`;
+            const prefix = variant === 'decoded-js' ? '//' : '#';
+            return `${prefix} ${label}\n${this.decodeCBOR(itemHex, variant)}`;
+        });
+
+        if (variant === 'decoded-json') {
+            return { output: cborHexToJsonText(hex, { sequence: true, annotate: annotateCoinMetadata }), items };
+        }
+        return { output: rendered.join(variant === 'decoded-diagnostic' ? ',\n' : '\n\n'), items };
+    }
+
+    /** Whether CBOR sequence (RFC 8742) mode is enabled */
+    isSequenceMode() {
+        return !!this.sequenceModeElement?.checked;
     }
 
     /** Update UR Type input UI block */
@@ -1492,9 +1741,15 @@ class FormatConverter {
     /** Simplified pipeline visualization with directional arrows */
     simplePipelineViz(fromFormat, toFormat, isError) {
         const norm = f => (f.startsWith('decoded-') || f === 'diagnostic' || f === 'json') ? 'decoded' : f;
-        const fromNorm = norm(fromFormat);
-        const toNorm = norm(toFormat);
+        // Base64/58/32 share one stage, and so do the registry-item text forms; each is labelled with the format in use
+        const stage = f => isBinaryTextFormat(f) ? 'binary' : (TEXT_STAGE_LABELS[f] ? 'text' : f);
+        const fromNorm = stage(norm(fromFormat));
+        const toNorm = stage(norm(toFormat));
         this.resetPipeline();
+        const binaryFormat = [fromFormat, toFormat].find(isBinaryTextFormat);
+        if (binaryFormat) this.setStageLabel('binary', BINARY_TEXT_FORMATS[binaryFormat].label);
+        const textFormat = [fromFormat, toFormat].find(f => TEXT_STAGE_LABELS[f]);
+        if (textFormat) this.setStageLabel('text', TEXT_STAGE_LABELS[textFormat]);
         const stages = PIPELINE_STAGES;
         const fromIdx = stages.indexOf(fromNorm);
         const toIdx = stages.indexOf(toNorm);
@@ -1502,6 +1757,9 @@ class FormatConverter {
         const [start, end] = fromIdx <= toIdx ? [fromIdx, toIdx] : [toIdx, fromIdx];
         for (let i = start; i <= end; i++) {
             const step = stages[i];
+            // Bytewords ↔ hex does not pass through a base-N encoding
+            if (step === 'binary' && !binaryFormat) continue;
+            if (step === 'text' && !textFormat) continue;
             this.updatePipelineStep(step, isError ? 'error' : 'success');
         }
         this.markPipelinePoint(fromNorm, 'start');
@@ -1541,6 +1799,13 @@ class FormatConverter {
         steps.forEach(step => {
             step.className = 'pipeline-step inactive';
         });
+        this.setStageLabel('binary', BINARY_STAGE_LABEL);
+        this.setStageLabel('text', 'Text');
+    }
+
+    setStageLabel(step, label) {
+        const element = this.pipelineElement.querySelector(`[data-step="${step}"]`);
+        if (element) element.textContent = label;
     }
 
     /** Clear output and reset state */
@@ -1554,6 +1819,15 @@ class FormatConverter {
             ur: 'Single UR',
             bytewords: 'Bytewords',
             hex: 'Hex (CBOR)',
+            base64: 'Base64',
+            base64url: 'Base64url',
+            base58: 'Base58',
+            base58check: 'Base58Check',
+            base32: 'Base32',
+            descriptor: 'Output Descriptor',
+            xpub: 'Extended Key',
+            address: 'Address',
+            mnemonic: 'BIP-39 Mnemonic',
             diagnostic: 'Diagnostic Notation',
             json: 'JSON',
             decoded: 'Decoded CBOR',
@@ -1589,8 +1863,21 @@ class FormatConverter {
     }
 }
 
-// Mix in Registry Item UI methods
+// Mix in Registry Item UI and CBOR analysis panel methods
 Object.assign(FormatConverter.prototype, RegistryItemUIMixin);
+Object.assign(FormatConverter.prototype, CborExplorerMixin);
+Object.assign(FormatConverter.prototype, BytewordsDiagnosticsMixin);
+Object.assign(FormatConverter.prototype, DeterminismCheckMixin);
+Object.assign(FormatConverter.prototype, FormatDetectionMixin);
+Object.assign(FormatConverter.prototype, MultipartDiagnosticsMixin);
+Object.assign(FormatConverter.prototype, BatchConversionMixin);
+Object.assign(FormatConverter.prototype, PsbtInspectorMixin);
+Object.assign(FormatConverter.prototype, HDKeyInspectorMixin);
+Object.assign(FormatConverter.prototype, AddressDerivationMixin);
+Object.assign(FormatConverter.prototype, KeypathEditorMixin);
+Object.assign(FormatConverter.prototype, SeedMnemonicMixin);
+Object.assign(FormatConverter.prototype, SignVerificationMixin);
+Object.assign(FormatConverter.prototype, SecretMaskMixin);
 
 // Initialize converter when DOM is ready
 if (document.readyState === 'loading') {
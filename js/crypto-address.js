@@ -0,0 +1,193 @@
+/**
+ * BC-UR Playground - crypto-address
+ *
+ * Renders crypto-address (BCR-2020-009) items as address strings and parses
+ * address strings back: Base58Check P2PKH/P2SH and bech32 P2WPKH for
+ * Bitcoin-like coins, EIP-55 checksummed hex for EVM coins. The coin and
+ * network come from the nested crypto-coininfo (SLIP-44 coin type,
+ * network 0 = mainnet, 1 = testnet).
+ */
+
+import { bech32, bech32m } from 'https://esm.sh/@scure/base@1.1.6';
+import { keccak_256 } from 'https://esm.sh/@noble/hashes@1.4.0/sha3';
+import { bytesToHex, hexToBytes } from './shared.js';
+import { cborToJson, jsonToCbor } from './cbor-json.js';
+import { base58ToBytes, bytesToBase58 } from './binary-encodings.js';
+import { COININFO_TAGS, untag, readIntMap, intMap, readBytes } from './hdkey.js';
+
+export const ADDRESS_TAGS = [307, 40307];
+
+/** crypto-address type field */
+export const CRYPTO_ADDRESS_TYPES = ['p2pkh', 'p2sh', 'p2wpkh'];
+
+/**
+ * Address Formats by SLIP-44 Coin Type
+ * Bitcoin-like coins list [mainnet, testnet] version bytes and bech32 HRP.
+ */
+export const ADDRESS_COINS = {
+    0: { name: 'Bitcoin', symbol: 'BTC', networks: [{ p2pkh: 0x00, p2sh: 0x05, hrp: 'bc' }, { p2pkh: 0x6f, p2sh: 0xc4, hrp: 'tb' }] },
+    2: { name: 'Litecoin', symbol: 'LTC', networks: [{ p2pkh: 0x30, p2sh: 0x32, hrp: 'ltc' }, { p2pkh: 0x6f, p2sh: 0x3a, hrp: 'tltc' }] },
+    3: { name: 'Dogecoin', symbol: 'DOGE', networks: [{ p2pkh: 0x1e, p2sh: 0x16, hrp: null }, { p2pkh: 0x71, p2sh: 0xc4, hrp: null }] },
+    5: { name: 'Dash', symbol: 'DASH', networks: [{ p2pkh: 0x4c, p2sh: 0x10, hrp: null }, { p2pkh: 0x8c, p2sh: 0x13, hrp: null }] },
+    60: { name: 'Ethereum', symbol: 'ETH', evm: true },
+    61: { name: 'Ethereum Classic', symbol: 'ETC', evm: true }
+};
+
+/**
+ * Decode a crypto-address Into Its Address String
+ *
+ * @param {*} value - Tagged or untagged crypto-address (JSON mapping)
+ * @returns {object} { coinType, network, type, data, address, coin }
+ */
+export function decodeCryptoAddress(value) {
+    const map = readIntMap(untag(value, ADDRESS_TAGS) ?? value, 'crypto-address');
+    const coinInfo = map.has(1) ? readIntMap(untag(map.get(1), COININFO_TAGS) ?? map.get(1), 'crypto-coininfo') : new Map();
+    const coinType = coinInfo.get(1) ?? 0;
+    const network = coinInfo.get(2) ?? 0;
+    const type = map.has(2) ? CRYPTO_ADDRESS_TYPES[map.get(2)] : null;
+    if (map.has(2) && !type) {
+        throw new Error(`Unknown crypto-address type ${map.get(2)} (0 = P2PKH, 1 = P2SH, 2 = P2WPKH)`);
+    }
+    const data = readBytes(map.get(3), 'crypto-address data');
+    const coin = ADDRESS_COINS[coinType];
+    const result = { coinType, network, type, data, address: null, coin: coin || null };
+
+    if (!coin) {
+        throw new Error(`No address format for coin type ${coinType}`);
+    }
+    if (coin.evm) {
+        if (data.length !== 20) throw new Error(`${coin.name} address data is ${data.length} bytes, expected 20`);
+        result.address = encodeEvmAddress(data);
+        return result;
+    }
+
+    const params = coin.networks[network];
+    if (!params) throw new Error(`Unknown network ${network} for ${coin.name}`);
+    if (!type) throw new Error(`${coin.name} crypto-address needs a type (0 = P2PKH, 1 = P2SH, 2 = P2WPKH)`);
+    if (data.length !== 20) throw new Error(`${type} address data is ${data.length} bytes, expected 20`);
+    if (type === 'p2wpkh') {
+        if (!params.hrp) throw new Error(`${coin.name} has no segwit addresses`);
+        result.address = bech32.encode(params.hrp, [0, ...bech32.toWords(data)]);
+    } else {
+        result.address = bytesToBase58(Uint8Array.of(params[type], ...data), true);
+    }
+    return result;
+}
+
+/**
+ * Parse an Address String Into a crypto-address
+ *
+ * Accepts Base58Check and bech32 v0 (20-byte program) addresses of the coins
+ * in ADDRESS_COINS, and 0x-prefixed EVM addresses (mixed case must carry a
+ * valid EIP-55 checksum). A "bitcoin:" style URI scheme and query are ignored.
+ * EVM addresses default to Ethereum (coin type 60).
+ *
+ * @param {string} text - Address
+ * @returns {object} { value (untagged JSON map), coinType, network, type, address }
+ */
+export function encodeCryptoAddress(text) {
+    const address = text.trim().replace(/^[a-z]+:/i, '').replace(/\?.*$/, '');
+
+    if (/^0x[0-9a-fA-F]{40}$/.test(address)) {
+        const data = hexToBytes(address.slice(2).toLowerCase());
+        const mixedCase = /[a-f]/.test(address.slice(2)) && /[A-F]/.test(address.slice(2));
+        if (mixedCase && encodeEvmAddress(data) !== address) {
+            throw new Error(`EIP-55 checksum mismatch (expected ${encodeEvmAddress(data)})`);
+        }
+        return { value: addressMap(60, 0, null, data), coinType: 60, network: 0, type: null, address: encodeEvmAddress(data) };
+    }
+
+    const separator = address.lastIndexOf('1');
+    const hrp = separator > 0 ? address.slice(0, separator).toLowerCase() : '';
+    if (hrp === 'bcrt') {
+        throw new Error('crypto-coininfo has no regtest network (0 = mainnet, 1 = testnet)');
+    }
+    const segwit = findCoinNetwork(params => params.hrp === hrp);
+    if (segwit) {
+        // Witness v0 uses bech32, v1+ bech32m (BIP-350); the other checksum is invalid
+        const lower = address.toLowerCase();
+        const asBech32 = bech32.decodeUnsafe(lower);
+        const decoded = asBech32 || bech32m.decodeUnsafe(lower);
+        if (!decoded || decoded.words.length === 0) {
+            throw new Error(`Invalid bech32 address ${address}`);
+        }
+        const { words } = decoded;
+        if (words[0] === 0 && !asBech32) {
+            throw new Error('Witness v0 address uses the bech32m checksum; v0 requires bech32 (BIP-350)');
+        }
+        if (words[0] !== 0 && asBech32) {
+            throw new Error(`Witness v${words[0]} address uses the bech32 checksum; v1+ requires bech32m (BIP-350)`);
+        }
+        if (words[0] !== 0) {
+            throw new Error(`Witness v${words[0]} address has no crypto-address type (P2PKH, P2SH and P2WPKH only)`);
+        }
+        const program = bech32.fromWords(words.slice(1));
+        if (program.length !== 20) {
+            throw new Error('P2WSH address has no crypto-address type (P2PKH, P2SH and P2WPKH only)');
+        }
+        return { value: addressMap(segwit.coinType, segwit.network, 'p2wpkh', program), ...segwit, type: 'p2wpkh', address };
+    }
+
+    const bytes = base58ToBytes(address, true);
+    if (bytes.length !== 21) {
+        throw new Error(`Base58 address payload is ${bytes.length} bytes, expected 21`);
+    }
+    for (const type of ['p2pkh', 'p2sh']) {
+        const match = findCoinNetwork(params => params[type] === bytes[0]);
+        if (match) {
+            return { value: addressMap(match.coinType, match.network, type, bytes.slice(1)), ...match, type, address };
+        }
+    }
+    throw new Error(`Unknown address version byte 0x${bytes[0].toString(16).padStart(2, '0')}`);
+}
+
+/**
+ * Render a crypto-address Payload
+ *
+ * @param {Uint8Array} bytes - CBOR payload (top-level tag optional)
+ * @returns {object} See decodeCryptoAddress
+ */
+export function payloadToAddress(bytes) {
+    return decodeCryptoAddress(cborToJson(bytes));
+}
+
+/**
+ * Encode an Address String as a crypto-address Payload
+ *
+ * @param {string} text - Address
+ * @returns {object} { bytes, urType, coinType, network, type }
+ */
+export function addressToPayload(text) {
+    const { value, coinType, network, type } = encodeCryptoAddress(text);
+    return { bytes: jsonToCbor(value), urType: 'crypto-address', coinType, network, type };
+}
+
+/**
+ * EIP-55 Checksummed EVM Address
+ *
+ * @param {Uint8Array} data - 20-byte address
+ * @returns {string} 0x-prefixed mixed-case address
+ */
+export function encodeEvmAddress(data) {
+    const hex = bytesToHex(data);
+    const hash = bytesToHex(keccak_256(new TextEncoder().encode(hex)));
+    return '0x' + [...hex].map((ch, i) => (parseInt(hash[i], 16) >= 8 ? ch.toUpperCase() : ch)).join('');
+}
+
+// First coin/network whose parameters match (Bitcoin wins shared version bytes)
+function findCoinNetwork(check) {
+    for (const [coinType, coin] of Object.entries(ADDRESS_COINS)) {
+        const network = (coin.networks || []).findIndex(check);
+        if (network !== -1) return { coinType: Number(coinType), network };
+    }
+    return null;
+}
+
+// Untagged crypto-address map; coin-info is omitted for Bitcoin mainnet (its default)
+function addressMap(coinType, network, type, data) {
+    const coinInfo = coinType || network
+        ? { $tag: COININFO_TAGS[0], $value: intMap([[1, coinType || undefined], [2, network || undefined]]) }
+        : undefined;
+    const typeIndex = type ? CRYPTO_ADDRESS_TYPES.indexOf(type) : undefined;
+    return intMap([[1, coinInfo], [2, typeIndex], [3, { $bytes: bytesToHex(data) }]]);
+}
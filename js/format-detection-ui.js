@@ -0,0 +1,143 @@
+/**
+ * Format Detection Report UI Methods
+ *
+ * These methods are mixed into the FormatConverter class to show how every
+ * candidate input format scored for the current input. Candidates that decode
+ * cleanly can be picked with one click, which pins the input format selector
+ * (and bytewords style) to that interpretation.
+ *
+ * Scoring runs every decoder, so it only happens in auto mode; with a pinned
+ * format the last report for the same input is shown again without rescoring.
+ */
+
+import { rankInputFormats, FORMAT_CANDIDATES } from './format-detection.js';
+
+export const FormatDetectionMixin = {
+    /**
+     * Initialize Format Detection Elements
+     * Call this in the constructor after other DOM elements are initialized
+     */
+    initializeFormatDetection() {
+        this.formatDetection = document.getElementById('format-detection');
+        this.formatDetectionList = document.getElementById('format-detection-list');
+        this.formatRankingCache = { key: null, ranking: null };
+
+        if (this.formatDetectionList) {
+            this.formatDetectionList.addEventListener('click', (e) => {
+                const chip = e.target.closest('[data-candidate]');
+                if (chip && !chip.disabled) this.selectFormatCandidate(chip.dataset.candidate);
+            });
+        }
+    },
+
+    /**
+     * Score All Candidate Formats for the Current Input
+     *
+     * @param {string} rawInput - Raw input text
+     * @returns {Array<object>} Ranked candidates (see rankInputFormats)
+     */
+    rankInputFormats(rawInput) {
+        return rankInputFormats(rawInput, {
+            sequence: this.isSequenceMode(),
+            diagnosticToHex: (text, sequence) => this.diagnosticToHex(text, sequence),
+            multipartReport: (text) => this.getMultipartReport(text)
+        });
+    },
+
+    /**
+     * Score and Render the Report for the Converter Input (auto mode)
+     *
+     * @param {string} rawInput - Raw input text
+     * @returns {object|null} Best candidate whose syntax matched
+     */
+    detectInputFormat(rawInput) {
+        const ranking = this.rankInputFormats(rawInput);
+        const best = ranking[0].score > 0 ? ranking[0] : null;
+        this.formatRankingCache = { key: this.formatRankingKey(rawInput), ranking };
+        this.renderFormatDetection(ranking, best?.id);
+        return best;
+    },
+
+    /**
+     * Re-render the Last Report with the Manually Selected Format Active
+     * Hidden when the input changed since the last auto-mode run.
+     *
+     * @param {string} rawInput - Raw input text
+     */
+    renderSelectedFormatDetection(rawInput) {
+        if (this.formatRankingCache.key !== this.formatRankingKey(rawInput)) {
+            this.hideFormatDetection();
+            return;
+        }
+        this.renderFormatDetection(this.formatRankingCache.ranking, this.getSelectedCandidateId());
+    },
+
+    formatRankingKey(rawInput) {
+        return `${this.isSequenceMode()}|${rawInput.trim()}`;
+    },
+
+    /**
+     * Candidate Id Matching the Manually Selected Input Format
+     */
+    getSelectedCandidateId() {
+        const format = this.inputFormatElement.value;
+        if (format === 'bytewords') {
+            return `bytewords-${this.inputBytewordsStyle?.value || 'minimal'}`;
+        }
+        return format;
+    },
+
+    /**
+     * Render Ranked Candidates (only those whose syntax matched)
+     *
+     * @param {Array<object>} ranking - Output of rankInputFormats
+     * @param {string|null} activeId - Candidate currently used for conversion
+     */
+    renderFormatDetection(ranking, activeId) {
+        if (!this.formatDetection) return;
+
+        const matched = ranking.filter(c => c.score > 0);
+        const clean = matched.filter(c => c.decodes);
+        this.formatDetection.style.display = 'block';
+
+        if (matched.length === 0) {
+            this.formatDetectionList.innerHTML = '<span class="detect-empty">No format matched this input</span>';
+            return;
+        }
+
+        const chips = matched.map(c => {
+            const classes = ['detect-chip', c.decodes ? 'clean' : 'partial'];
+            if (c.id === activeId) classes.push('active');
+            const title = `${c.label}: ${c.reason}` + (c.decodes ? ' — click to use' : '');
+            return `<button class="${classes.join(' ')}" data-candidate="${c.id}" title="${this.escapeHtml(title)}"${c.decodes ? '' : ' disabled'}>` +
+                `${this.escapeHtml(c.label)} <span class="detect-score">${c.score}</span></button>`;
+        });
+
+        const hint = clean.length > 1 ? `<span class="detect-hint">${clean.length} interpretations decode cleanly</span>` : '';
+        this.formatDetectionList.innerHTML = chips.join('') + hint;
+    },
+
+    /**
+     * Hide Report (empty input)
+     */
+    hideFormatDetection() {
+        if (this.formatDetection) this.formatDetection.style.display = 'none';
+    },
+
+    /**
+     * Convert Using a Specific Candidate Interpretation
+     *
+     * @param {string} id - Candidate id (e.g. 'bytewords-standard')
+     */
+    selectFormatCandidate(id) {
+        const candidate = FORMAT_CANDIDATES.find(c => c.id === id);
+        if (!candidate) return;
+
+        this.inputFormatElement.value = candidate.format;
+        if (candidate.style && this.inputBytewordsStyle) {
+            this.inputBytewordsStyle.value = candidate.style;
+        }
+        this.toggleBytewordsStyleSelector('input');
+        this.handleConversion();
+    }
+};
@@ -0,0 +1,291 @@
+/**
+ * BC-UR Playground - Input Format Scoring
+ *
+ * Instead of returning the first pattern that matches, every candidate input
+ * format is tried and scored. A candidate scores higher the more of it checks
+ * out: syntax first, then integrity checks (bytewords CRC32, fountain
+ * assembly), then whether the payload parses as CBOR. The converter uses the
+ * top score for auto-detection and shows the full ranking so ambiguous inputs
+ * (e.g. text that is both valid hex and valid base64) are visible.
+ *
+ * Score bands: 0 = syntax mismatch, 1-49 = syntax only,
+ * 50-100 = integrity/CBOR checks passed (higher = less likely by chance).
+ */
+
+import { UR, BytewordEncoding } from 'https://esm.sh/@ngraveio/bc-ur@2.0.0-beta.9?dev';
+import { hexToBytes } from './shared.js';
+import { parseCbor, parseCborSequence } from './cbor-structure.js';
+import { jsonTextToCborHex } from './cbor-json.js';
+import { BINARY_TEXT_FORMATS } from './binary-encodings.js';
+import { descriptorsToPayload } from './output-descriptor.js';
+import { extendedKeyToPayload } from './hdkey.js';
+import { addressToPayload, payloadToAddress } from './crypto-address.js';
+import { BIP39_LANGUAGES, splitWords, detectMnemonicLanguage, checkMnemonic } from './bip39.js';
+import { analyzeMultipartInput } from './multipart-diagnostics.js';
+
+/** Candidates in tie-break order */
+export const FORMAT_CANDIDATES = [
+    { id: 'multiur', format: 'multiur', label: 'Multi-part UR' },
+    { id: 'ur', format: 'ur', label: 'Single UR' },
+    { id: 'hex', format: 'hex', label: 'Hex (CBOR)' },
+    { id: 'bytewords-minimal', format: 'bytewords', style: 'minimal', label: 'Bytewords (minimal)' },
+    { id: 'bytewords-standard', format: 'bytewords', style: 'standard', label: 'Bytewords (standard)' },
+    { id: 'bytewords-uri', format: 'bytewords', style: 'uri', label: 'Bytewords (URI)' },
+    { id: 'diagnostic', format: 'diagnostic', label: 'Diagnostic Notation' },
+    { id: 'json', format: 'json', label: 'JSON' },
+    { id: 'descriptor', format: 'descriptor', label: 'Output Descriptor' },
+    { id: 'xpub', format: 'xpub', label: 'Extended Key' },
+    { id: 'address', format: 'address', label: 'Address' },
+    { id: 'mnemonic', format: 'mnemonic', label: 'BIP-39 Mnemonic' },
+    { id: 'base64', format: 'base64', label: 'Base64' },
+    { id: 'base64url', format: 'base64url', label: 'Base64url' },
+    { id: 'base58check', format: 'base58check', label: 'Base58Check' },
+    { id: 'base58', format: 'base58', label: 'Base58' },
+    { id: 'base32', format: 'base32', label: 'Base32' }
+];
+
+// [score when payload is CBOR, score when it is not]; a checksum makes chance matches unlikely
+const BINARY_TEXT_SCORES = {
+    base64: [65, 25],
+    base64url: [65, 25],
+    base58check: [90, 70],
+    base58: [55, 20],
+    base32: [60, 20]
+};
+
+const PSBT_MAGIC = [0x70, 0x73, 0x62, 0x74, 0xff];
+
+const FRAGMENT_PATTERN = /^ur:[a-z0-9-]+\/\d+(-|of)\d+\/[a-z]+$/i;
+
+/**
+ * Score Every Candidate Format
+ *
+ * @param {string} input - Raw input text
+ * @param {object} options
+ * @param {boolean} options.sequence - Accept CBOR sequences as valid payloads
+ * @param {Function} options.diagnosticToHex - (text, sequence) => hex, throws on invalid EDN
+ * @param {Function} [options.multipartReport] - (text) => assembly report, lets callers reuse a cached analyzeMultipartInput run
+ * @returns {Array<object>} Candidates sorted by score:
+ *   [{ id, format, style, label, score, decodes, reason }]
+ */
+export function rankInputFormats(input, { sequence = false, diagnosticToHex, multipartReport = analyzeMultipartInput } = {}) {
+    const trimmed = (input || '').trim();
+    const isCbor = (bytes) => {
+        try {
+            if (sequence) return parseCborSequence(bytes).length > 0;
+            parseCbor(bytes);
+            return true;
+        } catch (_) {
+            return false;
+        }
+    };
+
+    const evaluators = {
+        multiur: () => scoreMultiUR(trimmed, multipartReport),
+        ur: () => scoreUR(trimmed, isCbor),
+        hex: () => scoreHex(trimmed, isCbor),
+        bytewords: (style) => scoreBytewords(trimmed, style, isCbor),
+        diagnostic: () => scoreDiagnostic(trimmed, sequence, diagnosticToHex),
+        json: () => scoreJSON(trimmed, sequence),
+        descriptor: () => scoreDescriptor(trimmed),
+        xpub: () => scoreExtendedKey(trimmed),
+        address: () => scoreAddress(trimmed),
+        mnemonic: () => scoreMnemonic(trimmed),
+        binary: (format) => scoreBinaryText(trimmed, format, isCbor)
+    };
+
+    const ranked = FORMAT_CANDIDATES.map((candidate, order) => {
+        let result;
+        try {
+            const evaluate = BINARY_TEXT_SCORES[candidate.format]
+                ? () => evaluators.binary(candidate.format)
+                : () => evaluators[candidate.format](candidate.style);
+            result = trimmed ? evaluate() : null;
+        } catch (error) {
+            result = { score: 0, decodes: false, reason: error.message };
+        }
+        return { ...candidate, order, ...(result || { score: 0, decodes: false, reason: 'empty input' }) };
+    });
+
+    return ranked.sort((a, b) => b.score - a.score || a.order - b.order);
+}
+
+function scoreMultiUR(text, multipartReport) {
+    const lines = text.split('\n').map(l => l.trim()).filter(Boolean);
+    // Damaged lines are tolerated (the assembly report explains them) as long as most lines are parts
+    const fragments = lines.filter(line => FRAGMENT_PATTERN.test(line));
+    if (fragments.length === 0 || fragments.length * 2 < lines.length) {
+        return { score: 0, decodes: false, reason: 'lines are not ur:type/N-M/… parts' };
+    }
+
+    // The assembly report already ran the fountain decoder over these lines
+    const report = multipartReport(text);
+    if (report.successful) {
+        return { score: 100, decodes: true, reason: `${lines.length} part(s), message assembled` };
+    }
+    const accepted = report.lines.filter(entry => entry.status === 'accepted' || entry.status === 'redundant').length;
+    const recovered = report.decodedBlocks.filter(Boolean).length;
+    const progress = report.expected ? Math.round(recovered / report.expected.seqLen * 100) : 0;
+    return { score: 60, decodes: false, reason: `${accepted}/${lines.length} part(s) accepted, ${progress}% assembled` };
+}
+
+function scoreUR(text, isCbor) {
+    if (!/^ur:/i.test(text) || text.includes('\n')) {
+        return { score: 0, decodes: false, reason: 'no ur: prefix' };
+    }
+    if (FRAGMENT_PATTERN.test(text)) {
+        return { score: 20, decodes: false, reason: 'single fragment of a multi-part UR' };
+    }
+
+    let payloadHex;
+    try {
+        payloadHex = UR.fromString(text.toLowerCase()).getPayloadHex();
+    } catch (error) {
+        return { score: 50, decodes: false, reason: 'ur: prefix, but payload invalid: ' + error.message };
+    }
+    return isCbor(hexToBytes(payloadHex))
+        ? { score: 100, decodes: true, reason: 'checksum valid, CBOR payload' }
+        : { score: 80, decodes: false, reason: 'checksum valid, payload is not CBOR' };
+}
+
+function scoreHex(text, isCbor) {
+    const clean = text.replace(/\s+/g, '');
+    if (!/^[0-9a-fA-F]+$/.test(clean) || clean.length % 2 !== 0) {
+        return { score: 0, decodes: false, reason: 'not an even-length hex string' };
+    }
+    return isCbor(hexToBytes(clean))
+        ? { score: 85, decodes: true, reason: 'valid CBOR' }
+        : { score: 40, decodes: false, reason: 'hex, but not valid CBOR' };
+}
+
+function scoreBytewords(text, style, isCbor) {
+    const syntax = {
+        minimal: /^[a-zA-Z]+$/,
+        standard: /^[a-zA-Z]{4}(\s+[a-zA-Z]{4})*$/,
+        uri: /^[a-zA-Z]{4}(-[a-zA-Z]{4})*$/
+    }[style];
+    if (!syntax.test(text) || (style === 'minimal' && text.length % 2 !== 0) || (style === 'standard' && !/\s/.test(text))) {
+        return { score: 0, decodes: false, reason: `not ${style} bytewords syntax` };
+    }
+
+    let hex;
+    try {
+        hex = new BytewordEncoding(style).decode(text.toLowerCase());
+    } catch (error) {
+        return { score: 30, decodes: false, reason: error.message };
+    }
+    return isCbor(hexToBytes(hex))
+        ? { score: 95, decodes: true, reason: 'CRC32 valid, CBOR payload' }
+        : { score: 75, decodes: false, reason: 'CRC32 valid, payload is not CBOR' };
+}
+
+function scoreDiagnostic(text, sequence, diagnosticToHex) {
+    if (!diagnosticToHex || /^ur:/i.test(text)) {
+        return { score: 0, decodes: false, reason: 'not diagnostic notation' };
+    }
+    try {
+        diagnosticToHex(text, sequence);
+    } catch (error) {
+        return { score: 0, decodes: false, reason: error.message };
+    }
+    return { score: 70, decodes: true, reason: 'parses as EDN' };
+}
+
+function scoreJSON(text, sequence) {
+    let value;
+    try {
+        value = JSON.parse(text);
+    } catch (_) {
+        return { score: 0, decodes: false, reason: 'not JSON' };
+    }
+    try {
+        jsonTextToCborHex(text, { sequence });
+    } catch (error) {
+        return { score: 20, decodes: false, reason: error.message };
+    }
+    // Bare scalars are more likely another format that happens to be valid JSON
+    return (value !== null && typeof value === 'object')
+        ? { score: 75, decodes: true, reason: 'JSON object/array' }
+        : { score: 35, decodes: true, reason: 'JSON scalar' };
+}
+
+function scoreDescriptor(text) {
+    if (!/^[a-z]+\(/.test(text)) {
+        return { score: 0, decodes: false, reason: 'not a script expression' };
+    }
+    let result;
+    try {
+        result = descriptorsToPayload(text);
+    } catch (error) {
+        return { score: 30, decodes: false, reason: error.message };
+    }
+    return result.checksums > 0
+        ? { score: 98, decodes: true, reason: `${result.urType}, checksum valid` }
+        : { score: 90, decodes: true, reason: `${result.urType}, no checksum` };
+}
+
+function scoreExtendedKey(text) {
+    if (!/^(\[[0-9a-fA-F]{8}[^\]]*\])?[xyzXYZtuvTUV](pub|prv)/.test(text)) {
+        return { score: 0, decodes: false, reason: 'no extended key prefix' };
+    }
+    let result;
+    try {
+        result = extendedKeyToPayload(text);
+    } catch (error) {
+        return { score: 30, decodes: false, reason: error.message };
+    }
+    const { prefix, warnings } = result;
+    // Above Base58Check, which decodes the same string as raw bytes
+    return { score: 97, decodes: true, reason: `${prefix}${warnings.length ? `, ${warnings.length} field(s) not kept` : ''}` };
+}
+
+function scoreAddress(text) {
+    if (!/^([a-z]+:)?[0-9a-zA-Z]{25,90}(\?.*)?$/i.test(text)) {
+        return { score: 0, decodes: false, reason: 'not an address' };
+    }
+    let result;
+    try {
+        result = addressToPayload(text);
+    } catch (error) {
+        return { score: 30, decodes: false, reason: error.message };
+    }
+    const { coin, network, type } = payloadToAddress(result.bytes);
+    // Above Base58Check, which decodes legacy addresses as raw bytes
+    return { score: 96, decodes: true, reason: `${coin.symbol}${network ? ' testnet' : ''} ${type ? type.toUpperCase() : 'EVM'} address` };
+}
+
+function scoreMnemonic(text) {
+    const words = splitWords(text);
+    if (words.length < 12 || words.length > 24) {
+        return { score: 0, decodes: false, reason: 'not 12-24 words' };
+    }
+    const language = detectMnemonicLanguage(words);
+    if (!language) {
+        return { score: 0, decodes: false, reason: 'words not in a BIP-39 wordlist' };
+    }
+    const check = checkMnemonic(words, language);
+    return check.valid
+        ? { score: 95, decodes: true, reason: `${words.length} ${BIP39_LANGUAGES[language].label} words, checksum valid` }
+        : { score: 40, decodes: false, reason: check.error };
+}
+
+function scoreBinaryText(text, format, isCbor) {
+    if (format === 'base64url' && !/[-_]/.test(text)) {
+        return { score: 0, decodes: false, reason: 'no - or _ characters (same as Base64)' };
+    }
+
+    let bytes;
+    try {
+        bytes = BINARY_TEXT_FORMATS[format].decode(text);
+    } catch (error) {
+        return { score: 0, decodes: false, reason: error.message };
+    }
+
+    const [cborScore, rawScore] = BINARY_TEXT_SCORES[format];
+    if (PSBT_MAGIC.every((b, i) => bytes[i] === b)) {
+        return { score: Math.max(cborScore, 90), decodes: true, reason: 'raw PSBT (wrapped as crypto-psbt)' };
+    }
+    return isCbor(bytes)
+        ? { score: cborScore, decodes: true, reason: 'valid CBOR' }
+        : { score: rawScore, decodes: false, reason: `${BINARY_TEXT_FORMATS[format].label}, but not valid CBOR` };
+}
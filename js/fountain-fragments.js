@@ -0,0 +1,119 @@
+/**
+ * BC-UR Playground - Fountain Fragment Selection
+ *
+ * Local re-implementation of bc-ur's `chooseFragments` (BCR-2024-001) so a
+ * single multi-part UR can be explained without the rest of the message:
+ * parts 1..seqLen are the original blocks; every later part XORs a
+ * pseudo-random subset chosen by
+ *   seed   = seqNum (uint32 BE) ‖ checksum (uint32 BE)
+ *   rng    = Xoshiro256** seeded with SHA-256(seed)
+ *   degree = alias-sampled from P(d) ∝ 1/d, d = 1..seqLen
+ *   blocks = first `degree` picks of a shuffle of 0..seqLen-1
+ * Must stay bit-for-bit identical to the library or indexes will be wrong.
+ */
+
+import { sha256 } from 'https://esm.sh/@noble/hashes@1.4.0/sha256';
+
+const MAX_UINT64 = 0xffffffffffffffffn;
+const TWO_POW_64 = Number(MAX_UINT64 + 1n);
+
+const rotl = (x, k) => ((x << BigInt(k)) | (x >> BigInt(64 - k))) & MAX_UINT64;
+
+/**
+ * Xoshiro256** PRNG as used by bc-ur
+ */
+class Xoshiro {
+    constructor(seed) {
+        const digest = sha256(seed);
+        this.s = [0, 1, 2, 3].map(i => {
+            let v = 0n;
+            for (let n = 0; n < 8; n++) v = (v << 8n) | BigInt(digest[i * 8 + n]);
+            return v;
+        });
+    }
+
+    roll() {
+        const s = this.s;
+        const result = (rotl((s[1] * 5n) & MAX_UINT64, 7) * 9n) & MAX_UINT64;
+        const t = (s[1] << 17n) & MAX_UINT64;
+        s[2] ^= s[0];
+        s[3] ^= s[1];
+        s[1] ^= s[2];
+        s[0] ^= s[3];
+        s[2] ^= t;
+        s[3] = rotl(s[3], 45);
+        return result;
+    }
+
+    nextDouble() {
+        return Number(this.roll()) / TWO_POW_64;
+    }
+
+    nextInt(low, high) {
+        return Math.floor(this.nextDouble() * (high - low + 1) + low);
+    }
+}
+
+// Vose alias table, same stack order as bc-ur's aliasSampling helper
+function precomputeAlias(probabilities) {
+    const n = probabilities.length;
+    const sum = probabilities.reduce((acc, p) => acc + p, 0);
+    const scaled = probabilities.map(p => (p * n) / sum);
+    const prob = new Array(n);
+    const alias = new Array(n);
+    const small = [];
+    const large = [];
+
+    for (let i = n - 1; i >= 0; i--) {
+        (scaled[i] < 1 ? small : large).push(i);
+    }
+    while (small.length > 0 && large.length > 0) {
+        const less = small.pop();
+        const more = large.pop();
+        prob[less] = scaled[less];
+        alias[less] = more;
+        scaled[more] = scaled[more] + scaled[less] - 1;
+        (scaled[more] < 1 ? small : large).push(more);
+    }
+    while (large.length > 0) prob[large.pop()] = 1;
+    while (small.length > 0) prob[small.pop()] = 1;
+
+    return { prob, alias };
+}
+
+function chooseDegree(seqLen, rng) {
+    const { prob, alias } = precomputeAlias(Array.from({ length: seqLen }, (_, i) => 1 / (i + 1)));
+    const column = Math.floor(rng.nextDouble() * prob.length);
+    return (rng.nextDouble() < prob[column] ? column : alias[column]) + 1;
+}
+
+function uint32BE(value) {
+    return Uint8Array.of(value >>> 24, (value >>> 16) & 0xff, (value >>> 8) & 0xff, value & 0xff);
+}
+
+/**
+ * Original Block Indexes XORed Into a Part
+ *
+ * @param {number} seqNum - Part sequence number (1-based)
+ * @param {number} seqLen - Number of original blocks
+ * @param {number} checksum - CRC32 of the whole message
+ * @returns {number[]} 0-based block indexes in selection order
+ */
+export function chooseFragments(seqNum, seqLen, checksum) {
+    if (seqNum <= seqLen) {
+        return [seqNum - 1];
+    }
+
+    const seed = new Uint8Array(8);
+    seed.set(uint32BE(seqNum), 0);
+    seed.set(uint32BE(checksum >>> 0), 4);
+    const rng = new Xoshiro(seed);
+
+    const degree = chooseDegree(seqLen, rng);
+    const remaining = Array.from({ length: seqLen }, (_, i) => i);
+    const picked = [];
+    while (remaining.length > 0 && picked.length < degree) {
+        picked.push(remaining.splice(rng.nextInt(0, remaining.length - 1), 1)[0]);
+    }
+    return picked;
+}
@@ -0,0 +1,183 @@
+/**
+ * BC-UR Playground - Fountain Loss Simulator
+ *
+ * Plays the parts a MultiURGenerator would show (the looped finite part list,
+ * or the endless nextPartUr() stream) into a fresh UrFountainDecoder through a
+ * lossy virtual camera: frames are dropped at a configurable rate, optionally
+ * in bursts, and the scan starts some frames into the animation. Repeating
+ * the scan many times shows how many frames a scanner really needs for a
+ * given maxFragmentLength / repeatAfterRatio.
+ *
+ * Bursts follow a two-state (Gilbert) model: once a frame is lost, the next
+ * one is lost too with probability 1 - 1/burstLength, and the rate of
+ * entering a burst is chosen so the long-run drop rate stays at dropRate.
+ * Independent drops already average 1 / (1 - dropRate) frames per burst, so
+ * shorter burst lengths mean independent drops.
+ */
+
+import { UrFountainEncoder, UrFountainDecoder } from 'https://esm.sh/@ngraveio/bc-ur@2.0.0-beta.9?dev';
+
+export const SIMULATION_DEFAULTS = {
+    maxFragmentLength: 90,
+    minFragmentLength: 10,
+    firstSeqNum: 0,
+    repeatAfterRatio: 0.5,
+    dropRate: 0.2,
+    burstLength: 1,
+    startOffset: 0,
+    randomStart: false,
+    runs: 100,
+    maxFrames: null,
+    seed: 1
+};
+
+/**
+ * Simulate Scanning an Animated Multi-part UR Over a Lossy Camera
+ *
+ * @param {UR} ur - UR to encode
+ * @param {object} options - Encoder parameters (as in the generator; repeatAfterRatio -1 = infinite stream),
+ *   dropRate (0–1), burstLength (mean frames per loss burst, 1 = independent drops),
+ *   startOffset (frames shown before the scan starts), randomStart (pick the offset per run instead:
+ *   within one loop for finite streams, within 2 × the pure part count for infinite ones),
+ *   runs, maxFrames (frames shown before a run gives up; default 20 × pure parts, at least 200), seed
+ * @returns {object} {
+ *   pureParts, loopLength (null for infinite streams),
+ *   runs: [{ offset, curve, framesReceived, framesShown, complete }],
+ *     curve[i] = original blocks decoded after i + 1 received frames
+ *   summary (see summarizeSimulation)
+ * }
+ */
+export function simulateFountainLoss(ur, options = {}) {
+    const config = { ...SIMULATION_DEFAULTS, ...options };
+    const { dropRate, burstLength, runs } = config;
+    if (!(dropRate >= 0 && dropRate < 1)) {
+        throw new Error('Drop rate must be at least 0 and below 1');
+    }
+    if (!(burstLength >= 1)) {
+        throw new Error('Mean burst length must be at least 1 frame');
+    }
+    if (!Number.isInteger(runs) || runs < 1) {
+        throw new Error('Run count must be a positive integer');
+    }
+
+    const infinite = config.repeatAfterRatio === -1;
+    const encoder = new UrFountainEncoder(
+        ur, config.maxFragmentLength, config.minFragmentLength, config.firstSeqNum,
+        infinite ? 0 : config.repeatAfterRatio
+    );
+    const pureParts = encoder.getPureFragmentCount();
+    const maxFrames = config.maxFrames ?? Math.max(200, pureParts * 20);
+
+    // Frames as the generator would show them; the infinite stream is extended on demand
+    const loop = infinite ? null : encoder.getAllPartsUr(config.repeatAfterRatio);
+    const stream = [];
+    const frameAt = (index) => {
+        if (loop) return loop[index % loop.length];
+        while (stream.length <= index) stream.push(encoder.nextPartUr());
+        return stream[index];
+    };
+
+    const random = createRandom(config.seed);
+    const offsetRange = loop ? loop.length : pureParts * 2;
+    const results = [];
+    for (let run = 0; run < runs; run++) {
+        const offset = config.randomStart ? Math.floor(random() * offsetRange) : config.startOffset;
+        const dropped = createLossModel(dropRate, burstLength, random);
+        const decoder = new UrFountainDecoder();
+        const curve = [];
+        let framesShown = 0;
+        while (!decoder.isComplete() && framesShown < maxFrames) {
+            const frame = frameAt(offset + framesShown);
+            framesShown++;
+            if (dropped()) continue;
+            decoder.receivePartUr(frame);
+            curve.push(decoder.isComplete() ? pureParts : countDecoded(decoder));
+        }
+        results.push({ offset, curve, framesReceived: curve.length, framesShown, complete: decoder.isComplete() && decoder.isSuccessful() });
+    }
+
+    return { pureParts, loopLength: loop ? loop.length : null, runs: results, summary: summarizeSimulation(results, pureParts) };
+}
+
+/**
+ * Aggregate Simulation Runs
+ *
+ * @param {object[]} runs - Runs from simulateFountainLoss
+ * @param {number} pureParts - Original block count
+ * @returns {object} {
+ *   completed, completionRate,
+ *   received: { median, p90, max }, shown: { median, p90, max } (completed runs only, null if none),
+ *   medianCurve: decoded blocks by frames received (median over runs; finished runs hold their last value)
+ * }
+ */
+export function summarizeSimulation(runs, pureParts) {
+    const done = runs.filter(run => run.complete);
+    const stats = (values) => {
+        if (values.length === 0) return null;
+        const sorted = [...values].sort((a, b) => a - b);
+        return { median: percentile(sorted, 0.5), p90: percentile(sorted, 0.9), max: sorted[sorted.length - 1] };
+    };
+
+    const length = Math.max(0, ...runs.map(run => run.curve.length));
+    const medianCurve = Array.from({ length }, (_, i) => percentile(
+        runs.map(run => run.curve[Math.min(i, run.curve.length - 1)] ?? 0).sort((a, b) => a - b), 0.5
+    ));
+
+    return {
+        pureParts,
+        completed: done.length,
+        completionRate: runs.length ? done.length / runs.length : 0,
+        received: stats(done.map(run => run.framesReceived)),
+        shown: stats(done.map(run => run.framesShown)),
+        medianCurve
+    };
+}
+
+/**
+ * Seeded Random Number Generator (mulberry32), so runs can be repeated
+ *
+ * @param {number} seed - 32-bit seed
+ * @returns {Function} () → number in [0, 1)
+ */
+export function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Frame Loss Model
+ *
+ * @param {number} dropRate - Long-run share of dropped frames
+ * @param {number} burstLength - Mean length of a loss burst in frames (1 = independent drops)
+ * @param {Function} random - () → number in [0, 1)
+ * @returns {Function} () → true when the next frame is dropped
+ */
+export function createLossModel(dropRate, burstLength, random) {
+    if (dropRate === 0) return () => false;
+    const meanBurst = Math.max(burstLength, 1 / (1 - dropRate));
+    const stayLost = 1 - 1 / meanBurst;
+    // Stationary loss = enter / (enter + 1 / meanBurst) = dropRate
+    const enterLoss = dropRate / (meanBurst * (1 - dropRate));
+    let lost = random() < dropRate;
+    return () => {
+        const result = lost;
+        lost = random() < (lost ? stayLost : enterLoss);
+        return result;
+    };
+}
+
+// Original blocks the decoder has recovered so far
+function countDecoded(decoder) {
+    return decoder.decodedBlocks.reduce((sum, block) => sum + (block ? 1 : 0), 0);
+}
+
+// Nearest-rank percentile of a sorted list
+function percentile(sorted, p) {
+    return sorted[Math.max(0, Math.ceil(p * sorted.length) - 1)];
+}
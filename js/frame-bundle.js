@@ -0,0 +1,176 @@
+/**
+ * BC-UR Playground - Frame Bundle Export
+ *
+ * Packs every generated part of a finite multi-part UR into one ZIP for QA
+ * fixtures: an image per part (PNG or SVG), parts.txt (one part per line, in
+ * display order) and manifest.json with the source UR, the encoder
+ * parameters and, per part, the fountain header and the original blocks it
+ * XORs. The ZIP is written here in the browser; entries are stored
+ * uncompressed (PNG frames are already deflated).
+ */
+
+import { UR } from 'https://esm.sh/@ngraveio/bc-ur@2.0.0-beta.9?dev';
+import { crc32 } from './bytewords-diagnostics.js';
+import { parseFragmentUr, describeFragment } from './multipart-diagnostics.js';
+import { EXPORT_DEFAULTS, frameToPng, frameToSvg } from './qr-export.js';
+
+export const BUNDLE_IMAGE_FORMATS = ['png', 'svg'];
+
+/**
+ * Manifest for a Generated Part List
+ *
+ * @param {UR} ur - Source UR
+ * @param {string[]} parts - Part strings, in display order
+ * @param {object} options - { maxFragmentLength, minFragmentLength, firstSeqNum, repeatAfterRatio },
+ *   image settings ({ format, size, margin, dark, light, errorCorrectionLevel, mode }) and fps
+ * @returns {object} {
+ *   ur, type, messageLength, checksum, encoder, qr, frameCount, pureParts,
+ *   parts: [{ index, file, ur, seqNum, seqLen, messageLength, checksum, fragmentLength, blocks, degree }]
+ *     blocks = sorted 0-based original block indexes (a single-part UR is block 0 of 1)
+ * }
+ */
+export function buildBundleManifest(ur, parts, options = {}) {
+    const { maxFragmentLength, minFragmentLength, firstSeqNum, repeatAfterRatio } = options;
+    const image = { ...EXPORT_DEFAULTS, format: 'png', ...options };
+    const message = ur.getPayloadCbor();
+    const checksum = crc32(message);
+
+    const fragments = parts.map(part => UR.fromString(part).isFragment ? parseFragmentUr(part) : null);
+    const width = String(Math.max(1, ...fragments.map(fragment => fragment?.seqNum ?? 1))).length;
+
+    const entries = parts.map((part, index) => {
+        const fragment = fragments[index];
+        const blocks = fragment ? describeFragment(fragment).indexes : [0];
+        const seqNum = fragment ? fragment.seqNum : 1;
+        return {
+            index,
+            file: `frames/part-${String(seqNum).padStart(width, '0')}.${image.format}`,
+            ur: part,
+            seqNum,
+            seqLen: fragment ? fragment.seqLen : 1,
+            messageLength: fragment ? fragment.messageLen : message.length,
+            checksum: fragment ? fragment.checksum : checksum,
+            fragmentLength: fragment ? fragment.fragment.length : message.length,
+            blocks,
+            degree: blocks.length
+        };
+    });
+
+    return {
+        ur: ur.toString(),
+        type: ur.type,
+        messageLength: message.length,
+        checksum,
+        encoder: { maxFragmentLength, minFragmentLength, firstSeqNum, repeatAfterRatio },
+        qr: {
+            format: image.format,
+            size: image.size,
+            margin: image.margin,
+            dark: image.dark,
+            light: image.light,
+            errorCorrectionLevel: image.errorCorrectionLevel,
+            mode: image.mode,
+            fps: options.fps ?? null
+        },
+        frameCount: entries.length,
+        pureParts: entries.length ? entries[0].seqLen : 0,
+        parts: entries
+    };
+}
+
+/**
+ * Build the Frame Bundle ZIP
+ *
+ * @param {UR} ur - Source UR
+ * @param {string[]} parts - Part strings, in display order
+ * @param {object} options - As for buildBundleManifest, plus onProgress(done, total)
+ * @returns {Promise<object>} { bytes (Uint8Array ZIP), manifest }
+ * @throws {Error} If there are no parts or the image format is unknown
+ */
+export async function buildFrameBundle(ur, parts, options = {}) {
+    const format = options.format || 'png';
+    if (!BUNDLE_IMAGE_FORMATS.includes(format)) {
+        throw new Error(`Unknown bundle image format "${format}" (use ${BUNDLE_IMAGE_FORMATS.join(' or ')})`);
+    }
+    if (parts.length === 0) {
+        throw new Error('No parts to bundle');
+    }
+
+    const manifest = buildBundleManifest(ur, parts, { ...options, format });
+    const files = [];
+    for (const entry of manifest.parts) {
+        const data = format === 'svg' ? await frameToSvg(entry.ur, options) : await frameToPng(entry.ur, options);
+        files.push({ name: entry.file, data });
+        options.onProgress?.(files.length, parts.length);
+    }
+    files.push({ name: 'parts.txt', data: parts.join('\n') + '\n' });
+    files.push({ name: 'manifest.json', data: JSON.stringify(manifest, null, 2) + '\n' });
+
+    return { bytes: createZip(files), manifest };
+}
+
+/**
+ * Write a ZIP Archive (stored entries, UTF-8 names)
+ *
+ * @param {object[]} files - [{ name, data: Uint8Array | string }]
+ * @param {Date} date - Modification time recorded for every entry
+ * @returns {Uint8Array} ZIP file bytes
+ * @throws {Error} If the archive would need ZIP64 (over 65535 entries or 4 GiB)
+ */
+export function createZip(files, date = new Date()) {
+    if (files.length > 0xffff) {
+        throw new Error('Too many files for a ZIP without ZIP64');
+    }
+    const encoder = new TextEncoder();
+    const time = (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1);
+    const day = (Math.max(0, date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+
+    const locals = [];
+    const centrals = [];
+    let offset = 0;
+    files.forEach(({ name, data }) => {
+        const nameBytes = encoder.encode(name);
+        const bytes = typeof data === 'string' ? encoder.encode(data) : data;
+        // version needed, flags (bit 11 = UTF-8 name), method 0 (stored), time, date, crc, sizes, name length
+        const fields = [
+            ...u16(20), ...u16(0x0800), ...u16(0), ...u16(time), ...u16(day),
+            ...u32(crc32(bytes)), ...u32(bytes.length), ...u32(bytes.length), ...u16(nameBytes.length)
+        ];
+        const local = concat([Uint8Array.from([...u32(0x04034b50), ...fields, ...u16(0)]), nameBytes, bytes]);
+        centrals.push(concat([
+            Uint8Array.from([...u32(0x02014b50), ...u16(20), ...fields, ...u16(0), ...u16(0), ...u16(0), ...u16(0), ...u32(0), ...u32(offset)]),
+            nameBytes
+        ]));
+        locals.push(local);
+        offset += local.length;
+        if (offset > 0xffffffff) {
+            throw new Error('Bundle too large for a ZIP without ZIP64');
+        }
+    });
+
+    const directory = concat(centrals);
+    const end = Uint8Array.from([
+        ...u32(0x06054b50), ...u16(0), ...u16(0), ...u16(files.length), ...u16(files.length),
+        ...u32(directory.length), ...u32(offset), ...u16(0)
+    ]);
+    return concat([...locals, directory, end]);
+}
+
+// ZIP integers are little-endian
+function u32(value) {
+    return [value & 0xff, (value >>> 8) & 0xff, (value >>> 16) & 0xff, (value >>> 24) & 0xff];
+}
+
+function u16(value) {
+    return [value & 0xff, (value >>> 8) & 0xff];
+}
+
+function concat(arrays) {
+    const out = new Uint8Array(arrays.reduce((sum, array) => sum + array.length, 0));
+    let offset = 0;
+    arrays.forEach(array => {
+        out.set(array, offset);
+        offset += array.length;
+    });
+    return out;
+}
@@ -0,0 +1,216 @@
+/**
+ * HD Key Inspector UI Methods
+ *
+ * These methods are mixed into the FormatConverter class. When the payload
+ * is a crypto-hdkey the inspector shows the key's own fingerprint, its
+ * position in the tree (depth, child number, parent fingerprint, origin)
+ * and the Base58Check extended key, with the SLIP-132 version chosen from
+ * use-info and the origin path or picked by hand. While "Mask secrets"
+ * hides a private key, its extended key and key expression are withheld.
+ */
+
+import { hexToBytes, bytesToHex } from './shared.js';
+import { cborToJson } from './cbor-json.js';
+import {
+    HDKEY_TAGS, EXTENDED_KEY_VERSIONS, untag, decodeHDKey, chooseExtendedKeyPrefix, hdkeyPublicKey,
+    keyFingerprint, hdkeyToExtendedKey, parseExtendedKey, formatExtendedKeyExpression, formatKeypath,
+    formatFingerprint, formatChildNumber
+} from './hdkey.js';
+import { describeCoinInfo } from './coin-metadata.js';
+import { maskLabel } from './secret-mask.js';
+
+const HDKEY_UR_TYPES = ['crypto-hdkey', 'hdkey'];
+
+export const HDKeyInspectorMixin = {
+    /**
+     * Initialize HD Key Inspector Elements
+     * Call this in the constructor after other DOM elements are initialized
+     */
+    initializeHDKeyInspector() {
+        this.hdkeyPanel = document.getElementById('hdkey-inspector');
+        this.hdkeyContent = document.getElementById('hdkey-inspector-content');
+        this.hdkeyPrefixSelect = document.getElementById('hdkeyPrefix');
+
+        // State for inspector
+        this.hdkeyDecoded = null;
+        this.hdkeyExpression = null;
+
+        if (this.hdkeyPrefixSelect) {
+            this.hdkeyPrefixSelect.addEventListener('change', () => {
+                if (this.hdkeyDecoded) this.renderHDKeyInspector(this.hdkeyDecoded);
+            });
+        }
+
+        if (this.hdkeyContent) {
+            this.hdkeyContent.addEventListener('click', (e) => {
+                if (e.target.closest('[data-action="use-extended-key"]') && this.hdkeyExpression && !this.hdkeyMasked()) {
+                    this.inputElement.value = this.hdkeyExpression;
+                    this.inputFormatElement.value = 'xpub';
+                    this.toggleBytewordsStyleSelector('input');
+                    this.handleConversion();
+                }
+            });
+        }
+    },
+
+    /**
+     * Update Inspector with Latest Payload
+     * Shown for crypto-hdkey/hdkey URs and for any payload tagged as an hdkey.
+     *
+     * @param {string|null} hex - CBOR payload as hex
+     * @param {string|null} urType - UR type of the source, if known
+     */
+    updateHDKeyInspector(hex, urType = null) {
+        this.hdkeyDecoded = null;
+        this.hdkeyExpression = null;
+        if (!this.hdkeyPanel) return;
+
+        let value = null;
+        try {
+            value = hex ? cborToJson(hexToBytes(hex)) : null;
+        } catch (_) {
+            value = null;
+        }
+        const expected = HDKEY_UR_TYPES.includes(urType);
+        if (!expected && untag(value, HDKEY_TAGS) === undefined) {
+            this.hdkeyPanel.style.display = 'none';
+            return;
+        }
+
+        this.hdkeyPanel.style.display = 'block';
+        try {
+            this.hdkeyDecoded = decodeHDKey(value);
+        } catch (error) {
+            this.hdkeyContent.innerHTML = `<div class="det-verdict fail">❌ Invalid crypto-hdkey: ${this.escapeHtml(error.message)}</div>`;
+            return;
+        }
+        this.renderHDKeyInspector(this.hdkeyDecoded);
+    },
+
+    /**
+     * Fill the Version Select With Prefixes Matching the Key's Privacy
+     *
+     * @param {object} hdkey - Result of decodeHDKey
+     * @param {object} auto - Result of chooseExtendedKeyPrefix
+     * @returns {string} Prefix to use
+     */
+    syncHDKeyPrefixOptions(hdkey, auto) {
+        const select = this.hdkeyPrefixSelect;
+        if (!select) return auto.prefix;
+
+        const previous = select.value;
+        const prefixes = Object.keys(EXTENDED_KEY_VERSIONS).filter(p => EXTENDED_KEY_VERSIONS[p].isPrivate === hdkey.isPrivate);
+        select.innerHTML = `<option value="auto">Version: auto (${auto.prefix})</option>` +
+            prefixes.map(p => `<option value="${p}">${p} · ${EXTENDED_KEY_VERSIONS[p].network ? 'testnet' : 'mainnet'} · ${EXTENDED_KEY_VERSIONS[p].script}</option>`).join('');
+        select.value = prefixes.includes(previous) ? previous : 'auto';
+        return select.value === 'auto' ? auto.prefix : select.value;
+    },
+
+    /**
+     * Render Fingerprints, Tree Position and Extended Key
+     *
+     * @param {object} hdkey - Result of decodeHDKey
+     */
+    renderHDKeyInspector(hdkey) {
+        const auto = chooseExtendedKeyPrefix(hdkey);
+        const prefix = this.syncHDKeyPrefixOptions(hdkey, auto);
+
+        let publicKey = null;
+        let fingerprint = null;
+        const notes = [];
+        try {
+            publicKey = hdkeyPublicKey(hdkey);
+            fingerprint = keyFingerprint(publicKey);
+        } catch (error) {
+            notes.push(`Public key unavailable: ${error.message}`);
+        }
+
+        let extendedKey = null;
+        let serialized = null;
+        try {
+            extendedKey = hdkeyToExtendedKey(hdkey, prefix);
+            serialized = parseExtendedKey(extendedKey);
+            this.hdkeyExpression = formatExtendedKeyExpression(hdkey, prefix);
+        } catch (error) {
+            notes.push(error.message);
+        }
+
+        const origin = hdkey.origin;
+        if (!hdkey.isMaster && origin && origin.components.length !== origin.depth && origin.depth !== null) {
+            notes.push(`Origin path has ${origin.components.length} of ${origin.depth} step(s), so the child number is unknown and written as 0`);
+        }
+        if (!hdkey.isMaster && hdkey.parentFingerprint === null) {
+            notes.push('No parent fingerprint (8); the extended key uses 00000000');
+        }
+
+        const kind = `${hdkey.isMaster ? 'Master' : 'Derived'} ${hdkey.isPrivate ? 'private' : 'public'} key`;
+        const verdict = `<div class="det-verdict ${extendedKey ? 'ok' : 'fail'}">` +
+            `${extendedKey ? '✅' : '❌'} ${kind}${extendedKey ? ` · ${prefix}` : ' · no extended-key form'}</div>`;
+
+        const coin = hdkey.useInfo ? describeCoinInfo(hdkey.useInfo) : null;
+        const useInfo = coin
+            ? `${coin.unknown.length ? '⚠️ ' : ''}${this.escapeHtml(coin.text)} (coin type ${hdkey.useInfo.type}, network ${hdkey.useInfo.network})`
+            : 'not set (BTC mainnet)';
+        const overview = `
+            <div class="bw-summary">
+                <span>Key fingerprint: <strong>${fingerprint === null ? '—' : formatFingerprint(fingerprint)}</strong></span>
+                <span>Parent fingerprint: <strong>${hdkey.parentFingerprint === null ? '—' : formatFingerprint(hdkey.parentFingerprint)}</strong></span>
+                <span>Depth: <strong>${serialized ? serialized.depth : '—'}</strong></span>
+                <span>Child number: <strong>${serialized && serialized.depth > 0 ? formatChildNumber(serialized.childNumber) : '—'}</strong></span>
+                <span>Use-info: <strong>${useInfo}</strong></span>
+            </div>`;
+
+        const paths = `
+            <table class="bw-suggestions"><tbody>
+                <tr><td>Origin</td><td><code>${origin ? this.escapeHtml(this.describeHDKeyPath(origin)) : '—'}</code></td></tr>
+                <tr><td>Children</td><td><code>${hdkey.children ? this.escapeHtml(this.describeHDKeyPath(hdkey.children, { children: true })) : '—'}</code></td></tr>
+                ${hdkey.name ? `<tr><td>Name</td><td>${this.escapeHtml(hdkey.name)}</td></tr>` : ''}
+                ${hdkey.note ? `<tr><td>Note</td><td>${this.escapeHtml(hdkey.note)}</td></tr>` : ''}
+            </tbody></table>`;
+
+        const secret = this.hdkeyMasked();
+        const keys = `
+            ${publicKey ? `<div class="section-label">Public key</div><code class="det-code">${bytesToHex(publicKey)}</code>` : ''}
+            ${extendedKey && secret ? `
+                <div class="section-label">Extended key (${prefix})</div>
+                <div class="bw-note">🔒 ${this.escapeHtml(maskLabel(secret))}: reveal it above the output, or switch off "Mask secrets", to show the ${prefix} and its key expression.</div>` : ''}
+            ${extendedKey && !secret ? `
+                <div class="section-label">Extended key (${prefix}${this.hdkeyPrefixSelect?.value === 'auto' ? `: ${this.escapeHtml(auto.reason)}` : ''})</div>
+                <code class="det-code">${extendedKey}</code>
+                <div class="section-label">Key expression</div>
+                <code class="det-code">${this.escapeHtml(this.hdkeyExpression)}</code>
+                <button class="copy-option-btn compact" data-action="use-extended-key">↩ Use as input</button>` : ''}`;
+
+        this.hdkeyContent.innerHTML = verdict + overview +
+            notes.map(n => `<div class="bw-note">⚠️ ${this.escapeHtml(n)}</div>`).join('') +
+            paths + keys;
+    },
+
+    /**
+     * Masked Secret Field Holding the Inspected Private Key, If Any
+     *
+     * @returns {object|null} Entry from findSecrets
+     */
+    hdkeyMasked() {
+        const hdkey = this.hdkeyDecoded;
+        return hdkey?.isPrivate ? this.secretMatch(hdkey.keyData) : null;
+    },
+
+    /**
+     * Describe a Keypath as "fingerprint/path (depth n)", "m/path" or, for
+     * children (which continue from the key), a bare path
+     *
+     * @param {object} keypath - Result of decodeKeypath
+     * @param {object} options - { children } for the hdkey children path
+     * @returns {string} Readable path
+     */
+    describeHDKeyPath(keypath, { children = false } = {}) {
+        const path = formatKeypath(keypath.components);
+        const parts = [];
+        if (keypath.sourceFingerprint !== null) parts.push(formatFingerprint(keypath.sourceFingerprint));
+        else if (!children) parts.push('m');
+        if (path) parts.push(path);
+        const depth = keypath.depth !== null && keypath.depth !== keypath.components.length ? ` (depth ${keypath.depth})` : '';
+        return parts.join('/') + depth;
+    }
+};
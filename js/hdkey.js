@@ -0,0 +1,554 @@
+/**
+ * BC-UR Playground - HD Key Helpers
+ *
+ * Reads and writes crypto-hdkey / crypto-keypath / crypto-eckey items
+ * (BCR-2020-007, v1 tags 303/304/306 and v2 tags 40303/40304/40306) through
+ * the lossless JSON mapping of cbor-json.js, and converts HD keys to and from
+ * BIP-32 Base58Check extended keys, including the SLIP-132 script-specific
+ * versions (ypub/zpub/Ypub/Zpub and testnet equivalents).
+ */
+
+import { secp256k1 } from 'https://esm.sh/@noble/curves@1.4.0/secp256k1';
+import { bytesToHex, hexToBytes } from './shared.js';
+import { base58ToBytes, bytesToBase58 } from './binary-encodings.js';
+import { hash160 } from './bitcoin-script.js';
+import { cborToJson, jsonToCbor } from './cbor-json.js';
+
+export const HDKEY_TAGS = [303, 40303];
+export const KEYPATH_TAGS = [304, 40304];
+export const COININFO_TAGS = [305, 40305];
+export const ECKEY_TAGS = [306, 40306];
+
+/** BIP-32 / SLIP-132 version bytes by prefix (network 0 = mainnet, 1 = testnet) */
+export const EXTENDED_KEY_VERSIONS = {
+    xpub: { version: 0x0488b21e, network: 0, isPrivate: false, script: 'P2PKH / P2TR' },
+    xprv: { version: 0x0488ade4, network: 0, isPrivate: true, script: 'P2PKH / P2TR' },
+    ypub: { version: 0x049d7cb2, network: 0, isPrivate: false, script: 'P2SH-P2WPKH' },
+    yprv: { version: 0x049d7878, network: 0, isPrivate: true, script: 'P2SH-P2WPKH' },
+    zpub: { version: 0x04b24746, network: 0, isPrivate: false, script: 'P2WPKH' },
+    zprv: { version: 0x04b2430c, network: 0, isPrivate: true, script: 'P2WPKH' },
+    Ypub: { version: 0x0295b43f, network: 0, isPrivate: false, script: 'P2SH-P2WSH multisig' },
+    Yprv: { version: 0x0295b005, network: 0, isPrivate: true, script: 'P2SH-P2WSH multisig' },
+    Zpub: { version: 0x02aa7ed3, network: 0, isPrivate: false, script: 'P2WSH multisig' },
+    Zprv: { version: 0x02aa7a99, network: 0, isPrivate: true, script: 'P2WSH multisig' },
+    tpub: { version: 0x043587cf, network: 1, isPrivate: false, script: 'P2PKH / P2TR' },
+    tprv: { version: 0x04358394, network: 1, isPrivate: true, script: 'P2PKH / P2TR' },
+    upub: { version: 0x044a5262, network: 1, isPrivate: false, script: 'P2SH-P2WPKH' },
+    uprv: { version: 0x044a4e28, network: 1, isPrivate: true, script: 'P2SH-P2WPKH' },
+    vpub: { version: 0x045f1cf6, network: 1, isPrivate: false, script: 'P2WPKH' },
+    vprv: { version: 0x045f18bc, network: 1, isPrivate: true, script: 'P2WPKH' },
+    Upub: { version: 0x024289ef, network: 1, isPrivate: false, script: 'P2SH-P2WSH multisig' },
+    Uprv: { version: 0x024285b5, network: 1, isPrivate: true, script: 'P2SH-P2WSH multisig' },
+    Vpub: { version: 0x02575483, network: 1, isPrivate: false, script: 'P2WSH multisig' },
+    Vprv: { version: 0x02575048, network: 1, isPrivate: true, script: 'P2WSH multisig' }
+};
+
+// [mainnet, testnet] public prefixes by BIP-43 purpose, and by BIP-48 script type
+const PURPOSE_PREFIXES = { 44: ['xpub', 'tpub'], 49: ['ypub', 'upub'], 84: ['zpub', 'vpub'], 86: ['xpub', 'tpub'] };
+const BIP48_SCRIPT_PREFIXES = { 1: ['Ypub', 'Upub'], 2: ['Zpub', 'Vpub'] };
+
+const HARDENED = 0x80000000;
+
+/**
+ * Unwrap a Tagged Value From the JSON Mapping
+ *
+ * @param {*} value - JSON mapping value
+ * @param {number[]} tags - Accepted tag numbers
+ * @returns {*} Tag content, or undefined if the value is not one of the tags
+ */
+export function untag(value, tags) {
+    if (value && typeof value === 'object' && '$tag' in value && tags.includes(Number(value.$tag))) {
+        return value.$value;
+    }
+    return undefined;
+}
+
+/**
+ * Read a CBOR Map With Integer Keys From the JSON Mapping
+ *
+ * @param {*} value - JSON mapping value
+ * @param {string} name - Item name for error messages
+ * @returns {Map} Integer key → value
+ */
+export function readIntMap(value, name) {
+    if (value && Array.isArray(value.$map)) {
+        return new Map(value.$map.map(([key, item]) => [Number(key), item]));
+    }
+    if (value && typeof value === 'object' && !Array.isArray(value) && Object.keys(value).length === 0) {
+        return new Map();
+    }
+    throw new Error(`${name} is not a map with integer keys`);
+}
+
+/**
+ * Build a CBOR Map With Integer Keys (ascending, omitting undefined values)
+ */
+export function intMap(entries) {
+    return { $map: entries.filter(([, item]) => item !== undefined).sort((a, b) => a[0] - b[0]) };
+}
+
+export function readBytes(value, name) {
+    if (!value || typeof value.$bytes !== 'string') throw new Error(`${name} must be a byte string`);
+    return hexToBytes(value.$bytes);
+}
+
+/**
+ * Decode a crypto-keypath
+ *
+ * @param {*} value - Tagged or untagged keypath (JSON mapping)
+ * @returns {object} { components[{ index, wildcard, range, hardened }], sourceFingerprint, depth }
+ */
+export function decodeKeypath(value) {
+    const map = readIntMap(untag(value, KEYPATH_TAGS) ?? value, 'crypto-keypath');
+    const raw = map.get(1) || [];
+    if (!Array.isArray(raw) || raw.length % 2 !== 0) {
+        throw new Error('crypto-keypath components must be [index, hardened] pairs');
+    }
+
+    const components = [];
+    for (let i = 0; i < raw.length; i += 2) {
+        const spec = raw[i];
+        const hardened = raw[i + 1] === true;
+        if (typeof spec === 'number') {
+            components.push({ index: spec, wildcard: false, range: null, hardened });
+        } else if (Array.isArray(spec) && spec.length === 0) {
+            components.push({ index: null, wildcard: true, range: null, hardened });
+        } else if (Array.isArray(spec) && spec.length === 2) {
+            components.push({ index: null, wildcard: false, range: spec, hardened });
+        } else {
+            throw new Error('Unsupported crypto-keypath component');
+        }
+    }
+    return { components, sourceFingerprint: map.get(2) ?? null, depth: map.get(3) ?? null };
+}
+
+/**
+ * Encode a crypto-keypath (tagged)
+ *
+ * @param {object} keypath - { components, sourceFingerprint, depth }
+ * @param {number} tag - 304 (v1) or 40304 (v2)
+ * @returns {object} JSON mapping value
+ */
+export function encodeKeypath({ components, sourceFingerprint = null, depth = null }, tag = 304) {
+    const raw = components.flatMap(c => [c.wildcard ? [] : (c.range || c.index), c.hardened]);
+    return { $tag: tag, $value: intMap([[1, raw], [2, sourceFingerprint ?? undefined], [3, depth ?? undefined]]) };
+}
+
+/**
+ * Format Keypath Components (e.g. "48'/0'/0'/2'" or "0/*")
+ */
+export function formatKeypath(components) {
+    return components.map(c => {
+        let step = c.wildcard ? '*' : String(c.index);
+        if (c.range) {
+            const [low, high] = c.range;
+            step = high === low + 1 ? `<${low};${high}>` : `<${low}-${high}>`;
+        }
+        return step + (c.hardened ? "'" : '');
+    }).join('/');
+}
+
+/**
+ * Parse Keypath Text ("84'/0'/0'", "0/*", "m/44h/60h", "<0;1>/*")
+ *
+ * ' h H mark hardened steps. A range is written "<low-high>" or as a
+ * BIP-389 multipath list of consecutive indexes ("<0;1>").
+ *
+ * @param {string} text - Path text
+ * @returns {Array<object>} Components
+ */
+export function parseKeypath(text) {
+    const steps = text.replace(/^m\/?/, '').split('/').filter(step => step !== '');
+    return steps.map(step => {
+        const match = step.match(/^(\d+|\*|<[\d;-]+>)(['hH]?)$/);
+        if (!match) throw new Error(`Invalid path step "${step}"`);
+        const hardened = match[2] !== '';
+        if (match[1] === '*') return { index: null, wildcard: true, range: null, hardened };
+        if (match[1].startsWith('<')) return { index: null, wildcard: false, range: parseRange(match[1]), hardened };
+        const index = Number(match[1]);
+        if (index >= HARDENED) throw new Error(`Path index ${index} out of range`);
+        return { index, wildcard: false, range: null, hardened };
+    });
+}
+
+/**
+ * Format a Fingerprint as 8 Hex Digits
+ */
+export function formatFingerprint(fingerprint) {
+    return (fingerprint >>> 0).toString(16).padStart(8, '0');
+}
+
+/**
+ * Decode a crypto-hdkey
+ *
+ * @param {*} value - Tagged or untagged hdkey (JSON mapping)
+ * @returns {object} { isMaster, isPrivate, keyData, chainCode, useInfo, origin, children, parentFingerprint, name, note }
+ */
+export function decodeHDKey(value) {
+    const map = readIntMap(untag(value, HDKEY_TAGS) ?? value, 'crypto-hdkey');
+    const useInfo = map.has(5) ? readIntMap(untag(map.get(5), COININFO_TAGS) ?? map.get(5), 'crypto-coininfo') : null;
+    return {
+        isMaster: map.get(1) === true,
+        isPrivate: map.get(2) === true,
+        keyData: readBytes(map.get(3), 'crypto-hdkey key-data'),
+        chainCode: map.has(4) ? readBytes(map.get(4), 'crypto-hdkey chain-code') : null,
+        useInfo: useInfo ? { type: useInfo.get(1) ?? 0, network: useInfo.get(2) ?? 0 } : null,
+        origin: map.has(6) ? decodeKeypath(map.get(6)) : null,
+        children: map.has(7) ? decodeKeypath(map.get(7)) : null,
+        parentFingerprint: map.get(8) ?? null,
+        name: map.get(9) ?? null,
+        note: map.get(10) ?? null
+    };
+}
+
+/**
+ * Encode a crypto-hdkey (tagged; nested coininfo/keypath use the matching v1/v2 tags)
+ *
+ * @param {object} hdkey - Fields as returned by decodeHDKey
+ * @param {number} tag - 303 (v1) or 40303 (v2)
+ * @returns {object} JSON mapping value
+ */
+export function encodeHDKey(hdkey, tag = 303) {
+    const v2 = tag === 40303;
+    const useInfo = hdkey.useInfo && (hdkey.useInfo.type || hdkey.useInfo.network)
+        ? { $tag: v2 ? 40305 : 305, $value: intMap([[1, hdkey.useInfo.type || undefined], [2, hdkey.useInfo.network || undefined]]) }
+        : undefined;
+    return {
+        $tag: tag,
+        $value: intMap([
+            [1, hdkey.isMaster ? true : undefined],
+            [2, hdkey.isPrivate ? true : undefined],
+            [3, { $bytes: bytesToHex(hdkey.keyData) }],
+            [4, hdkey.chainCode ? { $bytes: bytesToHex(hdkey.chainCode) } : undefined],
+            [5, useInfo],
+            [6, hdkey.origin ? encodeKeypath(hdkey.origin, v2 ? 40304 : 304) : undefined],
+            [7, hdkey.children ? encodeKeypath(hdkey.children, v2 ? 40304 : 304) : undefined],
+            [8, hdkey.parentFingerprint ?? undefined],
+            [9, hdkey.name ?? undefined],
+            [10, hdkey.note ?? undefined]
+        ])
+    };
+}
+
+/**
+ * Choose the Extended Key Prefix From Use-info and Origin Path
+ *
+ * The origin's purpose selects the SLIP-132 family (44'/86' → xpub,
+ * 49' → ypub, 84' → zpub, 48'/…/1' → Ypub, 48'/…/2' → Zpub); use-info
+ * network 1 or coin type 1' selects the testnet variant.
+ *
+ * @param {object} hdkey - Result of decodeHDKey
+ * @returns {object} { prefix, reason }
+ */
+export function chooseExtendedKeyPrefix(hdkey) {
+    const components = hdkey.origin?.components || [];
+    const step = (i) => components[i] && !components[i].wildcard && !components[i].range ? components[i] : null;
+    const purpose = step(0)?.hardened ? step(0).index : null;
+    const coinType = step(1)?.hardened ? step(1).index : null;
+
+    const reasons = [];
+    let family = ['xpub', 'tpub'];
+    if (purpose === 48 && step(3)?.hardened && BIP48_SCRIPT_PREFIXES[step(3).index]) {
+        family = BIP48_SCRIPT_PREFIXES[step(3).index];
+        reasons.push(`BIP-48 origin, script type ${step(3).index}'`);
+    } else if (PURPOSE_PREFIXES[purpose]) {
+        family = PURPOSE_PREFIXES[purpose];
+        reasons.push(`BIP-${purpose} origin`);
+    } else {
+        reasons.push(purpose === null ? 'no purpose in origin' : `purpose ${purpose}' has no SLIP-132 version`);
+    }
+
+    let testnet = false;
+    if (hdkey.useInfo) {
+        testnet = hdkey.useInfo.network === 1;
+        reasons.push(`use-info network ${testnet ? 'testnet' : 'mainnet'}`);
+    } else if (coinType === 1) {
+        testnet = true;
+        reasons.push("coin type 1' (testnet)");
+    }
+
+    const prefix = family[testnet ? 1 : 0].replace('pub', hdkey.isPrivate ? 'prv' : 'pub');
+    return { prefix, reason: reasons.join(', ') };
+}
+
+/**
+ * Public Key of an HD Key (derived from the private key when needed)
+ *
+ * @param {object} hdkey - Result of decodeHDKey
+ * @returns {Uint8Array} 33-byte compressed public key
+ */
+export function hdkeyPublicKey(hdkey) {
+    if (!hdkey.isPrivate) return hdkey.keyData;
+    return secp256k1.getPublicKey(hdkey.keyData.slice(-32), true);
+}
+
+/**
+ * Key Fingerprint: First 4 Bytes of HASH160(public key), as a uint32
+ */
+export function keyFingerprint(publicKey) {
+    const hash = hash160(publicKey);
+    return ((hash[0] << 24) | (hash[1] << 16) | (hash[2] << 8) | hash[3]) >>> 0;
+}
+
+/**
+ * Serialise an HD Key as a BIP-32 Extended Key
+ *
+ * Depth and child number come from the origin path; a key without a chain
+ * code has no extended form.
+ *
+ * @param {object} hdkey - Result of decodeHDKey
+ * @param {string} prefix - Key of EXTENDED_KEY_VERSIONS (default: xpub/tpub/xprv/tprv from use-info)
+ * @returns {string} Base58Check extended key
+ */
+export function hdkeyToExtendedKey(hdkey, prefix = defaultExtendedKeyPrefix(hdkey)) {
+    if (!hdkey.chainCode) {
+        throw new Error('crypto-hdkey has no chain code, so it has no extended-key form');
+    }
+    const origin = hdkey.origin;
+    const depth = hdkey.isMaster ? 0 : (origin?.depth ?? origin?.components.length ?? 0);
+    const childNumber = !hdkey.isMaster && origin?.components.length === depth ? stepChildNumber(origin.components[depth - 1]) : 0;
+
+    // Private key-data is 0x00 ‖ 32-byte key, as in the extended-key encoding
+    const key = hdkey.isPrivate && hdkey.keyData.length === 32 ? Uint8Array.of(0, ...hdkey.keyData) : hdkey.keyData;
+    if (key.length !== 33) {
+        throw new Error(`crypto-hdkey key-data is ${hdkey.keyData.length} bytes, expected 33`);
+    }
+    const versionInfo = EXTENDED_KEY_VERSIONS[prefix];
+    if (!versionInfo) {
+        throw new Error(`Unknown extended key prefix "${prefix}"`);
+    }
+    if (versionInfo.isPrivate !== hdkey.isPrivate) {
+        throw new Error(`A ${hdkey.isPrivate ? 'private' : 'public'} key cannot be written as ${prefix}`);
+    }
+
+    const bytes = new Uint8Array(78);
+    const view = new DataView(bytes.buffer);
+    view.setUint32(0, versionInfo.version);
+    bytes[4] = depth;
+    view.setUint32(5, hdkey.isMaster ? 0 : (hdkey.parentFingerprint ?? 0));
+    view.setUint32(9, childNumber);
+    bytes.set(hdkey.chainCode, 13);
+    bytes.set(key, 45);
+    return bytesToBase58(bytes, true);
+}
+
+/**
+ * Parse a BIP-32 Extended Key Into HD Key Fields
+ *
+ * @param {string} text - Base58Check extended key
+ * @returns {object} { prefix, depth, parentFingerprint, childNumber, hdkey }
+ */
+export function parseExtendedKey(text) {
+    const bytes = base58ToBytes(text.trim(), true);
+    if (bytes.length !== 78) {
+        throw new Error(`Extended key is ${bytes.length} bytes, expected 78`);
+    }
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const version = view.getUint32(0);
+    const prefix = Object.keys(EXTENDED_KEY_VERSIONS).find(p => EXTENDED_KEY_VERSIONS[p].version === version);
+    if (!prefix) {
+        throw new Error(`Unknown extended key version 0x${version.toString(16).padStart(8, '0')}`);
+    }
+
+    const { network, isPrivate } = EXTENDED_KEY_VERSIONS[prefix];
+    const depth = bytes[4];
+    const parentFingerprint = view.getUint32(5);
+    const childNumber = view.getUint32(9);
+    if (depth === 0 && (parentFingerprint !== 0 || childNumber !== 0)) {
+        throw new Error('Depth-0 extended key must have zero parent fingerprint and child number');
+    }
+    const key = bytes.slice(45);
+    if (isPrivate ? key[0] !== 0 : (key[0] !== 2 && key[0] !== 3)) {
+        throw new Error(`Invalid ${isPrivate ? 'private' : 'public'} key in extended key`);
+    }
+
+    const hdkey = {
+        isMaster: depth === 0,
+        isPrivate,
+        keyData: key,
+        chainCode: bytes.slice(13, 45),
+        useInfo: network ? { type: 0, network } : null,
+        origin: null,
+        children: null,
+        parentFingerprint: depth > 0 ? parentFingerprint : null,
+        name: null,
+        note: null
+    };
+    return { prefix, depth, parentFingerprint, childNumber, hdkey };
+}
+
+/**
+ * Parse "[fingerprint/path]xpub…/children" Into HD Key Fields
+ *
+ * A key origin is metadata (BIP-380 does not tie it to the key), so it is
+ * kept as written even when its length or last step disagrees with the
+ * extended key; the keypath depth records the key's own depth. Without an
+ * origin, a depth-1 key gets the fully known one (parent fingerprint and
+ * child number); deeper keys keep only their depth. Warnings list the
+ * mismatches and a child number the crypto-hdkey cannot hold (it is only
+ * implied by an origin that ends at the key).
+ *
+ * @param {string} text - Extended key, optionally with origin and child path
+ * @returns {object} { prefix, childNumber, hdkey, warnings }
+ */
+export function parseExtendedKeyExpression(text) {
+    const match = text.trim().match(/^(?:\[([0-9a-fA-F]{8})((?:\/\d+['hH]?)*)\])?([1-9A-HJ-NP-Za-km-z]+)((?:\/[^/]+)*)$/);
+    if (!match) {
+        throw new Error('Expected an extended key, optionally as [fingerprint/path]xpub…/path');
+    }
+    const [, fingerprintHex, originPath, keyText, childPath] = match;
+    const { prefix, depth, parentFingerprint, childNumber, hdkey } = parseExtendedKey(keyText);
+    const warnings = [];
+
+    let origin = null;
+    if (fingerprintHex) {
+        const components = parseKeypath(originPath);
+        const last = components[components.length - 1];
+        if (components.length !== depth) {
+            warnings.push(`Key origin has ${components.length} step(s) but ${prefix} depth is ${depth}; the origin is kept as written`);
+        } else if (last && stepChildNumber(last) !== childNumber) {
+            warnings.push(`Key origin ends in ${formatKeypath([last])} but ${prefix} child number is ${formatChildNumber(childNumber)}; the origin is kept as written`);
+        }
+        origin = { components, sourceFingerprint: parseInt(fingerprintHex, 16), depth };
+    } else if (depth === 1) {
+        origin = {
+            components: [{ index: childNumber % HARDENED, wildcard: false, range: null, hardened: childNumber >= HARDENED }],
+            sourceFingerprint: parentFingerprint,
+            depth
+        };
+    } else if (depth > 1) {
+        origin = { components: [], sourceFingerprint: null, depth };
+    }
+
+    const impliedChild = origin && origin.components.length === depth ? stepChildNumber(origin.components[depth - 1]) : 0;
+    if (impliedChild !== childNumber) {
+        warnings.push(`Child number ${formatChildNumber(childNumber)} is not stored: crypto-hdkey only implies it through a key origin ending at the key`);
+    }
+
+    hdkey.origin = origin;
+    hdkey.children = childPath ? { components: parseKeypath(childPath), sourceFingerprint: null, depth: null } : null;
+    return { prefix, childNumber, hdkey, warnings };
+}
+
+/**
+ * Format an HD Key as "[fingerprint/path]xpub…/children"
+ *
+ * @param {object} hdkey - Result of decodeHDKey (must have a chain code)
+ * @param {string} prefix - Key of EXTENDED_KEY_VERSIONS
+ * @returns {string} Key expression (origin only when it has a source fingerprint)
+ */
+export function formatExtendedKeyExpression(hdkey, prefix) {
+    let text = '';
+    if (hdkey.origin && hdkey.origin.sourceFingerprint !== null) {
+        const path = formatKeypath(hdkey.origin.components);
+        text += `[${formatFingerprint(hdkey.origin.sourceFingerprint)}${path ? '/' + path : ''}]`;
+    }
+    text += hdkeyToExtendedKey(hdkey, prefix);
+    if (hdkey.children && hdkey.children.components.length > 0) {
+        text += '/' + formatKeypath(hdkey.children.components);
+    }
+    return text;
+}
+
+/**
+ * Convert an Extended Key (or Key Expression) to a crypto-hdkey Payload
+ *
+ * The payload is the untagged hdkey map, as carried in ur:crypto-hdkey.
+ * Warnings list key origin mismatches and what the crypto-hdkey cannot keep
+ * (a SLIP-132 version, or a child number no key origin implies).
+ *
+ * @param {string} text - xpub/ypub/zpub/… optionally with [fingerprint/path] and /children
+ * @returns {object} { bytes, urType, prefix, hdkey, warnings }
+ */
+export function extendedKeyToPayload(text) {
+    const { prefix, hdkey, warnings } = parseExtendedKeyExpression(text);
+    const chosen = chooseExtendedKeyPrefix(hdkey).prefix;
+    if (chosen !== prefix) {
+        warnings.push(`${prefix} version is not stored in crypto-hdkey; it exports as ${chosen} unless the key origin implies ${prefix}`);
+    }
+    return {
+        bytes: jsonToCbor(encodeHDKey(hdkey).$value),
+        urType: 'crypto-hdkey',
+        prefix,
+        hdkey,
+        warnings
+    };
+}
+
+/**
+ * Convert a crypto-hdkey Payload to an Extended Key
+ *
+ * @param {Uint8Array} bytes - Tagged or untagged crypto-hdkey CBOR
+ * @param {string} [prefix] - Version to use (default: chooseExtendedKeyPrefix)
+ * @returns {object} { extendedKey, prefix, reason, hdkey }
+ */
+export function payloadToExtendedKey(bytes, prefix = null) {
+    const hdkey = decodeHDKey(cborToJson(bytes));
+    const chosen = chooseExtendedKeyPrefix(hdkey);
+    const used = prefix || chosen.prefix;
+    return {
+        extendedKey: hdkeyToExtendedKey(hdkey, used),
+        prefix: used,
+        reason: prefix ? 'selected' : chosen.reason,
+        hdkey
+    };
+}
+
+/**
+ * Format a BIP-32 Child Number (e.g. 0x80000054 → "84'")
+ */
+export function formatChildNumber(childNumber) {
+    return childNumber >= HARDENED ? `${childNumber - HARDENED}'` : String(childNumber);
+}
+
+/**
+ * Decode a crypto-eckey
+ *
+ * @param {*} value - Tagged or untagged eckey (JSON mapping)
+ * @returns {object} { curve, isPrivate, data }
+ */
+export function decodeECKey(value) {
+    const map = readIntMap(untag(value, ECKEY_TAGS) ?? value, 'crypto-eckey');
+    return { curve: map.get(1) ?? 0, isPrivate: map.get(2) === true, data: readBytes(map.get(3), 'crypto-eckey data') };
+}
+
+/**
+ * Encode a crypto-eckey (tagged)
+ *
+ * @param {object} eckey - { curve, isPrivate, data }
+ * @param {number} tag - 306 (v1) or 40306 (v2)
+ * @returns {object} JSON mapping value
+ */
+export function encodeECKey({ curve = 0, isPrivate = false, data }, tag = 306) {
+    return { $tag: tag, $value: intMap([[1, curve || undefined], [2, isPrivate ? true : undefined], [3, { $bytes: bytesToHex(data) }]]) };
+}
+
+// "<0;1>" / "<0;1;2>" / "<0-5>" → [low, high]; crypto-keypath can only hold consecutive indexes
+function parseRange(text) {
+    const body = text.slice(1, -1);
+    const dashed = body.match(/^(\d+)-(\d+)$/);
+    const indexes = dashed ? [Number(dashed[1]), Number(dashed[2])] : body.split(';').map(Number);
+    if (indexes.length < 2 || indexes.some(i => !Number.isInteger(i) || i >= HARDENED)) {
+        throw new Error(`Invalid path range "${text}"`);
+    }
+    if (!dashed && indexes.some((index, i) => i > 0 && index !== indexes[i - 1] + 1)) {
+        throw new Error(`Multipath "${text}" is not consecutive; crypto-keypath stores it as a range`);
+    }
+    const [low, high] = [indexes[0], indexes[indexes.length - 1]];
+    if (high <= low) {
+        throw new Error(`Path range "${text}" must go from low to high`);
+    }
+    return [low, high];
+}
+
+// BIP-32 child number of a plain origin step (0 for wildcards and ranges)
+function stepChildNumber(step) {
+    return step && !step.wildcard && !step.range ? (step.index + (step.hardened ? HARDENED : 0)) >>> 0 : 0;
+}
+
+// Plain BIP-32 prefix (descriptors accept only xpub/tpub/xprv/tprv)
+function defaultExtendedKeyPrefix(hdkey) {
+    const testnet = hdkey.useInfo?.network === 1;
+    if (hdkey.isPrivate) return testnet ? 'tprv' : 'xprv';
+    return testnet ? 'tpub' : 'xpub';
+}
@@ -0,0 +1,246 @@
+/**
+ * BC-UR Playground - Child Key and Address Derivation
+ *
+ * Derives non-hardened child public keys from a crypto-hdkey (BIP-32
+ * CKDpub) and turns them into P2PKH, P2SH-P2WPKH, P2WPKH, P2TR (BIP-86
+ * key-path) or EVM addresses. Sources are a crypto-hdkey payload or the
+ * single-key outputs of a crypto-output / crypto-account.
+ */
+
+import { secp256k1, schnorr } from 'https://esm.sh/@noble/curves@1.4.0/secp256k1';
+import { hmac } from 'https://esm.sh/@noble/hashes@1.4.0/hmac';
+import { sha512 } from 'https://esm.sh/@noble/hashes@1.4.0/sha512';
+import { keccak_256 } from 'https://esm.sh/@noble/hashes@1.4.0/sha3';
+import { bytesToHex } from './shared.js';
+import { cborToJson } from './cbor-json.js';
+import { hash160, scriptToAddress } from './bitcoin-script.js';
+import { HDKEY_TAGS, ECKEY_TAGS, untag, decodeHDKey, hdkeyPublicKey, formatKeypath, formatFingerprint } from './hdkey.js';
+import { listOutputKeys } from './output-descriptor.js';
+import { encodeEvmAddress } from './crypto-address.js';
+
+/** Address kinds derivable from a single public key */
+export const ADDRESS_SCRIPT_TYPES = {
+    p2pkh: { label: 'P2PKH (legacy)', purpose: 44 },
+    'p2sh-p2wpkh': { label: 'P2SH-P2WPKH (nested segwit)', purpose: 49 },
+    p2wpkh: { label: 'P2WPKH (native segwit)', purpose: 84 },
+    p2tr: { label: 'P2TR (taproot, BIP-86)', purpose: 86 },
+    evm: { label: 'EVM (Ethereum and compatible)', purpose: null }
+};
+
+// Descriptor script (as reported by listOutputKeys) → address kind
+const DESCRIPTOR_SCRIPT_TYPES = { pkh: 'p2pkh', 'sh-wpkh': 'p2sh-p2wpkh', wpkh: 'p2wpkh', tr: 'p2tr' };
+
+const HARDENED = 0x80000000;
+const SLIP44_ETHEREUM = 60;
+const MAX_RANGE = 1000;
+
+/**
+ * Derive a Non-hardened Child Public Key (BIP-32 CKDpub)
+ *
+ * @param {object} parent - { publicKey (33 bytes), chainCode (32 bytes) }
+ * @param {number} index - Child index below 2^31
+ * @returns {object} { publicKey, chainCode }
+ */
+export function derivePublicChild({ publicKey, chainCode }, index) {
+    if (!Number.isInteger(index) || index < 0 || index >= HARDENED) {
+        throw new Error(`Cannot derive hardened or invalid index ${index} from a public key`);
+    }
+    const data = new Uint8Array(37);
+    data.set(publicKey, 0);
+    new DataView(data.buffer).setUint32(33, index);
+    const I = hmac(sha512, chainCode, data);
+
+    const tweak = BigInt('0x' + bytesToHex(I.slice(0, 32)));
+    if (tweak === 0n || tweak >= secp256k1.CURVE.n) {
+        throw new Error(`Child ${index} is invalid (IL out of range); BIP-32 skips to the next index`);
+    }
+    const point = secp256k1.ProjectivePoint.fromHex(publicKey).add(secp256k1.ProjectivePoint.BASE.multiply(tweak));
+    if (point.equals(secp256k1.ProjectivePoint.ZERO)) {
+        throw new Error(`Child ${index} is the point at infinity; BIP-32 skips to the next index`);
+    }
+    return { publicKey: point.toRawBytes(true), chainCode: I.slice(32) };
+}
+
+/**
+ * Encode a Public Key as an Address
+ *
+ * @param {Uint8Array} publicKey - 33-byte compressed key
+ * @param {string} type - Key of ADDRESS_SCRIPT_TYPES
+ * @param {string} network - Key of BITCOIN_NETWORKS (ignored for EVM)
+ * @returns {string} Address
+ */
+export function publicKeyToAddress(publicKey, type, network = 'mainnet') {
+    const keyHash = () => hash160(publicKey);
+    switch (type) {
+        case 'p2pkh':
+            return scriptToAddress(Uint8Array.of(0x76, 0xa9, 20, ...keyHash(), 0x88, 0xac), network);
+        case 'p2sh-p2wpkh': {
+            const redeemScript = Uint8Array.of(0x00, 20, ...keyHash());
+            return scriptToAddress(Uint8Array.of(0xa9, 20, ...hash160(redeemScript), 0x87), network);
+        }
+        case 'p2wpkh':
+            return scriptToAddress(Uint8Array.of(0x00, 20, ...keyHash()), network);
+        case 'p2tr':
+            return scriptToAddress(Uint8Array.of(0x51, 32, ...taprootOutputKey(publicKey)), network);
+        case 'evm':
+            return evmAddress(publicKey);
+        default:
+            throw new Error(`Unknown address type "${type}"`);
+    }
+}
+
+/**
+ * BIP-86 Taproot Output Key (key-path only, no script tree)
+ *
+ * @param {Uint8Array} publicKey - 33-byte compressed internal key
+ * @returns {Uint8Array} 32-byte x-only output key
+ */
+export function taprootOutputKey(publicKey) {
+    const internal = publicKey.slice(1);
+    const tweak = BigInt('0x' + bytesToHex(schnorr.utils.taggedHash('TapTweak', internal)));
+    if (tweak >= secp256k1.CURVE.n) {
+        throw new Error('Taproot tweak out of range');
+    }
+    const point = schnorr.utils.lift_x(BigInt('0x' + bytesToHex(internal)));
+    const output = point.add(secp256k1.ProjectivePoint.BASE.multiply(tweak));
+    return output.toRawBytes(true).slice(1);
+}
+
+/**
+ * EIP-55 Checksummed EVM Address (last 20 bytes of keccak256 of the uncompressed key)
+ */
+export function evmAddress(publicKey) {
+    const uncompressed = secp256k1.ProjectivePoint.fromHex(publicKey).toRawBytes(false);
+    return encodeEvmAddress(keccak_256(uncompressed.slice(1)).slice(-20));
+}
+
+/**
+ * Guess the Address Kind and Network From an HD Key's Origin and Use-info
+ *
+ * @param {object} hdkey - Result of decodeHDKey
+ * @returns {object} { type, network, reason }
+ */
+export function inferAddressType(hdkey) {
+    const [purpose, coinType] = (hdkey.origin?.components || []).map(c => (c.hardened && c.index !== null ? c.index : null));
+    const useType = hdkey.useInfo?.type ?? null;
+    const network = hdkey.useInfo ? (hdkey.useInfo.network === 1 ? 'testnet' : 'mainnet') : (coinType === 1 ? 'testnet' : 'mainnet');
+
+    if (useType === SLIP44_ETHEREUM || (!useType && coinType === SLIP44_ETHEREUM)) {
+        return { type: 'evm', network, reason: 'coin type 60 (Ethereum)' };
+    }
+    const type = Object.keys(ADDRESS_SCRIPT_TYPES).find(key => ADDRESS_SCRIPT_TYPES[key].purpose === purpose && purpose !== null);
+    if (type) {
+        return { type, network, reason: `BIP-${purpose} origin` };
+    }
+    return { type: 'p2wpkh', network, reason: purpose === null ? 'no purpose in origin, defaulting to P2WPKH' : `purpose ${purpose}' unknown, defaulting to P2WPKH` };
+}
+
+/**
+ * Collect the HD Keys Addresses Can Be Derived From
+ *
+ * @param {Uint8Array} bytes - CBOR payload
+ * @param {string|null} urType - UR type, needed to tell an untagged crypto-hdkey from a crypto-account
+ * @returns {object[]} [{ label, hdkey, type, network, reason, error }] (error set when the entry cannot be derived from)
+ */
+export function collectDerivationSources(bytes, urType = null) {
+    const value = cborToJson(bytes);
+    if (urType === 'crypto-hdkey' || urType === 'hdkey' || untag(value, HDKEY_TAGS) !== undefined) {
+        const hdkey = decodeHDKey(value);
+        return [{ label: describeKeyOrigin(hdkey, null) || 'crypto-hdkey', hdkey, ...inferAddressType(hdkey), error: null }];
+    }
+
+    const { masterFingerprint, outputs } = listOutputKeys(bytes);
+    return outputs.map(({ descriptor, script, key, reason }) => {
+        const label = descriptor.replace(/#.*$/, '');
+        if (!script) {
+            return { label, hdkey: null, type: null, network: null, reason: null, error: reason };
+        }
+        if (untag(key, ECKEY_TAGS) !== undefined) {
+            return { label, hdkey: null, type: null, network: null, reason: null, error: 'crypto-eckey has no chain code to derive from' };
+        }
+        const hdkey = decodeHDKey(key);
+        if (!hdkey.chainCode) {
+            return { label, hdkey: null, type: null, network: null, reason: null, error: 'key has no chain code to derive from' };
+        }
+        const inferred = inferAddressType(hdkey);
+        return {
+            label: `${script}(…) ${describeKeyOrigin(hdkey, masterFingerprint)}`.trim(),
+            hdkey,
+            type: DESCRIPTOR_SCRIPT_TYPES[script],
+            network: inferred.network,
+            reason: `${script}() output`,
+            error: null
+        };
+    });
+}
+
+/**
+ * Expand a Children Path Into Concrete Index Lists
+ *
+ * Wildcards take count indexes from start; ranges expand fully.
+ *
+ * @param {object[]} components - Keypath components (see decodeKeypath)
+ * @param {number} start - First wildcard index
+ * @param {number} count - Number of wildcard indexes
+ * @returns {number[][]} Index lists, one per derived key
+ */
+export function expandChildPaths(components, start, count) {
+    let paths = [[]];
+    for (const component of components) {
+        if (component.hardened) {
+            throw new Error(`Hardened step ${formatKeypath([component])} needs the private key`);
+        }
+        let indexes;
+        if (component.wildcard) {
+            indexes = Array.from({ length: count }, (_, i) => start + i);
+        } else if (component.range) {
+            const [low, high] = component.range;
+            indexes = Array.from({ length: high - low + 1 }, (_, i) => low + i);
+        } else {
+            indexes = [component.index];
+        }
+        paths = paths.flatMap(path => indexes.map(index => [...path, index]));
+        if (paths.length > MAX_RANGE) {
+            throw new Error(`Children path expands to more than ${MAX_RANGE} keys`);
+        }
+    }
+    return paths;
+}
+
+/**
+ * Derive Addresses Below an HD Key
+ *
+ * @param {object} hdkey - Result of decodeHDKey (public or private, with chain code)
+ * @param {object} options - { components, start, count, type, network }
+ * @returns {object[]} [{ path, publicKey, address, error }] where path is relative ("0/5")
+ */
+export function deriveAddresses(hdkey, { components, start = 0, count = 10, type, network = 'mainnet' }) {
+    if (!hdkey.chainCode) {
+        throw new Error('crypto-hdkey has no chain code, so no children can be derived');
+    }
+    const root = { publicKey: hdkeyPublicKey(hdkey), chainCode: hdkey.chainCode };
+    const cache = new Map([['', root]]);
+
+    return expandChildPaths(components, start, count).map(indexes => {
+        const path = indexes.join('/');
+        try {
+            let node = root;
+            indexes.forEach((index, depth) => {
+                const prefix = indexes.slice(0, depth + 1).join('/');
+                if (!cache.has(prefix)) cache.set(prefix, derivePublicChild(node, index));
+                node = cache.get(prefix);
+            });
+            return { path, publicKey: node.publicKey, address: publicKeyToAddress(node.publicKey, type, network), error: null };
+        } catch (error) {
+            return { path, publicKey: null, address: null, error: error.message };
+        }
+    });
+}
+
+// "[fingerprint/path]" for a key's origin, falling back to the account fingerprint
+function describeKeyOrigin(hdkey, accountFingerprint) {
+    const fingerprint = hdkey.origin?.sourceFingerprint ?? accountFingerprint;
+    if (!hdkey.origin) return '';
+    const path = formatKeypath(hdkey.origin.components);
+    return `[${fingerprint !== null ? formatFingerprint(fingerprint) : 'm'}${path ? '/' + path : ''}]`;
+}
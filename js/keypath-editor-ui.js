@@ -0,0 +1,149 @@
+/**
+ * Keypath Editor UI Methods
+ *
+ * These methods are mixed into the FormatConverter class. Every
+ * crypto-keypath in the payload is listed as an editable BIP-32 path string;
+ * applying an edit re-encodes the payload and feeds the new UR (or hex when
+ * the UR type is unknown) back through the converter. That writes the whole
+ * payload into the input, so Apply is disabled while secrets are masked.
+ */
+
+import { UR } from 'https://esm.sh/@ngraveio/bc-ur@2.0.0-beta.9?dev';
+import { hexToBytes, bytesToHex, updateStatus } from './shared.js';
+import { findKeypaths, replaceKeypath, formatKeypathText } from './keypath-editor.js';
+import { decodeKeypath } from './hdkey.js';
+import { cborToJson } from './cbor-json.js';
+
+export const KeypathEditorMixin = {
+    /**
+     * Initialize Keypath Editor Elements
+     * Call this in the constructor after other DOM elements are initialized
+     */
+    initializeKeypathEditor() {
+        this.keypathPanel = document.getElementById('keypath-editor');
+        this.keypathContent = document.getElementById('keypath-editor-content');
+
+        // State for editor
+        this.keypathPayload = null;
+        this.keypathUrType = null;
+        this.keypathEntries = [];
+
+        if (this.keypathContent) {
+            this.keypathContent.addEventListener('click', (e) => {
+                const button = e.target.closest('[data-keypath-apply]');
+                if (button) this.applyKeypathEdit(Number(button.dataset.keypathApply));
+            });
+            this.keypathContent.addEventListener('keydown', (e) => {
+                const input = e.target.closest('[data-keypath-index]');
+                if (input && e.key === 'Enter') {
+                    e.preventDefault();
+                    this.applyKeypathEdit(Number(input.dataset.keypathIndex));
+                }
+            });
+        }
+    },
+
+    /**
+     * Update Editor with Latest Payload
+     * Shown whenever the payload contains at least one crypto-keypath.
+     *
+     * @param {string|null} hex - CBOR payload as hex
+     * @param {string|null} urType - UR type of the source, if known
+     */
+    updateKeypathEditor(hex, urType = null) {
+        this.keypathEntries = [];
+        if (!this.keypathPanel) return;
+
+        try {
+            this.keypathEntries = hex ? findKeypaths(hexToBytes(hex), urType) : [];
+        } catch (_) {
+            this.keypathEntries = [];
+        }
+        if (this.keypathEntries.length === 0) {
+            this.keypathPanel.style.display = 'none';
+            return;
+        }
+
+        this.keypathPayload = hexToBytes(hex);
+        this.keypathUrType = urType;
+        this.keypathPanel.style.display = 'block';
+        this.renderKeypathEditor();
+    },
+
+    /**
+     * Render One Editable Row per Keypath
+     */
+    renderKeypathEditor(error = null) {
+        const masked = this.maskedSecrets().length > 0;
+        const rows = this.keypathEntries.map((entry, i) => {
+            const { keypath } = entry;
+            const depth = keypath.depth !== null && keypath.depth !== keypath.components.length
+                ? `depth ${keypath.depth}` : '';
+            return `<tr>
+                <td class="psbt-sub">${this.escapeHtml(entry.location)}</td>
+                <td><input type="text" class="keypath-input" data-keypath-index="${i}" value="${this.escapeHtml(entry.text)}" spellcheck="false" aria-label="Keypath ${i + 1}" /></td>
+                <td class="psbt-sub">${depth}</td>
+                <td><button class="copy-option-btn compact" data-keypath-apply="${i}"${masked ? ' disabled' : ''}>Apply</button></td>
+            </tr>`;
+        }).join('');
+
+        this.keypathContent.innerHTML = `
+            ${error ? `<div class="det-verdict fail">❌ ${this.escapeHtml(error)}</div>` : ''}
+            <div class="bw-note">ℹ️ ${this.keypathEntries.length} keypath(s). Edit as <code>m/84'/0'/0'</code>, <code>[fingerprint/84'/0'/0']</code>, <code>0/*</code> or <code>&lt;0;1&gt;/*</code>; Apply re-encodes the ${this.escapeHtml(this.keypathUrType || 'payload')}.</div>
+            ${masked ? '<div class="bw-note">🔒 Apply writes the whole payload, secrets included, into the input: reveal the masked fields above the output, or switch off "Mask secrets", to apply edits.</div>' : ''}
+            <table class="bw-suggestions"><thead><tr><th>Location</th><th>Path</th><th></th><th></th></tr></thead><tbody>${rows}</tbody></table>`;
+    },
+
+    /**
+     * Re-encode the Payload With One Keypath Replaced
+     *
+     * @param {number} index - Row index
+     */
+    async applyKeypathEdit(index) {
+        const entry = this.keypathEntries[index];
+        const input = this.keypathContent.querySelector(`[data-keypath-index="${index}"]`);
+        if (!entry || !input) return;
+        if (this.maskedSecrets().length > 0) {
+            this.renderKeypathEditor('Secrets are masked: reveal them or switch off masking to apply keypath edits');
+            return;
+        }
+
+        let hex;
+        try {
+            hex = bytesToHex(replaceKeypath(this.keypathPayload, entry.pointer, input.value));
+        } catch (error) {
+            this.renderKeypathEditor(`${entry.location}: ${error.message}`);
+            return;
+        }
+
+        // Feed the re-encoded item back in so the output and every panel refresh;
+        // auto mode stays auto, a pinned format is switched to the one now in the input
+        const format = this.keypathUrType ? 'ur' : 'hex';
+        this.inputElement.value = this.keypathUrType
+            ? UR.fromHex({ type: this.keypathUrType, payload: hex }).toString()
+            : hex;
+        if (this.inputFormatElement.value !== 'auto') {
+            this.inputFormatElement.value = format;
+            this.toggleBytewordsStyleSelector('input');
+        }
+        await this.handleConversion();
+        updateStatus(this.statusElement, `Keypath at ${entry.location} updated`, 'success');
+    },
+
+    /**
+     * Path Text for a crypto-keypath Registry Item (tree view badge)
+     *
+     * @param {object} registryItem - Registry item with toHex()
+     * @param {object} options - { children } for an hdkey children path
+     * @returns {string|null} Path text, or null if the item is not a keypath
+     */
+    describeRegistryKeypath(registryItem, options = {}) {
+        const urType = registryItem?.type?.URType;
+        if (urType !== 'keypath' && urType !== 'crypto-keypath') return null;
+        try {
+            return formatKeypathText(decodeKeypath(cborToJson(hexToBytes(registryItem.toHex()))), options);
+        } catch (_) {
+            return null;
+        }
+    }
+};
@@ -0,0 +1,139 @@
+/**
+ * BC-UR Playground - Keypath Editor
+ *
+ * Finds every crypto-keypath nested in a payload (hdkey origin/children,
+ * descriptor keys, account outputs, sign requests, …), renders each as a
+ * BIP-32 path string with its source fingerprint, and replaces one with an
+ * edited path, re-encoding the enclosing payload.
+ */
+
+import { cborToJson, jsonToCbor } from './cbor-json.js';
+import { KEYPATH_TAGS, HDKEY_TAGS, decodeKeypath, encodeKeypath, formatKeypath, parseKeypath, formatFingerprint } from './hdkey.js';
+import { SCRIPT_EXPRESSION_TAGS } from './output-descriptor.js';
+
+// Names for tags that enclose keypaths (v1 and v2 share a name)
+const TAG_NAMES = {
+    303: 'hdkey', 40303: 'hdkey',
+    308: 'output', 40308: 'output',
+    311: 'account', 40311: 'account'
+};
+Object.entries(SCRIPT_EXPRESSION_TAGS).forEach(([name, tag]) => { TAG_NAMES[tag] = name; });
+
+// Root tag implied by a UR type (UR payloads omit the top-level tag)
+const UR_TYPE_TAGS = {
+    'crypto-hdkey': 303, hdkey: 40303,
+    'crypto-keypath': 304, keypath: 40304,
+    'crypto-output': 308, 'output-descriptor': 40308,
+    'crypto-account': 311, 'account-descriptor': 40311
+};
+
+// crypto-hdkey map keys holding keypaths
+const HDKEY_KEYPATH_FIELDS = { 6: 'origin', 7: 'children' };
+
+/**
+ * Format a Keypath as Text
+ * "[73c5da0a/84'/0'/0']" with a source fingerprint, "m/84'/0'/0'" without.
+ * Hdkey children continue from the key rather than the master, so they are
+ * written bare ("<0;1>/*").
+ *
+ * @param {object} keypath - Result of decodeKeypath
+ * @param {object} options - { children } for an hdkey children path
+ * @returns {string} Path text
+ */
+export function formatKeypathText(keypath, { children = false } = {}) {
+    const path = formatKeypath(keypath.components);
+    if (keypath.sourceFingerprint !== null) {
+        return `[${formatFingerprint(keypath.sourceFingerprint)}${path ? '/' + path : ''}]`;
+    }
+    if (children) return path;
+    return path ? `m/${path}` : 'm';
+}
+
+/**
+ * Parse Keypath Text Written by formatKeypathText (bare paths are accepted too)
+ *
+ * @param {string} text - "[fingerprint/path]", "m/path" or "path"
+ * @returns {object} { components, sourceFingerprint }
+ */
+export function parseKeypathText(text) {
+    const trimmed = text.trim();
+    const origin = trimmed.match(/^\[([0-9a-fA-F]{8})(\/[^\]]*)?\]$/);
+    if (origin) {
+        return { components: parseKeypath(origin[2] || ''), sourceFingerprint: parseInt(origin[1], 16) };
+    }
+    if (/^\[/.test(trimmed)) {
+        throw new Error('Expected [fingerprint/path] with an 8-digit hex fingerprint');
+    }
+    return { components: parseKeypath(trimmed), sourceFingerprint: null };
+}
+
+/**
+ * List Every Keypath in a Payload
+ *
+ * @param {Uint8Array} bytes - CBOR payload
+ * @param {string|null} urType - UR type (names the untagged root)
+ * @returns {object[]} [{ pointer, location, keypath, text }] in document order
+ */
+export function findKeypaths(bytes, urType = null) {
+    const found = [];
+    const rootTag = UR_TYPE_TAGS[urType] ?? null;
+
+    const visit = (value, pointer, location, tag, children = false) => {
+        if (value === null || typeof value !== 'object') return;
+        if (KEYPATH_TAGS.includes(tag)) {
+            const keypath = decodeKeypath(value);
+            found.push({ pointer, location: location.join(' › ') || 'keypath', keypath, text: formatKeypathText(keypath, { children }) });
+            return;
+        }
+        if ('$tag' in value) {
+            const inner = Number(value.$tag);
+            visit(value.$value, [...pointer, '$value'], TAG_NAMES[inner] ? [...location, TAG_NAMES[inner]] : location, inner, children);
+            return;
+        }
+        if (Array.isArray(value.$map)) {
+            value.$map.forEach(([key, entry], i) => {
+                const field = HDKEY_TAGS.includes(tag) && HDKEY_KEYPATH_FIELDS[key] ? HDKEY_KEYPATH_FIELDS[key] : `key ${typeof key === 'object' ? '…' : key}`;
+                visit(entry, [...pointer, '$map', i, 1], [...location, field], null, field === 'children');
+            });
+            return;
+        }
+        if (Array.isArray(value)) {
+            value.forEach((entry, i) => visit(entry, [...pointer, i], [...location, `#${i + 1}`], null));
+        }
+    };
+
+    const root = cborToJson(bytes);
+    const rootTagged = root && typeof root === 'object' && '$tag' in root;
+    visit(root, [], rootTag && !rootTagged ? [TAG_NAMES[rootTag] || urType] : [], rootTagged ? null : rootTag);
+    return found;
+}
+
+/**
+ * Replace the Keypath at a Pointer With Edited Text
+ *
+ * The enclosing tag (v1/v2) is kept. A depth field is kept when it
+ * differed from the component count (a partial origin), otherwise it
+ * follows the new path length.
+ *
+ * @param {Uint8Array} bytes - CBOR payload
+ * @param {Array} pointer - Pointer from findKeypaths
+ * @param {string} text - New path text (see parseKeypathText)
+ * @returns {Uint8Array} Re-encoded payload
+ */
+export function replaceKeypath(bytes, pointer, text) {
+    const root = cborToJson(bytes);
+    const parent = pointer.slice(0, -1).reduce((node, step) => node[step], root);
+    const current = pointer.length ? parent[pointer[pointer.length - 1]] : root;
+
+    const previous = decodeKeypath(current);
+    const { components, sourceFingerprint } = parseKeypathText(text);
+    const partial = previous.depth !== null && previous.depth !== previous.components.length;
+    const depth = previous.depth === null ? null : (partial ? previous.depth : components.length);
+
+    // Pointers address the untagged map, so the enclosing tag stays as it was
+    const replacement = encodeKeypath({ components, sourceFingerprint, depth }).$value;
+
+    if (!pointer.length) return jsonToCbor(replacement);
+    parent[pointer[pointer.length - 1]] = replacement;
+    return jsonToCbor(root);
+}
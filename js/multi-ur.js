@@ -13,14 +13,24 @@
  * - Encoder blocks grid visualization (shows which original blocks each fragment contains)
  * - Advanced animation controls (play/pause/restart/speed/frame indicator/progress)
  * - Finite vs Infinite mode support
- * - Export as animated GIF (finite mode only)
+ * - Export as animated GIF, animated SVG, APNG or WebM (finite mode only), or the current frame as SVG
  * - Copy-to-clipboard (individual part, all parts, current QR as PNG)
+ * - ZIP bundle of all parts (PNG/SVG per part, parts.txt, manifest.json)
+ * - Fountain loss simulator (generated parts → virtual decoder with dropped frames)
+ * - QR capacity planner (fragment length → QR version, applied to the generator)
  */
 
 import { UR, UrFountainEncoder, UrFountainDecoder } from 'https://esm.sh/@ngraveio/bc-ur@2.0.0-beta.9?dev';
 import QRCode from 'https://esm.sh/qrcode@1.5.3';
 import { GIFEncoder, quantize, applyPalette } from 'https://unpkg.com/gifenc';
-import { handleError, updateStatus } from './shared.js';
+import { handleError, updateStatus, downloadFile, escapeHtml } from './shared.js';
+import { simulateFountainLoss } from './fountain-simulator.js';
+import { planFragmentLengths, maxVersionForSize, recommendFragmentLength, versionSteps, qrSegments, qrForText } from './qr-capacity.js';
+import { frameToSvg, framesToAnimatedSvg, framesToApng, parseColor } from './qr-export.js';
+import { buildFrameBundle } from './frame-bundle.js';
+
+// Runs drawn individually in the simulator chart (the median is drawn over all runs)
+const MAX_PLOTTED_RUNS = 100;
 
 export class MultiURGenerator {
   constructor() {
@@ -66,7 +76,15 @@ export class MultiURGenerator {
         qrSize: 600,           // px (base size, will be calculated responsively)
         errorCorrectionLevel: 'L',
         currentQRDataURL: null,
-        mode: 'alphanumeric'   // Alphanumeric encoding for compact QR
+        mode: 'alphanumeric',  // 'alphanumeric' (uppercase UR, compact) | 'byte' (lowercase UR)
+        comparison: null,      // { byte, alphanumeric } QR size of the longest part, per generation
+        plan: null             // Last capacity plan settings { errorCorrectionLevel, mode, maxVersion, fps }
+      },
+
+      // Loss simulator state
+      simulation: {
+        isRunning: false,
+        history: []            // One summary row per simulation, for comparing parameters
       },
 
       // UI state
@@ -145,6 +163,7 @@ export class MultiURGenerator {
     this.minFragmentInput = this.container.querySelector('#min-fragment-length');
     this.firstSeqNumInput = this.container.querySelector('#first-seq-num');
     this.repeatRatioInput = this.container.querySelector('#repeat-after-ratio');
+    this.qrModeSelect = this.container.querySelector('#qr-encoding-mode');
 
     // QR canvas
     this.state.qr.canvasElement = this.container.querySelector('#multi-ur-qr-canvas');
@@ -164,8 +183,34 @@ export class MultiURGenerator {
     this.state.ui.partsListElement = this.container.querySelector('#parts-list-output');
     this.state.ui.modeBadge = this.container.querySelector('#mode-badge');
     this.frameIndicator = this.container.querySelector('#frame-indicator');
+    this.modeComparison = this.container.querySelector('#qr-mode-comparison');
     this.progressBar = this.container.querySelector('#animation-progress-bar');
 
+    // Export settings
+    this.exportSizeInput = this.container.querySelector('#export-size');
+    this.exportMarginInput = this.container.querySelector('#export-margin');
+    this.exportDarkInput = this.container.querySelector('#export-dark');
+    this.exportLightInput = this.container.querySelector('#export-light');
+    this.bundleFormatSelect = this.container.querySelector('#bundle-image-format');
+
+    // QR capacity planner
+    this.planEcLevelSelect = this.container.querySelector('#plan-ec-level');
+    this.planModeSelect = this.container.querySelector('#plan-mode');
+    this.planTargetSelect = this.container.querySelector('#plan-target');
+    this.planMaxVersionInput = this.container.querySelector('#plan-max-version');
+    this.planSizeInput = this.container.querySelector('#plan-size-mm');
+    this.planModuleInput = this.container.querySelector('#plan-module-mm');
+    this.planOutput = this.container.querySelector('#capacity-plan-output');
+
+    // Loss simulator
+    this.simDropRateInput = this.container.querySelector('#sim-drop-rate');
+    this.simBurstLengthInput = this.container.querySelector('#sim-burst-length');
+    this.simStartOffsetInput = this.container.querySelector('#sim-start-offset');
+    this.simRandomStartInput = this.container.querySelector('#sim-random-start');
+    this.simRunsInput = this.container.querySelector('#sim-runs');
+    this.simSeedInput = this.container.querySelector('#sim-seed');
+    this.simOutput = this.container.querySelector('#loss-simulation-output');
+
     if (!this.inputTextarea || !this.state.qr.canvasElement) {
       throw new Error('Required UI elements not found in multi-ur-tab');
     }
@@ -191,6 +236,17 @@ export class MultiURGenerator {
     if (this.repeatRatioInput) {
       this.repeatRatioInput.addEventListener('change', () => this.updateModeUI());
     }
+    if (this.qrModeSelect) {
+      this.qrModeSelect.value = this.state.qr.mode;
+      this.qrModeSelect.addEventListener('change', () => {
+        this.state.qr.mode = this.qrModeSelect.value;
+        if (this.state.encoder.instance && !this.state.animation.isPlaying) {
+          this.renderCurrentFrame();
+        } else {
+          this.updateModeComparison();
+        }
+      });
+    }
 
     // Animation controls
     if (this.playBtn) {
@@ -234,6 +290,32 @@ export class MultiURGenerator {
       exportGIFBtn.addEventListener('click', () => this.exportAsGIF());
     }
 
+    // Vector / lossless / video exports
+    const exportSvgFrameBtn = this.container.querySelector('#export-svg-frame');
+    if (exportSvgFrameBtn) {
+      exportSvgFrameBtn.addEventListener('click', () => this.exportCurrentSVG());
+    }
+
+    const exportSvgAnimatedBtn = this.container.querySelector('#export-svg-animated');
+    if (exportSvgAnimatedBtn) {
+      exportSvgAnimatedBtn.addEventListener('click', () => this.exportAnimatedSVG());
+    }
+
+    const exportApngBtn = this.container.querySelector('#export-apng');
+    if (exportApngBtn) {
+      exportApngBtn.addEventListener('click', () => this.exportAsAPNG());
+    }
+
+    const exportWebmBtn = this.container.querySelector('#export-webm');
+    if (exportWebmBtn) {
+      exportWebmBtn.addEventListener('click', () => this.exportAsWebM());
+    }
+
+    const exportBundleBtn = this.container.querySelector('#export-bundle');
+    if (exportBundleBtn) {
+      exportBundleBtn.addEventListener('click', () => this.exportBundle());
+    }
+
     // Next Frame button (manual frame stepping)
     const nextFrameBtn = this.container.querySelector('#next-frame');
     if (nextFrameBtn) {
@@ -246,6 +328,44 @@ export class MultiURGenerator {
       previousFrameBtn.addEventListener('click', () => this.previousFrame());
     }
 
+    // Capacity planner
+    const planBtn = this.container.querySelector('#run-capacity-plan');
+    if (planBtn) {
+      planBtn.addEventListener('click', () => this.runCapacityPlan());
+    }
+    if (this.planTargetSelect) {
+      this.planTargetSelect.addEventListener('change', () => {
+        const bySize = this.planTargetSelect.value === 'size';
+        this.container.querySelector('#plan-version-target').style.display = bySize ? 'none' : 'block';
+        this.container.querySelector('#plan-size-target').style.display = bySize ? 'block' : 'none';
+        this.container.querySelector('#plan-module-target').style.display = bySize ? 'block' : 'none';
+      });
+    }
+    if (this.planOutput) {
+      this.planOutput.addEventListener('click', (e) => {
+        const button = e.target.closest('[data-apply-fragment-length]');
+        if (button) {
+          this.applyCapacityPlan(parseInt(button.dataset.applyFragmentLength));
+        }
+      });
+    }
+
+    // Loss simulator buttons
+    const simulateBtn = this.container.querySelector('#run-loss-simulation');
+    if (simulateBtn) {
+      simulateBtn.addEventListener('click', () => this.runLossSimulation());
+    }
+
+    const clearHistoryBtn = this.container.querySelector('#clear-loss-history');
+    if (clearHistoryBtn) {
+      clearHistoryBtn.addEventListener('click', () => {
+        this.state.simulation.history = [];
+        if (this.simOutput) {
+          this.simOutput.innerHTML = '';
+        }
+      });
+    }
+
     // Window resize listener for responsive QR sizing
     this.resizeHandler = () => {
       // Debounce resize events
@@ -414,8 +534,8 @@ export class MultiURGenerator {
 
       // Parse input (UR or hex)
       let ur;
-      if (input.startsWith('ur:')) {
-        // Parse UR
+      if (/^ur:/i.test(input)) {
+        // Parse UR (uppercase QR-style input included)
         ur = UR.fromString(input);
         this.state.input.urString = input;
         this.state.input.urType = ur.type;
@@ -441,6 +561,7 @@ export class MultiURGenerator {
       this.state.encoder.firstSeqNum = parseInt(this.firstSeqNumInput.value);
       this.state.encoder.repeatAfterRatio = parseFloat(this.repeatRatioInput.value);
       this.state.encoder.isInfiniteMode = (this.state.encoder.repeatAfterRatio === -1);
+      this.state.qr.comparison = null;
 
       // Initialize UrFountainEncoder
       this.state.encoder.instance = new UrFountainEncoder(
@@ -598,16 +719,14 @@ export class MultiURGenerator {
       const responsiveSize = this.getResponsiveQRSize();
       await QRCode.toCanvas(
         this.state.qr.canvasElement,
-        currentPart,
+        qrSegments(currentPart, this.state.qr.mode),
         {
           errorCorrectionLevel: this.state.qr.errorCorrectionLevel,
           width: responsiveSize,
           margin: 2
-          // Note: 'mode' option for alphanumeric is not directly supported in qrcode@1.5.3
-          // The library auto-detects best encoding mode based on content
-          // UR strings with bytewords will automatically use alphanumeric mode
         }
       );
+      this.updateModeComparison(currentPart);
 
       // Update current part text output
       if (this.state.ui.currentPartText) {
@@ -654,6 +773,40 @@ export class MultiURGenerator {
     }
   }
 
+  /**
+   * Show the QR Size in Byte Versus Alphanumeric Mode
+   * Measured once per generation on the longest part (the last finite part,
+   * or the first streamed part in infinite mode).
+   *
+   * @param {string} [urPart] - Part to measure if nothing is measured yet
+   */
+  updateModeComparison(urPart) {
+    if (!this.modeComparison) {
+      return;
+    }
+    if (!this.state.qr.comparison) {
+      const parts = this.state.encoder.parts;
+      const longest = parts.length > 0 ? String(parts[parts.length - 1]) : urPart;
+      if (!longest) {
+        return;
+      }
+      const errorCorrectionLevel = this.state.qr.errorCorrectionLevel;
+      this.state.qr.comparison = {
+        byte: qrForText(longest, { errorCorrectionLevel, mode: 'byte' }),
+        alphanumeric: qrForText(longest, { errorCorrectionLevel, mode: 'alphanumeric' })
+      };
+    }
+
+    const describe = (mode, label) => {
+      const qr = this.state.qr.comparison[mode];
+      const text = `${label}: ${qr ? `version ${qr.version} · ${qr.modules}×${qr.modules} modules` : 'too large'}`;
+      return mode === this.state.qr.mode ? `<strong>${text} (shown)</strong>` : text;
+    };
+    this.modeComparison.innerHTML =
+      `${describe('alphanumeric', 'Alphanumeric (UR:…)')} &nbsp;·&nbsp; ${describe('byte', 'Byte (ur:…)')} ` +
+      `<span style="color: #959da5;">· EC ${this.state.qr.errorCorrectionLevel}</span>`;
+  }
+
   /**
    * Update Encoder Blocks Grid
    *
@@ -940,6 +1093,11 @@ export class MultiURGenerator {
     if (qrSection) {
       qrSection.style.display = 'block';
     }
+
+    const simulatorSection = this.container.querySelector('#loss-simulator');
+    if (simulatorSection) {
+      simulatorSection.style.display = 'block';
+    }
   }
 
   /**
@@ -1053,9 +1211,10 @@ export class MultiURGenerator {
     }
 
     try {
+      const options = this.getExportOptions();
 
       // Calculate delay based on current FPS (in milliseconds for gifenc)
-      const fps = this.state.animation.fps || 5;
+      const fps = options.fps;
       const delay = Math.round(1000 / fps); // Convert FPS to milliseconds
 
       // Show progress
@@ -1068,8 +1227,8 @@ export class MultiURGenerator {
       // Create GIF encoder
       const gif = GIFEncoder();
 
-      // Use responsive size for GIF export
-      const responsiveSize = this.getResponsiveQRSize();
+      // Use the export size for GIF frames
+      const responsiveSize = options.size;
 
       // Create temporary canvas for rendering frames
       const tempCanvas = document.createElement('canvas');
@@ -1085,11 +1244,12 @@ export class MultiURGenerator {
         // Generate QR code on temporary canvas
         await QRCode.toCanvas(
           tempCanvas,
-          urString,
+          qrSegments(urString, this.state.qr.mode),
           {
-            errorCorrectionLevel: this.state.qr.errorCorrectionLevel,
+            errorCorrectionLevel: options.errorCorrectionLevel,
             width: responsiveSize,
-            margin: 2
+            margin: options.margin,
+            color: { dark: options.dark, light: options.light }
           }
         );
 
@@ -1126,16 +1286,8 @@ export class MultiURGenerator {
       
       // Create blob and download
       const blob = new Blob([buffer], { type: 'image/gif' });
-      const url = URL.createObjectURL(blob);
-      const a = document.createElement('a');
-      a.href = url;
-      a.download = `multi-ur-qr-${this.state.encoder.parts.length}-frames-${fps}fps.gif`;
-      a.click();
-      
-      // Cleanup
-      URL.revokeObjectURL(url);
-      
-      
+      downloadFile(`multi-ur-qr-${this.state.encoder.parts.length}-frames-${fps}fps.gif`, blob);
+
       updateStatus(
         this.state.ui.statusElement,
         `✅ GIF exported: ${this.state.encoder.parts.length} frames at ${fps} FPS (${(blob.size / 1024).toFixed(1)} KB)`,
@@ -1150,6 +1302,520 @@ export class MultiURGenerator {
     }
   }
 
+  /**
+   * Read the Export Settings
+   * Size, margin and colours from the export inputs; QR mode, error
+   * correction and frame rate from the generator.
+   *
+   * @returns {object} { size, margin, dark, light, errorCorrectionLevel, mode, fps }
+   * @throws {Error} If a setting is out of range
+   */
+  getExportOptions() {
+    const size = parseInt(this.exportSizeInput?.value ?? '600');
+    const margin = parseInt(this.exportMarginInput?.value ?? '2');
+    const dark = this.exportDarkInput?.value || '#000000';
+    const light = this.exportLightInput?.value || '#ffffff';
+
+    if (!Number.isInteger(size) || size < 64 || size > 4096) {
+      throw new Error('Export size must be between 64 and 4096 px');
+    }
+    if (!Number.isInteger(margin) || margin < 0 || margin > 20) {
+      throw new Error('Margin must be between 0 and 20 modules');
+    }
+    parseColor(dark);
+    parseColor(light);
+
+    return {
+      size,
+      margin,
+      dark,
+      light,
+      errorCorrectionLevel: this.state.qr.errorCorrectionLevel,
+      mode: this.state.qr.mode,
+      fps: this.state.animation.fps || 5
+    };
+  }
+
+  /**
+   * Check That the Generated Parts Can Be Exported as an Animation
+   *
+   * @param {string} format - Format name for the status message
+   * @returns {boolean} True if a finite part list is available
+   */
+  canExportAnimation(format) {
+    if (this.state.encoder.isInfiniteMode) {
+      updateStatus(
+        this.state.ui.statusElement,
+        `Cannot export infinite stream as ${format}. Use finite mode (repeat ratio >= 0).`,
+        'error'
+      );
+      return false;
+    }
+
+    if (this.state.encoder.parts.length === 0) {
+      updateStatus(this.state.ui.statusElement, 'No parts to export', 'error');
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Export the Current Frame as SVG (vector QR modules)
+   */
+  async exportCurrentSVG() {
+    // The frame on screen (getCurrentURPart() would advance an infinite stream)
+    const part = this.state.ui.currentPartText?.value;
+    if (!part) {
+      updateStatus(this.state.ui.statusElement, 'No frame to export', 'error');
+      return;
+    }
+
+    try {
+      const options = this.getExportOptions();
+      const svg = await frameToSvg(part, options);
+      const seqMatch = part.match(/\/(\d+)-(\d+)\//);
+      const name = seqMatch ? `multi-ur-qr-part-${seqMatch[1]}-of-${seqMatch[2]}.svg` : 'multi-ur-qr.svg';
+      downloadFile(name, svg, 'image/svg+xml');
+      updateStatus(this.state.ui.statusElement, '✅ Current frame exported as SVG', 'success');
+    } catch (error) {
+      console.error('[MultiURGenerator] SVG export failed:', error);
+      updateStatus(this.state.ui.statusElement, 'SVG export failed: ' + error.message, 'error');
+    }
+  }
+
+  /**
+   * Export All Frames as One Animated SVG (finite mode only)
+   */
+  async exportAnimatedSVG() {
+    if (!this.canExportAnimation('animated SVG')) return;
+
+    try {
+      const options = this.getExportOptions();
+      const parts = this.state.encoder.parts.map(part => part.toString());
+      const svg = await framesToAnimatedSvg(parts, options);
+      const blob = new Blob([svg], { type: 'image/svg+xml' });
+      downloadFile(`multi-ur-qr-${parts.length}-frames-${options.fps}fps.svg`, blob);
+      updateStatus(
+        this.state.ui.statusElement,
+        `✅ Animated SVG exported: ${parts.length} frames at ${options.fps} FPS (${(blob.size / 1024).toFixed(1)} KB)`,
+        'success'
+      );
+    } catch (error) {
+      console.error('[MultiURGenerator] Animated SVG export failed:', error);
+      updateStatus(this.state.ui.statusElement, 'Animated SVG export failed: ' + error.message, 'error');
+    }
+  }
+
+  /**
+   * Export All Frames as an Animated PNG (finite mode only)
+   */
+  async exportAsAPNG() {
+    if (!this.canExportAnimation('APNG')) return;
+
+    try {
+      const options = this.getExportOptions();
+      const parts = this.state.encoder.parts.map(part => part.toString());
+      updateStatus(this.state.ui.statusElement, `Generating APNG with ${parts.length} frames...`, 'info');
+
+      const bytes = await framesToApng(parts, options);
+      const blob = new Blob([bytes], { type: 'image/apng' });
+      downloadFile(`multi-ur-qr-${parts.length}-frames-${options.fps}fps.png`, blob);
+      updateStatus(
+        this.state.ui.statusElement,
+        `✅ APNG exported: ${parts.length} frames at ${options.fps} FPS (${(blob.size / 1024).toFixed(1)} KB)`,
+        'success'
+      );
+    } catch (error) {
+      console.error('[MultiURGenerator] APNG export failed:', error);
+      updateStatus(this.state.ui.statusElement, 'APNG export failed: ' + error.message, 'error');
+    }
+  }
+
+  /**
+   * Export One Loop as WebM Video (finite mode only)
+   *
+   * Frames are drawn to an offscreen canvas and recorded with MediaRecorder.
+   * Recording runs in real time: each frame is pushed to the stream, then held
+   * for 1/fps seconds, so the export takes as long as one loop plays.
+   */
+  async exportAsWebM() {
+    if (!this.canExportAnimation('WebM')) return;
+
+    if (typeof MediaRecorder === 'undefined' || !HTMLCanvasElement.prototype.captureStream) {
+      updateStatus(this.state.ui.statusElement, 'This browser cannot record canvas video (MediaRecorder unavailable)', 'error');
+      return;
+    }
+    const mimeType = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm']
+      .find(type => MediaRecorder.isTypeSupported(type));
+    if (!mimeType) {
+      updateStatus(this.state.ui.statusElement, 'This browser cannot record WebM video', 'error');
+      return;
+    }
+
+    let stream = null;
+    try {
+      const options = this.getExportOptions();
+      const parts = this.state.encoder.parts.map(part => part.toString());
+      const frameDelay = 1000 / options.fps;
+      const renderFrame = (canvas, part) => QRCode.toCanvas(canvas, qrSegments(part, options.mode), {
+        errorCorrectionLevel: options.errorCorrectionLevel,
+        width: options.size,
+        margin: options.margin,
+        color: { dark: options.dark, light: options.light }
+      });
+
+      // Draw the first frame before capturing so the canvas already has its final size
+      const canvas = document.createElement('canvas');
+      await renderFrame(canvas, parts[0]);
+      stream = canvas.captureStream(0);
+      const [track] = stream.getVideoTracks();
+
+      const recorder = new MediaRecorder(stream, { mimeType });
+      const chunks = [];
+      recorder.ondataavailable = (e) => {
+        if (e.data.size > 0) chunks.push(e.data);
+      };
+      const stopped = new Promise(resolve => { recorder.onstop = resolve; });
+      recorder.start();
+
+      for (let i = 0; i < parts.length; i++) {
+        if (i > 0) await renderFrame(canvas, parts[i]);
+        track.requestFrame();
+        if (i % 5 === 0 || i === parts.length - 1) {
+          updateStatus(this.state.ui.statusElement, `Recording WebM frame ${i + 1} of ${parts.length} (real time)...`, 'info');
+        }
+        await new Promise(resolve => setTimeout(resolve, frameDelay));
+      }
+
+      recorder.stop();
+      await stopped;
+
+      const blob = new Blob(chunks, { type: 'video/webm' });
+      downloadFile(`multi-ur-qr-${parts.length}-frames-${options.fps}fps.webm`, blob);
+      updateStatus(
+        this.state.ui.statusElement,
+        `✅ WebM exported: ${parts.length} frames at ${options.fps} FPS (${(blob.size / 1024).toFixed(1)} KB)`,
+        'success'
+      );
+    } catch (error) {
+      console.error('[MultiURGenerator] WebM export failed:', error);
+      updateStatus(this.state.ui.statusElement, 'WebM export failed: ' + error.message, 'error');
+    } finally {
+      stream?.getTracks().forEach(track => track.stop());
+    }
+  }
+
+  /**
+   * Download a ZIP Bundle of All Parts (finite mode only)
+   * One PNG or SVG per part, parts.txt and manifest.json, built in the browser.
+   */
+  async exportBundle() {
+    if (!this.canExportAnimation('bundle')) return;
+
+    try {
+      const options = this.getExportOptions();
+      const parts = this.state.encoder.parts.map(part => part.toString());
+      const { bytes, manifest } = await buildFrameBundle(UR.fromString(this.state.input.urString), parts, {
+        ...options,
+        format: this.bundleFormatSelect?.value || 'png',
+        maxFragmentLength: this.state.encoder.maxFragmentLength,
+        minFragmentLength: this.state.encoder.minFragmentLength,
+        firstSeqNum: this.state.encoder.firstSeqNum,
+        repeatAfterRatio: this.state.encoder.repeatAfterRatio,
+        onProgress: (done, total) => {
+          if (done % 5 === 0 || done === total) {
+            updateStatus(this.state.ui.statusElement, `Bundling frame ${done} of ${total}...`, 'info');
+          }
+        }
+      });
+
+      const blob = new Blob([bytes], { type: 'application/zip' });
+      downloadFile(`multi-ur-${manifest.type}-${parts.length}-parts.zip`, blob);
+      updateStatus(
+        this.state.ui.statusElement,
+        `✅ Bundle exported: ${parts.length} ${manifest.qr.format.toUpperCase()} frames + parts.txt + manifest.json (${(blob.size / 1024).toFixed(1)} KB)`,
+        'success'
+      );
+    } catch (error) {
+      console.error('[MultiURGenerator] Bundle export failed:', error);
+      updateStatus(this.state.ui.statusElement, 'Bundle export failed: ' + error.message, 'error');
+    }
+  }
+
+  /**
+   * Read the Input Textarea as a UR (UR string or hex)
+   *
+   * @returns {UR} Parsed UR
+   * @throws {Error} If the input is empty or neither form
+   */
+  readInputUr() {
+    const input = this.inputTextarea.value.trim();
+    if (!input) {
+      throw new Error('Please enter a UR or hex string');
+    }
+    if (/^ur:/i.test(input)) {
+      return UR.fromString(input);
+    }
+    if (/^[0-9a-fA-F]+$/.test(input) && input.length % 2 === 0) {
+      return UR.fromHex({ type: 'bytes', payload: input.toLowerCase() });
+    }
+    throw new Error('Invalid input. Must be UR string (ur:...) or hex');
+  }
+
+  /**
+   * Run the QR Capacity Planner
+   * Measures the QR version of every candidate fragment length for the
+   * current input and encoder parameters, and recommends the largest
+   * fragments that fit the target version or physical size.
+   */
+  runCapacityPlan() {
+    if (!this.planOutput) {
+      return;
+    }
+
+    try {
+      const repeatAfterRatio = parseFloat(this.repeatRatioInput?.value || 0);
+      const plan = {
+        errorCorrectionLevel: this.planEcLevelSelect?.value || 'L',
+        mode: this.planModeSelect?.value || 'byte',
+        fps: this.state.animation.fps,
+        repeatAfterRatio
+      };
+      plan.maxVersion = this.planTargetSelect?.value === 'size'
+        ? maxVersionForSize(parseFloat(this.planSizeInput.value), parseFloat(this.planModuleInput.value))
+        : parseInt(this.planMaxVersionInput?.value || 10);
+      if (!(plan.maxVersion >= 1 && plan.maxVersion <= 40)) {
+        throw new Error(this.planTargetSelect?.value === 'size'
+          ? 'Not even a version 1 QR code fits that size at that module size'
+          : 'Max QR version must be between 1 and 40');
+      }
+
+      const rows = planFragmentLengths(this.readInputUr(), {
+        minFragmentLength: parseInt(this.minFragmentInput?.value || 10),
+        firstSeqNum: parseInt(this.firstSeqNumInput?.value || 0),
+        repeatAfterRatio,
+        errorCorrectionLevel: plan.errorCorrectionLevel,
+        fps: plan.fps
+      });
+      this.renderCapacityPlan(plan, rows, recommendFragmentLength(rows, plan));
+    } catch (error) {
+      console.error('[MultiURGenerator] Capacity plan error:', error);
+      this.planOutput.innerHTML = `<div class="det-verdict fail">❌ ${error.message}</div>`;
+    }
+  }
+
+  /**
+   * Render the Recommendation and the Version Table
+   */
+  renderCapacityPlan(plan, rows, recommended) {
+    const qrCell = (qr) => qr ? `v${qr.version} · ${qr.modules}×${qr.modules}` : 'too large';
+    const frames = (row) => row.frames ?? '∞';
+    const scanTime = (row) => `${row.frames === null ? '≥ ' : ''}${row.scanSeconds.toFixed(1)} s`;
+    const current = parseInt(this.maxFragmentInput?.value || 0);
+    const shown = versionSteps(rows);
+    const currentRow = rows.find(row => row.fragmentLength <= current);
+    if (currentRow && !shown.includes(currentRow)) {
+      shown.push(currentRow);
+      shown.sort((a, b) => b.fragmentLength - a.fragmentLength);
+    }
+
+    const verdict = recommended
+      ? `<div class="det-verdict ok">✅ Max fragment length <strong>${recommended.fragmentLength}</strong> → ` +
+          `${qrCell(recommended[plan.mode])} (${plan.mode}, EC ${plan.errorCorrectionLevel}), ` +
+          `${frames(recommended)} frame(s), ${scanTime(recommended)} per loop at ${plan.fps} fps ` +
+          `<button class="copy-option-btn compact" data-apply-fragment-length="${recommended.fragmentLength}">Apply to generator</button></div>`
+      : `<div class="det-verdict fail">❌ No fragment length fits QR version ${plan.maxVersion} in ${plan.mode} mode at EC ${plan.errorCorrectionLevel}</div>`;
+
+    const body = shown.map(row => {
+      const marks = [row === recommended ? '⭐ recommended' : null, row === currentRow ? '← current' : null].filter(Boolean).join(' ');
+      return `
+        <tr${row === recommended ? ' class="plan-recommended"' : ''}>
+          <td>${row.fragmentLength}${marks ? ` <span class="psbt-sub">${marks}</span>` : ''}</td>
+          <td>${row.pureParts}</td>
+          <td>${frames(row)}</td>
+          <td>${scanTime(row)}</td>
+          <td>${row.partLength}</td>
+          <td>${qrCell(row.byte)}</td>
+          <td>${qrCell(row.alphanumeric)}</td>
+        </tr>`;
+    }).join('');
+
+    this.planOutput.innerHTML = `
+      ${verdict}
+      <div class="bw-note">Target: QR version ≤ ${plan.maxVersion} · rows show the largest fragment length for each QR version${currentRow ? ' and the current setting' : ''}</div>
+      <table class="bw-suggestions psbt-table generator-table">
+        <thead><tr>
+          <th>Max fragment length</th><th>Pure parts</th><th>Frames</th><th>Scan time (${plan.fps} fps)</th>
+          <th>Part chars</th><th>Byte mode</th><th>Alphanumeric mode</th>
+        </tr></thead>
+        <tbody>${body}</tbody>
+      </table>`;
+    this.state.qr.plan = plan;
+  }
+
+  /**
+   * Apply a Planned Fragment Length (and the plan's QR settings) to the Generator
+   *
+   * @param {number} fragmentLength - Max fragment length to use
+   */
+  async applyCapacityPlan(fragmentLength) {
+    const plan = this.state.qr.plan;
+    this.maxFragmentInput.value = fragmentLength;
+    if (parseInt(this.minFragmentInput.value) > fragmentLength) {
+      this.minFragmentInput.value = fragmentLength;
+    }
+    if (plan) {
+      this.state.qr.errorCorrectionLevel = plan.errorCorrectionLevel;
+      this.state.qr.mode = plan.mode;
+      if (this.qrModeSelect) {
+        this.qrModeSelect.value = plan.mode;
+      }
+    }
+    this.validateParameters();
+
+    if (this.state.input.isValid) {
+      await this.handleGenerate();
+    } else {
+      updateStatus(
+        this.state.ui.statusElement,
+        `Applied max fragment length ${fragmentLength}${plan ? ` (EC ${plan.errorCorrectionLevel}, ${plan.mode} mode)` : ''}. Click Generate.`,
+        'success'
+      );
+    }
+  }
+
+  /**
+   * Run the Fountain Loss Simulator
+   * Replays the generated parts (with the encoder parameters of the last
+   * Generate) into virtual decoders that drop frames, then plots decoded
+   * blocks against frames received and adds a row to the comparison table.
+   */
+  async runLossSimulation() {
+    if (this.state.simulation.isRunning || !this.state.input.isValid || !this.simOutput) {
+      return;
+    }
+
+    const params = {
+      maxFragmentLength: this.state.encoder.maxFragmentLength,
+      minFragmentLength: this.state.encoder.minFragmentLength,
+      firstSeqNum: this.state.encoder.firstSeqNum,
+      repeatAfterRatio: this.state.encoder.repeatAfterRatio,
+      dropRate: parseFloat(this.simDropRateInput?.value || 0) / 100,
+      burstLength: parseFloat(this.simBurstLengthInput?.value || 1),
+      startOffset: parseInt(this.simStartOffsetInput?.value || 0),
+      randomStart: !!this.simRandomStartInput?.checked,
+      runs: parseInt(this.simRunsInput?.value || 100),
+      seed: parseInt(this.simSeedInput?.value || 1)
+    };
+
+    try {
+      if (!(params.runs >= 1 && params.runs <= 1000)) {
+        throw new Error('Runs must be between 1 and 1000');
+      }
+      if (!(params.startOffset >= 0)) {
+        throw new Error('Scan start offset must be 0 or more');
+      }
+
+      this.state.simulation.isRunning = true;
+      this.simOutput.innerHTML = `<div class="bw-note">⏳ Simulating ${params.runs} scan(s)…</div>`;
+      // Let the note paint before the (synchronous) simulation blocks the page
+      await new Promise(resolve => setTimeout(resolve, 0));
+
+      const result = simulateFountainLoss(UR.fromString(this.state.input.urString), params);
+      this.state.simulation.history.push({ params, result });
+      this.renderLossSimulation(params, result);
+    } catch (error) {
+      console.error('[MultiURGenerator] Simulation error:', error);
+      this.simOutput.innerHTML = `<div class="det-verdict fail">❌ Simulation failed: ${escapeHtml(error.message)}</div>`;
+    } finally {
+      this.state.simulation.isRunning = false;
+    }
+  }
+
+  /**
+   * Render Simulation Summary, Chart and Comparison Table
+   */
+  renderLossSimulation(params, result) {
+    const { summary, pureParts, loopLength } = result;
+    const stat = (stats, key) => stats ? stats[key] : '—';
+    const failed = params.runs - summary.completed;
+
+    const verdict = failed === 0
+      ? `<div class="det-verdict ok">✅ All ${params.runs} run(s) decoded · median ${stat(summary.received, 'median')} frames received, ${stat(summary.shown, 'median')} shown</div>`
+      : `<div class="det-verdict fail">❌ ${failed} of ${params.runs} run(s) gave up before decoding (frame limit reached)</div>`;
+
+    const overview = `
+      <div class="bw-summary">
+        <span>Pure parts: <strong>${pureParts}</strong></span>
+        <span>Loop length: <strong>${loopLength ?? '∞'}</strong></span>
+        <span>Frames received (median / p90 / max): <strong>${stat(summary.received, 'median')} / ${stat(summary.received, 'p90')} / ${stat(summary.received, 'max')}</strong></span>
+        <span>Frames shown (median / p90 / max): <strong>${stat(summary.shown, 'median')} / ${stat(summary.shown, 'p90')} / ${stat(summary.shown, 'max')}</strong></span>
+      </div>`;
+
+    const rows = this.state.simulation.history.map(({ params: p, result: r }, i) => `
+      <tr>
+        <td>${i + 1}</td>
+        <td>${p.minFragmentLength}–${p.maxFragmentLength}</td>
+        <td>${p.repeatAfterRatio === -1 ? '∞' : p.repeatAfterRatio}</td>
+        <td>${r.pureParts}</td>
+        <td>${Math.round(p.dropRate * 100)}% × ${p.burstLength}</td>
+        <td>${p.randomStart ? 'random' : p.startOffset}</td>
+        <td>${r.summary.completed}/${p.runs}</td>
+        <td>${stat(r.summary.received, 'median')} / ${stat(r.summary.received, 'p90')}</td>
+        <td>${stat(r.summary.shown, 'median')} / ${stat(r.summary.shown, 'p90')}</td>
+      </tr>`).join('');
+    const comparison = `
+      <table class="bw-suggestions psbt-table generator-table">
+        <thead><tr>
+          <th>#</th><th>Fragment length</th><th>Repeat ratio</th><th>Pure parts</th><th>Drop × burst</th>
+          <th>Start</th><th>Decoded</th><th>Received (median / p90)</th><th>Shown (median / p90)</th>
+        </tr></thead>
+        <tbody>${rows}</tbody>
+      </table>`;
+
+    this.simOutput.innerHTML = verdict + overview + this.renderLossChart(result) + comparison;
+  }
+
+  /**
+   * SVG Chart of Decoded Blocks Against Frames Received
+   * Faint lines are single runs, the bold line is the median over all runs.
+   */
+  renderLossChart({ runs, pureParts, summary }) {
+    const width = 640;
+    const height = 260;
+    const pad = { left: 44, right: 12, top: 12, bottom: 36 };
+    const maxX = Math.max(1, ...runs.map(run => run.curve.length));
+    const x = (frames) => pad.left + (frames / maxX) * (width - pad.left - pad.right);
+    const y = (blocks) => height - pad.bottom - (blocks / pureParts) * (height - pad.top - pad.bottom);
+    const line = (curve) => [[0, 0], ...curve.map((blocks, i) => [i + 1, blocks])]
+      .map(([frames, blocks]) => `${x(frames).toFixed(1)},${y(blocks).toFixed(1)}`).join(' ');
+
+    const runLines = runs.slice(0, MAX_PLOTTED_RUNS).map(run =>
+      `<polyline class="loss-run${run.complete ? '' : ' failed'}" points="${line(run.curve)}"/>`).join('');
+    const markers = summary.received
+      ? ['median', 'p90'].map(key => {
+        const frames = summary.received[key];
+        return `<line class="loss-marker" x1="${x(frames)}" x2="${x(frames)}" y1="${pad.top}" y2="${height - pad.bottom}"/>` +
+          `<text x="${x(frames) + 4}" y="${pad.top + 12}">${key} ${frames}</text>`;
+      }).join('')
+      : '';
+
+    return `
+      <svg class="loss-chart" viewBox="0 0 ${width} ${height}" role="img" aria-label="Decoded blocks against frames received">
+        <line class="loss-axis" x1="${pad.left}" y1="${height - pad.bottom}" x2="${width - pad.right}" y2="${height - pad.bottom}"/>
+        <line class="loss-axis" x1="${pad.left}" y1="${pad.top}" x2="${pad.left}" y2="${height - pad.bottom}"/>
+        <line class="loss-target" x1="${pad.left}" y1="${y(pureParts)}" x2="${width - pad.right}" y2="${y(pureParts)}"/>
+        ${runLines}
+        <polyline class="loss-median" points="${line(summary.medianCurve)}"/>
+        ${markers}
+        <text x="${pad.left - 6}" y="${y(pureParts) + 4}" text-anchor="end">${pureParts}</text>
+        <text x="${pad.left - 6}" y="${y(0) + 4}" text-anchor="end">0</text>
+        <text x="${x(maxX)}" y="${height - pad.bottom + 16}" text-anchor="end">${maxX}</text>
+        <text x="${(pad.left + width - pad.right) / 2}" y="${height - 6}" text-anchor="middle">frames received</text>
+        <text x="12" y="${(pad.top + height - pad.bottom) / 2}" text-anchor="middle" transform="rotate(-90 12 ${(pad.top + height - pad.bottom) / 2})">decoded blocks</text>
+      </svg>`;
+  }
+
   /**
    * Cleanup on tab deactivation
    */
@@ -0,0 +1,171 @@
+/**
+ * Multi-part UR Assembly Report UI Methods
+ *
+ * These methods are mixed into the FormatConverter class. For multi-part UR
+ * input they show each line's fragment header and fate (accepted, duplicate,
+ * part of another message, malformed) plus a map of the original blocks that
+ * are recovered or still missing. Clicking a line (or pasting a single part)
+ * decodes that fragment's header, padding and the blocks it XORs together.
+ */
+
+import { analyzeMultipartInput, describeFragment, formatIndexRanges } from './multipart-diagnostics.js';
+import { formatCrc } from './bytewords-diagnostics.js';
+import { bytesToHex } from './shared.js';
+
+// Above this many blocks the block map is replaced by the missing-range list only
+const MAX_BLOCK_MAP = 400;
+
+const STATUS_LABELS = {
+    accepted: '✅ accepted',
+    redundant: '➖ not needed',
+    duplicate: '🔁 duplicate',
+    foreign: '🚫 other message',
+    malformed: '⚠️ malformed'
+};
+
+export const MultipartDiagnosticsMixin = {
+    /**
+     * Initialize Multi-part Report Elements
+     * Call this in the constructor after other DOM elements are initialized
+     */
+    initializeMultipartDiagnostics() {
+        this.multipartDiagnostics = document.getElementById('multipart-diagnostics');
+        this.multipartDiagnosticsContent = document.getElementById('multipart-diagnostics-content');
+        this.multipartReportCache = { input: null, report: null };
+
+        if (this.multipartDiagnosticsContent) {
+            this.multipartDiagnosticsContent.addEventListener('click', (e) => {
+                const row = e.target.closest('[data-line-index]');
+                if (!row) return;
+                const entry = this.multipartReportCache.report?.lines[Number(row.dataset.lineIndex)];
+                if (entry?.header) this.renderFragmentDetails(entry);
+            });
+        }
+    },
+
+    /**
+     * Analyze Multi-part Input (cached; shared by assembleMultiUR and the panel)
+     *
+     * @param {string} rawInput - One fragment per line
+     * @returns {object} Report from analyzeMultipartInput
+     */
+    getMultipartReport(rawInput) {
+        const input = rawInput.trim();
+        if (this.multipartReportCache.input !== input) {
+            this.multipartReportCache = { input, report: analyzeMultipartInput(input) };
+        }
+        return this.multipartReportCache.report;
+    },
+
+    /**
+     * Show Assembly Report for Multi-part Input
+     *
+     * @param {string} rawInput - One fragment per line
+     */
+    showMultipartDiagnostics(rawInput) {
+        if (!this.multipartDiagnostics) return;
+        this.multipartDiagnostics.style.display = 'block';
+        this.renderMultipartDiagnostics(this.getMultipartReport(rawInput));
+    },
+
+    /**
+     * Hide Assembly Report
+     */
+    hideMultipartDiagnostics() {
+        if (this.multipartDiagnostics) this.multipartDiagnostics.style.display = 'none';
+    },
+
+    /**
+     * Render Summary, Block Map and Per-line Table
+     */
+    renderMultipartDiagnostics(report) {
+        const expected = report.expected;
+        const recovered = report.decodedBlocks.filter(Boolean).length;
+
+        const verdict = report.successful
+            ? '<div class="det-verdict ok">✅ Message assembled</div>'
+            : `<div class="det-verdict fail">❌ ${this.escapeHtml(report.error || (expected ? 'Message incomplete' : 'No valid fragments'))}</div>`;
+
+        const summary = expected ? `
+            <div class="bw-summary">
+                <span>Type: <strong>${this.escapeHtml(expected.type)}</strong></span>
+                <span>seqLen: <strong>${expected.seqLen}</strong></span>
+                <span>messageLen: <strong>${expected.messageLen}</strong> B</span>
+                <span>Fragment: <strong>${expected.fragmentLen}</strong> B</span>
+                <span>Checksum: <code>${formatCrc(expected.checksum)}</code></span>
+                <span>Blocks recovered: <strong>${recovered}/${expected.seqLen}</strong></span>
+            </div>` : '';
+
+        let blocks = '';
+        if (expected && !report.complete) {
+            const map = expected.seqLen <= MAX_BLOCK_MAP
+                ? `<div class="mp-blocks">${report.decodedBlocks.map((done, i) =>
+                    `<span class="mp-block ${done ? 'done' : 'missing'}" title="Block ${i}${done ? '' : ' (missing)'}"></span>`).join('')}</div>`
+                : '';
+            blocks = `<div class="bw-note">Missing original blocks: <code>${formatIndexRanges(report.missingBlocks)}</code></div>${map}`;
+        }
+
+        const rows = report.lines.map((entry, index) => {
+            const h = entry.header;
+            const part = h ? `${h.seqNum}/${h.seqLen}` : '—';
+            const header = h ? `${h.messageLen} B · <code>${formatCrc(h.checksum)}</code> · ${h.fragment.length} B` : '—';
+            const clickable = h ? ` data-line-index="${index}" title="Click to decode this fragment"` : '';
+            return `<tr class="mp-row ${entry.status}"${clickable}><td>${entry.line}</td><td>${part}</td><td>${header}</td>` +
+                `<td>${STATUS_LABELS[entry.status] || entry.status}</td><td>${this.escapeHtml(entry.message || '')}</td></tr>`;
+        }).join('');
+
+        this.multipartDiagnosticsContent.innerHTML = verdict + summary + blocks +
+            '<table class="bw-suggestions"><thead><tr><th>Line</th><th>Part</th><th>messageLen · checksum · fragment</th><th>Status</th><th>Details</th></tr></thead>' +
+            `<tbody>${rows}</tbody></table><div id="multipart-fragment-details"></div>`;
+
+        // A single pasted part is explained right away
+        if (report.lines.length === 1 && report.lines[0].header) {
+            this.renderFragmentDetails(report.lines[0]);
+        }
+    },
+
+    /**
+     * Render One Fragment: header fields, mixed blocks, padding and data bytes
+     *
+     * @param {object} entry - Report line with a parsed header
+     */
+    renderFragmentDetails(entry) {
+        const container = this.multipartDiagnosticsContent.querySelector('#multipart-fragment-details');
+        if (!container) return;
+
+        const h = entry.header;
+        const info = describeFragment(h);
+        const lastBlock = h.seqLen - 1;
+
+        const mix = info.simple
+            ? `Simple part: original block <strong>${info.indexes[0]}</strong>`
+            : `Mixed part (degree ${info.degree}): XOR of original blocks <strong>${formatIndexRanges(info.indexes)}</strong>`;
+
+        let padding = `Message padding: <strong>${info.paddingLength}</strong> zero byte(s) at the end of block ${lastBlock}`;
+        if (info.paddingIsZero !== null) {
+            padding += ` — the last ${info.paddingLength} byte(s) of this fragment, ${info.paddingIsZero ? 'all zero ✅' : 'NOT zero ⚠️'}`;
+        } else if (info.includesLastBlock && info.paddingLength > 0) {
+            padding += ' — mixed in here, so the fragment tail carries only the other blocks';
+        }
+
+        const hex = bytesToHex(h.fragment);
+        const dataHex = hex.slice(0, info.dataLength * 2);
+        const padHex = hex.slice(info.dataLength * 2);
+
+        container.innerHTML = `
+            <div class="det-canonical">
+                <div class="section-label">Fragment on line ${entry.line}</div>
+                <div class="bw-summary">
+                    <span>seqNum: <strong>${h.seqNum}</strong></span>
+                    <span>seqLen: <strong>${h.seqLen}</strong></span>
+                    <span>messageLen: <strong>${h.messageLen}</strong> B</span>
+                    <span>checksum: <code>${formatCrc(h.checksum)}</code></span>
+                    <span>fragment: <strong>${h.fragment.length}</strong> B</span>
+                </div>
+                <div class="bw-note">${mix}</div>
+                <div class="bw-note">${padding}</div>
+                <code class="det-code">${dataHex}<span class="mp-padding" title="Padding">${padHex}</span></code>
+            </div>
+        `;
+    }
+};
@@ -0,0 +1,240 @@
+/**
+ * BC-UR Playground - Multi-part UR Assembly Diagnostics
+ *
+ * Explains what happened to every line of pasted multi-part UR input instead
+ * of only reporting "incomplete". Each fragment carries a CBOR header
+ * [seqNum, seqLen, messageLen, checksum, fragment]; lines are grouped by that
+ * header so parts from another message (different checksum/length) are
+ * flagged rather than silently dropped by the fountain decoder.
+ *
+ * The message with the most parts is treated as the one being assembled.
+ */
+
+import { UR, UrFountainDecoder } from 'https://esm.sh/@ngraveio/bc-ur@2.0.0-beta.9?dev';
+import { hexToBytes, bytesToHex } from './shared.js';
+import { parseCbor } from './cbor-structure.js';
+import { formatCrc } from './bytewords-diagnostics.js';
+import { chooseFragments } from './fountain-fragments.js';
+
+/**
+ * Parse One Multi-part UR Fragment
+ *
+ * @param {string} line - ur:type/seqNum-seqLen/bytewords
+ * @returns {object} { type, seqNum, seqLen, messageLen, checksum, fragment, payloadHex }
+ * @throws {Error} If the line is not a well-formed fragment
+ */
+export function parseFragmentUr(line) {
+    const ur = UR.fromString(line.trim().toLowerCase());
+    if (!ur.isFragment) {
+        throw new Error('Not a multi-part fragment (no seqNum-seqLen in path)');
+    }
+
+    const payloadHex = ur.getPayloadHex();
+    const root = parseCbor(hexToBytes(payloadHex));
+    const [seqNum, seqLen, messageLen, checksum, fragment] = root.children || [];
+    if (root.kind !== 'array' || root.children.length !== 5 ||
+        ![seqNum, seqLen, messageLen, checksum].every(n => n.kind === 'uint') || fragment.kind !== 'bytes') {
+        throw new Error('Fragment payload is not [seqNum, seqLen, messageLen, checksum, bytes]');
+    }
+
+    const header = {
+        type: ur.type,
+        seqNum: Number(seqNum.value),
+        seqLen: Number(seqLen.value),
+        messageLen: Number(messageLen.value),
+        checksum: Number(checksum.value),
+        fragment: fragment.value,
+        payloadHex
+    };
+    if (header.seqNum !== ur.seqNum || header.seqLen !== ur.seqLength) {
+        throw new Error(`Path says ${ur.seqNum}-${ur.seqLength} but CBOR header says ${header.seqNum}-${header.seqLen}`);
+    }
+    if (header.seqLen < 1 || header.seqNum < 1) {
+        throw new Error('seqNum and seqLen must be at least 1');
+    }
+    return header;
+}
+
+/**
+ * Analyze Pasted Multi-part UR Input Line by Line
+ *
+ * @param {string} text - One fragment per line
+ * @returns {object} {
+ *   lines: [{ line, text, status, message, header }],
+ *     status: 'accepted' | 'redundant' | 'duplicate' | 'foreign' | 'malformed'
+ *   expected: { type, seqLen, messageLen, checksum, fragmentLen } | null,
+ *   decodedBlocks: number[] (1 = original block recovered),
+ *   missingBlocks: number[] (0-based block indexes),
+ *   complete, successful, resultUr, error
+ * }
+ */
+export function analyzeMultipartInput(text) {
+    const lines = text.split('\n')
+        .map((raw, i) => ({ line: i + 1, text: raw.trim() }))
+        .filter(entry => entry.text);
+
+    // 1. Parse every line on its own
+    lines.forEach(entry => {
+        try {
+            entry.header = parseFragmentUr(entry.text);
+            entry.key = groupKey(entry.header);
+        } catch (error) {
+            entry.status = 'malformed';
+            entry.message = error.message;
+        }
+    });
+
+    // 2. Pick the message with the most parts
+    const counts = new Map();
+    lines.filter(e => e.header).forEach(e => counts.set(e.key, (counts.get(e.key) || 0) + 1));
+    const [mainKey] = [...counts.entries()].sort((a, b) => b[1] - a[1])[0] || [];
+    const reference = lines.find(e => e.key === mainKey)?.header || null;
+    const expected = reference ? {
+        type: reference.type,
+        seqLen: reference.seqLen,
+        messageLen: reference.messageLen,
+        checksum: reference.checksum,
+        fragmentLen: reference.fragment.length
+    } : null;
+
+    // 3. Flag parts of other messages and duplicates, feed the rest to the decoder
+    const decoder = new UrFountainDecoder();
+    const seen = new Map();
+    lines.forEach(entry => {
+        if (!entry.header) return;
+        if (entry.key !== mainKey) {
+            entry.status = 'foreign';
+            entry.message = describeMismatch(entry.header, expected);
+            return;
+        }
+
+        const previous = seen.get(entry.header.seqNum);
+        if (previous) {
+            entry.status = 'duplicate';
+            entry.message = bytesToHex(previous.header.fragment) === bytesToHex(entry.header.fragment)
+                ? `Same part as line ${previous.line}`
+                : `Conflicts with line ${previous.line}: same seqNum, different data`;
+            return;
+        }
+        seen.set(entry.header.seqNum, entry);
+
+        if (decoder.isComplete()) {
+            entry.status = 'redundant';
+            entry.message = 'Not needed: message already assembled';
+            return;
+        }
+        decoder.receivePartUr(entry.text.toLowerCase());
+        entry.status = 'accepted';
+        const { indexes } = describeFragment(entry.header);
+        entry.message = indexes.length === 1
+            ? `Original block ${indexes[0]}`
+            : `Mixed part: blocks ${formatIndexRanges(indexes)}`;
+    });
+
+    const complete = decoder.isComplete();
+    const decodedBlocks = expected
+        ? (complete ? new Array(expected.seqLen).fill(1) : Array.from({ length: expected.seqLen }, (_, i) => decoder.decodedBlocks[i] || 0))
+        : [];
+
+    return {
+        lines: lines.map(({ line, text: lineText, status, message, header }) => ({ line, text: lineText, status, message, header })),
+        expected,
+        decodedBlocks,
+        missingBlocks: decodedBlocks.map((done, i) => done ? -1 : i).filter(i => i >= 0),
+        complete,
+        successful: complete && decoder.isSuccessful(),
+        resultUr: complete && decoder.isSuccessful() ? decoder.resultUr.toString() : null,
+        error: complete && !decoder.isSuccessful() ? (decoder.getError()?.message || 'Assembled message failed its checksum') : null
+    };
+}
+
+/**
+ * Explain a Single Fragment: blocks it mixes and where the padding sits
+ *
+ * The message is split into seqLen blocks of fragment.length bytes; the last
+ * block is zero-padded by seqLen × fragmentLen − messageLen bytes.
+ *
+ * @param {object} header - Output of parseFragmentUr
+ * @returns {object} {
+ *   indexes (sorted 0-based blocks), degree, simple, paddingLength,
+ *   includesLastBlock, dataLength (bytes of real data in a simple part),
+ *   paddingIsZero (simple last block only, else null)
+ * }
+ */
+export function describeFragment(header) {
+    const indexes = chooseFragments(header.seqNum, header.seqLen, header.checksum).sort((a, b) => a - b);
+    const fragmentLen = header.fragment.length;
+    const paddingLength = Math.max(0, header.seqLen * fragmentLen - header.messageLen);
+    const lastBlock = header.seqLen - 1;
+    const simple = indexes.length === 1;
+    const includesLastBlock = indexes.includes(lastBlock);
+    const padded = simple && includesLastBlock && paddingLength > 0;
+
+    return {
+        indexes,
+        degree: indexes.length,
+        simple,
+        paddingLength,
+        includesLastBlock,
+        dataLength: padded ? fragmentLen - paddingLength : fragmentLen,
+        paddingIsZero: padded ? header.fragment.slice(fragmentLen - paddingLength).every(b => b === 0) : null
+    };
+}
+
+function groupKey(header) {
+    return [header.type, header.seqLen, header.messageLen, header.checksum, header.fragment.length].join('|');
+}
+
+function describeMismatch(header, expected) {
+    const differences = [];
+    if (header.type !== expected.type) differences.push(`type ${header.type} ≠ ${expected.type}`);
+    if (header.checksum !== expected.checksum) differences.push(`checksum ${formatCrc(header.checksum)} ≠ ${formatCrc(expected.checksum)}`);
+    if (header.messageLen !== expected.messageLen) differences.push(`messageLen ${header.messageLen} ≠ ${expected.messageLen}`);
+    if (header.seqLen !== expected.seqLen) differences.push(`seqLen ${header.seqLen} ≠ ${expected.seqLen}`);
+    if (header.fragment.length !== expected.fragmentLen) differences.push(`fragment ${header.fragment.length}B ≠ ${expected.fragmentLen}B`);
+    return 'Different message: ' + differences.join(', ');
+}
+
+/**
+ * One-line Summary of an Assembly Report (used as the conversion error)
+ *
+ * @param {object} report - Output of analyzeMultipartInput
+ * @returns {string} Summary text
+ */
+export function summarizeMultipartReport(report) {
+    if (!report.expected) {
+        return 'No valid multi-part UR fragments found';
+    }
+    if (report.error) {
+        return 'Multi-part UR assembled but invalid: ' + report.error;
+    }
+
+    const counts = {};
+    report.lines.forEach(entry => { counts[entry.status] = (counts[entry.status] || 0) + 1; });
+    const problems = ['duplicate', 'foreign', 'malformed']
+        .filter(status => counts[status])
+        .map(status => `${counts[status]} ${status}`);
+
+    const missing = report.missingBlocks.length;
+    let summary = report.complete
+        ? 'Multi-part UR assembled'
+        : `Incomplete multi-part UR: ${missing} of ${report.expected.seqLen} original block(s) missing (${formatIndexRanges(report.missingBlocks)})`;
+    if (problems.length) summary += `; ${problems.join(', ')} line(s)`;
+    return summary;
+}
+
+/**
+ * Format Sorted Indexes as Compact Ranges ("0, 3–5, 9")
+ *
+ * @param {number[]} indexes - Sorted block indexes
+ * @returns {string} Range text
+ */
+export function formatIndexRanges(indexes) {
+    const ranges = [];
+    indexes.forEach(index => {
+        const last = ranges[ranges.length - 1];
+        if (last && index === last[1] + 1) last[1] = index;
+        else ranges.push([index, index]);
+    });
+    return ranges.map(([a, b]) => a === b ? String(a) : `${a}–${b}`).join(', ');
+}
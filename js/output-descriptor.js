@@ -0,0 +1,398 @@
+/**
+ * BC-UR Playground - Output Descriptors
+ *
+ * Renders crypto-output (BCR-2020-010) and crypto-account (BCR-2020-015)
+ * payloads as BIP-380 output descriptor strings with checksums, and parses
+ * descriptor text back into those items. One descriptor becomes a
+ * crypto-output; several (one per line) sharing a master fingerprint become
+ * a crypto-account.
+ */
+
+import { bytesToHex, hexToBytes } from './shared.js';
+import { cborToJson, jsonToCbor } from './cbor-json.js';
+import { base58ToBytes, bytesToBase58 } from './binary-encodings.js';
+import { decodeAddress } from './bitcoin-script.js';
+import { ADDRESS_TAGS, decodeCryptoAddress, encodeCryptoAddress } from './crypto-address.js';
+import {
+    HDKEY_TAGS, ECKEY_TAGS, untag, readIntMap, intMap, readBytes,
+    decodeHDKey, encodeHDKey, decodeECKey, encodeECKey, hdkeyToExtendedKey, parseExtendedKeyExpression,
+    formatKeypath, parseKeypath, formatFingerprint
+} from './hdkey.js';
+
+/** Script expression tags (BCR-2020-010) */
+export const SCRIPT_EXPRESSION_TAGS = {
+    sh: 400,
+    wsh: 401,
+    pk: 402,
+    pkh: 403,
+    wpkh: 404,
+    combo: 405,
+    multi: 406,
+    sortedmulti: 407,
+    raw: 408,
+    tr: 409,
+    cosigner: 410
+};
+
+const OUTPUT_TAGS = [308, 40308];
+const ACCOUNT_TAGS = [311, 40311];
+
+const SCRIPT_WRAPPERS = ['sh', 'wsh'];
+const MULTISIG = ['multi', 'sortedmulti'];
+
+// BIP-380 checksum alphabets and generator
+const INPUT_CHARSET = "0123456789()[],'/*abcdefgh@:$%{}IJKLMNOPQRSTUVWXYZ&+-.;<=>?!^_|~ijklmnopqrstuvwxyzABCDEFGH`#\"\\ ";
+const CHECKSUM_CHARSET = 'qpzry9x8gf2tvdw0s3jn54khce6mua7l';
+const GENERATOR = [0xf5dee51989n, 0xa9fdca3312n, 0x1bab10e32dn, 0x3706b1677an, 0x644d626ffdn];
+
+/**
+ * Compute the BIP-380 Descriptor Checksum
+ *
+ * @param {string} descriptor - Descriptor without "#checksum"
+ * @returns {string} 8-character checksum
+ */
+export function descriptorChecksum(descriptor) {
+    const symbols = [];
+    let groups = [];
+    for (const ch of descriptor) {
+        const value = INPUT_CHARSET.indexOf(ch);
+        if (value === -1) {
+            throw new Error(`Invalid character "${ch}" in descriptor`);
+        }
+        symbols.push(value & 31);
+        groups.push(value >> 5);
+        if (groups.length === 3) {
+            symbols.push(groups[0] * 9 + groups[1] * 3 + groups[2]);
+            groups = [];
+        }
+    }
+    if (groups.length === 1) symbols.push(groups[0]);
+    if (groups.length === 2) symbols.push(groups[0] * 3 + groups[1]);
+    symbols.push(0, 0, 0, 0, 0, 0, 0, 0);
+
+    let chk = 1n;
+    for (const value of symbols) {
+        const top = chk >> 35n;
+        chk = ((chk & 0x7ffffffffn) << 5n) ^ BigInt(value);
+        GENERATOR.forEach((g, i) => {
+            if ((top >> BigInt(i)) & 1n) chk ^= g;
+        });
+    }
+    chk ^= 1n;
+
+    let checksum = '';
+    for (let i = 0; i < 8; i++) {
+        checksum += CHECKSUM_CHARSET[Number((chk >> BigInt(5 * (7 - i))) & 31n)];
+    }
+    return checksum;
+}
+
+/**
+ * Append "#checksum" to a Descriptor
+ */
+export function addDescriptorChecksum(descriptor) {
+    return `${descriptor}#${descriptorChecksum(descriptor)}`;
+}
+
+/**
+ * Split and Verify an Optional "#checksum" Suffix
+ *
+ * @param {string} text - Descriptor, with or without checksum
+ * @returns {object} { descriptor, checksum } (checksum null when absent)
+ * @throws {Error} If a checksum is present but wrong
+ */
+export function splitDescriptorChecksum(text) {
+    const index = text.lastIndexOf('#');
+    if (index === -1) {
+        return { descriptor: text, checksum: null };
+    }
+    const descriptor = text.slice(0, index);
+    const checksum = text.slice(index + 1);
+    const expected = descriptorChecksum(descriptor);
+    if (checksum !== expected) {
+        throw new Error(`Invalid descriptor checksum: expected #${expected}, got #${checksum}`);
+    }
+    return { descriptor, checksum };
+}
+
+/**
+ * Render a crypto-output or crypto-account Payload as Descriptors
+ *
+ * @param {Uint8Array} bytes - CBOR payload (top-level tag optional)
+ * @returns {object} { urType, masterFingerprint, descriptors[] } (descriptors include checksums)
+ */
+export function payloadToDescriptors(bytes) {
+    const value = cborToJson(bytes);
+    const account = untag(value, ACCOUNT_TAGS) ?? value;
+
+    if (account && Array.isArray(account.$map)) {
+        const map = readIntMap(account, 'crypto-account');
+        const fingerprint = map.get(1);
+        const outputs = map.get(2);
+        if (typeof fingerprint !== 'number' || !Array.isArray(outputs)) {
+            throw new Error('crypto-account needs a master fingerprint (1) and an output list (2)');
+        }
+        return {
+            urType: 'crypto-account',
+            masterFingerprint: fingerprint,
+            descriptors: outputs.map(output => addDescriptorChecksum(renderScript(untag(output, OUTPUT_TAGS) ?? output, fingerprint)))
+        };
+    }
+
+    return {
+        urType: 'crypto-output',
+        masterFingerprint: null,
+        descriptors: [addDescriptorChecksum(renderScript(untag(value, OUTPUT_TAGS) ?? value, null))]
+    };
+}
+
+/**
+ * List the Keys of a crypto-output or crypto-account Payload
+ *
+ * Single-key outputs (pkh, sh(wpkh), wpkh, tr) report their script; any
+ * other output is listed with script null and the reason, so callers that
+ * derive addresses can show why it was skipped.
+ *
+ * @param {Uint8Array} bytes - CBOR payload (top-level tag optional)
+ * @returns {object} { masterFingerprint, outputs[{ descriptor, script, key, reason }] } where key is the tagged JSON value
+ */
+export function listOutputKeys(bytes) {
+    const value = cborToJson(bytes);
+    const account = untag(value, ACCOUNT_TAGS) ?? value;
+    let masterFingerprint = null;
+    let outputs = [value];
+    if (account && Array.isArray(account.$map)) {
+        const map = readIntMap(account, 'crypto-account');
+        masterFingerprint = map.get(1) ?? null;
+        outputs = Array.isArray(map.get(2)) ? map.get(2) : [];
+    }
+
+    return {
+        masterFingerprint,
+        outputs: outputs.map(output => {
+            const script = untag(output, OUTPUT_TAGS) ?? output;
+            const descriptor = addDescriptorChecksum(renderScript(script, masterFingerprint));
+            const tagName = (v) => Object.keys(SCRIPT_EXPRESSION_TAGS).find(key => SCRIPT_EXPRESSION_TAGS[key] === Number(v?.$tag));
+            const outer = tagName(script);
+            const inner = SCRIPT_WRAPPERS.includes(outer) ? tagName(script.$value) : null;
+            if (['pkh', 'wpkh', 'tr'].includes(outer)) {
+                return { descriptor, script: outer, key: script.$value, reason: null };
+            }
+            if (outer === 'sh' && inner === 'wpkh') {
+                return { descriptor, script: 'sh-wpkh', key: script.$value.$value, reason: null };
+            }
+            return { descriptor, script: null, key: null, reason: `${outer ?? 'addr'}(${inner ? `${inner}(…)` : '…'}) is not a single-key output` };
+        })
+    };
+}
+
+/**
+ * Parse Descriptor Text Into a crypto-output or crypto-account Payload
+ *
+ * @param {string} text - One descriptor, or one per line for an account
+ * @returns {object} { bytes, urType, checksums, warnings } where checksums counts "#…" suffixes present
+ *   and warnings lists key origins kept as written and key fields crypto-hdkey cannot hold
+ */
+export function descriptorsToPayload(text) {
+    const lines = text.split('\n').map(line => line.trim()).filter(Boolean);
+    if (lines.length === 0) {
+        throw new Error('Empty descriptor');
+    }
+
+    let checksums = 0;
+    const warnings = [];
+    const parsed = lines.map(line => {
+        const { descriptor, checksum } = splitDescriptorChecksum(line);
+        if (checksum) checksums++;
+        const fingerprints = [];
+        return { value: parseScript(descriptor, fingerprints, warnings), fingerprints };
+    });
+
+    if (parsed.length === 1) {
+        return { bytes: jsonToCbor(parsed[0].value), urType: 'crypto-output', checksums, warnings };
+    }
+
+    const fingerprints = new Set(parsed.flatMap(p => p.fingerprints));
+    if (fingerprints.size !== 1 || parsed.some(p => p.fingerprints.length === 0)) {
+        throw new Error('Several descriptors form a crypto-account only when every key origin shares one master fingerprint');
+    }
+    const [masterFingerprint] = fingerprints;
+    const outputs = parsed.map(p => ({ $tag: OUTPUT_TAGS[0], $value: p.value }));
+    return { bytes: jsonToCbor(intMap([[1, masterFingerprint], [2, outputs]])), urType: 'crypto-account', checksums, warnings };
+}
+
+function renderScript(value, accountFingerprint) {
+    const tag = value && typeof value === 'object' && '$tag' in value ? Number(value.$tag) : null;
+    if (ADDRESS_TAGS.includes(tag)) {
+        return `addr(${renderAddress(value.$value)})`;
+    }
+    const name = Object.keys(SCRIPT_EXPRESSION_TAGS).find(key => SCRIPT_EXPRESSION_TAGS[key] === tag);
+    if (!name) {
+        throw new Error(tag === null ? 'Expected a tagged script expression' : `Unknown script expression tag ${tag}`);
+    }
+
+    const inner = value.$value;
+    if (SCRIPT_WRAPPERS.includes(name)) {
+        return `${name}(${renderScript(inner, accountFingerprint)})`;
+    }
+    if (MULTISIG.includes(name)) {
+        const map = readIntMap(inner, name);
+        const keys = map.get(2);
+        if (typeof map.get(1) !== 'number' || !Array.isArray(keys)) {
+            throw new Error(`${name} needs a threshold (1) and a key list (2)`);
+        }
+        return `${name}(${[map.get(1), ...keys.map(key => renderKey(key, accountFingerprint))].join(',')})`;
+    }
+    if (name === 'raw') {
+        return `raw(${bytesToHex(readBytes(inner, 'raw script'))})`;
+    }
+    return `${name}(${renderKey(inner, accountFingerprint)})`;
+}
+
+function renderKey(value, accountFingerprint) {
+    if (untag(value, ECKEY_TAGS) !== undefined) {
+        const eckey = decodeECKey(value);
+        // Private EC keys are shown as compressed mainnet WIF
+        return eckey.isPrivate ? bytesToBase58(Uint8Array.of(0x80, ...eckey.data, 0x01), true) : bytesToHex(eckey.data);
+    }
+    if (untag(value, HDKEY_TAGS) === undefined) {
+        throw new Error('Expected crypto-hdkey or crypto-eckey in key expression');
+    }
+
+    const hdkey = decodeHDKey(value);
+    let text = '';
+    const fingerprint = hdkey.origin?.sourceFingerprint ?? accountFingerprint;
+    if (hdkey.origin && fingerprint !== null) {
+        const path = formatKeypath(hdkey.origin.components);
+        text += `[${formatFingerprint(fingerprint)}${path ? '/' + path : ''}]`;
+    }
+    text += hdkey.chainCode ? hdkeyToExtendedKey(hdkey) : bytesToHex(hdkey.keyData);
+    if (hdkey.children && hdkey.children.components.length > 0) {
+        text += '/' + formatKeypath(hdkey.children.components);
+    }
+    return text;
+}
+
+function renderAddress(value) {
+    const { coinType, address } = decodeCryptoAddress(value);
+    if (coinType !== 0) {
+        throw new Error(`addr() with coin type ${coinType} has no Bitcoin descriptor form`);
+    }
+    return address;
+}
+
+function parseScript(text, fingerprints, warnings) {
+    const match = text.match(/^([a-z]+)\((.*)\)$/s);
+    if (!match) {
+        throw new Error(`Expected a script expression like wpkh(…), got "${text}"`);
+    }
+    const [, name, body] = match;
+
+    if (name === 'addr') {
+        return { $tag: ADDRESS_TAGS[0], $value: parseAddress(body) };
+    }
+    if (!(name in SCRIPT_EXPRESSION_TAGS)) {
+        throw new Error(`Unsupported script expression "${name}()"`);
+    }
+    const tagged = (content) => ({ $tag: SCRIPT_EXPRESSION_TAGS[name], $value: content });
+
+    if (SCRIPT_WRAPPERS.includes(name)) {
+        return tagged(parseScript(body, fingerprints, warnings));
+    }
+    if (MULTISIG.includes(name)) {
+        const [thresholdText, ...keys] = splitArguments(body);
+        const threshold = Number(thresholdText);
+        if (!/^\d+$/.test(thresholdText) || threshold < 1 || threshold > keys.length) {
+            throw new Error(`${name}() threshold must be between 1 and the number of keys (${keys.length})`);
+        }
+        return tagged(intMap([[1, threshold], [2, keys.map(key => parseKey(key, fingerprints, warnings))]]));
+    }
+    if (name === 'raw') {
+        if (!/^([0-9a-fA-F]{2})*$/.test(body)) throw new Error('raw() needs an even-length hex script');
+        return tagged({ $bytes: body.toLowerCase() });
+    }
+
+    const args = splitArguments(body);
+    if (args.length !== 1) {
+        throw new Error(name === 'tr' ? 'tr() with a script tree has no crypto-output form' : `${name}() takes exactly one key`);
+    }
+    return tagged(parseKey(args[0], fingerprints, warnings));
+}
+
+function parseKey(text, fingerprints, warnings) {
+    const match = text.match(/^(?:\[([0-9a-fA-F]{8})((?:\/\d+['hH]?)*)\])?(.+)$/);
+    if (!match) {
+        throw new Error(`Invalid key expression "${text}"`);
+    }
+    const [, fingerprintHex, originPath, key] = match;
+
+    let origin = null;
+    if (fingerprintHex) {
+        const sourceFingerprint = parseInt(fingerprintHex, 16);
+        const components = parseKeypath(originPath);
+        fingerprints.push(sourceFingerprint);
+        origin = { components, sourceFingerprint, depth: components.length };
+    }
+
+    if (/^[xt](pub|prv)/.test(key)) {
+        const parsed = parseExtendedKeyExpression(text);
+        warnings.push(...parsed.warnings);
+        return encodeHDKey(parsed.hdkey);
+    }
+
+    if (/^((02|03)[0-9a-fA-F]{64}|04[0-9a-fA-F]{128}|[0-9a-fA-F]{64})$/.test(key)) {
+        const data = hexToBytes(key.toLowerCase());
+        // crypto-eckey has no origin field; a chain-code-less crypto-hdkey keeps it
+        return origin
+            ? encodeHDKey({ keyData: data, origin, chainCode: null })
+            : encodeECKey({ data });
+    }
+
+    let wif;
+    try {
+        wif = base58ToBytes(key, true);
+    } catch (_) {
+        throw new Error(`Unrecognised key "${key}" (expected xpub/tpub, hex public key or WIF)`);
+    }
+    if ((wif[0] !== 0x80 && wif[0] !== 0xef) || (wif.length !== 33 && !(wif.length === 34 && wif[33] === 0x01))) {
+        throw new Error(`Unrecognised key "${key}" (expected xpub/tpub, hex public key or WIF)`);
+    }
+    return encodeECKey({ isPrivate: true, data: wif.slice(1, 33) });
+}
+
+function parseAddress(text) {
+    let encoded;
+    try {
+        encoded = encodeCryptoAddress(text);
+    } catch (error) {
+        // Point segwit v1 / P2WSH addresses at raw(), which can carry any script
+        const script = (() => { try { return decodeAddress(text).script; } catch (_) { return null; } })();
+        if (script) throw new Error(`${error.message}; use raw(${bytesToHex(script)})`);
+        throw error;
+    }
+    const { value, coinType } = encoded;
+    if (coinType !== 0) {
+        throw new Error(`addr() takes a Bitcoin address; ${text} is coin type ${coinType}`);
+    }
+    return value;
+}
+
+// Split on top-level commas, ignoring those inside (), [] and {}
+function splitArguments(text) {
+    const args = [];
+    let depth = 0;
+    let start = 0;
+    for (let i = 0; i < text.length; i++) {
+        const ch = text[i];
+        if ('([{'.includes(ch)) depth++;
+        else if (')]}'.includes(ch)) depth--;
+        if (depth < 0) throw new Error('Unbalanced brackets in descriptor');
+        if (ch === ',' && depth === 0) {
+            args.push(text.slice(start, i));
+            start = i + 1;
+        }
+    }
+    if (depth !== 0) throw new Error('Unbalanced brackets in descriptor');
+    args.push(text.slice(start));
+    return args;
+}
@@ -0,0 +1,247 @@
+/**
+ * PSBT Inspector UI Methods
+ *
+ * These methods are mixed into the FormatConverter class. When the payload
+ * is a crypto-psbt (a CBOR byte string holding a BIP-174/370 PSBT) the
+ * inspector lists the unsigned transaction, every input with its UTXO,
+ * sighash, signatures and derivations, every output with amount, script
+ * type and address, and the fee.
+ */
+
+import { hexToBytes, bytesToHex } from './shared.js';
+import { parseCbor } from './cbor-structure.js';
+import { parsePsbt, summarizePsbt, inferPsbtNetwork, isPsbt, formatBtc, PSBT_INPUT_TYPES, PSBT_OUTPUT_TYPES, PSBT_GLOBAL_TYPES } from './psbt.js';
+import { BITCOIN_NETWORKS, classifyScript, disassembleScript } from './bitcoin-script.js';
+
+const PSBT_UR_TYPES = ['crypto-psbt', 'psbt'];
+
+export const PsbtInspectorMixin = {
+    /**
+     * Initialize PSBT Inspector Elements
+     * Call this in the constructor after other DOM elements are initialized
+     */
+    initializePsbtInspector() {
+        this.psbtPanel = document.getElementById('psbt-inspector');
+        this.psbtContent = document.getElementById('psbt-inspector-content');
+        this.psbtNetworkSelect = document.getElementById('psbtNetwork');
+
+        // State for inspector
+        this.psbtParsed = null;
+
+        if (this.psbtNetworkSelect) {
+            this.psbtNetworkSelect.addEventListener('change', () => {
+                if (this.psbtParsed) this.renderPsbtInspector(this.psbtParsed);
+            });
+        }
+    },
+
+    /**
+     * Update Inspector with Latest Payload
+     * Shown for crypto-psbt/psbt URs and for any byte string holding a PSBT.
+     *
+     * @param {string|null} hex - CBOR payload as hex
+     * @param {string|null} urType - UR type of the source, if known
+     */
+    updatePsbtInspector(hex, urType = null) {
+        this.psbtParsed = null;
+        if (!this.psbtPanel) return;
+
+        const psbtBytes = hex ? this.extractPsbtBytes(hex) : null;
+        const expected = PSBT_UR_TYPES.includes(urType);
+        if (!psbtBytes && !expected) {
+            this.psbtPanel.style.display = 'none';
+            return;
+        }
+
+        this.psbtPanel.style.display = 'block';
+        if (!psbtBytes) {
+            this.psbtContent.innerHTML = `<div class="det-verdict fail">❌ ${this.escapeHtml(urType)} payload is not a byte string holding a PSBT</div>`;
+            return;
+        }
+
+        try {
+            this.psbtParsed = parsePsbt(psbtBytes);
+        } catch (error) {
+            this.psbtContent.innerHTML = `<div class="det-verdict fail">❌ Invalid PSBT: ${this.escapeHtml(error.message)}</div>`;
+            return;
+        }
+        this.renderPsbtInspector(this.psbtParsed);
+    },
+
+    /**
+     * Get the Raw PSBT From a CBOR Byte String Payload
+     *
+     * @param {string} hex - CBOR payload as hex
+     * @returns {Uint8Array|null} PSBT bytes, or null if the payload is something else
+     */
+    extractPsbtBytes(hex) {
+        try {
+            const root = parseCbor(hexToBytes(hex));
+            return root.kind === 'bytes' && !root.indefinite && isPsbt(root.value) ? root.value : null;
+        } catch (_) {
+            return null;
+        }
+    },
+
+    /**
+     * Render Summary, Inputs and Outputs
+     *
+     * @param {object} psbt - Result of parsePsbt
+     */
+    renderPsbtInspector(psbt) {
+        const chosen = this.psbtNetworkSelect?.value || 'auto';
+        const network = chosen === 'auto' ? inferPsbtNetwork(psbt) : chosen;
+        const summary = summarizePsbt(psbt, network);
+        const btc = (sats) => (sats === null || sats === undefined ? '—' : `${formatBtc(sats)} BTC`);
+
+        const signed = summary.inputs.filter(input => input.finalized || input.signatureCount > 0).length;
+        const verdict = `<div class="det-verdict ${summary.warnings.length ? 'fail' : 'ok'}">` +
+            `${summary.warnings.length ? '⚠️' : '✅'} PSBT v${summary.version} · ${summary.inputs.length} input(s) · ` +
+            `${summary.outputs.length} output(s) · ${signed}/${summary.inputs.length} signed or finalized</div>`;
+
+        const overview = `
+            <div class="bw-summary">
+                <span>Tx version: <strong>${summary.txVersion ?? '—'}</strong></span>
+                <span>Locktime: <strong>${summary.locktime}</strong></span>
+                <span>Total in: <strong>${summary.fee === null ? '≥ ' : ''}${btc(summary.totalIn)}</strong></span>
+                <span>Total out: <strong>${btc(summary.totalOut)}</strong></span>
+                <span>Fee: <strong>${btc(summary.fee)}</strong>${summary.fee !== null ? ` (${summary.fee} sat)` : ''}</span>
+                <span>Network: <strong>${BITCOIN_NETWORKS[network].label}</strong>${chosen === 'auto' ? ' (auto)' : ''}</span>
+                <span>Size: <strong>${psbt.size}</strong> B</span>
+            </div>`;
+
+        const warnings = summary.warnings.map(w => `<div class="bw-note">⚠️ ${this.escapeHtml(w)}</div>`).join('');
+
+        const xpubs = psbt.global.xpubs.length === 0 ? '' : `
+            <div class="section-label">Global xpubs</div>
+            <table class="bw-suggestions"><thead><tr><th>Origin</th><th>Extended key</th></tr></thead><tbody>
+            ${psbt.global.xpubs.map(x => `<tr><td><code>[${x.fingerprint}${x.pathText.slice(1)}]</code></td><td><code class="psbt-break">${x.xpub}</code></td></tr>`).join('')}
+            </tbody></table>`;
+
+        const inputRows = summary.inputs.map(input => {
+            const status = input.finalized ? '✅ finalized' : (input.signatureCount > 0 ? `✍️ ${input.signatureCount} sig(s)` : '⏳ unsigned');
+            const utxo = input.utxoSource ? `${input.utxoSource} UTXO${input.utxoTxidMatches === false ? ' ⚠️' : ''}` : '⚠️ no UTXO';
+            return `<tr><td>${input.index}</td>` +
+                `<td><code class="psbt-break">${input.txid}:${input.vout}</code><div class="psbt-sub">seq 0x${input.sequence.toString(16).padStart(8, '0')}</div></td>` +
+                `<td>${btc(input.amount)}</td>` +
+                `<td>${this.renderPsbtScriptCell(input)}<div class="psbt-sub">${utxo}</div></td>` +
+                `<td>${input.sighash || '—'}</td><td>${status}</td></tr>` +
+                `<tr class="psbt-detail-row"><td></td><td colspan="5">${this.renderPsbtInputDetails(input.map)}</td></tr>`;
+        }).join('');
+
+        const outputRows = summary.outputs.map(output => {
+            const change = output.isChange ? '🔁 change' : '➡️ payment';
+            return `<tr><td>${output.index}</td><td>${btc(output.amount)}</td>` +
+                `<td>${this.renderPsbtScriptCell(output)}</td><td>${change}</td></tr>` +
+                `<tr class="psbt-detail-row"><td></td><td colspan="3">${this.renderPsbtOutputDetails(output.map)}</td></tr>`;
+        }).join('');
+
+        const unknownGlobal = this.renderPsbtUnknown(psbt.global.unknown, PSBT_GLOBAL_TYPES);
+
+        this.psbtContent.innerHTML = verdict + overview + warnings + xpubs +
+            '<div class="section-label">Inputs</div>' +
+            '<table class="bw-suggestions psbt-table"><thead><tr><th>#</th><th>Previous output</th><th>Amount</th><th>Script · address</th><th>Sighash</th><th>Status</th></tr></thead>' +
+            `<tbody>${inputRows}</tbody></table>` +
+            '<div class="section-label">Outputs</div>' +
+            '<table class="bw-suggestions psbt-table"><thead><tr><th>#</th><th>Amount</th><th>Script · address</th><th>Role</th></tr></thead>' +
+            `<tbody>${outputRows}</tbody></table>` +
+            (unknownGlobal ? `<div class="section-label">Other global fields</div>${unknownGlobal}` : '');
+    },
+
+    /**
+     * Script Type and Address Cell
+     */
+    renderPsbtScriptCell(entry) {
+        if (!entry.script) return '—';
+        const info = entry.scriptInfo;
+        const type = info.type === 'multisig' ? `${info.label} ${info.m}-of-${info.n}` : entry.scriptType;
+        const address = entry.address
+            ? `<div><code class="psbt-break">${entry.address}</code></div>`
+            : `<div><code class="psbt-break" title="${this.escapeHtml(entry.scriptHex)}">${this.escapeHtml(disassembleScript(entry.script))}</code></div>`;
+        return `<strong>${type}</strong>${address}`;
+    },
+
+    /**
+     * Collapsible Per-input Fields (signatures, derivations, scripts, taproot)
+     */
+    renderPsbtInputDetails(map) {
+        const items = [];
+        map.partialSigs.forEach(sig => {
+            items.push(['Partial sig', `pubkey <code>${bytesToHex(sig.pubkey)}</code><br>sig <code>${bytesToHex(sig.signature)}</code>`]);
+        });
+        if (map.tapKeySig) items.push(['Taproot key sig', `<code>${bytesToHex(map.tapKeySig)}</code>`]);
+        map.tapScriptSigs.forEach(sig => {
+            items.push(['Taproot script sig', `x-only <code>${bytesToHex(sig.pubkey)}</code> leaf <code>${bytesToHex(sig.leafHash)}</code><br>sig <code>${bytesToHex(sig.signature)}</code>`]);
+        });
+        items.push(...this.describePsbtCommonFields(map));
+        if (map.finalScriptSig) items.push(['Final scriptSig', `<code>${this.escapeHtml(disassembleScript(map.finalScriptSig))}</code>`]);
+        if (map.finalScriptWitness) {
+            items.push(['Final witness', map.finalScriptWitness.map(item => `<code>${bytesToHex(item) || '(empty)'}</code>`).join('<br>')]);
+        }
+        map.tapLeafScripts.forEach(leaf => {
+            // The value is script || leaf version; an empty value has neither
+            const version = leaf.script.length > 0 ? '0x' + leaf.script[leaf.script.length - 1].toString(16) : 'unknown';
+            items.push(['Taproot leaf script', `<code>${this.escapeHtml(disassembleScript(leaf.script.slice(0, -1)))}</code> (leaf version ${version})`]);
+        });
+        if (map.tapMerkleRoot) items.push(['Taproot merkle root', `<code>${bytesToHex(map.tapMerkleRoot)}</code>`]);
+        map.hashPreimages.forEach(p => items.push([p.type, `<code>${bytesToHex(p.hash)}</code> ← <code>${bytesToHex(p.preimage)}</code>`]));
+        if (map.requiredTimeLocktime !== null) items.push(['Required time locktime', String(map.requiredTimeLocktime)]);
+        if (map.requiredHeightLocktime !== null) items.push(['Required height locktime', String(map.requiredHeightLocktime)]);
+        return this.renderPsbtDetails(items, this.renderPsbtUnknown(map.unknown, PSBT_INPUT_TYPES));
+    },
+
+    /**
+     * Collapsible Per-output Fields
+     */
+    renderPsbtOutputDetails(map) {
+        const items = this.describePsbtCommonFields(map);
+        if (map.tapTree) items.push(['Taproot tree', `<code>${bytesToHex(map.tapTree)}</code>`]);
+        return this.renderPsbtDetails(items, this.renderPsbtUnknown(map.unknown, PSBT_OUTPUT_TYPES));
+    },
+
+    /**
+     * Fields Shared by Input and Output Maps
+     *
+     * @returns {Array<Array<string>>} [label, html] pairs
+     */
+    describePsbtCommonFields(map) {
+        const items = [];
+        const script = (bytes) => {
+            const info = classifyScript(bytes);
+            const type = info.type === 'multisig' ? `${info.m}-of-${info.n} multisig` : info.label;
+            return `<strong>${type}</strong> <code>${this.escapeHtml(disassembleScript(bytes))}</code>`;
+        };
+        if (map.redeemScript) items.push(['Redeem script', script(map.redeemScript)]);
+        if (map.witnessScript) items.push(['Witness script', script(map.witnessScript)]);
+        map.bip32Derivations.forEach(d => {
+            items.push(['BIP32 derivation', `<code>[${d.fingerprint}${d.pathText.slice(1)}]${bytesToHex(d.pubkey)}</code>`]);
+        });
+        if (map.tapInternalKey) items.push(['Taproot internal key', `<code>${bytesToHex(map.tapInternalKey)}</code>`]);
+        map.tapBip32Derivations.forEach(d => {
+            const leaves = d.leafHashes.length ? ` · ${d.leafHashes.length} leaf hash(es)` : '';
+            items.push(['Taproot derivation', `<code>[${d.fingerprint}${d.pathText.slice(1)}]${bytesToHex(d.pubkey)}</code>${leaves}`]);
+        });
+        return items;
+    },
+
+    /**
+     * Wrap Field Rows in a <details> Element
+     */
+    renderPsbtDetails(items, unknown) {
+        if (items.length === 0 && !unknown) return '<span class="psbt-sub">No further fields</span>';
+        const rows = items.map(([label, html]) => `<div class="psbt-field"><span class="psbt-field-label">${label}</span><span>${html}</span></div>`).join('');
+        return `<details class="psbt-details"><summary>${items.length} field(s)${unknown ? ' + unknown' : ''}</summary>${rows}${unknown}</details>`;
+    },
+
+    /**
+     * Fields Not Decoded by the Inspector (proprietary or future key types)
+     */
+    renderPsbtUnknown(entries, names) {
+        if (entries.length === 0) return '';
+        return entries.map(entry => {
+            const name = names[entry.keyType] || 'UNKNOWN';
+            return `<div class="psbt-field"><span class="psbt-field-label">0x${entry.keyType.toString(16).padStart(2, '0')} ${name}</span>` +
+                `<span>key <code>${bytesToHex(entry.keyData) || '(none)'}</code> · value <code>${bytesToHex(entry.value)}</code></span></div>`;
+        }).join('');
+    }
+};
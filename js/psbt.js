@@ -0,0 +1,535 @@
+/**
+ * BC-UR Playground - PSBT Parser
+ *
+ * Parses BIP-174 (v0) and BIP-370 (v2) Partially Signed Bitcoin Transactions
+ * into their global/input/output key-value maps, and summarises them for the
+ * inspector: previous outputs with amounts, scripts and addresses, signatures,
+ * BIP-32 derivations and the fee (when every input amount is known).
+ */
+
+import { bytesToHex } from './shared.js';
+import { bytesToBase58 } from './binary-encodings.js';
+import { classifyScript, scriptToAddress, hash256 } from './bitcoin-script.js';
+
+/** Magic bytes: "psbt" + 0xff */
+export const PSBT_MAGIC = Uint8Array.of(0x70, 0x73, 0x62, 0x74, 0xff);
+
+/** Global map key types */
+export const PSBT_GLOBAL_TYPES = {
+    0x00: 'UNSIGNED_TX',
+    0x01: 'XPUB',
+    0x02: 'TX_VERSION',
+    0x03: 'FALLBACK_LOCKTIME',
+    0x04: 'INPUT_COUNT',
+    0x05: 'OUTPUT_COUNT',
+    0x06: 'TX_MODIFIABLE',
+    0xfb: 'VERSION',
+    0xfc: 'PROPRIETARY'
+};
+
+/** Per-input map key types */
+export const PSBT_INPUT_TYPES = {
+    0x00: 'NON_WITNESS_UTXO',
+    0x01: 'WITNESS_UTXO',
+    0x02: 'PARTIAL_SIG',
+    0x03: 'SIGHASH_TYPE',
+    0x04: 'REDEEM_SCRIPT',
+    0x05: 'WITNESS_SCRIPT',
+    0x06: 'BIP32_DERIVATION',
+    0x07: 'FINAL_SCRIPTSIG',
+    0x08: 'FINAL_SCRIPTWITNESS',
+    0x09: 'POR_COMMITMENT',
+    0x0a: 'RIPEMD160',
+    0x0b: 'SHA256',
+    0x0c: 'HASH160',
+    0x0d: 'HASH256',
+    0x0e: 'PREVIOUS_TXID',
+    0x0f: 'OUTPUT_INDEX',
+    0x10: 'SEQUENCE',
+    0x11: 'REQUIRED_TIME_LOCKTIME',
+    0x12: 'REQUIRED_HEIGHT_LOCKTIME',
+    0x13: 'TAP_KEY_SIG',
+    0x14: 'TAP_SCRIPT_SIG',
+    0x15: 'TAP_LEAF_SCRIPT',
+    0x16: 'TAP_BIP32_DERIVATION',
+    0x17: 'TAP_INTERNAL_KEY',
+    0x18: 'TAP_MERKLE_ROOT',
+    0xfc: 'PROPRIETARY'
+};
+
+/** Per-output map key types */
+export const PSBT_OUTPUT_TYPES = {
+    0x00: 'REDEEM_SCRIPT',
+    0x01: 'WITNESS_SCRIPT',
+    0x02: 'BIP32_DERIVATION',
+    0x03: 'AMOUNT',
+    0x04: 'SCRIPT',
+    0x05: 'TAP_INTERNAL_KEY',
+    0x06: 'TAP_TREE',
+    0x07: 'TAP_BIP32_DERIVATION',
+    0xfc: 'PROPRIETARY'
+};
+
+const SIGHASH_BASE_NAMES = { 0x00: 'DEFAULT', 0x01: 'ALL', 0x02: 'NONE', 0x03: 'SINGLE' };
+const SIGHASH_ANYONECANPAY = 0x80;
+const HARDENED = 0x80000000;
+
+// Extended key version bytes that mark a testnet PSBT (tpub, upub, vpub, Upub, Vpub)
+const TESTNET_XPUB_VERSIONS = ['043587cf', '044a5262', '045f1cf6', '024289ef', '02575483'];
+
+/**
+ * Little-endian Reader for Bitcoin Serialisation
+ */
+class ByteReader {
+    constructor(bytes) {
+        this.bytes = bytes;
+        this.offset = 0;
+    }
+
+    get remaining() {
+        return this.bytes.length - this.offset;
+    }
+
+    readBytes(length) {
+        if (length > this.remaining) {
+            throw new Error(`Unexpected end of data at offset ${this.offset} (need ${length} bytes, ${this.remaining} left)`);
+        }
+        const slice = this.bytes.slice(this.offset, this.offset + length);
+        this.offset += length;
+        return slice;
+    }
+
+    readUint8() {
+        return this.readBytes(1)[0];
+    }
+
+    readUint32() {
+        const b = this.readBytes(4);
+        return (b[0] | (b[1] << 8) | (b[2] << 16) | (b[3] << 24)) >>> 0;
+    }
+
+    readUint64() {
+        const b = this.readBytes(8);
+        let value = 0n;
+        for (let i = 7; i >= 0; i--) value = (value << 8n) | BigInt(b[i]);
+        return value;
+    }
+
+    // Bitcoin CompactSize unsigned integer
+    readVarInt() {
+        const first = this.readUint8();
+        if (first < 0xfd) return first;
+        if (first === 0xfd) {
+            const b = this.readBytes(2);
+            return b[0] | (b[1] << 8);
+        }
+        if (first === 0xfe) return this.readUint32();
+        const value = this.readUint64();
+        if (value > BigInt(Number.MAX_SAFE_INTEGER)) {
+            throw new Error(`CompactSize value too large at offset ${this.offset - 9}`);
+        }
+        return Number(value);
+    }
+
+    readVarBytes() {
+        return this.readBytes(this.readVarInt());
+    }
+}
+
+/**
+ * Check for PSBT Magic Bytes
+ */
+export function isPsbt(bytes) {
+    return bytes.length >= PSBT_MAGIC.length && PSBT_MAGIC.every((b, i) => bytes[i] === b);
+}
+
+/**
+ * Parse a Serialised Bitcoin Transaction
+ *
+ * @param {Uint8Array} bytes - Transaction bytes
+ * @param {object} options - { allowWitness } (false for PSBT unsigned txs, which never carry witnesses)
+ * @returns {object} { version, segwit, inputs[{ txid, vout, scriptSig, sequence, witness }], outputs[{ amount, script }], locktime, txid }
+ */
+export function parseTransaction(bytes, { allowWitness = true } = {}) {
+    const r = new ByteReader(bytes);
+    const version = r.readUint32();
+
+    const segwit = allowWitness && bytes[4] === 0x00 && bytes[5] === 0x01;
+    if (segwit) r.readBytes(2);
+    const bodyStart = r.offset;
+
+    const inputs = [];
+    const inputCount = r.readVarInt();
+    for (let i = 0; i < inputCount; i++) {
+        inputs.push({
+            txid: bytesToHex(r.readBytes(32).reverse()),
+            vout: r.readUint32(),
+            scriptSig: r.readVarBytes(),
+            sequence: r.readUint32(),
+            witness: []
+        });
+    }
+
+    const outputs = [];
+    const outputCount = r.readVarInt();
+    for (let i = 0; i < outputCount; i++) {
+        outputs.push({ amount: r.readUint64(), script: r.readVarBytes() });
+    }
+    const bodyEnd = r.offset;
+
+    if (segwit) {
+        inputs.forEach(input => {
+            const items = r.readVarInt();
+            for (let i = 0; i < items; i++) input.witness.push(r.readVarBytes());
+        });
+    }
+
+    const locktimeBytes = r.readBytes(4);
+    const locktime = new ByteReader(locktimeBytes).readUint32();
+    if (r.remaining > 0) {
+        throw new Error(`Transaction has ${r.remaining} trailing byte(s)`);
+    }
+
+    // txid commits to the legacy serialisation (no marker/flag/witness)
+    const legacy = new Uint8Array(4 + (bodyEnd - bodyStart) + 4);
+    legacy.set(bytes.slice(0, 4), 0);
+    legacy.set(bytes.slice(bodyStart, bodyEnd), 4);
+    legacy.set(locktimeBytes, legacy.length - 4);
+    const txid = bytesToHex(hash256(legacy).reverse());
+
+    return { version, segwit, inputs, outputs, locktime, txid };
+}
+
+/**
+ * Parse a PSBT Into Typed Global/Input/Output Maps
+ *
+ * @param {Uint8Array} bytes - Raw PSBT (starting with the magic bytes)
+ * @returns {object} { version, global, inputs, outputs, size }
+ */
+export function parsePsbt(bytes) {
+    if (!isPsbt(bytes)) {
+        throw new Error('Not a PSBT: missing "psbt\\xff" magic bytes');
+    }
+    const r = new ByteReader(bytes);
+    r.readBytes(PSBT_MAGIC.length);
+
+    const global = decodeGlobalMap(readMap(r, 'global'));
+
+    let inputCount;
+    let outputCount;
+    if (global.version === 0) {
+        if (!global.unsignedTx) throw new Error('PSBT v0 is missing the unsigned transaction');
+        inputCount = global.unsignedTx.inputs.length;
+        outputCount = global.unsignedTx.outputs.length;
+    } else {
+        if (global.inputCount === null || global.outputCount === null) {
+            throw new Error(`PSBT v${global.version} is missing the input/output counts`);
+        }
+        inputCount = global.inputCount;
+        outputCount = global.outputCount;
+    }
+
+    const inputs = [];
+    for (let i = 0; i < inputCount; i++) {
+        inputs.push(decodeInputMap(readMap(r, `input ${i}`)));
+    }
+    const outputs = [];
+    for (let i = 0; i < outputCount; i++) {
+        outputs.push(decodeOutputMap(readMap(r, `output ${i}`)));
+    }
+
+    if (r.remaining > 0) {
+        throw new Error(`${r.remaining} trailing byte(s) after the last output map`);
+    }
+    return { version: global.version, global, inputs, outputs, size: bytes.length };
+}
+
+/**
+ * Guess the Network From xpub Versions and BIP-44 Coin Types
+ *
+ * @param {object} psbt - Result of parsePsbt
+ * @returns {string} 'mainnet' | 'testnet'
+ */
+export function inferPsbtNetwork(psbt) {
+    if (psbt.global.xpubs.some(x => TESTNET_XPUB_VERSIONS.includes(bytesToHex(x.extendedKey.slice(0, 4))))) {
+        return 'testnet';
+    }
+    const derivations = [...psbt.inputs, ...psbt.outputs].flatMap(m => [...m.bip32Derivations, ...m.tapBip32Derivations]);
+    const coinTypes = derivations.filter(d => d.path.length >= 2).map(d => d.path[1]);
+    return coinTypes.length > 0 && coinTypes.every(c => c === (HARDENED | 1) >>> 0) ? 'testnet' : 'mainnet';
+}
+
+/**
+ * Resolve Inputs/Outputs for Display and Compute the Fee
+ *
+ * @param {object} psbt - Result of parsePsbt
+ * @param {string} network - Key of BITCOIN_NETWORKS (for addresses)
+ * @returns {object} { version, txVersion, locktime, inputs, outputs, totalIn, totalOut, fee, warnings }
+ */
+export function summarizePsbt(psbt, network = 'mainnet') {
+    const tx = psbt.global.unsignedTx;
+    const warnings = [];
+    const describe = (script) => {
+        const info = classifyScript(script);
+        return { script, scriptHex: bytesToHex(script), scriptType: info.label, scriptInfo: info, address: scriptToAddress(script, network) };
+    };
+
+    const inputs = psbt.inputs.map((input, index) => {
+        const txInput = tx?.inputs[index];
+        const txid = txInput ? txInput.txid : input.previousTxid;
+        const vout = txInput ? txInput.vout : input.outputIndex;
+        const sequence = txInput ? txInput.sequence : (input.sequence ?? 0xffffffff);
+
+        let prevout = null;
+        let utxoSource = null;
+        let utxoTxidMatches = null;
+        if (input.witnessUtxo) {
+            prevout = input.witnessUtxo;
+            utxoSource = 'witness';
+        }
+        if (input.nonWitnessUtxo) {
+            utxoTxidMatches = input.nonWitnessUtxo.txid === txid;
+            if (!utxoTxidMatches) {
+                warnings.push(`Input ${index}: non-witness UTXO hashes to ${input.nonWitnessUtxo.txid}, not the spent txid`);
+            }
+            const out = input.nonWitnessUtxo.outputs[vout];
+            if (!out) {
+                warnings.push(`Input ${index}: non-witness UTXO has no output ${vout}`);
+            } else if (prevout && prevout.amount !== out.amount) {
+                warnings.push(`Input ${index}: witness and non-witness UTXO amounts differ`);
+            } else if (!prevout) {
+                prevout = out;
+                utxoSource = 'non-witness';
+            }
+        }
+
+        const finalized = Boolean(input.finalScriptSig || input.finalScriptWitness);
+        return {
+            index,
+            txid,
+            vout,
+            sequence,
+            amount: prevout ? prevout.amount : null,
+            ...(prevout ? describe(prevout.script) : { script: null, scriptHex: null, scriptType: null, scriptInfo: null, address: null }),
+            utxoSource,
+            utxoTxidMatches,
+            sighash: input.sighashType === null ? null : sighashName(input.sighashType),
+            finalized,
+            signatureCount: input.partialSigs.length + input.tapScriptSigs.length + (input.tapKeySig ? 1 : 0),
+            map: input
+        };
+    });
+
+    const outputs = psbt.outputs.map((output, index) => {
+        const txOutput = tx?.outputs[index];
+        const amount = txOutput ? txOutput.amount : output.amount;
+        const script = txOutput ? txOutput.script : output.script;
+        return {
+            index,
+            amount,
+            ...(script ? describe(script) : { script: null, scriptHex: null, scriptType: null, scriptInfo: null, address: null }),
+            // Outputs with a derivation path belong to the signer's wallet (change)
+            isChange: output.bip32Derivations.length > 0 || output.tapBip32Derivations.length > 0,
+            map: output
+        };
+    });
+
+    const sum = (items) => items.reduce((acc, item) => acc + (item.amount ?? 0n), 0n);
+    const totalIn = sum(inputs);
+    const totalOut = sum(outputs);
+    const amountsKnown = inputs.every(input => input.amount !== null) && outputs.every(output => output.amount !== null);
+    const fee = amountsKnown ? totalIn - totalOut : null;
+    if (!amountsKnown) {
+        warnings.push('Fee unknown: some inputs carry no UTXO amount');
+    } else if (fee < 0n) {
+        warnings.push('Outputs exceed inputs (negative fee)');
+    }
+
+    return {
+        version: psbt.version,
+        txVersion: tx ? tx.version : psbt.global.txVersion,
+        locktime: tx ? tx.locktime : (psbt.global.fallbackLocktime ?? 0),
+        inputs,
+        outputs,
+        totalIn,
+        totalOut,
+        fee,
+        warnings
+    };
+}
+
+/**
+ * Name a Sighash Type (e.g. 0x81 → "ALL|ANYONECANPAY")
+ */
+export function sighashName(value) {
+    const base = SIGHASH_BASE_NAMES[value & ~SIGHASH_ANYONECANPAY];
+    if (base === undefined || value > 0xff || (value === SIGHASH_ANYONECANPAY)) {
+        return `UNKNOWN (0x${value.toString(16)})`;
+    }
+    return value & SIGHASH_ANYONECANPAY ? `${base}|ANYONECANPAY` : base;
+}
+
+/**
+ * Format Satoshis as BTC With 8 Decimals
+ *
+ * @param {bigint} sats - Amount in satoshis
+ * @returns {string} e.g. "0.00150000"
+ */
+export function formatBtc(sats) {
+    const negative = sats < 0n;
+    const abs = negative ? -sats : sats;
+    const whole = abs / 100000000n;
+    const fraction = (abs % 100000000n).toString().padStart(8, '0');
+    return `${negative ? '-' : ''}${whole}.${fraction}`;
+}
+
+/**
+ * Format a BIP-32 Path (e.g. [84|0x80000000, ...] → "m/84'/0'/0'")
+ */
+export function formatDerivationPath(path) {
+    return ['m', ...path.map(i => (i >= HARDENED ? `${i - HARDENED}'` : String(i)))].join('/');
+}
+
+// Read key-value pairs until the 0x00 separator
+function readMap(r, name) {
+    const entries = [];
+    const seen = new Set();
+    for (;;) {
+        const keyLength = r.readVarInt();
+        if (keyLength === 0) return entries;
+
+        const key = new ByteReader(r.readBytes(keyLength));
+        const keyType = key.readVarInt();
+        const keyData = key.readBytes(key.remaining);
+        const value = r.readVarBytes();
+
+        const id = `${keyType}:${bytesToHex(keyData)}`;
+        if (seen.has(id)) {
+            throw new Error(`Duplicate key 0x${keyType.toString(16).padStart(2, '0')} in ${name} map`);
+        }
+        seen.add(id);
+        entries.push({ keyType, keyData, value });
+    }
+}
+
+// BIP-32 derivation value: 4-byte master fingerprint + uint32 LE path elements
+function readKeyOrigin(bytes) {
+    if (bytes.length < 4 || bytes.length % 4 !== 0) {
+        throw new Error('Invalid BIP32 derivation value length');
+    }
+    const r = new ByteReader(bytes);
+    const fingerprint = bytesToHex(r.readBytes(4));
+    const path = [];
+    while (r.remaining > 0) path.push(r.readUint32());
+    return { fingerprint, path, pathText: formatDerivationPath(path) };
+}
+
+function readTapDerivation(pubkey, bytes) {
+    const r = new ByteReader(bytes);
+    const leafHashes = [];
+    const count = r.readVarInt();
+    for (let i = 0; i < count; i++) leafHashes.push(r.readBytes(32));
+    return { pubkey, leafHashes, ...readKeyOrigin(r.readBytes(r.remaining)) };
+}
+
+function unknownEntry(entry) {
+    return { keyType: entry.keyType, keyData: entry.keyData, value: entry.value };
+}
+
+function decodeGlobalMap(entries) {
+    const global = {
+        unsignedTx: null, xpubs: [], version: 0, txVersion: null, fallbackLocktime: null,
+        inputCount: null, outputCount: null, txModifiable: null, unknown: []
+    };
+    entries.forEach(entry => {
+        const v = new ByteReader(entry.value);
+        switch (entry.keyType) {
+            case 0x00: global.unsignedTx = parseTransaction(entry.value, { allowWitness: false }); break;
+            case 0x01: global.xpubs.push({
+                extendedKey: entry.keyData,
+                xpub: bytesToBase58(entry.keyData, true),
+                ...readKeyOrigin(entry.value)
+            }); break;
+            case 0x02: global.txVersion = v.readUint32(); break;
+            case 0x03: global.fallbackLocktime = v.readUint32(); break;
+            case 0x04: global.inputCount = v.readVarInt(); break;
+            case 0x05: global.outputCount = v.readVarInt(); break;
+            case 0x06: global.txModifiable = v.readUint8(); break;
+            case 0xfb: global.version = v.readUint32(); break;
+            default: global.unknown.push(unknownEntry(entry));
+        }
+    });
+    return global;
+}
+
+function decodeInputMap(entries) {
+    const input = {
+        nonWitnessUtxo: null, witnessUtxo: null, partialSigs: [], sighashType: null,
+        redeemScript: null, witnessScript: null, bip32Derivations: [],
+        finalScriptSig: null, finalScriptWitness: null,
+        previousTxid: null, outputIndex: null, sequence: null,
+        requiredTimeLocktime: null, requiredHeightLocktime: null,
+        tapKeySig: null, tapScriptSigs: [], tapLeafScripts: [], tapBip32Derivations: [],
+        tapInternalKey: null, tapMerkleRoot: null, hashPreimages: [], unknown: []
+    };
+    entries.forEach(entry => {
+        const v = new ByteReader(entry.value);
+        switch (entry.keyType) {
+            case 0x00: input.nonWitnessUtxo = parseTransaction(entry.value); break;
+            case 0x01: input.witnessUtxo = { amount: v.readUint64(), script: v.readVarBytes() }; break;
+            case 0x02: input.partialSigs.push({ pubkey: entry.keyData, signature: entry.value }); break;
+            case 0x03: input.sighashType = v.readUint32(); break;
+            case 0x04: input.redeemScript = entry.value; break;
+            case 0x05: input.witnessScript = entry.value; break;
+            case 0x06: input.bip32Derivations.push({ pubkey: entry.keyData, ...readKeyOrigin(entry.value) }); break;
+            case 0x07: input.finalScriptSig = entry.value; break;
+            case 0x08: {
+                const items = [];
+                const count = v.readVarInt();
+                for (let i = 0; i < count; i++) items.push(v.readVarBytes());
+                input.finalScriptWitness = items;
+                break;
+            }
+            case 0x0a: case 0x0b: case 0x0c: case 0x0d:
+                input.hashPreimages.push({ type: PSBT_INPUT_TYPES[entry.keyType], hash: entry.keyData, preimage: entry.value });
+                break;
+            case 0x0e: input.previousTxid = bytesToHex(entry.value.slice().reverse()); break;
+            case 0x0f: input.outputIndex = v.readUint32(); break;
+            case 0x10: input.sequence = v.readUint32(); break;
+            case 0x11: input.requiredTimeLocktime = v.readUint32(); break;
+            case 0x12: input.requiredHeightLocktime = v.readUint32(); break;
+            case 0x13: input.tapKeySig = entry.value; break;
+            case 0x14: input.tapScriptSigs.push({
+                pubkey: entry.keyData.slice(0, 32), leafHash: entry.keyData.slice(32), signature: entry.value
+            }); break;
+            case 0x15: input.tapLeafScripts.push({ controlBlock: entry.keyData, script: entry.value }); break;
+            case 0x16: input.tapBip32Derivations.push(readTapDerivation(entry.keyData, entry.value)); break;
+            case 0x17: input.tapInternalKey = entry.value; break;
+            case 0x18: input.tapMerkleRoot = entry.value; break;
+            default: input.unknown.push(unknownEntry(entry));
+        }
+    });
+    return input;
+}
+
+function decodeOutputMap(entries) {
+    const output = {
+        redeemScript: null, witnessScript: null, bip32Derivations: [], amount: null, script: null,
+        tapInternalKey: null, tapTree: null, tapBip32Derivations: [], unknown: []
+    };
+    entries.forEach(entry => {
+        const v = new ByteReader(entry.value);
+        switch (entry.keyType) {
+            case 0x00: output.redeemScript = entry.value; break;
+            case 0x01: output.witnessScript = entry.value; break;
+            case 0x02: output.bip32Derivations.push({ pubkey: entry.keyData, ...readKeyOrigin(entry.value) }); break;
+            case 0x03: output.amount = v.readUint64(); break;
+            case 0x04: output.script = entry.value; break;
+            case 0x05: output.tapInternalKey = entry.value; break;
+            case 0x06: output.tapTree = entry.value; break;
+            case 0x07: output.tapBip32Derivations.push(readTapDerivation(entry.keyData, entry.value)); break;
+            default: output.unknown.push(unknownEntry(entry));
+        }
+    });
+    return output;
+}
@@ -0,0 +1,142 @@
+/**
+ * BC-UR Playground - QR Capacity Planner
+ *
+ * Predicts which QR version each candidate maxFragmentLength produces, so
+ * fragments can be sized to a target version (or a printed / on-screen size)
+ * instead of by trial and error. Versions come from the same qrcode library
+ * the generator renders with, for the longest part string of each candidate,
+ * in byte mode (the lowercase UR as-is) and in uppercase alphanumeric mode.
+ */
+
+import { UrFountainEncoder } from 'https://esm.sh/@ngraveio/bc-ur@2.0.0-beta.9?dev';
+import QRCode from 'https://esm.sh/qrcode@1.5.3';
+
+export const QR_MODES = ['byte', 'alphanumeric'];
+export const QR_ERROR_CORRECTION_LEVELS = ['L', 'M', 'Q', 'H'];
+export const QR_MAX_VERSION = 40;
+
+// Every part count up to this is a candidate; beyond it counts grow geometrically
+const DENSE_PART_COUNTS = 40;
+const PART_COUNT_GROWTH = 1.1;
+
+/**
+ * QR Data for a UR Part in an Encoding Mode
+ * Alphanumeric mode needs the uppercase UR (bytewords, digits and ":/-" are
+ * all in the QR alphanumeric set) as one explicit segment; passing the plain
+ * lowercase string makes the qrcode library fall back to byte mode.
+ *
+ * @param {string} text - Part string (ur:...)
+ * @param {string} mode - 'byte' | 'alphanumeric'
+ * @returns {string|object[]} Text or segment list for QRCode.create / toCanvas
+ */
+export function qrSegments(text, mode = 'byte') {
+    return mode === 'alphanumeric' ? [{ data: text.toUpperCase(), mode: 'alphanumeric' }] : text;
+}
+
+/**
+ * QR Code a Text Needs
+ *
+ * @param {string} text - Part string (ur:...)
+ * @param {object} options - { errorCorrectionLevel, mode: 'byte' | 'alphanumeric' }
+ * @returns {object|null} { version, modules } (modules per side, without quiet zone), or null if it does not fit version 40
+ */
+export function qrForText(text, { errorCorrectionLevel = 'L', mode = 'byte' } = {}) {
+    try {
+        const qr = QRCode.create(qrSegments(text, mode), { errorCorrectionLevel });
+        return { version: qr.version, modules: qr.modules.size };
+    } catch (_) {
+        return null;
+    }
+}
+
+/**
+ * QR Version and Module Count for Candidate Fragment Lengths
+ *
+ * Candidates are the nominal fragment lengths the fountain encoder can
+ * produce (ceil(messageLength / parts)), largest first. Each is measured on
+ * its longest part: the last frame of a finite loop, or frame 2 × parts of
+ * an infinite stream, both counted on from firstSeqNum.
+ *
+ * @param {UR} ur - UR to encode
+ * @param {object} options - { minFragmentLength, firstSeqNum, repeatAfterRatio (-1 = infinite), errorCorrectionLevel, fps }
+ * @returns {object[]} [{ fragmentLength, pureParts, frames, scanSeconds, partLength, byte, alphanumeric }]
+ *   frames is one loop (null for infinite streams); scanSeconds is one loop, or pureParts / fps for infinite streams;
+ *   byte / alphanumeric are qrForText results
+ */
+export function planFragmentLengths(ur, options = {}) {
+    const { minFragmentLength = 10, firstSeqNum = 0, repeatAfterRatio = 0, errorCorrectionLevel = 'L', fps = 5 } = options;
+    const messageLength = ur.getPayloadCbor().length;
+    const infinite = repeatAfterRatio === -1;
+
+    return candidateFragmentLengths(messageLength, minFragmentLength).map(fragmentLength => {
+        const pureParts = new UrFountainEncoder(ur, fragmentLength, Math.min(minFragmentLength, fragmentLength)).getPureFragmentCount();
+        const frames = pureParts === 1 ? 1 : infinite ? null : Math.ceil(pureParts * (1 + repeatAfterRatio));
+        // nextPartUr() emits seqNum + 1, so start one before the frame to measure
+        const partCount = infinite ? pureParts * 2 : frames;
+        const lastSeqNum = pureParts === 1 ? 0 : firstSeqNum + partCount - 1;
+        const part = new UrFountainEncoder(ur, fragmentLength, Math.min(minFragmentLength, fragmentLength), lastSeqNum, 0)
+            .nextPartUr().toString();
+
+        return {
+            fragmentLength,
+            pureParts,
+            frames,
+            scanSeconds: (frames ?? pureParts) / fps,
+            partLength: part.length,
+            byte: qrForText(part, { errorCorrectionLevel, mode: 'byte' }),
+            alphanumeric: qrForText(part, { errorCorrectionLevel, mode: 'alphanumeric' })
+        };
+    });
+}
+
+/**
+ * Largest QR Version That Fits a Physical Size
+ *
+ * @param {number} sizeMm - Printed or displayed QR width, quiet zone included
+ * @param {number} moduleMm - Smallest module the scanner resolves reliably
+ * @param {number} margin - Quiet zone in modules per side
+ * @returns {number} Version (0 if not even version 1 fits)
+ */
+export function maxVersionForSize(sizeMm, moduleMm, margin = 2) {
+    const modules = Math.floor(sizeMm / moduleMm) - margin * 2;
+    return Math.max(0, Math.min(QR_MAX_VERSION, Math.floor((modules - 17) / 4)));
+}
+
+/**
+ * Recommended Plan Row for a Target Version
+ * The candidate with the fewest frames (largest fragments) that still fits.
+ *
+ * @param {object[]} rows - Output of planFragmentLengths (largest fragments first)
+ * @param {object} target - { mode, maxVersion }
+ * @returns {object|null} Row, or null if nothing fits
+ */
+export function recommendFragmentLength(rows, { mode, maxVersion }) {
+    return rows.find(row => row[mode] && row[mode].version <= maxVersion) ?? null;
+}
+
+/**
+ * Plan Rows Worth Showing
+ * Keeps the largest fragment length for each QR version of either mode.
+ *
+ * @param {object[]} rows - Output of planFragmentLengths (largest fragments first)
+ * @returns {object[]} Filtered rows
+ */
+export function versionSteps(rows) {
+    const seen = new Set();
+    return rows.filter(row => {
+        const keys = QR_MODES.filter(mode => row[mode]).map(mode => `${mode}:${row[mode].version}`);
+        const fresh = keys.some(key => !seen.has(key));
+        keys.forEach(key => seen.add(key));
+        return fresh;
+    });
+}
+
+// Distinct nominal fragment lengths, largest first
+function candidateFragmentLengths(messageLength, minFragmentLength) {
+    const maxParts = Math.max(1, Math.ceil(messageLength / minFragmentLength));
+    const lengths = new Set();
+    for (let parts = 1; parts <= maxParts; parts = parts < DENSE_PART_COUNTS ? parts + 1 : Math.ceil(parts * PART_COUNT_GROWTH)) {
+        lengths.add(Math.ceil(messageLength / parts));
+    }
+    return [...lengths].filter(length => length >= Math.min(minFragmentLength, messageLength)).sort((a, b) => b - a);
+}
@@ -0,0 +1,223 @@
+/**
+ * BC-UR Playground - Animated QR Export Formats
+ *
+ * Builds the vector and lossless exports of generated UR frames: one SVG per
+ * frame, one PNG per frame, an animated SVG (frames switched by SMIL at the
+ * chosen fps) and an animated PNG. Frames are rasterised straight from the QR module matrix the
+ * same way the qrcode library draws a canvas, so no canvas is needed and the
+ * two colours stay exact (no palette quantisation as in GIF).
+ */
+
+import QRCode from 'https://esm.sh/qrcode@1.5.3';
+import { crc32 } from './bytewords-diagnostics.js';
+import { qrSegments } from './qr-capacity.js';
+
+export const EXPORT_DEFAULTS = {
+    size: 600,
+    margin: 2,
+    dark: '#000000',
+    light: '#ffffff',
+    errorCorrectionLevel: 'L',
+    mode: 'alphanumeric'
+};
+
+const PNG_SIGNATURE = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a];
+
+/**
+ * One Frame as an SVG Document (vector modules)
+ *
+ * @param {string} text - Part string (ur:...)
+ * @param {object} options - { size, margin, dark, light, errorCorrectionLevel, mode }
+ * @returns {Promise<string>} SVG markup
+ */
+export function frameToSvg(text, options = {}) {
+    const { size, margin, dark, light, errorCorrectionLevel, mode } = { ...EXPORT_DEFAULTS, ...options };
+    return QRCode.toString(qrSegments(text, mode), {
+        type: 'svg', width: size, margin, errorCorrectionLevel, color: { dark, light }
+    });
+}
+
+/**
+ * All Frames as One Animated SVG
+ * Each frame is a nested SVG shown for 1/fps of the loop by a discrete SMIL
+ * visibility animation, so the result stays vector and loops forever.
+ *
+ * @param {string[]} parts - Part strings, in display order
+ * @param {object} options - Frame options plus fps
+ * @returns {Promise<string>} SVG markup
+ */
+export async function framesToAnimatedSvg(parts, options = {}) {
+    const { size } = { ...EXPORT_DEFAULTS, ...options };
+    const fps = options.fps || 5;
+    const count = parts.length;
+    const duration = count / fps;
+
+    const frames = await Promise.all(parts.map(async (part, i) => {
+        const svg = stripXmlDeclaration(await frameToSvg(part, options));
+        const keyTimes = [0, i / count, (i + 1) / count].map(t => +t.toFixed(6)).join(';');
+        return `<g visibility="hidden"><animate attributeName="visibility" calcMode="discrete" dur="${duration}s" ` +
+            `repeatCount="indefinite" keyTimes="${keyTimes}" values="hidden;visible;hidden"/>${svg}</g>`;
+    }));
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${size}" height="${size}" viewBox="0 0 ${size} ${size}">` +
+        `${frames.join('')}</svg>`;
+}
+
+/**
+ * Rasterise a Frame to One Bit per Pixel
+ * Mirrors the qrcode library's canvas renderer (module = floor of the scaled
+ * pixel position), so exports match the on-screen canvas pixel for pixel.
+ *
+ * @param {string} text - Part string (ur:...)
+ * @param {object} options - { size, margin, errorCorrectionLevel, mode }
+ * @returns {object} { size, pixels } where pixels[y * size + x] is 1 for dark
+ */
+export function rasterizeFrame(text, options = {}) {
+    const { size, margin, errorCorrectionLevel, mode } = { ...EXPORT_DEFAULTS, ...options };
+    const qr = QRCode.create(qrSegments(text, mode), { errorCorrectionLevel });
+    const modules = qr.modules.size;
+    const scale = size / (modules + margin * 2);
+    const scaledMargin = margin * scale;
+    const pixels = new Uint8Array(size * size);
+    for (let y = 0; y < size; y++) {
+        for (let x = 0; x < size; x++) {
+            if (y < scaledMargin || x < scaledMargin || y >= size - scaledMargin || x >= size - scaledMargin) continue;
+            const row = Math.floor((y - scaledMargin) / scale);
+            const col = Math.floor((x - scaledMargin) / scale);
+            if (row < modules && col < modules && qr.modules.data[row * modules + col]) {
+                pixels[y * size + x] = 1;
+            }
+        }
+    }
+    return { size, pixels };
+}
+
+/**
+ * One Frame as a PNG File
+ *
+ * @param {string} text - Part string (ur:...)
+ * @param {object} options - { size, margin, dark, light, errorCorrectionLevel, mode }
+ * @returns {Promise<Uint8Array>} PNG file bytes
+ */
+export async function frameToPng(text, options = {}) {
+    const { size, dark, light } = { ...EXPORT_DEFAULTS, ...options };
+    const { pixels } = rasterizeFrame(text, options);
+    return concat([
+        new Uint8Array(PNG_SIGNATURE),
+        ...pngHeaderChunks(size, dark, light),
+        pngChunk('IDAT', await zlibDeflate(packRows(pixels, size))),
+        pngChunk('IEND', [])
+    ]);
+}
+
+/**
+ * All Frames as an Animated PNG (APNG)
+ * Two-entry palette (light, dark) at 1 bit per pixel; the frame delay is
+ * stored as the fraction delay_num/delay_den = 1/fps (fps to 1/1000 precision),
+ * so fractional rates are kept too.
+ *
+ * @param {string[]} parts - Part strings, in display order
+ * @param {object} options - Frame options plus fps
+ * @returns {Promise<Uint8Array>} PNG file bytes
+ */
+export async function framesToApng(parts, options = {}) {
+    const { size, dark, light } = { ...EXPORT_DEFAULTS, ...options };
+    const [delayNum, delayDen] = frameDelay(options.fps || 5);
+    const chunks = pngHeaderChunks(size, dark, light, [pngChunk('acTL', [...u32(parts.length), ...u32(0)])]);
+    let sequence = 0;
+
+    for (let i = 0; i < parts.length; i++) {
+        const { pixels } = rasterizeFrame(parts[i], options);
+        chunks.push(pngChunk('fcTL', [
+            ...u32(sequence++), ...u32(size), ...u32(size), ...u32(0), ...u32(0),
+            ...u16(delayNum), ...u16(delayDen), 0, 0
+        ]));
+        const data = await zlibDeflate(packRows(pixels, size));
+        chunks.push(i === 0 ? pngChunk('IDAT', data) : pngChunk('fdAT', [...u32(sequence++), ...data]));
+    }
+    chunks.push(pngChunk('IEND', []));
+
+    return concat([new Uint8Array(PNG_SIGNATURE), ...chunks]);
+}
+
+/**
+ * Parse a CSS Hex Colour (#rgb, #rrggbb or #rrggbbaa)
+ *
+ * @param {string} color - Hex colour
+ * @returns {number[]} [r, g, b, a]
+ * @throws {Error} If the colour is not a hex colour
+ */
+export function parseColor(color) {
+    let hex = String(color).trim().replace(/^#/, '');
+    if (/^[0-9a-f]{3}$/i.test(hex)) hex = hex.split('').map(c => c + c).join('');
+    if (!/^[0-9a-f]{6}([0-9a-f]{2})?$/i.test(hex)) {
+        throw new Error(`Invalid colour "${color}" (use #rrggbb)`);
+    }
+    const bytes = hex.match(/../g).map(byte => parseInt(byte, 16));
+    return bytes.length === 4 ? bytes : [...bytes, 255];
+}
+
+// IHDR (1-bit indexed), optional extra chunks (acTL), PLTE and tRNS if a colour has alpha
+function pngHeaderChunks(size, dark, light, extra = []) {
+    const palette = [parseColor(light), parseColor(dark)];
+    const chunks = [pngChunk('IHDR', [...u32(size), ...u32(size), 1, 3, 0, 0, 0]), ...extra];
+    chunks.push(pngChunk('PLTE', palette.flatMap(([r, g, b]) => [r, g, b])));
+    if (palette.some(([, , , a]) => a !== 255)) {
+        chunks.push(pngChunk('tRNS', palette.map(([, , , a]) => a)));
+    }
+    return chunks;
+}
+
+// Filter byte 0 + 1-bit samples per row, most significant bit first
+function packRows(pixels, size) {
+    const rowBytes = Math.ceil(size / 8);
+    const out = new Uint8Array((rowBytes + 1) * size);
+    for (let y = 0; y < size; y++) {
+        const offset = y * (rowBytes + 1) + 1;
+        for (let x = 0; x < size; x++) {
+            if (pixels[y * size + x]) out[offset + (x >> 3)] |= 0x80 >> (x & 7);
+        }
+    }
+    return out;
+}
+
+// zlib stream (the "deflate" format of CompressionStream), as PNG image data requires
+async function zlibDeflate(bytes) {
+    const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+// 1/fps seconds as a reduced [delay_num, delay_den] pair of u16 values
+function frameDelay(fps) {
+    const num = 1000;
+    const den = Math.min(65535, Math.max(1, Math.round(fps * 1000)));
+    const gcd = (a, b) => b ? gcd(b, a % b) : a;
+    const divisor = gcd(num, den);
+    return [num / divisor, den / divisor];
+}
+
+function pngChunk(type, data) {
+    const body = concat([new TextEncoder().encode(type), Uint8Array.from(data)]);
+    return concat([Uint8Array.from(u32(data.length)), body, Uint8Array.from(u32(crc32(body)))]);
+}
+
+function u32(value) {
+    return [(value >>> 24) & 0xff, (value >>> 16) & 0xff, (value >>> 8) & 0xff, value & 0xff];
+}
+
+function u16(value) {
+    return [(value >>> 8) & 0xff, value & 0xff];
+}
+
+function concat(arrays) {
+    const out = new Uint8Array(arrays.reduce((sum, array) => sum + array.length, 0));
+    let offset = 0;
+    arrays.forEach(array => {
+        out.set(array, offset);
+        offset += array.length;
+    });
+    return out;
+}
+
+function stripXmlDeclaration(svg) {
+    return svg.replace(/^<\?xml[^>]*>\s*/, '');
+}
@@ -6,6 +6,10 @@
  * for decoded registry items.
  */
 
+import { hexToBytes, escapeHtml } from './shared.js';
+import { payloadToAddress } from './crypto-address.js';
+import { describeCoinPayload } from './coin-metadata.js';
+
 export const RegistryItemUIMixin = {
     /**
      * Initialize Registry Item UI Elements
@@ -16,7 +20,7 @@ export const RegistryItemUIMixin = {
         this.registryItemUI = document.getElementById('registry-item-ui');
         this.treeViewContent = document.getElementById('tree-view-content');
         this.methodsContent = document.getElementById('methods-content');
-        this.copyOptionsBtns = document.querySelectorAll('.copy-option-btn');
+        this.copyOptionsBtns = document.querySelectorAll('.copy-option-btn[data-format]');
         this.copyHintBtns = document.querySelectorAll('.copy-hint-btn');
 
         // State for UI
@@ -236,6 +240,7 @@ export const RegistryItemUIMixin = {
                         <span class="tag-badge">tag:${tag}</span>
                         <span class="ur-type">ur:${urType}</span>
                     </span>
+                    ${this.renderRegistryBadge(registryItem)}
                 </div>
                 <div class="tree-children">
                     ${this.renderTreeChildren(registryItem, path, 0)}
@@ -314,6 +319,13 @@ export const RegistryItemUIMixin = {
             const value = fromData ? obj.data[key] : obj[key];
             const valuePath = fromData ? `${path}.data.${key}` : `${path}.${key}`;
 
+            // Secret fields stay behind a placeholder while masking is on
+            const secret = this.secretMatch?.(value);
+            if (secret) {
+                items.push(this.renderMaskedTreeNode(key, secret));
+                return;
+            }
+
             const isFunction = typeof value === 'function';
             const isNestedRegistryItem = value && typeof value === 'object' && value.type && typeof value.type === 'object' && value.type.URType;
 
@@ -357,6 +369,7 @@ export const RegistryItemUIMixin = {
                                 <span class="tag-badge">tag:${tag}</span>
                                 <span class="ur-type">ur:${urType}</span>
                             </span>
+                            ${this.renderRegistryBadge(value, { children: key === 'children' && /hdkey$/.test(obj?.type?.URType || '') })}
                         </div>
                         <div class="tree-children ${childrenClass}">
                             ${this.renderTreeChildren(value, valuePath, depth + 1)}
@@ -398,6 +411,62 @@ export const RegistryItemUIMixin = {
         return items.join('');
     },
 
+    /**
+     * Text Badge for Registry Items With a String Form
+     * Keypaths show their path (edited in the Keypaths panel), addresses
+     * their address string.
+     *
+     * @param {object} registryItem - Registry item
+     * @param {object} options - { children } when the item is an hdkey's children path
+     */
+    renderRegistryBadge(registryItem, options = {}) {
+        const path = this.describeRegistryKeypath ? this.describeRegistryKeypath(registryItem, options) : null;
+        if (path) {
+            return `<span class="keypath-badge" title="Edit in the Keypaths panel">${this.escapeHtml(path)}</span>`;
+        }
+        const address = this.describeRegistryAddress(registryItem);
+        if (address) {
+            return `<span class="keypath-badge">${this.escapeHtml(address)}</span>`;
+        }
+        const coin = this.describeRegistryCoin(registryItem);
+        if (!coin) return '';
+        return coin.unknown.length
+            ? `<span class="keypath-badge unknown" title="Not in the bundled tables: ${this.escapeHtml(coin.unknown.join(', '))}">⚠️ ${this.escapeHtml(coin.text)}</span>`
+            : `<span class="keypath-badge">${this.escapeHtml(coin.text)}</span>`;
+    },
+
+    /**
+     * Address String for a crypto-address Registry Item
+     *
+     * @param {object} registryItem - Registry item with toHex()
+     * @returns {string|null} Address, or null if the item is not an address
+     */
+    describeRegistryAddress(registryItem) {
+        const urType = registryItem?.type?.URType;
+        if (urType !== 'address' && urType !== 'crypto-address') return null;
+        try {
+            return payloadToAddress(hexToBytes(registryItem.toHex())).address;
+        } catch (_) {
+            return null;
+        }
+    },
+
+    /**
+     * Coin / Chain Names for a coin-identity or crypto-coininfo Registry Item
+     *
+     * @param {object} registryItem - Registry item with toHex()
+     * @returns {object|null} { text, unknown }, or null if the item is neither
+     */
+    describeRegistryCoin(registryItem) {
+        const urType = registryItem?.type?.URType;
+        if (!['coin-identity', 'crypto-coininfo', 'coininfo', 'coin-info'].includes(urType)) return null;
+        try {
+            return describeCoinPayload(hexToBytes(registryItem.toHex()), urType);
+        } catch (_) {
+            return null;
+        }
+    },
+
     /**
      * Get Value Type for Display
      */
@@ -889,9 +958,7 @@ export const RegistryItemUIMixin = {
      * Escape HTML for Safe Display
      */
     escapeHtml(text) {
-        const div = document.createElement('div');
-        div.textContent = text;
-        return div.innerHTML;
+        return escapeHtml(text);
     },
 
 
@@ -904,13 +971,22 @@ export const RegistryItemUIMixin = {
             return;
         }
 
+        // Encoded copies carry every secret byte, so only JSON can be copied masked
+        const masking = this.maskedSecrets?.().length > 0;
+        if (masking && format !== 'json') {
+            this.showCopyFeedback('Secrets are masked: reveal them or switch off masking to copy', false);
+            return;
+        }
+
         try {
             let text = '';
 
             switch (format) {
                 case 'json':
-                    // Convert to JSON-serializable object
-                    text = JSON.stringify(this.currentRegistryItem, null, 2);
+                    // Convert to JSON-serializable object (masked fields become their placeholder)
+                    text = masking
+                        ? this.withSecretPlaceholders(() => JSON.stringify(this.currentRegistryItem, (_, value) => this.secretPlaceholder(value) ?? value, 2))
+                        : JSON.stringify(this.currentRegistryItem, null, 2);
                     break;
 
                 case 'hex':
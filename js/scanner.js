@@ -277,7 +277,8 @@ export class QRScanner {
    * FR-024: Use UrFountainDecoder to assemble multi-part URs
    */
   handleQRDetected(result) {
-    const urString = result.data;
+    // Alphanumeric-mode QR codes carry the uppercase form ("UR:TYPE/...")
+    const urString = /^ur:/i.test(result.data.trim()) ? result.data.trim().toLowerCase() : result.data;
     
     // Reset no-QR timeout
     if (this.noQrTimer) {
@@ -0,0 +1,293 @@
+/**
+ * Secret Masking UI Methods
+ *
+ * These methods are mixed into the FormatConverter class. With "Mask secrets"
+ * switched on, seed payloads, mnemonic words and private key data are
+ * replaced by placeholders in the converter output, the registry item tree,
+ * registry item copies, the payload panels, the batch results and the
+ * console globals ($lastDecoded, every $decodedHistory entry and
+ * $lastRegistryItem). Each field can be revealed on its own; reveals reset
+ * when the payload changes.
+ */
+
+import { hexToBytes, bytesToHex } from './shared.js';
+import { cborHexToJsonText } from './cbor-json.js';
+import { findSecrets, maskLabel, maskPayload, secretMatcher } from './secret-mask.js';
+
+export const SecretMaskMixin = {
+    /**
+     * Initialize Secret Masking Elements
+     * Call this in the constructor after the registry item UI is initialized
+     */
+    initializeSecretMask() {
+        this.maskSecretsToggle = document.getElementById('maskSecrets');
+        this.secretMaskBar = document.getElementById('secret-mask-bar');
+
+        // State for masking
+        this.secretFields = [];
+        this.revealedSecrets = new Set();
+        this.secretPayloadHex = null;
+        this.secretMatch = () => null;
+        this.secretPlaceholdersOn = false;
+        this.lastConversion = null;
+        this.rawExposures = new Map(); // Console exposure → its unmasked value, hex and diagnostic
+
+        this.maskSecretsToggle?.addEventListener('change', () => this.refreshSecretMask());
+
+        const onReveal = (e) => {
+            const button = e.target.closest('[data-secret-reveal]');
+            if (!button) return;
+            e.stopPropagation();
+            const id = button.dataset.secretReveal;
+            if (this.revealedSecrets.has(id)) {
+                this.revealedSecrets.delete(id);
+            } else {
+                this.revealedSecrets.add(id);
+            }
+            this.refreshSecretMask();
+        };
+        this.secretMaskBar?.addEventListener('click', onReveal);
+        this.treeViewContent?.addEventListener('click', onReveal);
+    },
+
+    /** Whether the mask mode is switched on */
+    isMaskingSecrets() {
+        return !!this.maskSecretsToggle?.checked;
+    },
+
+    /**
+     * Find the Secret Fields of the Current Payload
+     * Call before the output, tree and console are rendered.
+     *
+     * @param {string|null} hex - CBOR payload as hex
+     * @param {string|null} urType - UR type of the source, if known
+     */
+    updateSecretFields(hex, urType = null) {
+        if (hex !== this.secretPayloadHex) this.revealedSecrets.clear();
+        this.secretPayloadHex = hex;
+        try {
+            this.secretFields = hex ? findSecrets(hexToBytes(hex), urType, { sequence: this.isSequenceMode() }) : [];
+        } catch (_) {
+            this.secretFields = [];
+        }
+        this.syncSecretMatcher();
+    },
+
+    /** Forget the payload after an error or an empty input */
+    clearSecretMask() {
+        this.updateSecretFields(null);
+        this.lastConversion = null;
+        this.renderSecretMaskBar();
+    },
+
+    /** Secret fields currently hidden (none when the mode is off) */
+    maskedSecrets() {
+        if (!this.isMaskingSecrets()) return [];
+        return this.secretFields.filter(secret => !this.revealedSecrets.has(secret.id));
+    },
+
+    /** Rebuild the content matcher used by the tree view and the JavaScript view */
+    syncSecretMatcher() {
+        this.secretMatch = secretMatcher(this.maskedSecrets());
+    },
+
+    /**
+     * Placeholder for a Decoded Value, While Rendering a Masked View
+     * (prettyPrintJS asks this for every value it prints)
+     *
+     * @param {*} value - Decoded JS value
+     * @returns {string|null} Placeholder text, or null to print the value
+     */
+    secretPlaceholder(value) {
+        if (!this.secretPlaceholdersOn) return null;
+        const secret = this.secretMatch(value);
+        return secret ? maskLabel(secret) : null;
+    },
+
+    /** Run a renderer with secret placeholders enabled */
+    withSecretPlaceholders(render) {
+        this.secretPlaceholdersOn = true;
+        try {
+            return render();
+        } finally {
+            this.secretPlaceholdersOn = false;
+        }
+    },
+
+    /**
+     * Mask a Conversion Result for Display
+     * Decoded views get per-field placeholders; encoded outputs (UR, hex,
+     * bytewords, base64, extended keys, …) carry the secret in every
+     * character, so they are hidden whole while any field is masked.
+     *
+     * @param {object} result - { output, outputFormat, hex, decodedValue, urType }
+     * @returns {string} Text for the output box
+     */
+    maskConverterOutput(result) {
+        this.lastConversion = result;
+        const { output, outputFormat, hex, decodedValue, urType } = result;
+        const masked = this.maskedSecrets();
+        if (masked.length === 0 || !hex) return output;
+
+        const sequence = this.isSequenceMode();
+        const maskedHex = bytesToHex(maskPayload(hexToBytes(hex), masked, { sequence }));
+        switch (outputFormat) {
+            case 'decoded-json':
+            case 'decoded-diagnostic':
+            case 'decoded-commented':
+                return sequence ? this.renderDecodedSequence(maskedHex, outputFormat).output : this.decodeCBOR(maskedHex, outputFormat, urType);
+            case 'decoded-js':
+                // Re-render the real value; prettyPrintJS swaps matched secrets for placeholders
+                return this.withSecretPlaceholders(() => {
+                    if (sequence) return this.renderDecodedSequence(hex, outputFormat).output;
+                    return decodedValue ? this.prettyPrintJS(decodedValue, 0) : this.decodeCBOR(hex, outputFormat);
+                });
+            default:
+                return `🔒 Output masked: the payload holds ${masked.length} secret field(s) (${masked.map(maskLabel).join(', ')}).\n` +
+                    'Reveal them above the output, or switch off "Mask secrets".';
+        }
+    },
+
+    /**
+     * Mask a Console Exposure Once It Is in $decodedHistory
+     * The value becomes the masked JSON mapping and the hex is withheld; the
+     * unmasked parts stay here so switching masking off can restore them.
+     *
+     * @param {object} exposed - Object built by exposeToConsole
+     */
+    maskConsoleExposure(exposed) {
+        this.rawExposures.set(exposed, {
+            value: exposed.value,
+            hex: exposed.cbor.hex,
+            diagnostic: exposed.cbor.diagnostic,
+            secrets: this.secretFields,
+            sequence: this.isSequenceMode()
+        });
+        this.applyConsoleMask();
+    },
+
+    /** (Re)apply masking to $lastDecoded, every $decodedHistory entry and $lastRegistryItem */
+    applyConsoleMask() {
+        const history = window.$decodedHistory || [];
+        const latest = history[0] ?? null;
+        this.rawExposures.forEach((raw, exposed) => {
+            // Entries dropped from the history (or cleared) are not published any more
+            if (!history.includes(exposed) && exposed !== window.$lastDecoded) {
+                this.rawExposures.delete(exposed);
+                return;
+            }
+            // Reveals only apply to the current payload; older exposures stay fully masked
+            const masked = raw.hex === this.secretPayloadHex && exposed === latest
+                ? this.maskedSecrets()
+                : (this.isMaskingSecrets() ? raw.secrets : []);
+            this.applyExposureMask(exposed, raw, masked);
+        });
+
+        // Registry items carry their key data, so one holding a masked secret is withheld
+        const item = window.$lastRegistryItem;
+        if (item && this.isMaskingSecrets() && this.registryItemHasMaskedSecret(item)) {
+            window.$lastRegistryItem = null;
+        } else if (!item && latest?.isRegistryItem && !latest.masked) {
+            window.$lastRegistryItem = this.rawExposures.get(latest)?.value ?? null;
+        }
+    },
+
+    /**
+     * Mask One Console Exposure (or restore it when nothing is masked)
+     *
+     * @param {object} exposed - Object built by exposeToConsole
+     * @param {object} raw - Unmasked { value, hex, diagnostic, sequence }
+     * @param {object[]} masked - Entries from findSecrets to hide
+     */
+    applyExposureMask(exposed, { value, hex, diagnostic, sequence }, masked) {
+        if (masked.length === 0) {
+            Object.assign(exposed, { value, masked: null });
+            Object.assign(exposed.cbor, { hex, diagnostic });
+            return;
+        }
+
+        const maskedHex = bytesToHex(maskPayload(hexToBytes(hex), masked, { sequence }));
+        exposed.value = JSON.parse(cborHexToJsonText(maskedHex, { sequence }));
+        exposed.masked = masked.map(maskLabel);
+        exposed.cbor.hex = '‹masked›';
+        exposed.cbor.diagnostic = sequence
+            ? this.renderDecodedSequence(maskedHex, 'decoded-diagnostic').output
+            : this.decodeCBOR(maskedHex, 'decoded-diagnostic');
+    },
+
+    /**
+     * Whether a Registry Item Holds a Secret That Is Masked Right Now
+     * (fields revealed for the current payload do not count)
+     *
+     * @param {object} item - Registry item with toHex()
+     * @returns {boolean}
+     */
+    registryItemHasMaskedSecret(item) {
+        try {
+            const hex = item.toHex();
+            const secrets = findSecrets(hexToBytes(hex), item.type?.URType ?? null);
+            if (hex !== this.secretPayloadHex) return secrets.length > 0;
+            return secrets.some(secret => !this.revealedSecrets.has(secret.id));
+        } catch (_) {
+            return false;
+        }
+    },
+
+    /**
+     * Re-render Every Masked Surface After a Toggle or Reveal
+     */
+    refreshSecretMask() {
+        this.syncSecretMatcher();
+        if (this.lastConversion) {
+            this.outputElement.value = this.maskConverterOutput(this.lastConversion);
+        }
+        if (this.currentRegistryItem) {
+            this.renderTreeView(this.currentRegistryItem);
+        }
+        if (this.secretPayloadHex) {
+            this.updatePayloadPanels(this.secretPayloadHex, this.lastConversion?.urType ?? null);
+        }
+        if (this.batchRows?.length) {
+            this.renderBatchResults();
+        }
+        this.applyConsoleMask();
+        this.renderSecretMaskBar();
+    },
+
+    /**
+     * List the Secret Fields With Per-field Reveal Buttons
+     */
+    renderSecretMaskBar() {
+        if (!this.secretMaskBar) return;
+        if (!this.isMaskingSecrets() || this.secretFields.length === 0) {
+            this.secretMaskBar.style.display = 'none';
+            return;
+        }
+        const hidden = this.maskedSecrets().length;
+        this.secretMaskBar.style.display = 'flex';
+        this.secretMaskBar.innerHTML = `
+            <span>🔒 ${hidden} of ${this.secretFields.length} secret field(s) masked</span>
+            ${this.secretFields.map(secret => {
+                const revealed = this.revealedSecrets.has(secret.id);
+                return `<button class="copy-option-btn compact" data-secret-reveal="${this.escapeHtml(secret.id)}">` +
+                    `${revealed ? '🙈 Hide' : '👁️ Reveal'} ${this.escapeHtml(maskLabel(secret).replace(/^‹masked |›$/g, ''))}</button>`;
+            }).join('')}`;
+    },
+
+    /**
+     * Tree View Node for a Masked Field
+     *
+     * @param {string} key - Property name
+     * @param {object} secret - Entry from findSecrets
+     * @returns {string} HTML
+     */
+    renderMaskedTreeNode(key, secret) {
+        return `
+            <div class="tree-node">
+                <span class="tree-key">${key}:</span>
+                <span class="tree-value secret-masked">${this.escapeHtml(maskLabel(secret))}</span>
+                <button class="copy-option-btn compact" data-secret-reveal="${this.escapeHtml(secret.id)}">👁️ Reveal</button>
+            </div>
+        `;
+    }
+};
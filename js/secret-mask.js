@@ -0,0 +1,138 @@
+/**
+ * BC-UR Playground - Secret Masking
+ *
+ * Finds the fields a payload holds that are secret by definition (seed
+ * payloads, BIP-39 words, private crypto-hdkey / crypto-eckey key data) and
+ * builds masked copies of the payload for display. Masking is a mode the
+ * user switches on; nothing here warns or decides on its own.
+ */
+
+import { bytesToHex } from './shared.js';
+import { cborToJson, jsonToCbor } from './cbor-json.js';
+import { splitCborSequence, concatBytes } from './cbor-structure.js';
+import { HDKEY_TAGS, ECKEY_TAGS, readIntMap } from './hdkey.js';
+import { SEED_TAGS, BIP39_TAGS } from './bip39.js';
+
+// Root tag implied by a UR type (UR payloads omit the top-level tag)
+const UR_TYPE_TAGS = {
+    'crypto-seed': 300, seed: 40300,
+    'crypto-bip39': 301, bip39: 40301,
+    'crypto-hdkey': 303, hdkey: 40303,
+    'crypto-eckey': 306, eckey: 40306
+};
+
+/**
+ * List the Secret Fields of a Payload
+ *
+ * @param {Uint8Array} bytes - CBOR payload (or sequence)
+ * @param {string|null} urType - UR type (names the untagged root)
+ * @param {object} options - { sequence } to walk every item of a CBOR sequence
+ * @returns {object[]} [{ id, pointer, label, value }] where value is the $bytes hex or the word array
+ */
+export function findSecrets(bytes, urType = null, { sequence = false } = {}) {
+    const found = [];
+    const rootTag = UR_TYPE_TAGS[urType] ?? null;
+
+    const visit = (value, pointer, tag) => {
+        if (value === null || typeof value !== 'object') return;
+        if ('$tag' in value) {
+            visit(value.$value, [...pointer, '$value'], Number(value.$tag));
+            return;
+        }
+        if (Array.isArray(value.$map)) {
+            const secret = secretField(value, tag);
+            value.$map.forEach(([key, entry], i) => {
+                const entryPointer = [...pointer, '$map', i, 1];
+                if (secret && Number(key) === secret.key) {
+                    found.push({ id: entryPointer.join('/'), pointer: entryPointer, label: secret.label, value: entry.$bytes ?? entry });
+                } else {
+                    visit(entry, entryPointer, null);
+                }
+            });
+            return;
+        }
+        if (Array.isArray(value)) {
+            value.forEach((entry, i) => visit(entry, [...pointer, i], null));
+        }
+    };
+
+    const roots = sequence ? splitCborSequence(bytes).map(part => cborToJson(part.bytes)) : [cborToJson(bytes)];
+    roots.forEach((root, i) => {
+        const rootTagged = root && typeof root === 'object' && '$tag' in root;
+        visit(root, sequence ? [i] : [], rootTagged ? null : rootTag);
+    });
+    return found;
+}
+
+/**
+ * Placeholder Text for a Masked Field
+ *
+ * @param {object} secret - Entry from findSecrets
+ * @returns {string} e.g. "‹masked seed payload · 16 bytes›"
+ */
+export function maskLabel(secret) {
+    const size = Array.isArray(secret.value)
+        ? `${secret.value.length} words`
+        : `${typeof secret.value === 'string' ? secret.value.length / 2 : '?'} bytes`;
+    return `‹masked ${secret.label} · ${size}›`;
+}
+
+/**
+ * Re-encode a Payload With Secret Fields Replaced by Their Placeholder Text
+ *
+ * @param {Uint8Array} bytes - CBOR payload (or sequence)
+ * @param {object[]} secrets - Entries from findSecrets to mask
+ * @param {object} options - { sequence }
+ * @returns {Uint8Array} Masked CBOR, for display only
+ */
+export function maskPayload(bytes, secrets, { sequence = false } = {}) {
+    const roots = sequence ? splitCborSequence(bytes).map(part => cborToJson(part.bytes)) : [cborToJson(bytes)];
+    secrets.forEach(secret => {
+        const pointer = sequence ? secret.pointer.slice(1) : secret.pointer;
+        const root = roots[sequence ? secret.pointer[0] : 0];
+        const parent = pointer.slice(0, -1).reduce((node, step) => node[step], root);
+        parent[pointer[pointer.length - 1]] = maskLabel(secret);
+    });
+    return concatBytes(roots.map(root => jsonToCbor(root)));
+}
+
+/**
+ * Matcher for Decoded Values Holding a Secret
+ * Decoded JS values and registry items carry no pointers, so secrets are
+ * recognised by content: a Uint8Array with a secret's bytes, or its word list.
+ *
+ * @param {object[]} secrets - Entries from findSecrets to mask
+ * @returns {Function} value → matching entry, or null
+ */
+export function secretMatcher(secrets) {
+    const byContent = new Map(secrets.map(secret => [contentKey(secret.value), secret]));
+    return (value) => {
+        if (byContent.size === 0) return null;
+        if (value instanceof Uint8Array) return byContent.get(contentKey(bytesToHex(value))) ?? null;
+        if (Array.isArray(value) && value.length > 0 && value.every(item => typeof item === 'string')) {
+            return byContent.get(contentKey(value)) ?? null;
+        }
+        return null;
+    };
+}
+
+// Map key of the secret field for a tagged map, if it has one
+function secretField(map, tag) {
+    if (SEED_TAGS.includes(tag)) return { key: 1, label: 'seed payload' };
+    if (BIP39_TAGS.includes(tag)) return { key: 1, label: 'mnemonic words' };
+    // Key 2 is is-private; an hdkey master key (key 1) always holds the private key
+    const flag = (key) => {
+        try {
+            return readIntMap(map, 'key').get(key) === true;
+        } catch (_) {
+            return false;
+        }
+    };
+    if (HDKEY_TAGS.includes(tag) && (flag(1) || flag(2))) return { key: 3, label: 'HD private key' };
+    if (ECKEY_TAGS.includes(tag) && flag(2)) return { key: 3, label: 'EC private key' };
+    return null;
+}
+
+function contentKey(value) {
+    return Array.isArray(value) ? `words:${value.join(' ')}` : `bytes:${value}`;
+}
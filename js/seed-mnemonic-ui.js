@@ -0,0 +1,179 @@
+/**
+ * Seed Mnemonic UI Methods
+ *
+ * These methods are mixed into the FormatConverter class. For crypto-seed
+ * and crypto-bip39 payloads the panel shows the BIP-39 checksum check and
+ * seed metadata; the words themselves stay hidden until Reveal is clicked,
+ * and hide again whenever the payload changes. While "Mask secrets" hides
+ * the seed field, Reveal is disabled.
+ */
+
+import { hexToBytes } from './shared.js';
+import { maskLabel } from './secret-mask.js';
+import {
+    BIP39_LANGUAGES, decodeSeedPayload, entropyToWords, checkMnemonic, detectMnemonicLanguage, formatBirthdate,
+    wordlistLoaded, loadWordlists, wordlistsToLoad
+} from './bip39.js';
+
+const SEED_UR_TYPES = ['crypto-seed', 'seed', 'crypto-bip39', 'bip39'];
+
+export const SeedMnemonicMixin = {
+    /**
+     * Initialize Seed Mnemonic Elements
+     * Call this in the constructor after other DOM elements are initialized
+     */
+    initializeSeedMnemonic() {
+        this.mnemonicPanel = document.getElementById('seed-mnemonic');
+        this.mnemonicContent = document.getElementById('seed-mnemonic-content');
+        this.mnemonicLanguageSelect = document.getElementById('mnemonicLanguage');
+        this.mnemonicRevealBtn = document.getElementById('mnemonicReveal');
+
+        // State for mnemonic view
+        this.mnemonicSeed = null;
+        this.mnemonicHex = null;
+        this.mnemonicRevealed = false;
+
+        if (this.mnemonicLanguageSelect) {
+            this.mnemonicLanguageSelect.innerHTML = Object.entries(BIP39_LANGUAGES)
+                .map(([code, { label }]) => `<option value="${code}">${label}</option>`).join('');
+            this.mnemonicLanguageSelect.addEventListener('change', () => {
+                if (this.mnemonicSeed) this.renderSeedMnemonic();
+            });
+        }
+        this.mnemonicRevealBtn?.addEventListener('click', () => {
+            this.mnemonicRevealed = !this.mnemonicRevealed;
+            if (this.mnemonicSeed) this.renderSeedMnemonic();
+        });
+    },
+
+    /**
+     * Update Panel with Latest Payload
+     * Shown for crypto-seed / crypto-bip39 URs and payloads tagged as either.
+     *
+     * @param {string|null} hex - CBOR payload as hex
+     * @param {string|null} urType - UR type of the source, if known
+     */
+    updateSeedMnemonic(hex, urType = null) {
+        // A new payload always starts hidden
+        if (hex !== this.mnemonicHex) this.mnemonicRevealed = false;
+        this.mnemonicHex = hex;
+        this.mnemonicSeed = null;
+        if (!this.mnemonicPanel) return;
+
+        let seed = null;
+        let error = null;
+        try {
+            seed = hex ? decodeSeedPayload(hexToBytes(hex), urType) : null;
+        } catch (err) {
+            error = err.message;
+        }
+        if (!seed && !(hex && SEED_UR_TYPES.includes(urType))) {
+            this.mnemonicPanel.style.display = 'none';
+            return;
+        }
+
+        this.mnemonicPanel.style.display = 'block';
+        if (!seed) {
+            this.mnemonicRevealBtn.style.display = 'none';
+            this.mnemonicContent.innerHTML = `<div class="det-verdict fail">❌ Invalid ${this.escapeHtml(urType)}: ${this.escapeHtml(error)}</div>`;
+            return;
+        }
+
+        // crypto-bip39 names its wordlist; otherwise keep the user's choice
+        const stored = seed.language && BIP39_LANGUAGES[seed.language] ? seed.language : null;
+        const missing = stored ? [] : (seed.words ? wordlistsToLoad(seed.words) : []);
+        if (missing.length > 0) {
+            this.loadMnemonicWordlists(missing, () => this.mnemonicHex === hex && this.updateSeedMnemonic(hex, urType));
+            return;
+        }
+
+        this.mnemonicSeed = seed;
+        const language = stored || (seed.words ? detectMnemonicLanguage(seed.words) : null);
+        if (language) this.mnemonicLanguageSelect.value = language;
+        this.renderSeedMnemonic();
+    },
+
+    /**
+     * Render Checksum Verdict, Metadata and (when revealed) the Words
+     */
+    renderSeedMnemonic() {
+        const seed = this.mnemonicSeed;
+        const language = this.mnemonicLanguageSelect.value;
+        if (!wordlistLoaded(language)) {
+            this.loadMnemonicWordlists([language], () => this.mnemonicSeed === seed && this.renderSeedMnemonic());
+            return;
+        }
+
+        let words = seed.words;
+        let check;
+        if (seed.kind === 'seed') {
+            try {
+                words = entropyToWords(seed.entropy, language);
+                check = { valid: true, error: null, unknownWords: [] };
+            } catch (error) {
+                words = null;
+                check = { valid: false, error: error.message, unknownWords: [] };
+            }
+        } else {
+            check = checkMnemonic(words, language);
+        }
+
+        // The mask mode overrides this panel's own reveal
+        const secret = this.secretMatch(seed.kind === 'seed' ? seed.entropy : seed.words);
+        this.mnemonicRevealBtn.style.display = words ? '' : 'none';
+        this.mnemonicRevealBtn.disabled = !!secret;
+        this.mnemonicRevealBtn.textContent = this.mnemonicRevealed && !secret ? '🙈 Hide words' : '👁️ Reveal words';
+
+        const source = seed.kind === 'seed' ? 'crypto-seed entropy' : 'crypto-bip39 words';
+        const verdict = check.valid
+            ? `<div class="det-verdict ok">✅ ${words.length}-word mnemonic · checksum valid</div>`
+            : `<div class="det-verdict fail">❌ ${this.escapeHtml(check.error)}</div>`;
+
+        const bits = seed.entropy ? seed.entropy.length * 8 : (words ? Math.floor(words.length * 11 * 32 / 33) : null);
+        const summary = `
+            <div class="bw-summary">
+                <span>Source: <strong>${source}</strong></span>
+                <span>Entropy: <strong>${bits ? `${bits} bits` : '—'}</strong></span>
+                <span>Wordlist: <strong>${BIP39_LANGUAGES[language].label}${seed.kind === 'bip39' && !seed.language ? ' (not stored)' : ''}</strong></span>
+                ${seed.birthdate ? `<span>Birthdate: <strong>${this.escapeHtml(formatBirthdate(seed.birthdate))}</strong></span>` : ''}
+            </div>`;
+
+        const meta = [
+            seed.name ? `<tr><td>Name</td><td>${this.escapeHtml(seed.name)}</td></tr>` : '',
+            seed.note ? `<tr><td>Note</td><td>${this.escapeHtml(seed.note)}</td></tr>` : '',
+            seed.language && !BIP39_LANGUAGES[seed.language] ? `<tr><td>Stored language</td><td><code>${this.escapeHtml(seed.language)}</code> (unknown code)</td></tr>` : ''
+        ].join('');
+
+        let body;
+        if (!words) {
+            body = '';
+        } else if (secret) {
+            body = `<div class="bw-note">🔒 ${this.escapeHtml(maskLabel(secret))}: reveal it above the output, or switch off "Mask secrets", to show the words.</div>`;
+        } else if (!this.mnemonicRevealed) {
+            body = `<div class="bw-note">🔒 The mnemonic is the wallet's secret. Words stay hidden until you click Reveal; this view runs locally and sends nothing.</div>`;
+        } else {
+            const unknown = new Set(check.unknownWords);
+            body = `<ol class="mnemonic-words">${words.map(word =>
+                `<li${unknown.has(word) ? ' class="unknown"' : ''}>${this.escapeHtml(word)}</li>`).join('')}</ol>`;
+        }
+
+        this.mnemonicContent.innerHTML = verdict + summary +
+            (meta ? `<table class="bw-suggestions"><tbody>${meta}</tbody></table>` : '') + body;
+    },
+
+    /**
+     * Fetch Wordlists, Then Re-render
+     * The panel shows a loading note meanwhile, or the error if the fetch fails.
+     *
+     * @param {string[]} languages - Keys of BIP39_LANGUAGES
+     * @param {Function} rerender - Called once loaded (skips itself if the payload changed)
+     */
+    loadMnemonicWordlists(languages, rerender) {
+        const labels = languages.map(language => BIP39_LANGUAGES[language]?.label || language).join(', ');
+        this.mnemonicRevealBtn.style.display = 'none';
+        this.mnemonicContent.innerHTML = `<div class="bw-note">⏳ Loading the ${this.escapeHtml(labels)} wordlist(s)…</div>`;
+        loadWordlists(languages).then(rerender, (error) => {
+            this.mnemonicContent.innerHTML = `<div class="det-verdict fail">❌ ${this.escapeHtml(error.message)}</div>`;
+        });
+    }
+};
@@ -5,6 +5,8 @@
  * - LRUCache: Least Recently Used cache with max size limit
  * - debounce: Function execution delay utility
  * - Error handling: User-facing error messaging with console logging
+ * - Byte helpers: hex <-> Uint8Array conversion
+ * - File download helper
  */
 
 /**
@@ -203,3 +205,64 @@ export function clearOutput(outputElement, statusElement, resetCallback = null)
 
     updateStatus(statusElement, 'Ready for input', 'info');
 }
+
+/**
+ * Convert Hex String to Bytes
+ *
+ * Accepts upper or lower case hex. Whitespace is ignored so pasted dumps work.
+ *
+ * @param {string} hex - Even-length hex string
+ * @returns {Uint8Array} Decoded bytes
+ * @throws {Error} If the input is not valid hex
+ */
+export function hexToBytes(hex) {
+    const clean = (hex || '').replace(/\s+/g, '');
+    if (!/^[0-9a-fA-F]*$/.test(clean) || clean.length % 2 !== 0) {
+        throw new Error('Invalid hex input');
+    }
+
+    const bytes = new Uint8Array(clean.length / 2);
+    for (let i = 0; i < bytes.length; i++) {
+        bytes[i] = parseInt(clean.substr(i * 2, 2), 16);
+    }
+    return bytes;
+}
+
+/**
+ * Convert Bytes to Lowercase Hex String
+ *
+ * @param {Uint8Array|ArrayLike<number>} bytes - Bytes to encode
+ * @returns {string} Lowercase hex string
+ */
+export function bytesToHex(bytes) {
+    return Array.from(bytes).map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Download Data as a File
+ *
+ * @param {string} filename - Suggested file name
+ * @param {string|Uint8Array|Blob} data - File contents
+ * @param {string} mimeType - MIME type (ignored for Blob input)
+ */
+export function downloadFile(filename, data, mimeType = 'text/plain') {
+    const blob = data instanceof Blob ? data : new Blob([data], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    a.click();
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * Escape HTML for Safe Display
+ *
+ * @param {string} text - Untrusted text
+ * @returns {string} Text with markup characters escaped
+ */
+export function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+}
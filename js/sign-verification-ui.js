@@ -0,0 +1,163 @@
+/**
+ * Sign Verification UI Methods
+ *
+ * These methods are mixed into the FormatConverter class. When the payload
+ * is a sign-request or sign-response, the panel takes the other side of the
+ * exchange and an account UR (pasted one per line), pairs requests with
+ * responses by request id, shows what was signed and by which key path, and
+ * verifies each signature offline.
+ */
+
+import { UR } from 'https://esm.sh/@ngraveio/bc-ur@2.0.0-beta.9?dev';
+import { hexToBytes, bytesToHex } from './shared.js';
+import {
+    classifySignItem, pairSignItems, findSigningKey, verifySignature,
+    describeCoin, describeKeypath, formatRequestId
+} from './sign-verification.js';
+
+const SIGN_UR_TYPES = ['sign-request', 'sign-response'];
+const MAX_DATA_PREVIEW = 96;
+
+export const SignVerificationMixin = {
+    /**
+     * Initialize Sign Verification Elements
+     * Call this in the constructor after other DOM elements are initialized
+     */
+    initializeSignVerification() {
+        this.signPanel = document.getElementById('sign-verification');
+        this.signContent = document.getElementById('sign-verification-content');
+        this.signCompanionsInput = document.getElementById('signCompanions');
+
+        // State for pairing
+        this.signCurrent = null;
+
+        this.signCompanionsInput?.addEventListener('input', () => {
+            if (this.signCurrent) this.renderSignVerification();
+        });
+    },
+
+    /**
+     * Update Panel with Latest Payload
+     * Shown for sign-request and sign-response payloads.
+     *
+     * @param {string|null} hex - CBOR payload as hex
+     * @param {string|null} urType - UR type of the source, if known
+     */
+    updateSignVerification(hex, urType = null) {
+        this.signCurrent = null;
+        if (!this.signPanel) return;
+
+        let item = null;
+        let error = null;
+        try {
+            item = hex ? classifySignItem(hexToBytes(hex), urType) : null;
+        } catch (err) {
+            error = err.message;
+        }
+        if (item?.kind !== 'request' && item?.kind !== 'response' && !(hex && SIGN_UR_TYPES.includes(urType))) {
+            this.signPanel.style.display = 'none';
+            return;
+        }
+
+        this.signPanel.style.display = 'block';
+        if (!item || item.kind === 'account') {
+            this.signContent.innerHTML = `<div class="det-verdict fail">❌ Invalid ${this.escapeHtml(urType)}: ${this.escapeHtml(error)}</div>`;
+            return;
+        }
+        this.signCurrent = { source: 'converter input', ...item };
+        this.renderSignVerification();
+    },
+
+    /**
+     * Read the Pasted URs, Pair Them With the Current Payload and Verify
+     */
+    renderSignVerification() {
+        const items = [this.signCurrent];
+        const problems = [];
+        this.signCompanionsInput.value.split('\n').forEach((line, i) => {
+            const text = line.trim();
+            if (!text) return;
+            try {
+                const ur = UR.fromString(text.toLowerCase());
+                items.push({ source: `line ${i + 1} (ur:${ur.type})`, ...classifySignItem(hexToBytes(ur.getPayloadHex()), ur.type) });
+            } catch (error) {
+                problems.push(`Line ${i + 1}: ${error.message}`);
+            }
+        });
+
+        const requests = items.filter(item => item.kind === 'request');
+        const responses = items.filter(item => item.kind === 'response');
+        const keys = items.filter(item => item.kind === 'account').flatMap(item => item.keys);
+        const { pairs, unmatchedRequests, unmatchedResponses } = pairSignItems(requests, responses);
+
+        const notes = [
+            ...problems.map(problem => `⚠️ ${problem}`),
+            ...unmatchedRequests.map(({ source, request }) =>
+                `⏳ Request ${formatRequestId(request.requestId)} (${source}) has no matching sign-response loaded`),
+            ...unmatchedResponses.map(({ source, response }) =>
+                `⏳ Response ${formatRequestId(response.requestId)} (${source}) has no matching sign-request loaded`)
+        ].map(note => `<div class="bw-note">${this.escapeHtml(note)}</div>`).join('');
+
+        const hint = pairs.length === 0
+            ? `<div class="bw-note">ℹ️ Paste the matching ur:sign-${this.signCurrent.kind === 'request' ? 'response' : 'request'} below, plus the signer's account UR (crypto-hdkey, crypto-account, crypto-output, crypto-eckey or detailed-account) to verify the signature.</div>`
+            : '';
+        const summary = `
+            <div class="bw-summary">
+                <span>Requests: <strong>${requests.length}</strong></span>
+                <span>Responses: <strong>${responses.length}</strong></span>
+                <span>Paired: <strong>${pairs.length}</strong></span>
+                <span>Account keys: <strong>${keys.length}</strong></span>
+            </div>`;
+
+        const unpaired = unmatchedRequests.map(({ request }) => this.renderSignRequestTable(request, null)).join('');
+        this.signContent.innerHTML = summary + hint + notes +
+            pairs.map(pair => this.renderSignPair(pair, keys)).join('') + unpaired;
+    },
+
+    /**
+     * Verdict and Details for One Request / Response Pair
+     */
+    renderSignPair({ request: { request }, response: { response } }, keys) {
+        let verdict;
+        let key = null;
+        if (keys.length === 0) {
+            verdict = `<div class="bw-note">🔑 Request ${formatRequestId(request.requestId)} paired · load the account UR to verify the signature</div>`;
+        } else {
+            key = findSigningKey(keys, request);
+            if (key.error) {
+                verdict = `<div class="det-verdict fail">❌ No account key fits ${this.escapeHtml(describeKeypath(request.keypath) || 'the request')}: ${this.escapeHtml(key.error)}</div>`;
+            } else {
+                const result = verifySignature(request, response, key.publicKey);
+                verdict = result.status === 'unsupported'
+                    ? `<div class="bw-note">ℹ️ ${this.escapeHtml(result.detail)}</div>`
+                    : `<div class="det-verdict ${result.status === 'valid' ? 'ok' : 'fail'}">` +
+                        `${result.status === 'valid' ? '✅ Signature valid' : '❌ Signature does not verify'}` +
+                        `${result.scheme ? ` · ${this.escapeHtml(result.scheme)}` : ''}` +
+                        `${result.detail ? ` · ${this.escapeHtml(result.detail)}` : ''}</div>`;
+            }
+        }
+        return verdict + this.renderSignRequestTable(request, response, key?.error ? null : key);
+    },
+
+    /**
+     * What Was Signed, by Which Key Path, and the Signature
+     */
+    renderSignRequestTable(request, response, key = null) {
+        const data = bytesToHex(request.signData);
+        const preview = data.length > MAX_DATA_PREVIEW * 2 ? `${data.slice(0, MAX_DATA_PREVIEW * 2)}…` : data;
+        const rows = [
+            ['Request id', `<code>${formatRequestId(request.requestId)}</code>`],
+            ['Coin', this.escapeHtml(describeCoin(request.coin))],
+            ['Key path', request.keypath ? `<code>${this.escapeHtml(describeKeypath(request.keypath))}</code>` : '— (not given)'],
+            ['Sign data', `<code class="psbt-break">${preview}</code> <span class="psbt-sub">${request.signData.length} bytes</span>`],
+            request.txType !== null ? ['Tx type', this.escapeHtml(String(request.txType))] : null,
+            request.address ? ['Address', `<code class="psbt-break">${this.escapeHtml(request.address)}</code>`] : null,
+            request.origin ? ['Request origin', this.escapeHtml(request.origin)] : null,
+            response ? ['Signature', `<code class="psbt-break">${bytesToHex(response.signature)}</code> <span class="psbt-sub">${response.signature.length} bytes</span>`] : null,
+            response?.origin ? ['Response origin', this.escapeHtml(response.origin)] : null,
+            key ? ['Signing key', `<code class="psbt-break">${bytesToHex(key.publicKey)}</code><br><span class="psbt-sub">${this.escapeHtml(key.label)} · ${this.escapeHtml(key.via)}</span>`] : null
+        ].filter(Boolean);
+        return `<table class="bw-suggestions psbt-table"><tbody>${rows.map(([label, value]) =>
+            `<tr><td>${label}</td><td>${value}</td></tr>`).join('')}</tbody></table>`;
+    }
+};
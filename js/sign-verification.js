@@ -0,0 +1,359 @@
+/**
+ * BC-UR Playground - Sign Request / Response Verification
+ *
+ * Decodes ur-sign sign-request (tag 41411) and sign-response (tag 41412)
+ * items, pairs them by request id, finds the signing key in an account UR
+ * (crypto-hdkey, crypto-eckey, crypto-output, crypto-account or
+ * detailed-account) along the request's derivation path, and verifies the
+ * signature. secp256k1 (ECDSA and BIP-340 Schnorr) and Ed25519 are checked
+ * with the bundled noble code, so nothing leaves the page.
+ */
+
+import { secp256k1, schnorr } from 'https://esm.sh/@noble/curves@1.4.0/secp256k1';
+import { ed25519 } from 'https://esm.sh/@noble/curves@1.4.0/ed25519';
+import { sha256 } from 'https://esm.sh/@noble/hashes@1.4.0/sha256';
+import { keccak_256 } from 'https://esm.sh/@noble/hashes@1.4.0/sha3';
+import { bytesToHex } from './shared.js';
+import { cborToJson, jsonToCbor } from './cbor-json.js';
+import { concatBytes } from './cbor-structure.js';
+import { HDKEY_TAGS, ECKEY_TAGS, untag, readIntMap, readBytes, decodeKeypath, decodeHDKey, decodeECKey, hdkeyPublicKey, formatKeypath, formatFingerprint } from './hdkey.js';
+import { listOutputKeys } from './output-descriptor.js';
+import { derivePublicChild } from './key-derivation.js';
+import { COSE_CURVES, decodeCoinIdentity, describeCoinIdentity } from './coin-metadata.js';
+
+export const SIGN_REQUEST_TAGS = [41411];
+export const SIGN_RESPONSE_TAGS = [41412];
+export const DETAILED_ACCOUNT_TAGS = [41402];
+
+const UUID_TAG = 37;
+// COSE curve ids this module can verify
+const SECP256K1 = 8;
+const ED25519 = 6;
+const SLIP44_ETHEREUM = 60;
+const EIP191_PREFIX = '\x19Ethereum Signed Message:\n';
+
+/**
+ * Decode a sign-request
+ *
+ * @param {Uint8Array} bytes - CBOR payload (top-level tag optional)
+ * @returns {object} { requestId, coin { curve, type, subtypes }, keypath, signData, origin, txType, address }
+ */
+export function decodeSignRequest(bytes) {
+    const value = cborToJson(bytes);
+    const map = readIntMap(untag(value, SIGN_REQUEST_TAGS) ?? value, 'sign-request');
+    if (!map.has(2) || !map.has(4)) {
+        throw new Error('sign-request needs a coin-id (key 2) and sign-data (key 4)');
+    }
+    const address = map.get(7);
+    return {
+        requestId: readRequestId(map.get(1), 'sign-request'),
+        coin: decodeCoinIdentity(map.get(2)),
+        keypath: map.has(3) ? decodeKeypath(map.get(3)) : null,
+        signData: readBytes(map.get(4), 'sign-request sign-data'),
+        origin: typeof map.get(5) === 'string' ? map.get(5) : null,
+        txType: map.get(6) ?? null,
+        address: address?.$bytes !== undefined ? `0x${address.$bytes}` : (typeof address === 'string' ? address : null)
+    };
+}
+
+/**
+ * Decode a sign-response
+ *
+ * @param {Uint8Array} bytes - CBOR payload (top-level tag optional)
+ * @returns {object} { requestId, signature, origin }
+ */
+export function decodeSignResponse(bytes) {
+    const value = cborToJson(bytes);
+    const map = readIntMap(untag(value, SIGN_RESPONSE_TAGS) ?? value, 'sign-response');
+    return {
+        requestId: readRequestId(map.get(1), 'sign-response'),
+        signature: readBytes(map.get(2), 'sign-response signature'),
+        origin: typeof map.get(3) === 'string' ? map.get(3) : null
+    };
+}
+
+/**
+ * Classify a Payload for the Pairing View
+ *
+ * @param {Uint8Array} bytes - CBOR payload
+ * @param {string|null} urType - UR type, needed for untagged items
+ * @returns {object} { kind ('request'|'response'|'account'), request | response | keys }
+ */
+export function classifySignItem(bytes, urType = null) {
+    const value = cborToJson(bytes);
+    if (urType === 'sign-request' || untag(value, SIGN_REQUEST_TAGS) !== undefined) {
+        return { kind: 'request', request: decodeSignRequest(bytes) };
+    }
+    if (urType === 'sign-response' || untag(value, SIGN_RESPONSE_TAGS) !== undefined) {
+        return { kind: 'response', response: decodeSignResponse(bytes) };
+    }
+    const keys = collectAccountKeys(bytes, urType);
+    if (keys.length === 0) {
+        throw new Error(`${urType || 'payload'} is not a sign-request, sign-response or account with keys`);
+    }
+    return { kind: 'account', keys };
+}
+
+/**
+ * List the Public Keys an Account Payload Holds
+ *
+ * @param {Uint8Array} bytes - crypto-hdkey, crypto-eckey, crypto-output, crypto-account or detailed-account
+ * @param {string|null} urType - UR type, needed for untagged items
+ * @returns {object[]} [{ label, hdkey, eckey }] (one of hdkey / eckey set)
+ */
+export function collectAccountKeys(bytes, urType = null) {
+    const value = cborToJson(bytes);
+    if (urType === 'detailed-account' || untag(value, DETAILED_ACCOUNT_TAGS) !== undefined) {
+        const account = readIntMap(untag(value, DETAILED_ACCOUNT_TAGS) ?? value, 'detailed-account').get(1);
+        return collectAccountKeys(jsonToCbor(account), null);
+    }
+    if (urType === 'crypto-hdkey' || urType === 'hdkey' || untag(value, HDKEY_TAGS) !== undefined) {
+        const hdkey = decodeHDKey(value);
+        return [{ label: describeKey(hdkey), hdkey, eckey: null }];
+    }
+    if (urType === 'crypto-eckey' || urType === 'eckey' || untag(value, ECKEY_TAGS) !== undefined) {
+        return [{ label: 'crypto-eckey', hdkey: null, eckey: decodeECKey(value) }];
+    }
+    return listOutputKeys(bytes).outputs.filter(output => output.key).map(({ descriptor, key }) => {
+        const label = descriptor.replace(/#.*$/, '');
+        return untag(key, ECKEY_TAGS) !== undefined
+            ? { label, hdkey: null, eckey: decodeECKey(key) }
+            : { label, hdkey: decodeHDKey(key), eckey: null };
+    });
+}
+
+/**
+ * Pair Requests With Responses by Request Id
+ *
+ * @param {object[]} requests - [{ source, request }]
+ * @param {object[]} responses - [{ source, response }]
+ * @returns {object} { pairs[{ request, response }], unmatchedRequests, unmatchedResponses }
+ */
+export function pairSignItems(requests, responses) {
+    const used = new Set();
+    const pairs = [];
+    const unmatchedRequests = [];
+    requests.forEach(request => {
+        const index = responses.findIndex((response, i) =>
+            !used.has(i) && request.request.requestId !== null && response.response.requestId === request.request.requestId);
+        if (index === -1) {
+            unmatchedRequests.push(request);
+            return;
+        }
+        used.add(index);
+        pairs.push({ request, response: responses[index] });
+    });
+    return { pairs, unmatchedRequests, unmatchedResponses: responses.filter((_, i) => !used.has(i)) };
+}
+
+/**
+ * Find the Key That Should Have Signed a Request
+ *
+ * An HD key whose origin is a prefix of the request path is derived down
+ * the remaining non-hardened steps; a matching fingerprint is required when
+ * both sides name one.
+ *
+ * @param {object[]} keys - Entries from collectAccountKeys
+ * @param {object} request - Result of decodeSignRequest
+ * @returns {object} { publicKey, label, via, error } (error set when no key fits)
+ */
+export function findSigningKey(keys, request) {
+    const reasons = [];
+    let fallback = null;
+    for (const key of keys) {
+        try {
+            const { publicKey, via, onPath } = keyForRequest(key, request);
+            const found = { publicKey, via, label: key.label, error: null };
+            // Keys that could not be placed on the path only count when nothing else fits
+            if (onPath) return found;
+            fallback = fallback || found;
+        } catch (error) {
+            reasons.push(`${key.label}: ${error.message}`);
+        }
+    }
+    if (fallback) return fallback;
+    return { publicKey: null, label: null, via: null, error: reasons.join('; ') || 'No account key loaded' };
+}
+
+/**
+ * Verify a Response's Signature Over a Request's Sign-data
+ *
+ * secp256k1 signatures are tried as ECDSA over the digests wallets use
+ * (keccak256 and EIP-191 for EVM coins, double SHA-256, SHA-256, or the
+ * data itself when it is a 32-byte hash) and, for 64-byte signatures, as
+ * BIP-340 Schnorr over the data. Ed25519 signs the data directly.
+ *
+ * @param {object} request - Result of decodeSignRequest
+ * @param {object} response - Result of decodeSignResponse
+ * @param {Uint8Array} publicKey - Signing key (33-byte secp256k1, or 32-byte Ed25519)
+ * @returns {object} { status ('valid'|'invalid'|'unsupported'), scheme, detail }
+ */
+export function verifySignature(request, response, publicKey) {
+    const curve = request.coin.curve;
+    const signature = response.signature;
+    if (curve !== SECP256K1 && curve !== ED25519) {
+        return { status: 'unsupported', scheme: null, detail: `Curve ${COSE_CURVES[curve] ?? curve} is not verified here` };
+    }
+
+    if (curve === ED25519) {
+        let key;
+        try {
+            key = ed25519PublicKey(publicKey);
+        } catch (error) {
+            return { status: 'invalid', scheme: 'Ed25519', detail: error.message };
+        }
+        if (signature.length !== 64) {
+            return { status: 'invalid', scheme: 'Ed25519', detail: `Ed25519 signatures are 64 bytes, got ${signature.length}` };
+        }
+        const ok = safeVerify(() => ed25519.verify(signature, request.signData, key));
+        return { status: ok ? 'valid' : 'invalid', scheme: 'Ed25519 over sign-data', detail: null };
+    }
+
+    if (publicKey.length !== 33) {
+        return { status: 'invalid', scheme: null, detail: `secp256k1 key must be 33 bytes (compressed), got ${publicKey.length}` };
+    }
+    if (signature.length !== 64 && signature.length !== 65) {
+        return { status: 'invalid', scheme: null, detail: `Expected a 64-byte (r‖s) or 65-byte (r‖s‖v) signature, got ${signature.length}` };
+    }
+
+    const compact = signature.slice(0, 64);
+    for (const { label, digest } of ecdsaDigests(request)) {
+        if (safeVerify(() => secp256k1.verify(compact, digest, publicKey, { lowS: false, prehash: false }))) {
+            const highS = !safeVerify(() => secp256k1.verify(compact, digest, publicKey, { lowS: true, prehash: false }));
+            return { status: 'valid', scheme: `ECDSA over ${label}`, detail: highS ? 'high-S signature (not BIP-62/EIP-2 canonical)' : null };
+        }
+    }
+    if (signature.length === 64 && safeVerify(() => schnorr.verify(signature, request.signData, publicKey.slice(1)))) {
+        return { status: 'valid', scheme: 'BIP-340 Schnorr over sign-data', detail: null };
+    }
+    return { status: 'invalid', scheme: null, detail: 'No ECDSA digest or Schnorr message matched this key' };
+}
+
+/**
+ * Name a Coin Identity for Display (curve, coin and chain names with the raw ids)
+ */
+export function describeCoin(coin) {
+    const { text } = describeCoinIdentity(coin);
+    return `${text} · coin type ${coin.type ?? '?'}`;
+}
+
+/**
+ * Format a Request's Derivation Path With Its Fingerprint
+ */
+export function describeKeypath(keypath) {
+    if (!keypath) return null;
+    const fingerprint = keypath.sourceFingerprint !== null ? `[${formatFingerprint(keypath.sourceFingerprint)}] ` : '';
+    return `${fingerprint}m/${formatKeypath(keypath.components)}`;
+}
+
+/**
+ * Format a Request Id (16-byte ids as a UUID)
+ */
+export function formatRequestId(requestId) {
+    if (!requestId) return '—';
+    if (requestId.length !== 32) return requestId;
+    return requestId.replace(/^(.{8})(.{4})(.{4})(.{4})(.{12})$/, '$1-$2-$3-$4-$5');
+}
+
+// Request ids are tagged UUIDs (tag 37); bare byte strings are accepted too
+function readRequestId(value, name) {
+    if (value === undefined) return null;
+    const id = untag(value, [UUID_TAG]) ?? value;
+    return bytesToHex(readBytes(id, `${name} request-id`));
+}
+
+// "[fingerprint/path]" for an HD key, or "crypto-hdkey" when it has no origin
+function describeKey(hdkey) {
+    if (!hdkey.origin) return 'crypto-hdkey';
+    const fingerprint = hdkey.origin.sourceFingerprint !== null ? formatFingerprint(hdkey.origin.sourceFingerprint) : 'm';
+    const path = formatKeypath(hdkey.origin.components);
+    return `[${fingerprint}${path ? '/' + path : ''}]`;
+}
+
+// { publicKey, via, onPath } for one account key; throws when it cannot be the signer
+function keyForRequest(key, request) {
+    const curve = request.coin.curve;
+    if (key.eckey) {
+        if (key.eckey.isPrivate) throw new Error('crypto-eckey holds a private key; load the public key');
+        return { publicKey: key.eckey.data, via: 'crypto-eckey (no path to check)', onPath: false };
+    }
+
+    const hdkey = key.hdkey;
+    if (hdkey.isPrivate && curve !== SECP256K1) {
+        throw new Error('private HD keys are only read for secp256k1');
+    }
+    const publicKey = hdkeyPublicKey(hdkey);
+    const path = request.keypath;
+    if (!path) {
+        return { publicKey, via: 'request has no derivation path; account key used as is', onPath: false };
+    }
+
+    const concrete = path.components.every(c => c.index !== null);
+    if (!concrete) throw new Error('request path has wildcards or ranges');
+    const origin = hdkey.isMaster ? { components: [], sourceFingerprint: null } : hdkey.origin;
+    if (!origin) {
+        return { publicKey, via: 'key has no origin; assumed to be the signing key', onPath: false };
+    }
+
+    const fingerprintA = path.sourceFingerprint;
+    const fingerprintB = origin.sourceFingerprint;
+    if (fingerprintA !== null && fingerprintB !== null && fingerprintA !== fingerprintB) {
+        throw new Error(`fingerprint ${formatFingerprint(fingerprintB)} does not match the request's ${formatFingerprint(fingerprintA)}`);
+    }
+    const prefix = origin.components;
+    const onPath = prefix.length <= path.components.length &&
+        prefix.every((c, i) => c.index === path.components[i].index && c.hardened === path.components[i].hardened);
+    if (!onPath) {
+        throw new Error(`origin m/${formatKeypath(prefix)} is not on the request path`);
+    }
+
+    const rest = path.components.slice(prefix.length);
+    if (rest.length === 0) {
+        return { publicKey, via: 'account key is at the request path', onPath: true };
+    }
+    if (curve !== SECP256K1) {
+        throw new Error(`${COSE_CURVES[curve] ?? 'this curve'} keys cannot be derived from a public key`);
+    }
+    if (rest.some(c => c.hardened)) {
+        throw new Error(`hardened step below the account key (${formatKeypath(rest)}) needs the private key`);
+    }
+    if (!hdkey.chainCode) {
+        throw new Error('account key has no chain code to derive from');
+    }
+    let node = { publicKey, chainCode: hdkey.chainCode };
+    rest.forEach(c => { node = derivePublicChild(node, c.index); });
+    return { publicKey: node.publicKey, via: `derived ${formatKeypath(rest)} from the account key`, onPath: true };
+}
+
+// [{ label, digest }] candidate ECDSA message hashes for a request
+function ecdsaDigests(request) {
+    const data = request.signData;
+    const digests = [];
+    const evm = request.coin.type === SLIP44_ETHEREUM || request.coin.subtypes.length > 0 || /^0x[0-9a-f]{40}$/i.test(request.address || '');
+    if (evm) {
+        digests.push({ label: 'keccak256(sign-data)', digest: keccak_256(data) });
+        const prefix = new TextEncoder().encode(`${EIP191_PREFIX}${data.length}`);
+        digests.push({ label: 'EIP-191 personal message hash', digest: keccak_256(concatBytes([prefix, data])) });
+    }
+    digests.push({ label: 'double SHA-256(sign-data)', digest: sha256(sha256(data)) });
+    digests.push({ label: 'SHA-256(sign-data)', digest: sha256(data) });
+    if (data.length === 32) {
+        digests.push({ label: 'sign-data (32-byte hash)', digest: data });
+    }
+    return digests;
+}
+
+// SLIP-10 Ed25519 keys are often stored with a 0x00 prefix byte
+function ed25519PublicKey(publicKey) {
+    if (publicKey.length === 33 && publicKey[0] === 0) return publicKey.slice(1);
+    if (publicKey.length === 32) return publicKey;
+    throw new Error(`Ed25519 public key must be 32 bytes (or 33 with a 0x00 prefix), got ${publicKey.length}`);
+}
+
+function safeVerify(check) {
+    try {
+        return check() === true;
+    } catch (_) {
+        return false;
+    }
+}